@@ -0,0 +1,474 @@
+/**
+ * Alert export for Fuel Theft Monitor
+ * Downloads the alerts matching the current filters and date range as CSV
+ * (RFC 4180), JSON, Excel (XLSX) or GeoJSON, and the findings of analysis
+ * runs the same way. All formats share one set of columns; volumes are in the
+ * unit chosen in the settings.
+ */
+
+const AlertExport = (function() {
+    const FORMATS = {
+        csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+        json: { extension: 'json', type: 'application/json' },
+        xlsx: { extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+        geojson: { extension: 'geojson', type: 'application/geo+json' }
+    };
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const EXCEL_EPOCH_OFFSET = 25569;   // Days from 1900-01-00 (Excel's epoch) to 1970-01-01
+
+    let crcTable = null;
+
+    /**
+     * Set up the export controls
+     */
+    function init() {
+        document.getElementById('export-btn').addEventListener('click', function() {
+            exportAlerts(document.getElementById('export-format').value);
+        });
+    }
+
+    /**
+     * Columns of every export: key (JSON/GeoJSON property), header (CSV/XLSX),
+     * value getter and cell kind for XLSX
+     */
+    function getColumns(unit) {
+        const unitLabel = FuelUnits.label(unit);
+        const volume = litres => {
+            const value = FuelUnits.fromLitres(litres, unit);
+            return value === null ? null : round(value, 1);
+        };
+        const percent = value => typeof value === 'number' ? round(value, 1) : null;
+        const isDrop = a => ['theft', 'overconsumption'].includes(a.type || 'theft');
+        const usage = a => a.consumption || {};
+
+        return [
+            { key: 'id', header: 'ID', value: a => a.id },
+            { key: 'type', header: 'Type', value: a => a.type || 'theft' },
+            { key: 'vehicleId', header: 'Vehicle ID', value: a => a.vehicleId },
+            { key: 'vehicle', header: 'Vehicle', value: a => a.vehicleName },
+            { key: 'driver', header: 'Driver', value: a => a.driverName || null },
+            { key: 'severity', header: 'Severity', value: a => a.severity },
+            { key: 'timestamp', header: 'Timestamp', value: a => a.timestamp, kind: 'date' },
+            { key: 'fuelDropPercent', header: 'Fuel Drop (%)', value: a => isDrop(a) ? percent(a.fuelDrop) : null },
+            { key: 'fuelAddedPercent', header: 'Fuel Added (%)', value: a => isDrop(a) ? null : percent(a.fuelAdded) },
+            { key: 'previousLevelPercent', header: 'Previous Level (%)', value: a => percent(a.previousLevel) },
+            { key: 'currentLevelPercent', header: 'Current Level (%)', value: a => percent(a.currentLevel) },
+            { key: 'durationMinutes', header: 'Duration (min)', value: a => typeof a.duration === 'number' ? a.duration : null },
+            { key: 'volumeLost', header: `Volume Lost (${unitLabel})`, value: a => volume(a.volumeLost) },
+            { key: 'volumeAdded', header: `Volume Added (${unitLabel})`, value: a => volume(a.volumeAdded) },
+            { key: 'purchasedVolume', header: `Purchased (${unitLabel})`, value: a => volume(a.purchasedVolume) },
+            { key: 'fuelUsed', header: `Fuel Used (${unitLabel})`, value: a => volume(usage(a).fuelUsed) },
+            { key: 'expectedFuel', header: `Expected Fuel (${unitLabel})`, value: a => volume(usage(a).expectedFuel) },
+            { key: 'distanceKm', header: 'Distance (km)', value: a => typeof usage(a).distanceKm === 'number' ? round(usage(a).distanceKm, 1) : null },
+            { key: 'engineHours', header: 'Engine Hours', value: a => typeof usage(a).engineHours === 'number' ? round(usage(a).engineHours, 2) : null },
+            { key: 'tankCapacity', header: `Tank Capacity (${unitLabel})`, value: a => volume(a.tankCapacity) },
+            { key: 'location', header: 'Location', value: a => a.location && a.location !== 'Unknown' ? a.location : null },
+            { key: 'latitude', header: 'Latitude', value: a => typeof a.latitude === 'number' ? round(a.latitude, 6) : null },
+            { key: 'longitude', header: 'Longitude', value: a => typeof a.longitude === 'number' ? round(a.longitude, 6) : null },
+            { key: 'zone', header: 'Zone', value: a => a.zoneName || null },
+            { key: 'zoneKind', header: 'Zone Kind', value: a => a.zoneName ? Zones.getKind(a) : null },
+            { key: 'riskSchedules', header: 'Risk Schedules', value: a => (a.riskSchedules || []).join('; ') || null },
+            { key: 'stateUnknown', header: 'Vehicle State Unknown', value: a => !!a.stateUnknown },
+            { key: 'station', header: 'Station', value: a => a.station || null },
+            { key: 'card', header: 'Card', value: a => a.cardNumber ? maskCardNumber(a.cardNumber) : null },
+            { key: 'detectors', header: 'Detectors', value: a => (a.detectors || []).map(d => d.name).join('; ') || null },
+            { key: 'detectorScores', header: 'Detector Scores', value: a => (a.detectors || []).map(d => d.score.toFixed(2)).join('; ') || null },
+            { key: 'status', header: 'Status', value: a => a.status ? AlertManager.getStatusLabel(a.status) : null },
+            { key: 'assignee', header: 'Assignee', value: a => a.assignee || null },
+            { key: 'notes', header: 'Notes', value: a => a.notes || null },
+            { key: 'historical', header: 'Historical', value: a => !!a.isHistorical },
+            { key: 'analysisRun', header: 'Analysis Run', value: a => a.runName || null }
+        ];
+    }
+
+    /**
+     * Download the filtered alerts
+     * @param {string} format - 'csv', 'json', 'xlsx' or 'geojson'
+     */
+    function exportAlerts(format) {
+        if (!FORMATS[format]) return;
+
+        const alertList = getExportAlerts();
+        if (alertList.length === 0) {
+            alert('No alerts match the current filters');
+            return;
+        }
+
+        exportList(alertList, format, 'fuel-theft-alerts', { filters: getFilterDescription() });
+    }
+
+    /**
+     * Download a list of alerts (or alert-like findings of an analysis run)
+     * @param {Array} alertList - Alerts, in the order to export them
+     * @param {string} format - 'csv', 'json', 'xlsx' or 'geojson'
+     * @param {string} filePrefix - File name before the date
+     * @param {Object} context - Describes what was exported, at the top of the JSON export
+     */
+    function exportList(alertList, format, filePrefix, context) {
+        const spec = FORMATS[format];
+        if (!spec) return;
+
+        const unit = AlertManager.getSettings().volumeUnit;
+        const columns = getColumns(unit);
+        let content;
+
+        switch (format) {
+            case 'csv':
+                content = toCsv(alertList, columns);
+                break;
+            case 'json':
+                content = toJson(alertList, columns, unit, context);
+                break;
+            case 'xlsx':
+                content = toXlsx(alertList, columns);
+                break;
+            case 'geojson': {
+                const located = alertList.filter(a => typeof a.latitude === 'number' && typeof a.longitude === 'number');
+                if (located.length === 0) {
+                    alert('None of these alerts have a recorded position');
+                    return;
+                }
+                content = toGeoJson(located, columns);
+                break;
+            }
+        }
+
+        download(content, spec.type, `${filePrefix}-${new Date().toISOString().split('T')[0]}.${spec.extension}`);
+    }
+
+    /**
+     * Alerts passing the list filters and the From/To dates, oldest first
+     * @returns {Array} Alerts
+     */
+    function getExportAlerts() {
+        const fromValue = document.getElementById('date-from').value;
+        const toValue = document.getElementById('date-to').value;
+        const from = fromValue ? new Date(fromValue) : null;
+        const to = toValue ? new Date(toValue) : null;
+        if (to) to.setHours(23, 59, 59, 999); // Include the entire end day
+
+        return AlertManager.getFilteredAlerts()
+            .filter(a => {
+                const time = new Date(a.timestamp);
+                return (!from || time >= from) && (!to || time <= to);
+            })
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * One record per alert, keyed by column
+     */
+    function toRecord(alert, columns) {
+        const record = {};
+        columns.forEach(column => {
+            const value = column.value(alert);
+            record[column.key] = value === undefined ? null : value;
+        });
+        return record;
+    }
+
+    /**
+     * CSV per RFC 4180: CRLF line breaks, fields with commas, quotes or line breaks quoted
+     */
+    function toCsv(alertList, columns) {
+        const lines = [columns.map(c => csvField(c.header)).join(',')];
+        alertList.forEach(alert => {
+            lines.push(columns.map(c => csvField(c.value(alert))).join(','));
+        });
+
+        // A byte order mark lets Excel detect UTF-8
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field if needed
+     */
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * JSON document with the export context and full alert records
+     */
+    function toJson(alertList, columns, unit, context) {
+        const output = {
+            exportedAt: new Date().toISOString(),
+            volumeUnit: FuelUnits.label(unit),
+            ...context,
+            alerts: alertList.map(alert => ({
+                ...toRecord(alert, columns),
+                detectors: (alert.detectors || []).map(d => ({ id: d.id, name: d.name, score: d.score, explanation: d.explanation })),
+                history: alert.history || []
+            }))
+        };
+
+        return JSON.stringify(output, null, 2);
+    }
+
+    /**
+     * GeoJSON FeatureCollection of alert positions
+     */
+    function toGeoJson(alertList, columns) {
+        const propertyColumns = columns.filter(c => c.key !== 'latitude' && c.key !== 'longitude');
+
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            features: alertList.map(alert => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [alert.longitude, alert.latitude] },
+                properties: toRecord(alert, propertyColumns)
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Filters in effect, for the JSON export
+     */
+    function getFilterDescription() {
+        const value = id => document.getElementById(id).value || null;
+        return {
+            vehicle: value('vehicle-filter'),
+            driver: value('driver-filter'),
+            severity: value('severity-filter'),
+            type: value('type-filter'),
+            status: value('status-filter'),
+            from: value('date-from'),
+            to: value('date-to')
+        };
+    }
+
+    /**
+     * Excel workbook with a single sheet (a minimal Office Open XML package)
+     */
+    function toXlsx(alertList, columns) {
+        const rows = [
+            `<row r="1">${columns.map((c, i) => xlsxCell(c.header, i, 1, 'string', 1)).join('')}</row>`
+        ];
+        alertList.forEach((alert, index) => {
+            const rowNumber = index + 2;
+            const cells = columns.map((c, i) => xlsxCell(c.value(alert), i, rowNumber, c.kind)).join('');
+            rows.push(`<row r="${rowNumber}">${cells}</row>`);
+        });
+
+        const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<sheetData>${rows.join('')}</sheetData>` +
+            `<autoFilter ref="A1:${columnName(columns.length - 1)}${alertList.length + 1}"/>` +
+            '</worksheet>';
+
+        const files = {
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                '<sheets><sheet name="Alerts" sheetId="1" r:id="rId1"/></sheets>' +
+                '<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">' +
+                `Alerts!$A$1:$${columnName(columns.length - 1)}$${alertList.length + 1}</definedName></definedNames>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            // Style 0: default, 1: bold header, 2: date and time
+            'xl/styles.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+                '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>',
+            'xl/worksheets/sheet1.xml': sheet
+        };
+
+        return zip(files);
+    }
+
+    /**
+     * One worksheet cell; numbers and booleans are typed, dates become Excel serials in local time
+     */
+    function xlsxCell(value, columnIndex, rowNumber, kind, style) {
+        const ref = `${columnName(columnIndex)}${rowNumber}`;
+        const styleAttr = style ? ` s="${style}"` : '';
+
+        if (value === null || value === undefined || value === '') return '';
+
+        if (kind === 'date') {
+            const date = new Date(value);
+            if (!isNaN(date)) {
+                const serial = (date.getTime() - date.getTimezoneOffset() * 60000) / DAY_MS + EXCEL_EPOCH_OFFSET;
+                return `<c r="${ref}" s="2"><v>${serial}</v></c>`;
+            }
+        }
+        if (typeof value === 'number' && isFinite(value)) {
+            return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+        }
+        if (typeof value === 'boolean') {
+            return `<c r="${ref}" t="b"${styleAttr}><v>${value ? 1 : 0}</v></c>`;
+        }
+
+        return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    /**
+     * Spreadsheet column letters for a zero-based index (0 = A, 26 = AA)
+     */
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML does not allow
+     */
+    function escapeXml(value) {
+        return String(value)
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Uncompressed ZIP archive of text files
+     * @param {Object} files - {path: text}
+     * @returns {Uint8Array} Archive bytes
+     */
+    function zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        Object.keys(files).forEach(path => {
+            const name = encoder.encode(path);
+            const data = encoder.encode(files[path]);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed
+            local.setUint16(8, 0, true);            // Stored, no compression
+            local.setUint16(12, 0x21, true);        // Date 1980-01-01
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);    // Offset of the local header
+
+            localParts.push(new Uint8Array(local.buffer), name, data);
+            centralParts.push(new Uint8Array(central.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, centralParts.length / 2, true);
+        end.setUint16(10, centralParts.length / 2, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(offset + centralSize + 22);
+        let position = 0;
+        parts.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+
+        return result;
+    }
+
+    /**
+     * CRC-32 (as used by ZIP)
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Save content as a file
+     */
+    function download(content, type, filename) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Mask a fuel card number, keeping the last 4 digits
+     */
+    function maskCardNumber(cardNumber) {
+        const text = String(cardNumber);
+        return text.length > 4 ? `•••• ${text.slice(-4)}` : text;
+    }
+
+    /**
+     * Round to a number of decimals
+     */
+    function round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Public API
+    return {
+        init,
+        exportAlerts,
+        exportList
+    };
+})();
@@ -0,0 +1,453 @@
+/**
+ * Alert map for Fuel Theft Monitor
+ * Shows the alerts that pass the current filters on an OpenStreetMap tile map,
+ * clustering alerts that are close together at the current zoom level so
+ * repeat locations (a yard, a lay-by) stand out. Clicking a single alert
+ * opens it in the list; clicking a cluster zooms in on it.
+ * No mapping library is needed: tiles are plain images in Web Mercator.
+ */
+
+const AlertMap = (function() {
+    const TILE_SIZE = 256;
+    const TILE_URL = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+    const MIN_ZOOM = 2;
+    const MAX_ZOOM = 18;
+    const MAX_FIT_ZOOM = 15;        // Fitting to a single location should still show its surroundings
+    const SNAPSHOT_ZOOM = 16;       // Street level, for evidence reports
+    const CLUSTER_RADIUS_PX = 40;
+    const SEVERITY_ORDER = ['critical', 'high', 'medium', 'info'];
+
+    // DOM elements
+    let container = null;
+    let tileLayer = null;
+    let markerLayer = null;
+    let emptyEl = null;
+
+    // View state
+    let center = { lat: 20, lng: 0 };
+    let zoom = MIN_ZOOM;
+    let userMoved = false;          // Stop auto-fitting once the user pans or zooms
+    let points = [];
+    let drag = null;
+
+    /**
+     * Build the map inside the #alert-map element
+     */
+    function init() {
+        container = document.getElementById('alert-map');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="map-tiles"></div>
+            <div class="map-markers"></div>
+            <div class="map-controls">
+                <button type="button" class="map-zoom-in" title="Zoom in">+</button>
+                <button type="button" class="map-zoom-out" title="Zoom out">&minus;</button>
+                <button type="button" class="map-fit" title="Show all alerts">&#x2922;</button>
+            </div>
+            <div class="map-empty">No alert locations to show</div>
+            <div class="map-attribution">&copy; <a href="https://www.openstreetmap.org/copyright" target="_blank" rel="noopener">OpenStreetMap</a> contributors</div>
+        `;
+        tileLayer = container.querySelector('.map-tiles');
+        markerLayer = container.querySelector('.map-markers');
+        emptyEl = container.querySelector('.map-empty');
+
+        container.querySelector('.map-zoom-in').addEventListener('click', () => zoomBy(1));
+        container.querySelector('.map-zoom-out').addEventListener('click', () => zoomBy(-1));
+        container.querySelector('.map-fit').addEventListener('click', fit);
+
+        container.addEventListener('mousedown', startDrag);
+        window.addEventListener('mousemove', moveDrag);
+        window.addEventListener('mouseup', endDrag);
+        container.addEventListener('wheel', onWheel, { passive: false });
+        container.addEventListener('dblclick', onDoubleClick);
+        window.addEventListener('resize', draw);
+    }
+
+    /**
+     * Show a set of alerts on the map (alerts without coordinates are skipped)
+     * @param {Array} alertList - Alerts, typically those passing the list filters
+     */
+    function render(alertList) {
+        if (!container) return;
+
+        points = alertList.filter(hasPosition);
+
+        if (!userMoved) {
+            fitToPoints();
+        }
+        draw();
+    }
+
+    /**
+     * Zoom to show all alerts currently on the map (and keep doing so as alerts arrive)
+     */
+    function fit() {
+        if (!container) return;
+
+        userMoved = false;
+        fitToPoints();
+        draw();
+    }
+
+    /**
+     * Center the map on an alert
+     * @param {Object} alert - Alert with latitude and longitude
+     */
+    function focusAlert(alert) {
+        if (!container || !hasPosition(alert)) return;
+
+        center = { lat: alert.latitude, lng: alert.longitude };
+        zoom = Math.max(zoom, MAX_FIT_ZOOM);
+        userMoved = true;
+        draw();
+        container.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Self-contained map image of a position (tiles embedded as data URIs, for reports)
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @param {number} [width=600] - Width in pixels
+     * @param {number} [height=300] - Height in pixels
+     * @returns {Promise<string|null>} HTML, or null if the tiles could not be fetched
+     */
+    async function getSnapshot(latitude, longitude, width = 600, height = 300) {
+        const z = SNAPSHOT_ZOOM;
+        const c = project(latitude, longitude, z);
+        const origin = { x: c.x - width / 2, y: c.y - height / 2 };
+        const tiles = [];
+
+        for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + height) / TILE_SIZE); ty++) {
+            for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + width) / TILE_SIZE); tx++) {
+                tiles.push({ x: tx, y: ty });
+            }
+        }
+
+        try {
+            const images = await Promise.all(tiles.map(async tile => {
+                const url = TILE_URL.replace('{z}', z).replace('{x}', tile.x).replace('{y}', tile.y);
+                const response = await fetch(url);
+                if (!response.ok) throw new Error(`Tile ${url}: HTTP ${response.status}`);
+                const dataUrl = await toDataUrl(await response.blob());
+
+                return `<img src="${dataUrl}" alt="" style="position:absolute;width:${TILE_SIZE}px;height:${TILE_SIZE}px;` +
+                    `left:${Math.round(tile.x * TILE_SIZE - origin.x)}px;top:${Math.round(tile.y * TILE_SIZE - origin.y)}px">`;
+            }));
+
+            return `<div style="position:relative;width:${width}px;height:${height}px;overflow:hidden;background:#e5e3df">` +
+                images.join('') +
+                `<div style="position:absolute;left:${width / 2 - 8}px;top:${height / 2 - 8}px;width:12px;height:12px;` +
+                `border:2px solid white;border-radius:50%;background:#d32f2f;box-shadow:0 1px 3px rgba(0,0,0,0.5)"></div>` +
+                `<div style="position:absolute;right:0;bottom:0;padding:2px 6px;background:rgba(255,255,255,0.8);font-size:11px">` +
+                `&copy; OpenStreetMap contributors</div></div>`;
+        } catch (error) {
+            console.error('Failed to build map snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Read a blob as a data URI
+     */
+    function toDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Whether an alert has usable coordinates
+     */
+    function hasPosition(alert) {
+        return typeof alert.latitude === 'number' && typeof alert.longitude === 'number';
+    }
+
+    /**
+     * Choose center and zoom so that every point is visible
+     */
+    function fitToPoints() {
+        if (points.length === 0) return;
+
+        const { width, height } = getSize();
+        const lats = points.map(p => p.latitude);
+        const lngs = points.map(p => p.longitude);
+        const bounds = {
+            north: Math.max(...lats), south: Math.min(...lats),
+            east: Math.max(...lngs), west: Math.min(...lngs)
+        };
+
+        center = { lat: (bounds.north + bounds.south) / 2, lng: (bounds.east + bounds.west) / 2 };
+        zoom = MIN_ZOOM;
+
+        // Highest zoom at which the bounds still fit, with room for markers at the edges
+        for (let z = MAX_FIT_ZOOM; z > MIN_ZOOM; z--) {
+            const ne = project(bounds.north, bounds.east, z);
+            const sw = project(bounds.south, bounds.west, z);
+            if (ne.x - sw.x <= width - 2 * CLUSTER_RADIUS_PX && sw.y - ne.y <= height - 2 * CLUSTER_RADIUS_PX) {
+                zoom = z;
+                break;
+            }
+        }
+    }
+
+    /**
+     * Redraw tiles and markers for the current view
+     */
+    function draw() {
+        if (!container) return;
+
+        const { width, height } = getSize();
+        const origin = getOrigin(width, height);
+
+        drawTiles(origin, width, height);
+        drawMarkers(origin, width, height);
+
+        emptyEl.style.display = points.length === 0 ? '' : 'none';
+    }
+
+    /**
+     * Place the tile images covering the view
+     */
+    function drawTiles(origin, width, height) {
+        const tileCount = Math.pow(2, zoom);
+        const firstX = Math.floor(origin.x / TILE_SIZE);
+        const firstY = Math.floor(origin.y / TILE_SIZE);
+        const lastX = Math.floor((origin.x + width) / TILE_SIZE);
+        const lastY = Math.floor((origin.y + height) / TILE_SIZE);
+
+        const fragment = document.createDocumentFragment();
+
+        for (let ty = firstY; ty <= lastY; ty++) {
+            if (ty < 0 || ty >= tileCount) continue;
+
+            for (let tx = firstX; tx <= lastX; tx++) {
+                // Wrap around the antimeridian
+                const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+
+                const img = document.createElement('img');
+                img.className = 'map-tile';
+                img.alt = '';
+                img.draggable = false;
+                img.src = TILE_URL.replace('{z}', zoom).replace('{x}', wrappedX).replace('{y}', ty);
+                img.style.left = `${Math.round(tx * TILE_SIZE - origin.x)}px`;
+                img.style.top = `${Math.round(ty * TILE_SIZE - origin.y)}px`;
+                fragment.appendChild(img);
+            }
+        }
+
+        tileLayer.innerHTML = '';
+        tileLayer.appendChild(fragment);
+    }
+
+    /**
+     * Place cluster markers for the points in view
+     */
+    function drawMarkers(origin, width, height) {
+        markerLayer.innerHTML = '';
+
+        clusterPoints().forEach(cluster => {
+            const x = cluster.x - origin.x;
+            const y = cluster.y - origin.y;
+            if (x < -CLUSTER_RADIUS_PX || y < -CLUSTER_RADIUS_PX ||
+                x > width + CLUSTER_RADIUS_PX || y > height + CLUSTER_RADIUS_PX) {
+                return;
+            }
+
+            const count = cluster.alerts.length;
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = `map-marker ${getWorstSeverity(cluster.alerts)}${count > 1 ? ' map-cluster' : ''}`;
+            marker.style.left = `${Math.round(x)}px`;
+            marker.style.top = `${Math.round(y)}px`;
+            marker.textContent = count > 1 ? count : '';
+            marker.title = describeCluster(cluster.alerts);
+
+            marker.addEventListener('mousedown', e => e.stopPropagation());
+            marker.addEventListener('click', () => onMarkerClick(cluster));
+            markerLayer.appendChild(marker);
+        });
+    }
+
+    /**
+     * Group points that are within the cluster radius of each other on screen
+     * @returns {Array} [{x, y, alerts}] in world pixels at the current zoom
+     */
+    function clusterPoints() {
+        const clusters = [];
+
+        points.forEach(alert => {
+            const p = project(alert.latitude, alert.longitude, zoom);
+            const near = clusters.find(c =>
+                Math.abs(c.x - p.x) <= CLUSTER_RADIUS_PX && Math.abs(c.y - p.y) <= CLUSTER_RADIUS_PX);
+
+            if (near) {
+                // Keep the cluster at the mean position of its alerts
+                const n = near.alerts.length;
+                near.x = (near.x * n + p.x) / (n + 1);
+                near.y = (near.y * n + p.y) / (n + 1);
+                near.alerts.push(alert);
+            } else {
+                clusters.push({ x: p.x, y: p.y, alerts: [alert] });
+            }
+        });
+
+        return clusters;
+    }
+
+    /**
+     * Open a single alert, or zoom in on a cluster
+     */
+    function onMarkerClick(cluster) {
+        const sameSpot = cluster.alerts.every(a =>
+            a.latitude === cluster.alerts[0].latitude && a.longitude === cluster.alerts[0].longitude);
+
+        if (cluster.alerts.length === 1 || sameSpot || zoom >= MAX_ZOOM) {
+            AlertManager.showAlert(cluster.alerts[0].id);
+            return;
+        }
+
+        center = unproject(cluster.x, cluster.y, zoom);
+        userMoved = true;
+        zoomBy(2);
+    }
+
+    /**
+     * Highest severity in a cluster, used for its colour (refuels are 'info')
+     */
+    function getWorstSeverity(alertList) {
+        const ranks = alertList.map(a => {
+            const index = SEVERITY_ORDER.indexOf(a.type === 'refuel' ? 'info' : a.severity);
+            return index === -1 ? SEVERITY_ORDER.length : index;
+        });
+        return SEVERITY_ORDER[Math.min(...ranks)] || 'info';
+    }
+
+    /**
+     * Tooltip listing the alerts in a cluster
+     */
+    function describeCluster(alertList) {
+        const lines = alertList.slice(0, 10).map(a =>
+            `${a.vehicleName} - ${a.type === 'refuel' ? 'refuel' : a.severity} - ${new Date(a.timestamp).toLocaleString()}`);
+        if (alertList.length > 10) {
+            lines.push(`and ${alertList.length - 10} more`);
+        }
+
+        const location = alertList[0].location && alertList[0].location !== 'Unknown' ? `${alertList[0].location}\n` : '';
+        return location + lines.join('\n');
+    }
+
+    /**
+     * Change zoom, keeping the center
+     */
+    function zoomBy(delta) {
+        zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom + delta));
+        userMoved = true;
+        draw();
+    }
+
+    /**
+     * Start panning
+     */
+    function startDrag(e) {
+        if (e.button !== 0) return;
+        drag = { x: e.clientX, y: e.clientY, center: project(center.lat, center.lng, zoom) };
+        container.classList.add('dragging');
+    }
+
+    /**
+     * Pan with the mouse
+     */
+    function moveDrag(e) {
+        if (!drag) return;
+        center = unproject(drag.center.x - (e.clientX - drag.x), drag.center.y - (e.clientY - drag.y), zoom);
+        userMoved = true;
+        draw();
+    }
+
+    /**
+     * Stop panning
+     */
+    function endDrag() {
+        if (!drag) return;
+        drag = null;
+        container.classList.remove('dragging');
+    }
+
+    /**
+     * Zoom with the mouse wheel
+     */
+    function onWheel(e) {
+        e.preventDefault();
+        zoomBy(e.deltaY < 0 ? 1 : -1);
+    }
+
+    /**
+     * Zoom in on the double-clicked spot
+     */
+    function onDoubleClick(e) {
+        const rect = container.getBoundingClientRect();
+        const { width, height } = getSize();
+        const origin = getOrigin(width, height);
+
+        center = unproject(origin.x + (e.clientX - rect.left), origin.y + (e.clientY - rect.top), zoom);
+        zoomBy(1);
+    }
+
+    /**
+     * World pixel position of the top-left corner of the view
+     */
+    function getOrigin(width, height) {
+        const c = project(center.lat, center.lng, zoom);
+        return { x: c.x - width / 2, y: c.y - height / 2 };
+    }
+
+    /**
+     * Size of the map element (with a fallback while it is hidden)
+     */
+    function getSize() {
+        return {
+            width: container.clientWidth || 400,
+            height: container.clientHeight || 400
+        };
+    }
+
+    /**
+     * Latitude/longitude to world pixels (Web Mercator)
+     */
+    function project(lat, lng, z) {
+        const scale = TILE_SIZE * Math.pow(2, z);
+        const clampedLat = Math.max(-85.05112878, Math.min(85.05112878, lat));
+        const sin = Math.sin(clampedLat * Math.PI / 180);
+
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    /**
+     * World pixels to latitude/longitude (Web Mercator)
+     */
+    function unproject(x, y, z) {
+        const scale = TILE_SIZE * Math.pow(2, z);
+        const n = Math.PI - 2 * Math.PI * y / scale;
+
+        return {
+            lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+            lng: x / scale * 360 - 180
+        };
+    }
+
+    // Public API
+    return {
+        init,
+        render,
+        fit,
+        focusAlert,
+        getSnapshot
+    };
+})();
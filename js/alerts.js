@@ -1,6 +1,18 @@
 /**
  * Alert management module for Fuel Theft Monitor
- * Handles alert display, storage, and export functionality
+ * Handles alert display, storage (IndexedDB via FuelStore), and export functionality
+ * Alerts have a type: 'theft' (suspicious drop), 'refuel' (detected fill),
+ * 'shortfill' (fuel card purchase larger than the fill seen in the tank)
+ * or 'overconsumption' (a trip or day that used more fuel than its baseline)
+ * Theft-type alerts also carry a workflow status, assignee, notes and an
+ * audit history of those changes. Each alert has an event key (vehicle, type
+ * and time) that identifies it across users when shared through SharedStore.
+ * Alerts record where they happened (address, coordinates and zone), who
+ * was driving, and whether the vehicle could be confirmed parked; the
+ * filtered list is mirrored on the AlertMap. Historical alerts are merged in
+ * from reviewed AnalysisRuns, and name the run they came from.
+ * All stored alerts are loaded at start (read from IndexedDB a chunk at a
+ * time); only the rendered list is paged.
  */
 
 const AlertManager = (function() {
@@ -14,13 +26,42 @@ const AlertManager = (function() {
     let criticalCountEl = null;
     let highCountEl = null;
     let mediumCountEl = null;
+    let volumeLostEl = null;
+    let refuelCountEl = null;
+    let driverStatsEl = null;
+    let pagerEl = null;
 
-    // Deduplication cache (vehicleId + timestamp window)
+    // Investigation workflow statuses, in workflow order
+    const STATUSES = [
+        { key: 'new', label: 'New' },
+        { key: 'acknowledged', label: 'Acknowledged' },
+        { key: 'investigating', label: 'Investigating' },
+        { key: 'confirmed', label: 'Confirmed Theft' },
+        { key: 'false-positive', label: 'False Positive' },
+        { key: 'resolved', label: 'Resolved' }
+    ];
+    const WORKFLOW_FIELDS = ['status', 'assignee', 'notes'];
+    const MAX_SAVED_ALERTS = 100;       // localStorage fallback only
+    const MAX_SAVED_REVIEWED = 1000;
+    const PAGE_SIZE = 50;
+    const LOAD_CHUNK = PAGE_SIZE * 10;  // Alerts read from IndexedDB per transaction
+    const NO_DRIVER = 'no-driver';      // Driver filter value for alerts without a driver
+    const TOP_DRIVERS = 3;              // Drivers listed in the stats panel
+    const TYPE_BADGES = { shortfill: 'Short Fill', overconsumption: 'Excess Consumption' };
+
+    // Current page of the (filtered) alert list
+    let currentPage = 1;
+
+    // User recorded in the alert history
+    let currentUser = 'Local user';
+
+    // Deduplication cache (dedup key -> time of the last real-time alert, by the alert's own timestamp)
     const recentAlerts = new Map();
     const DEDUP_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
 
     /**
      * Initialize the alert manager
+     * @returns {Promise} Resolves once stored alerts are loaded
      */
     function init() {
         alertsList = document.getElementById('alerts-list');
@@ -28,16 +69,20 @@ const AlertManager = (function() {
         criticalCountEl = document.getElementById('critical-count');
         highCountEl = document.getElementById('high-count');
         mediumCountEl = document.getElementById('medium-count');
-
-        // Load saved alerts from localStorage
-        loadAlerts();
+        volumeLostEl = document.getElementById('volume-lost');
+        refuelCountEl = document.getElementById('refuel-count');
+        driverStatsEl = document.getElementById('driver-stats');
+        pagerEl = document.getElementById('alerts-pager');
 
         // Set up filter listeners
         document.getElementById('vehicle-filter').addEventListener('change', filterAlerts);
+        document.getElementById('driver-filter').addEventListener('change', filterAlerts);
         document.getElementById('severity-filter').addEventListener('change', filterAlerts);
+        document.getElementById('type-filter').addEventListener('change', filterAlerts);
+        document.getElementById('status-filter').addEventListener('change', filterAlerts);
 
-        // Set up export button
-        document.getElementById('export-btn').addEventListener('click', exportToCSV);
+        // Load saved alerts
+        return loadAlerts();
     }
 
     /**
@@ -46,10 +91,18 @@ const AlertManager = (function() {
      * @returns {boolean} - Whether alert was added (false if deduplicated)
      */
     function addAlert(alertData) {
+        const timestamp = (alertData.timestamp || FuelMonitor.now()).toISOString();
+        const key = getEventKey({ ...alertData, timestamp: timestamp });
+
+        // The same event may already be listed (re-analysed range, or shared by another user)
+        if (alerts.some(a => a.key === key)) {
+            return false;
+        }
+
         // Skip deduplication for historical alerts
         if (!alertData.isHistorical) {
             // Check for duplicates
-            if (isDuplicate(alertData)) {
+            if (isDuplicate(alertData, timestamp)) {
                 console.log('Alert deduplicated:', alertData.vehicleName);
                 return false;
             }
@@ -57,101 +110,536 @@ const AlertManager = (function() {
 
         const alert = {
             id: ++alertIdCounter,
+            key: key,
+            type: alertData.type || 'theft',
             vehicleId: alertData.vehicleId,
             vehicleName: alertData.vehicleName,
             severity: alertData.severity,
             fuelDrop: alertData.fuelDrop,
             previousLevel: alertData.previousLevel,
             currentLevel: alertData.currentLevel,
+            volumeLost: typeof alertData.volumeLost === 'number' ? alertData.volumeLost : null,
+            fuelAdded: alertData.fuelAdded,
+            volumeAdded: typeof alertData.volumeAdded === 'number' ? alertData.volumeAdded : null,
+            tankCapacity: alertData.tankCapacity || null,
+            purchasedVolume: typeof alertData.purchasedVolume === 'number' ? alertData.purchasedVolume : null,
+            station: alertData.station,
+            cardNumber: alertData.cardNumber,
+            transactionKey: alertData.transactionKey,
+            refuelAlertId: alertData.refuelAlertId,
+            consumption: alertData.consumption || null,
+            detectors: alertData.detectors || [],
+            parameters: alertData.parameters || null,
             duration: alertData.duration,
-            timestamp: alertData.timestamp ? alertData.timestamp.toISOString() : new Date().toISOString(),
+            timestamp: timestamp,
             location: alertData.location || 'Unknown',
-            isHistorical: alertData.isHistorical || false
+            latitude: typeof alertData.latitude === 'number' ? alertData.latitude : null,
+            longitude: typeof alertData.longitude === 'number' ? alertData.longitude : null,
+            zoneName: alertData.zoneName || null,
+            zoneEffect: alertData.zoneEffect || null,
+            riskSchedules: alertData.riskSchedules || [],
+            stateUnknown: alertData.stateUnknown || false,
+            driverId: alertData.driverId || null,
+            driverName: alertData.driverName || null,
+            isHistorical: alertData.isHistorical || false,
+            runName: alertData.runName || null,
+            isTest: alertData.isTest || false,
+            status: isTheftType(alertData) ? 'new' : null,
+            assignee: '',
+            notes: '',
+            history: []
         };
 
         alerts.unshift(alert);
 
         // Update deduplication cache (only for real-time alerts)
         if (!alertData.isHistorical) {
-            recentAlerts.set(alertData.vehicleId, Date.now());
+            recentAlerts.set(getDedupKey(alert), Date.parse(timestamp));
         }
 
-        // Save to localStorage
-        saveAlerts();
+        saveAlerts([alert]);
+        SharedStore.pushAlert(alert);
 
         // Update UI
-        renderAlert(alert);
+        renderList();
         updateStats();
 
-        // Trigger notifications only for real-time alerts
-        if (!alertData.isHistorical) {
+        // Trigger notifications only for real-time theft alerts
+        if (!alertData.isHistorical && isTheftType(alert)) {
             triggerNotifications(alert);
         }
 
-        // Update vehicle filter options
+        // Update vehicle and driver filter options
         updateVehicleFilter();
+        updateDriverFilter();
 
         return true;
     }
 
     /**
-     * Check if an alert is a duplicate
+     * Check if an alert is a duplicate: another real-time alert of the same kind
+     * within DEDUP_WINDOW_MS of it, by event time (so a replayed or simulated
+     * clock dedups the same way as the wall clock)
+     * @param {Object} alertData - Alert information
+     * @param {string} timestamp - Alert time (ISO)
      */
-    function isDuplicate(alertData) {
-        const lastAlertTime = recentAlerts.get(alertData.vehicleId);
-        if (lastAlertTime && (Date.now() - lastAlertTime) < DEDUP_WINDOW_MS) {
+    function isDuplicate(alertData, timestamp) {
+        const lastAlertTime = recentAlerts.get(getDedupKey(alertData));
+        if (lastAlertTime !== undefined && Math.abs(Date.parse(timestamp) - lastAlertTime) < DEDUP_WINDOW_MS) {
             return true;
         }
         return false;
     }
 
     /**
-     * Render a single alert card
+     * Deduplication key (a refuel does not suppress a theft alert and vice versa;
+     * short fills are keyed by card transaction since one vehicle can have several,
+     * and excess consumption by period since one check can judge several trips)
+     */
+    function getDedupKey(alertData) {
+        const type = alertData.type || 'theft';
+        if (type === 'shortfill') {
+            return `${alertData.vehicleId}|${type}|${alertData.transactionKey}`;
+        }
+        if (type === 'overconsumption') {
+            return `${alertData.vehicleId}|${type}|${new Date(alertData.timestamp).getTime()}`;
+        }
+        return `${alertData.vehicleId}|${type}`;
+    }
+
+    /**
+     * Key identifying the event an alert records, the same in every browser
+     * (short fills are keyed by card transaction)
+     */
+    function getEventKey(alert) {
+        const type = alert.type || 'theft';
+        if (type === 'shortfill') {
+            return `${alert.vehicleId}|${type}|${alert.transactionKey}`;
+        }
+        return `${alert.vehicleId}|${type}|${alert.timestamp}`;
+    }
+
+    /**
+     * Whether anyone has worked on an alert (such alerts are kept, not cleared)
+     */
+    function isReviewed(alert) {
+        return (alert.status && alert.status !== 'new') || (alert.history || []).length > 0;
+    }
+
+    /**
+     * Whether an alert represents suspected theft (drops and short fills)
+     */
+    function isTheftType(alert) {
+        return (alert.type || 'theft') !== 'refuel';
+    }
+
+    /**
+     * Whether an alert passes the vehicle, driver, severity, type and status filters
+     */
+    function matchesFilters(alert) {
+        const vehicleFilter = document.getElementById('vehicle-filter').value;
+        const driverFilter = document.getElementById('driver-filter').value;
+        const severityFilter = document.getElementById('severity-filter').value;
+        const typeFilter = document.getElementById('type-filter').value;
+        const statusFilter = document.getElementById('status-filter').value;
+
+        const matchesVehicle = vehicleFilter === 'all' || alert.vehicleId === vehicleFilter;
+        const matchesDriver = driverFilter === 'all' || (alert.driverId || NO_DRIVER) === driverFilter;
+        const matchesSeverity = severityFilter === 'all' || alert.severity === severityFilter;
+        const matchesType = typeFilter === 'all' || (alert.type || 'theft') === typeFilter;
+        const matchesStatus = statusFilter === 'all' || alert.status === statusFilter;
+
+        return matchesVehicle && matchesDriver && matchesSeverity && matchesType && matchesStatus;
+    }
+
+    /**
+     * Render the current page of filtered alerts, newest first
+     */
+    function renderList() {
+        const filtered = alerts.filter(matchesFilters);
+        const pageCount = Math.max(1, Math.ceil(filtered.length / PAGE_SIZE));
+        currentPage = Math.min(Math.max(1, currentPage), pageCount);
+
+        alertsList.innerHTML = '';
+
+        if (filtered.length === 0) {
+            const message = alerts.length === 0
+                ? 'No alerts detected. Monitoring is active and will display suspicious fuel drops here.'
+                : 'No alerts match the selected filters.';
+            alertsList.innerHTML = `
+                <div class="empty-state">
+                    <p>${message}</p>
+                </div>
+            `;
+        } else {
+            const start = (currentPage - 1) * PAGE_SIZE;
+            filtered.slice(start, start + PAGE_SIZE).forEach(alert => {
+                alertsList.appendChild(createAlertCard(alert));
+            });
+        }
+
+        renderPager(filtered.length, pageCount);
+        AlertMap.render(filtered);
+    }
+
+    /**
+     * Render the paging controls below the alert list
      */
-    function renderAlert(alert) {
-        // Remove empty state if present
-        const emptyState = alertsList.querySelector('.empty-state');
-        if (emptyState) {
-            emptyState.remove();
+    function renderPager(total, pageCount) {
+        if (!pagerEl) return;
+
+        if (pageCount <= 1) {
+            pagerEl.innerHTML = '';
+            return;
         }
 
+        const first = (currentPage - 1) * PAGE_SIZE + 1;
+        const last = Math.min(currentPage * PAGE_SIZE, total);
+
+        pagerEl.innerHTML = `
+            <button class="btn btn-secondary" onclick="AlertManager.goToPage(${currentPage - 1})"
+                    ${currentPage === 1 ? 'disabled' : ''}>&lsaquo; Newer</button>
+            <span class="pager-info">${first}&ndash;${last} of ${total} &middot; page ${currentPage} of ${pageCount}</span>
+            <button class="btn btn-secondary" onclick="AlertManager.goToPage(${currentPage + 1})"
+                    ${currentPage === pageCount ? 'disabled' : ''}>Older &rsaquo;</button>
+        `;
+    }
+
+    /**
+     * Show a page of the alert list
+     * @param {number} page - Page number (1 = newest)
+     */
+    function goToPage(page) {
+        currentPage = page;
+        renderList();
+        alertsList.scrollIntoView({ block: 'start' });
+    }
+
+    /**
+     * Show an alert in the list: open its page, scroll to it and highlight it
+     * @param {number} alertId - Alert ID
+     */
+    function showAlert(alertId) {
+        const index = alerts.filter(matchesFilters).findIndex(a => a.id === alertId);
+        if (index === -1) return;
+
+        currentPage = Math.floor(index / PAGE_SIZE) + 1;
+        renderList();
+
+        const card = alertsList.querySelector(`.alert-card[data-id="${alertId}"]`);
+        if (card) {
+            card.classList.add('highlight');
+            card.scrollIntoView({ block: 'center' });
+            setTimeout(() => card.classList.remove('highlight'), 2000);
+        }
+    }
+
+    /**
+     * Center the map on an alert
+     * @param {number} alertId - Alert ID
+     */
+    function showOnMap(alertId) {
+        const alert = alerts.find(a => a.id === alertId);
+        if (alert) {
+            AlertMap.focusAlert(alert);
+        }
+    }
+
+    /**
+     * Open the fuel level chart around an alert
+     * @param {number} alertId - Alert ID
+     */
+    function showChart(alertId) {
+        const alert = alerts.find(a => a.id === alertId);
+        if (alert) {
+            FuelChart.openForAlert(alert);
+        }
+    }
+
+    /**
+     * Download the evidence report for an alert
+     * @param {number} alertId - Alert ID
+     */
+    function exportEvidence(alertId) {
+        const alert = alerts.find(a => a.id === alertId);
+        if (alert) {
+            EvidencePack.exportAlert(alert);
+        }
+    }
+
+    /**
+     * Build the card element for an alert
+     */
+    function createAlertCard(alert) {
         const alertCard = document.createElement('div');
-        alertCard.className = `alert-card ${alert.severity}`;
+        const type = alert.type || 'theft';
+        alertCard.className = `alert-card ${type === 'refuel' ? 'refuel' : alert.severity}`;
         alertCard.dataset.id = alert.id;
+        alertCard.dataset.type = type;
         alertCard.dataset.vehicleId = alert.vehicleId;
         alertCard.dataset.severity = alert.severity;
+        alertCard.dataset.status = alert.status || '';
 
-        const icon = getAlertIcon(alert.severity);
+        const icon = type === 'refuel' ? '⛽' : getAlertIcon(alert.severity);
         const formattedTime = formatTimestamp(alert.timestamp);
 
-        const historicalBadge = alert.isHistorical ? '<span class="alert-historical">Historical</span>' : '';
+        const historicalBadge = alert.isHistorical
+            ? `<span class="alert-historical"${alert.runName ? ` title="Merged from the analysis run ${escapeHtml(alert.runName)}"` : ''}>Historical</span>`
+            : '';
+        const testBadge = alert.isTest
+            ? '<span class="alert-test" title="Raised with the Test Alert button, not shared with the team">Test</span>'
+            : '';
+        const stateBadge = alert.stateUnknown
+            ? '<span class="alert-state-unknown" title="No ignition, trip or GPS data was available to confirm the vehicle was parked">State unknown</span>'
+            : '';
+        const typeBadge = TYPE_BADGES[type] ? `<span class="alert-type">${TYPE_BADGES[type]}</span>` : '';
+        const severityLabel = type === 'refuel' ? 'refuel' : alert.severity;
+        const statusBadge = alert.status && alert.status !== 'new'
+            ? `<span class="alert-status ${alert.status}">${escapeHtml(getStatusLabel(alert.status))}</span>`
+            : '';
+
+        // Theft-type alerts are closed through the workflow so their audit trail is kept (test alerts are just dismissed)
+        const dismissButton = isTheftType(alert) && !alert.isTest
+            ? ''
+            : `<button class="alert-dismiss" onclick="AlertManager.dismissAlert(${alert.id})">&times;</button>`;
 
         alertCard.innerHTML = `
             <div class="alert-icon">${icon}</div>
             <div class="alert-content">
                 <div class="alert-header">
                     <span class="alert-vehicle">${escapeHtml(alert.vehicleName)}</span>
-                    <span class="alert-severity ${alert.severity}">${alert.severity}</span>
+                    <span class="alert-severity ${severityLabel}">${severityLabel}</span>
+                    ${typeBadge}
+                    ${statusBadge}
                     ${historicalBadge}
+                    ${testBadge}
+                    ${stateBadge}
+                    <button type="button" class="alert-chart-link" onclick="AlertManager.showChart(${alert.id})">Fuel chart</button>
+                    ${isTheftType(alert) ? `<button type="button" class="alert-chart-link" onclick="AlertManager.exportEvidence(${alert.id})">Export evidence</button>` : ''}
                 </div>
                 <div class="alert-details">
+                    ${renderAlertDetails(alert)}
+                </div>
+                ${renderLocation(alert)}
+                ${renderDriver(alert)}
+                ${renderRiskSchedules(alert)}
+                ${renderDetectors(alert)}
+                ${renderWorkflow(alert)}
+            </div>
+            <span class="alert-timestamp">${formattedTime}</span>
+            ${dismissButton}
+        `;
+
+        return alertCard;
+    }
+
+    /**
+     * Render the status, assignee, notes and history controls for a theft-type alert
+     */
+    function renderWorkflow(alert) {
+        if (!alert.status) return '';
+
+        const options = STATUSES.map(s =>
+            `<option value="${s.key}" ${s.key === alert.status ? 'selected' : ''}>${s.label}</option>`
+        ).join('');
+
+        const history = (alert.history || []).slice().reverse().map(h => `
+            <li>
+                <span class="history-time">${formatTimestamp(h.timestamp)}</span>
+                <strong>${escapeHtml(h.user)}</strong> ${escapeHtml(describeChange(h))}
+            </li>
+        `).join('');
+
+        return `
+            <div class="alert-workflow">
+                <label>
+                    Status
+                    <select onchange="AlertManager.updateAlert(${alert.id}, { status: this.value })">${options}</select>
+                </label>
+                <label>
+                    Assignee
+                    <input type="text" value="${escapeHtml(alert.assignee || '')}" placeholder="Unassigned"
+                           onchange="AlertManager.updateAlert(${alert.id}, { assignee: this.value.trim() })">
+                </label>
+                <details class="alert-notes">
+                    <summary>Notes &amp; history (${(alert.history || []).length})</summary>
+                    <textarea rows="3" placeholder="Investigation notes">${escapeHtml(alert.notes || '')}</textarea>
+                    <button class="btn btn-secondary" type="button"
+                            onclick="AlertManager.updateAlert(${alert.id}, { notes: this.previousElementSibling.value })">Save Notes</button>
+                    ${history ? `<ul class="alert-history">${history}</ul>` : ''}
+                </details>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe a history entry
+     */
+    function describeChange(entry) {
+        switch (entry.field) {
+            case 'status':
+                return `changed status from ${getStatusLabel(entry.from)} to ${getStatusLabel(entry.to)}`;
+            case 'assignee':
+                return entry.to ? `assigned to ${entry.to}` : 'removed the assignee';
+            case 'notes':
+                return 'updated the notes';
+            default:
+                return `changed ${entry.field}`;
+        }
+    }
+
+    /**
+     * Display label for a workflow status
+     */
+    function getStatusLabel(status) {
+        const match = STATUSES.find(s => s.key === status);
+        return match ? match.label : status;
+    }
+
+    /**
+     * Render the detail fields for an alert card, depending on its type
+     */
+    function renderAlertDetails(alert) {
+        // Absolute volumes are only shown when the tank capacity was known
+        const unit = getSettings().volumeUnit;
+        const volumeText = litres => (litres !== null && litres !== undefined)
+            ? ` (${FuelUnits.format(litres, unit)})`
+            : '';
+
+        // Short fills for purchases that never reached the tank have no levels
+        const levels = typeof alert.previousLevel === 'number' ? `
+            <span class="alert-detail">
+                <strong>From:</strong> ${alert.previousLevel.toFixed(1)}%
+                <strong>To:</strong> ${alert.currentLevel.toFixed(1)}%
+            </span>` : '';
+
+        switch (alert.type) {
+            case 'refuel':
+                return `
                     <span class="alert-detail">
-                        <strong>Fuel Drop:</strong> ${alert.fuelDrop.toFixed(1)}%
+                        <strong>Fuel Added:</strong> ${alert.fuelAdded.toFixed(1)}%${volumeText(alert.volumeAdded)}
                     </span>
+                    ${levels}
+                    <span class="alert-detail">
+                        <strong>Duration:</strong> ${alert.duration} min
+                    </span>`;
+
+            case 'shortfill':
+                return `
                     <span class="alert-detail">
-                        <strong>From:</strong> ${alert.previousLevel.toFixed(1)}%
-                        <strong>To:</strong> ${alert.currentLevel.toFixed(1)}%
+                        <strong>Purchased:</strong> ${FuelUnits.format(alert.purchasedVolume, unit)}
                     </span>
                     <span class="alert-detail">
-                        <strong>Duration:</strong> ${alert.duration} min
+                        <strong>Tank Increase:</strong> ${FuelUnits.format(alert.volumeAdded, unit)}
                     </span>
-                </div>
-            </div>
-            <span class="alert-timestamp">${formattedTime}</span>
-            <button class="alert-dismiss" onclick="AlertManager.dismissAlert(${alert.id})">&times;</button>
-        `;
+                    <span class="alert-detail">
+                        <strong>Missing:</strong> ${FuelUnits.format(alert.volumeLost, unit)}
+                    </span>
+                    <span class="alert-detail">
+                        <strong>Station:</strong> ${escapeHtml(alert.station || 'Unknown')}
+                        <strong>Card:</strong> ${escapeHtml(maskCardNumber(alert.cardNumber))}
+                    </span>`;
+
+            case 'overconsumption': {
+                const usage = alert.consumption || {};
+                const period = usage.period === 'day' ? 'Day' : 'Trip';
+                return `
+                    <span class="alert-detail">
+                        <strong>Excess:</strong> ${FuelUnits.format(alert.volumeLost, unit)} (${alert.fuelDrop.toFixed(1)}% of tank)
+                    </span>
+                    <span class="alert-detail">
+                        <strong>Used:</strong> ${FuelUnits.format(usage.fuelUsed, unit)}
+                        <strong>Expected:</strong> ${FuelUnits.format(usage.expectedFuel, unit)}
+                    </span>
+                    <span class="alert-detail">
+                        <strong>${period}:</strong> ${(usage.distanceKm || 0).toFixed(0)} km,
+                        ${(usage.engineHours || 0).toFixed(1)} engine h
+                    </span>`;
+            }
+
+            default:
+                return `
+                    <span class="alert-detail">
+                        <strong>Fuel Drop:</strong> ${alert.fuelDrop.toFixed(1)}%${volumeText(alert.volumeLost)}
+                    </span>
+                    ${levels}
+                    <span class="alert-detail">
+                        <strong>Duration:</strong> ${alert.duration} min
+                    </span>`;
+        }
+    }
+
+    /**
+     * Render where the alert happened and the zone it was in, with a link to it on the map
+     */
+    function renderLocation(alert) {
+        const hasPosition = typeof alert.latitude === 'number' && typeof alert.longitude === 'number';
+        if (!hasPosition && (!alert.location || alert.location === 'Unknown')) return '';
+
+        const zoneKind = Zones.getKind(alert);
+        const zoneBadge = alert.zoneName
+            ? ` <span class="alert-zone ${zoneKind || ''}" title="${zoneKind === 'trusted' ? 'Trusted zone' : 'Hotspot zone'}">${escapeHtml(alert.zoneName)}</span>`
+            : '';
+        const mapLink = hasPosition
+            ? ` <button type="button" class="alert-map-link" onclick="AlertManager.showOnMap(${alert.id})">Show on map</button>`
+            : '';
+
+        return `
+            <div class="alert-location">
+                <strong>Location:</strong> ${escapeHtml(alert.location || 'Unknown')}${zoneBadge}${mapLink}
+            </div>`;
+    }
+
+    /**
+     * Render who was driving, if known
+     */
+    function renderDriver(alert) {
+        if (!alert.driverName) return '';
 
-        alertsList.insertBefore(alertCard, alertsList.firstChild);
+        return `
+            <div class="alert-driver">
+                <strong>Driver:</strong> ${escapeHtml(alert.driverName)}
+            </div>`;
+    }
+
+    /**
+     * Render the risk schedules the drop happened in
+     */
+    function renderRiskSchedules(alert) {
+        if (!alert.riskSchedules || alert.riskSchedules.length === 0) return '';
+
+        const badges = alert.riskSchedules
+            .map(name => `<span class="alert-schedule">${escapeHtml(name)}</span>`)
+            .join('');
+
+        return `
+            <div class="alert-schedules">
+                <strong>During:</strong>${badges}
+            </div>`;
+    }
+
+    /**
+     * Render which detectors fired, with their explanations
+     */
+    function renderDetectors(alert) {
+        if (!alert.detectors || alert.detectors.length === 0) return '';
+
+        const items = alert.detectors.map(d => `
+            <span class="alert-detector" title="${escapeHtml(d.explanation)}">
+                <strong>${escapeHtml(d.name)}</strong> (score ${d.score.toFixed(1)}): ${escapeHtml(d.explanation)}
+            </span>
+        `).join('');
+
+        return `<div class="alert-detectors"><span class="alert-detectors-label">Detected by:</span>${items}</div>`;
+    }
+
+    /**
+     * Mask a fuel card number, keeping the last 4 digits
+     */
+    function maskCardNumber(cardNumber) {
+        if (!cardNumber) return 'Unknown';
+        const text = String(cardNumber);
+        return text.length > 4 ? `•••• ${text.slice(-4)}` : text;
     }
 
     /**
@@ -184,62 +672,179 @@ const AlertManager = (function() {
     }
 
     /**
-     * Dismiss/remove an alert
+     * Update the workflow fields of an alert, recording each change in its history
+     * @param {number} alertId - Alert ID
+     * @param {Object} changes - Any of {status, assignee, notes}
+     * @returns {boolean} Whether anything changed
      */
-    function dismissAlert(alertId) {
-        alerts = alerts.filter(a => a.id !== alertId);
-        saveAlerts();
+    function updateAlert(alertId, changes) {
+        const alert = alerts.find(a => a.id === alertId);
+        if (!alert || !alert.status) return false;
 
-        const alertCard = alertsList.querySelector(`[data-id="${alertId}"]`);
-        if (alertCard) {
-            alertCard.remove();
+        if (changes.status && !STATUSES.some(s => s.key === changes.status)) {
+            console.error('Unknown alert status:', changes.status);
+            return false;
+        }
+
+        const timestamp = new Date().toISOString();
+        alert.history = alert.history || [];
+        let changed = false;
+
+        WORKFLOW_FIELDS.forEach(field => {
+            if (changes[field] === undefined || changes[field] === (alert[field] || '')) return;
+
+            alert.history.push({
+                timestamp: timestamp,
+                user: currentUser,
+                field: field,
+                from: alert[field] || '',
+                to: changes[field]
+            });
+            alert[field] = changes[field];
+            changed = true;
+        });
+
+        if (!changed) return false;
+
+        saveAlerts([alert]);
+        SharedStore.pushAlert(alert);
+
+        // Redraw the card in place, keeping the notes panel open if it was
+        const oldCard = alertsList.querySelector(`[data-id="${alertId}"]`);
+        if (!matchesFilters(alert)) {
+            renderList();
+        } else if (oldCard) {
+            const notesOpen = oldCard.querySelector('.alert-notes[open]') !== null;
+            const newCard = createAlertCard(alert);
+            newCard.style.animation = 'none';
+            if (notesOpen) {
+                newCard.querySelector('.alert-notes').open = true;
+            }
+            oldCard.replaceWith(newCard);
         }
 
         updateStats();
+        return true;
+    }
 
-        // Show empty state if no alerts
-        if (alerts.length === 0) {
-            alertsList.innerHTML = `
-                <div class="empty-state">
-                    <p>No alerts detected. Monitoring is active and will display suspicious fuel drops here.</p>
-                </div>
-            `;
+    /**
+     * Set the user name recorded in alert history
+     * @param {string} userName - Current user
+     */
+    function setCurrentUser(userName) {
+        if (userName) {
+            currentUser = userName;
+        }
+    }
+
+    /**
+     * Dismiss/remove an alert
+     */
+    function dismissAlert(alertId) {
+        removeAlerts([alertId]);
+    }
+
+    /**
+     * Remove alerts, for everyone sharing them unless local
+     * @param {Array<number>} alertIds - Alert IDs
+     * @param {Object} [options]
+     * @param {boolean} [options.local] - Only drop this browser's copies (e.g. past
+     *   its retention period); shared records stay for the team
+     */
+    function removeAlerts(alertIds, options = {}) {
+        if (!options.local) {
+            alerts
+                .filter(a => alertIds.includes(a.id))
+                .forEach(a => SharedStore.removeAlert(a));
         }
+        alerts = alerts.filter(a => !alertIds.includes(a.id));
+        deleteStoredAlerts(alertIds);
+
+        renderList();
+        updateStats();
     }
 
     /**
      * Update statistics display
      */
     function updateStats() {
+        const thefts = alerts.filter(isTheftType);
+
         const counts = {
-            total: alerts.length,
-            critical: alerts.filter(a => a.severity === 'critical').length,
-            high: alerts.filter(a => a.severity === 'high').length,
-            medium: alerts.filter(a => a.severity === 'medium').length
+            total: thefts.length,
+            critical: thefts.filter(a => a.severity === 'critical').length,
+            high: thefts.filter(a => a.severity === 'high').length,
+            medium: thefts.filter(a => a.severity === 'medium').length,
+            refuels: alerts.length - thefts.length
         };
 
+        // Sum of known volumes (alerts without a tank capacity and false positives are skipped)
+        const litresLost = thefts
+            .filter(a => a.status !== 'false-positive')
+            .reduce((sum, a) => sum + (a.volumeLost || 0), 0);
+
         totalAlertsEl.textContent = counts.total;
         criticalCountEl.textContent = counts.critical;
         highCountEl.textContent = counts.high;
         mediumCountEl.textContent = counts.medium;
+
+        if (refuelCountEl) {
+            refuelCountEl.textContent = counts.refuels;
+        }
+
+        if (volumeLostEl) {
+            volumeLostEl.textContent = FuelUnits.format(litresLost, getSettings().volumeUnit, 0);
+        }
+
+        if (driverStatsEl) {
+            renderDriverStats(thefts.filter(a => a.status !== 'false-positive'));
+        }
     }
 
     /**
-     * Filter alerts based on selected criteria
+     * List the drivers with the most suspected thefts; clicking one filters the list to them
      */
-    function filterAlerts() {
-        const vehicleFilter = document.getElementById('vehicle-filter').value;
-        const severityFilter = document.getElementById('severity-filter').value;
+    function renderDriverStats(thefts) {
+        const counts = new Map();
+        thefts.filter(a => a.driverId).forEach(a => {
+            const entry = counts.get(a.driverId) || { id: a.driverId, name: a.driverName || a.driverId, count: 0 };
+            entry.count++;
+            counts.set(a.driverId, entry);
+        });
+
+        const ranked = [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+        if (ranked.length === 0) {
+            driverStatsEl.innerHTML = '<li class="driver-stats-empty">None identified</li>';
+            driverStatsEl.title = '';
+            return;
+        }
 
-        const alertCards = alertsList.querySelectorAll('.alert-card');
-        alertCards.forEach(card => {
-            const matchesVehicle = vehicleFilter === 'all' || card.dataset.vehicleId === vehicleFilter;
-            const matchesSeverity = severityFilter === 'all' || card.dataset.severity === severityFilter;
+        driverStatsEl.innerHTML = ranked.slice(0, TOP_DRIVERS).map(d => `
+            <li>
+                <button type="button" class="driver-stat" data-driver-id="${escapeHtml(d.id)}">
+                    ${escapeHtml(d.name)} <strong>${d.count}</strong>
+                </button>
+            </li>`).join('');
+        driverStatsEl.title = ranked.map(d => `${d.name}: ${d.count}`).join('\n');
 
-            card.style.display = (matchesVehicle && matchesSeverity) ? 'flex' : 'none';
+        driverStatsEl.querySelectorAll('.driver-stat').forEach(button => {
+            button.addEventListener('click', () => {
+                const driverFilter = document.getElementById('driver-filter');
+                driverFilter.value = button.dataset.driverId;
+                filterAlerts();
+            });
         });
     }
 
+    /**
+     * Filter alerts based on selected criteria
+     */
+    function filterAlerts() {
+        currentPage = 1;
+        renderList();
+        AlertMap.fit();
+    }
+
     /**
      * Update vehicle filter dropdown
      */
@@ -265,6 +870,38 @@ const AlertManager = (function() {
         }
     }
 
+    /**
+     * Update driver filter dropdown
+     */
+    function updateDriverFilter() {
+        const driverFilter = document.getElementById('driver-filter');
+        const currentValue = driverFilter.value;
+
+        // Get unique drivers, by name
+        const drivers = [...new Map(alerts.filter(a => a.driverId).map(a => [a.driverId, a.driverName || a.driverId])).entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]));
+
+        // Clear and rebuild options
+        driverFilter.innerHTML = '<option value="all">All Drivers</option>';
+        drivers.forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            driverFilter.appendChild(option);
+        });
+        if (alerts.some(a => !a.driverId)) {
+            const option = document.createElement('option');
+            option.value = NO_DRIVER;
+            option.textContent = 'Unknown Driver';
+            driverFilter.appendChild(option);
+        }
+
+        // Restore selection if still valid
+        if ([...driverFilter.options].some(opt => opt.value === currentValue)) {
+            driverFilter.value = currentValue;
+        }
+    }
+
     /**
      * Trigger notifications for new alert
      */
@@ -278,8 +915,17 @@ const AlertManager = (function() {
 
         // Browser notification
         if (settings.browserNotifications && Notification.permission === 'granted') {
+            const volumeText = alert.volumeLost !== null
+                ? ` (${FuelUnits.format(alert.volumeLost, settings.volumeUnit)})`
+                : '';
+            let body = `${alert.vehicleName}: ${alert.fuelDrop.toFixed(1)}%${volumeText} fuel drop detected`;
+            if (alert.type === 'shortfill') {
+                body = `${alert.vehicleName}: fuel card purchase ${FuelUnits.format(alert.volumeLost, settings.volumeUnit)} more than the tank received`;
+            } else if (alert.type === 'overconsumption') {
+                body = `${alert.vehicleName}: used ${FuelUnits.format(alert.volumeLost, settings.volumeUnit)} more fuel than expected while driving`;
+            }
             new Notification('Fuel Theft Alert', {
-                body: `${alert.vehicleName}: ${alert.fuelDrop.toFixed(1)}% fuel drop detected`,
+                body: body,
                 icon: 'images/fuel-icon.svg',
                 tag: `fuel-alert-${alert.id}`
             });
@@ -321,23 +967,35 @@ const AlertManager = (function() {
      * Get settings from localStorage
      */
     function getSettings() {
+        const defaults = {
+            soundEnabled: true,
+            browserNotifications: true,
+            volumeUnit: FuelUnits.DEFAULT_UNIT
+        };
+
         try {
-            return JSON.parse(localStorage.getItem('fuelMonitorSettings')) || {
-                soundEnabled: true,
-                browserNotifications: true
-            };
+            return { ...defaults, ...JSON.parse(localStorage.getItem('fuelMonitorSettings')) };
         } catch (e) {
-            return { soundEnabled: true, browserNotifications: true };
+            return defaults;
         }
     }
 
     /**
-     * Save alerts to localStorage
+     * Persist new or changed alerts
+     * @param {Array} changed - Alerts to store
      */
-    function saveAlerts() {
+    function saveAlerts(changed) {
+        if (FuelStore.isAvailable()) {
+            FuelStore.putAlerts(changed).catch(e => console.error('Failed to save alerts:', e));
+            return;
+        }
+        if (!FuelStore.isPersistent()) return;
+
+        // Without IndexedDB keep the last 100 alerts, plus older ones that have been worked on
         try {
-            // Keep only last 100 alerts
-            const alertsToSave = alerts.slice(0, 100);
+            const alertsToSave = alerts
+                .filter((a, i) => i < MAX_SAVED_ALERTS || isReviewed(a))
+                .slice(0, MAX_SAVED_ALERTS + MAX_SAVED_REVIEWED);
             localStorage.setItem('fuelMonitorAlerts', JSON.stringify(alertsToSave));
         } catch (e) {
             console.error('Failed to save alerts:', e);
@@ -345,77 +1003,177 @@ const AlertManager = (function() {
     }
 
     /**
-     * Load alerts from localStorage
+     * Delete alerts from storage
+     * @param {Array<number>} alertIds - Alert IDs
      */
-    function loadAlerts() {
+    function deleteStoredAlerts(alertIds) {
+        if (FuelStore.isAvailable()) {
+            FuelStore.deleteAlerts(alertIds).catch(e => console.error('Failed to delete alerts:', e));
+        } else {
+            saveAlerts([]);
+        }
+    }
+
+    /**
+     * Load saved alerts from IndexedDB (migrating any left in localStorage),
+     * or from localStorage when IndexedDB is unavailable
+     */
+    async function loadAlerts() {
         try {
-            const saved = localStorage.getItem('fuelMonitorAlerts');
-            if (saved) {
-                alerts = JSON.parse(saved);
-                alertIdCounter = alerts.length > 0 ? Math.max(...alerts.map(a => a.id)) : 0;
-
-                // Render saved alerts
-                alertsList.innerHTML = '';
-                if (alerts.length === 0) {
-                    alertsList.innerHTML = `
-                        <div class="empty-state">
-                            <p>No alerts detected. Monitoring is active and will display suspicious fuel drops here.</p>
-                        </div>
-                    `;
-                } else {
-                    alerts.slice().reverse().forEach(alert => renderAlert(alert));
-                }
+            let saved;
+            await FuelStore.open();
 
-                updateStats();
-                updateVehicleFilter();
+            if (FuelStore.isAvailable()) {
+                await FuelStore.migrateLegacyAlerts();
+                saved = await loadStoredAlerts();
+            } else if (!FuelStore.isPersistent()) {
+                saved = [];
+            } else {
+                saved = JSON.parse(localStorage.getItem('fuelMonitorAlerts')) || [];
             }
+
+            alerts = saved.map(normalizeAlert);
+            alertIdCounter = alerts.reduce((max, a) => Math.max(max, a.id), 0);
         } catch (e) {
             console.error('Failed to load alerts:', e);
         }
+
+        renderAll();
     }
 
     /**
-     * Export alerts to CSV
+     * Read every stored alert from IndexedDB, newest first, a chunk at a time
+     * @returns {Promise<Array>} Alerts
      */
-    function exportToCSV() {
-        if (alerts.length === 0) {
-            alert('No alerts to export');
-            return;
-        }
+    async function loadStoredAlerts() {
+        const saved = [];
+        let page;
 
-        const headers = ['ID', 'Vehicle', 'Severity', 'Fuel Drop (%)', 'Previous Level (%)',
-                        'Current Level (%)', 'Duration (min)', 'Timestamp', 'Location'];
+        do {
+            page = await FuelStore.getAlertPage(saved[saved.length - 1] || null, LOAD_CHUNK);
+            saved.push(...page);
+        } while (page.length === LOAD_CHUNK);
 
-        const rows = alerts.map(a => [
-            a.id,
-            `"${a.vehicleName}"`,
-            a.severity,
-            a.fuelDrop.toFixed(1),
-            a.previousLevel.toFixed(1),
-            a.currentLevel.toFixed(1),
-            a.duration,
-            a.timestamp,
-            `"${a.location}"`
-        ]);
+        return saved;
+    }
 
-        const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+    /**
+     * Fill in fields missing from alerts saved by earlier versions
+     */
+    function normalizeAlert(saved) {
+        const alert = {
+            // Alerts saved before the workflow existed start as new
+            status: isTheftType(saved) ? 'new' : null,
+            assignee: '',
+            notes: '',
+            history: [],
+            ...saved
+        };
+        alert.key = alert.key || getEventKey(alert);
+        return alert;
+    }
 
-        const blob = new Blob([csv], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `fuel-theft-alerts-${new Date().toISOString().split('T')[0]}.csv`;
-        link.click();
-        URL.revokeObjectURL(url);
+    /**
+     * Merge an alert shared by another user into the local list
+     * Workflow fields are rebuilt from the combined history of both copies, so
+     * the most recent change to each field wins and no history entry is lost.
+     * @param {Object} remote - Shared alert (without a local id)
+     * @returns {Array<string>} Fields both copies changed independently (conflicts)
+     */
+    function mergeRemoteAlert(remote) {
+        return mergeRemoteAlerts([remote]).get(remote.key);
+    }
+
+    /**
+     * Merge alerts shared by other users, saving and rendering once
+     * (a first sync may bring in the whole team's list)
+     * @param {Array<Object>} remotes - Shared alerts
+     * @returns {Map<string, Array<string>>} Alert key -> conflicting fields
+     */
+    function mergeRemoteAlerts(remotes) {
+        const conflictsByKey = new Map();
+        const changed = [];
+
+        remotes.forEach(remote => {
+            const local = alerts.find(a => a.key === remote.key);
+
+            if (!local) {
+                const alert = normalizeAlert({ ...remote, id: ++alertIdCounter });
+
+                // Keep the list newest first
+                const index = alerts.findIndex(a => a.timestamp < alert.timestamp);
+                alerts.splice(index === -1 ? alerts.length : index, 0, alert);
+
+                changed.push(alert);
+                conflictsByKey.set(remote.key, []);
+                return;
+            }
+
+            const entryKey = h => `${h.timestamp}|${h.user}|${h.field}|${h.to}`;
+            const localKeys = new Set((local.history || []).map(entryKey));
+            const remoteKeys = new Set((remote.history || []).map(entryKey));
+
+            const localOnly = (local.history || []).filter(h => !remoteKeys.has(entryKey(h)));
+            const remoteOnly = (remote.history || []).filter(h => !localKeys.has(entryKey(h)));
+            conflictsByKey.set(remote.key, WORKFLOW_FIELDS.filter(field =>
+                localOnly.some(h => h.field === field) && remoteOnly.some(h => h.field === field)));
+
+            if (remoteOnly.length === 0) return;
+
+            local.history = [...(local.history || []), ...remoteOnly]
+                .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+            WORKFLOW_FIELDS.forEach(field => {
+                const latest = local.history.filter(h => h.field === field).pop();
+                if (latest) {
+                    local[field] = latest.to;
+                }
+            });
+            changed.push(local);
+        });
+
+        if (changed.length === 0) return conflictsByKey;
+
+        saveAlerts(changed);
+        renderAll();
+        return conflictsByKey;
+    }
+
+    /**
+     * Drop alerts other users removed for everyone
+     * @param {Array<string>} keys - Alert keys
+     */
+    function removeRemoteAlerts(keys) {
+        const removed = alerts.filter(a => keys.includes(a.key));
+        if (removed.length === 0) return;
+
+        alerts = alerts.filter(a => !keys.includes(a.key));
+        deleteStoredAlerts(removed.map(a => a.id));
+        renderAll();
+    }
+
+    /**
+     * Re-render the whole alert list and stats
+     * (used after loading and when display settings such as units change)
+     */
+    function renderAll() {
+        renderList();
+        updateStats();
+        updateVehicleFilter();
+        updateDriverFilter();
     }
 
     /**
      * Clear all alerts
+     * @param {boolean} [keepReviewed] - Keep alerts that have been worked on (status, notes, assignee)
      */
-    function clearAlerts() {
-        alerts = [];
-        saveAlerts();
-        loadAlerts();
+    function clearAlerts(keepReviewed) {
+        const removed = alerts.filter(a => !(keepReviewed && isReviewed(a)));
+        const removedIds = removed.map(a => a.id);
+        removed.forEach(a => SharedStore.removeAlert(a));
+        alerts = alerts.filter(a => keepReviewed && isReviewed(a));
+        deleteStoredAlerts(removedIds);
+        renderAll();
     }
 
     /**
@@ -425,13 +1183,38 @@ const AlertManager = (function() {
         return [...alerts];
     }
 
+    /**
+     * Get the alerts passing the vehicle, severity, type and status filters
+     */
+    function getFilteredAlerts() {
+        return alerts.filter(matchesFilters);
+    }
+
     // Public API
     return {
         init,
         addAlert,
         dismissAlert,
+        removeAlerts,
+        mergeRemoteAlert,
+        mergeRemoteAlerts,
+        removeRemoteAlerts,
         clearAlerts,
         getAlerts,
-        updateStats
+        getFilteredAlerts,
+        updateAlert,
+        setCurrentUser,
+        getStatuses: () => STATUSES.map(s => ({ ...s })),
+        getSettings,
+        updateStats,
+        renderAll,
+        goToPage,
+        showAlert,
+        showOnMap,
+        showChart,
+        exportEvidence,
+        getEventKey,
+        describeChange,
+        getStatusLabel
     };
 })();
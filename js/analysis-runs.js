@@ -0,0 +1,797 @@
+/**
+ * Historical analysis runs for Fuel Theft Monitor
+ * Each historical analysis is kept as a named run: its date range, the
+ * detection settings it used and what it found. Findings stay out of the
+ * alert list until someone reviews them; the ones confirmed are merged in
+ * unless the list already has the event (same vehicle and type within
+ * MATCH_WINDOW_MS), so merging twice, or from two runs over the same days,
+ * lists each event once. Two runs can be compared to see what a settings change
+ * (say a 10% against a 15% drop threshold) gains or loses.
+ *
+ * A run:
+ *
+ *   {
+ *     id: 'run-1760000000000',
+ *     name: 'Threshold 15%',
+ *     createdAt: ISO, from: ISO, to: ISO,
+ *     parameters: {dropThreshold: 15, ...},   // Detection settings in effect
+ *     status: 'running' | 'complete' | 'cancelled',
+ *     vehicles: 12, failed: 0,                // Vehicles analyzed, and those whose data could not be fetched
+ *     findings: [{id, key, merged, alertKey (the listed alert it was merged as), ...alert fields}]
+ *   }
+ */
+
+const AnalysisRuns = (function() {
+    const MATCH_WINDOW_MS = 30 * 60 * 1000;    // Findings this close in time are one event when comparing or merging
+    const SAVE_DELAY_MS = 2000;                // Findings arriving together are saved together
+    const TYPE_LABELS = {
+        theft: 'Suspected theft',
+        refuel: 'Refuel',
+        overconsumption: 'Excess consumption'
+    };
+
+    // Settings recorded with each run, in the order they are listed
+    const PARAMETERS = [
+        { key: 'dropThreshold', label: 'Drop threshold (%)' },
+        { key: 'thresholdUnit', label: 'Threshold unit' },
+        { key: 'volumeThreshold', label: 'Volume threshold', kind: 'volume' },
+        { key: 'timeWindowMinutes', label: 'Time window (min)' },
+        { key: 'refuelDetection', label: 'Refuel detection' },
+        { key: 'refuelThreshold', label: 'Refuel threshold (%)' },
+        { key: 'smoothingMethod', label: 'Smoothing' },
+        { key: 'smoothingWindow', label: 'Smoothing window (readings)' },
+        { key: 'outlierThreshold', label: 'Outlier threshold (%)' },
+        { key: 'confirmSamples', label: 'Confirming readings' },
+        { key: 'recoveryMinutes', label: 'Recovery window (min)' },
+        { key: 'rateThreshold', label: 'Rate of change limit (%/min)' },
+        { key: 'rateMinDrop', label: 'Rate of change minimum drop (%)' },
+        { key: 'zScoreThreshold', label: 'Statistical limit (σ)' },
+        { key: 'statMinDrop', label: 'Statistical minimum drop (%)' },
+        { key: 'detectorSelection', label: 'Detectors', kind: 'detectors' },
+        { key: 'severityRules', label: 'Severity rules', kind: 'list' },
+        { key: 'thresholdProfiles', label: 'Threshold profiles', kind: 'list' },
+        { key: 'zones', label: 'Zones', kind: 'list' },
+        { key: 'riskSchedules', label: 'Risk schedules', kind: 'list' },
+        { key: 'consumptionDetection', label: 'Consumption detection' },
+        { key: 'consumptionPeriod', label: 'Consumption period' },
+        { key: 'consumptionMargin', label: 'Consumption margin (%)' },
+        { key: 'consumptionMinLitres', label: 'Consumption minimum excess', kind: 'volume' }
+    ];
+
+    // Runs, newest first
+    let runs = [];
+
+    // DOM elements
+    let modal = null;
+    let contentEl = null;
+    let compareA = null;
+    let compareB = null;
+
+    // Run shown in detail, or null for the list
+    let openRunId = null;
+
+    // Runs with findings not yet saved: run id -> save timer
+    const pendingSaves = new Map();
+
+    /**
+     * Load stored runs and set up the runs modal
+     * @returns {Promise} Resolves once stored runs are loaded
+     */
+    async function init() {
+        modal = document.getElementById('runs-modal');
+        if (modal) {
+            contentEl = document.getElementById('runs-content');
+            compareA = document.getElementById('compare-run-a');
+            compareB = document.getElementById('compare-run-b');
+
+            document.getElementById('runs-btn').addEventListener('click', () => open());
+            document.getElementById('close-runs').addEventListener('click', close);
+            document.getElementById('compare-runs-btn').addEventListener('click', showComparison);
+            modal.addEventListener('click', function(e) {
+                if (e.target === modal) {
+                    close();
+                }
+            });
+            document.addEventListener('keydown', function(e) {
+                if (e.key === 'Escape' && modal.classList.contains('active')) {
+                    close();
+                }
+            });
+        }
+
+        try {
+            await FuelStore.open();
+            if (FuelStore.isAvailable()) {
+                runs = (await FuelStore.getRuns()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            }
+        } catch (e) {
+            console.error('Failed to load analysis runs:', e);
+        }
+    }
+
+    /**
+     * Start recording a run
+     * @param {string} name - Run name
+     * @param {Date} fromDate - Start of the analyzed range
+     * @param {Date} toDate - End of the analyzed range
+     * @param {Object} settings - Detection config in effect (the PARAMETERS are kept)
+     * @returns {Object} Run
+     */
+    function create(name, fromDate, toDate, settings) {
+        const parameters = {};
+        PARAMETERS.forEach(p => {
+            parameters[p.key] = settings[p.key] === undefined ? null : JSON.parse(JSON.stringify(settings[p.key]));
+        });
+
+        const createdAt = new Date();
+        const run = {
+            id: `run-${createdAt.getTime()}`,
+            name: name,
+            createdAt: createdAt.toISOString(),
+            from: fromDate.toISOString(),
+            to: toDate.toISOString(),
+            parameters: parameters,
+            status: 'running',
+            vehicles: 0,
+            failed: 0,
+            findings: []
+        };
+
+        runs.unshift(run);
+        saveRun(run);
+        return run;
+    }
+
+    /**
+     * Record something a run found
+     * An event already in the run (a vehicle analyzed again after resuming) is skipped.
+     * @param {string} runId - Run id
+     * @param {Object} alertData - As for AlertManager.addAlert
+     * @returns {boolean} Whether it was added
+     */
+    function addFinding(runId, alertData) {
+        const run = get(runId);
+        if (!run) return false;
+
+        const timestamp = alertData.timestamp ? alertData.timestamp.toISOString() : new Date().toISOString();
+        const finding = { ...alertData, type: alertData.type || 'theft', timestamp: timestamp, isHistorical: true };
+        finding.key = AlertManager.getEventKey(finding);
+        if (run.findings.some(f => f.key === finding.key)) {
+            return false;
+        }
+
+        finding.id = run.findings.length + 1;
+        finding.merged = false;
+        run.findings.push(finding);
+        scheduleSave(run);
+        return true;
+    }
+
+    /**
+     * Record how a run ended
+     * @param {string} runId - Run id
+     * @param {Object} outcome - {status: 'complete' | 'cancelled', vehicles, failed}
+     */
+    function finish(runId, outcome) {
+        const run = get(runId);
+        if (!run) return;
+
+        run.status = outcome.status;
+        run.vehicles = outcome.vehicles;
+        run.failed = outcome.failed;
+        saveRun(run);
+        refresh();
+    }
+
+    /**
+     * Store a run now, including findings waiting for a scheduled save
+     * @param {string} runId - Run id
+     * @returns {Promise<boolean>} Whether the run is stored
+     */
+    function flush(runId) {
+        const run = get(runId);
+        return run ? saveRun(run) : Promise.resolve(false);
+    }
+
+    /**
+     * A run by id
+     * @param {string} runId - Run id
+     * @returns {Object|null} Run
+     */
+    function get(runId) {
+        return runs.find(run => run.id === runId) || null;
+    }
+
+    /**
+     * All runs, newest first
+     */
+    function getRuns() {
+        return [...runs];
+    }
+
+    /**
+     * Delete a run (alerts merged from it stay in the alert list)
+     * @param {string} runId - Run id
+     */
+    function remove(runId) {
+        runs = runs.filter(run => run.id !== runId);
+        clearTimeout(pendingSaves.get(runId));
+        pendingSaves.delete(runId);
+        if (FuelStore.isAvailable()) {
+            FuelStore.deleteRun(runId).catch(e => console.error('Failed to delete analysis run:', e));
+        }
+        if (openRunId === runId) {
+            openRunId = null;
+        }
+        refresh();
+    }
+
+    /**
+     * Merge findings into the alert list
+     * Events already listed (merged before, found by another run with other
+     * settings, or raised live) are left as they are and the finding is linked
+     * to that alert, so merging is safe to repeat.
+     * @param {string} runId - Run id
+     * @param {Array<number>} findingIds - Findings confirmed for the alert list
+     * @returns {Object} {added, existing}
+     */
+    function mergeFindings(runId, findingIds) {
+        const run = get(runId);
+        const result = { added: 0, existing: 0 };
+        if (!run) return result;
+
+        const findings = run.findings.filter(f => findingIds.includes(f.id));
+        findings.forEach(finding => {
+            const existing = findMatch(finding, AlertManager.getAlerts());
+            if (existing) {
+                finding.alertKey = existing.key;
+                result.existing++;
+            } else {
+                const { id, key, merged, alertKey, ...alertData } = finding;
+                const added = AlertManager.addAlert({
+                    ...alertData,
+                    timestamp: new Date(finding.timestamp),
+                    runName: run.name
+                });
+                if (added) {
+                    finding.alertKey = key;
+                    result.added++;
+                } else {
+                    result.existing++;
+                }
+            }
+            finding.merged = true;
+        });
+
+        saveRun(run);
+
+        // Merged fills can now be matched against imported card transactions
+        if (findings.some(f => f.type === 'refuel')) {
+            FuelCards.reconcile();
+        }
+
+        return result;
+    }
+
+    /**
+     * Compare what two runs found
+     * Findings are the same event when they are for the same vehicle and type
+     * within MATCH_WINDOW_MS of each other (different settings can place a drop
+     * a reading or two apart).
+     * @param {string} runIdA - First run
+     * @param {string} runIdB - Second run
+     * @returns {Object|null} {parameters: [{key, label, a, b}] (settings that differ),
+     *                         onlyA, onlyB, both: [{a, b}]}
+     */
+    function compare(runIdA, runIdB) {
+        const runA = get(runIdA);
+        const runB = get(runIdB);
+        if (!runA || !runB) return null;
+
+        const parameters = PARAMETERS
+            .filter(p => JSON.stringify(runA.parameters[p.key]) !== JSON.stringify(runB.parameters[p.key]))
+            .map(p => ({
+                key: p.key,
+                label: p.label,
+                a: describeParameter(p, runA.parameters[p.key]),
+                b: describeParameter(p, runB.parameters[p.key])
+            }));
+
+        const unmatched = [...runB.findings];
+        const both = [];
+        const onlyA = [];
+
+        runA.findings.forEach(a => {
+            const b = findMatch(a, unmatched);
+            if (b) {
+                unmatched.splice(unmatched.indexOf(b), 1);
+                both.push({ a: a, b: b });
+            } else {
+                onlyA.push(a);
+            }
+        });
+
+        return { parameters: parameters, onlyA: onlyA, onlyB: unmatched, both: both };
+    }
+
+    /**
+     * The closest event to a finding: same vehicle and type, within MATCH_WINDOW_MS
+     * @param {Object} finding - Finding or alert
+     * @param {Array} candidates - Findings or alerts to look in
+     * @returns {Object|null} Closest match
+     */
+    function findMatch(finding, candidates) {
+        const time = new Date(finding.timestamp).getTime();
+        let best = null;
+        let bestGap = Infinity;
+
+        candidates.forEach(candidate => {
+            const gap = Math.abs(new Date(candidate.timestamp).getTime() - time);
+            if (candidate.vehicleId === finding.vehicleId && candidate.type === finding.type &&
+                gap <= MATCH_WINDOW_MS && gap < bestGap) {
+                best = candidate;
+                bestGap = gap;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Download a run's findings (same columns as the alert export)
+     * @param {string} runId - Run id
+     * @param {string} format - 'csv', 'json', 'xlsx' or 'geojson'
+     */
+    function exportRun(runId, format) {
+        const run = get(runId);
+        if (!run) return;
+
+        if (run.findings.length === 0) {
+            alert('This run found nothing to export');
+            return;
+        }
+
+        const findings = [...run.findings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        AlertExport.exportList(findings, format, `fuel-analysis-${slug(run.name)}`, {
+            run: {
+                name: run.name,
+                from: run.from,
+                to: run.to,
+                createdAt: run.createdAt,
+                status: run.status,
+                parameters: run.parameters
+            }
+        });
+    }
+
+    /**
+     * Show the runs, or one run's findings
+     * @param {string} [runId] - Run to open
+     */
+    function open(runId) {
+        if (!modal) return;
+
+        openRunId = runId && get(runId) ? runId : null;
+        modal.classList.add('active');
+        refresh();
+    }
+
+    /**
+     * Close the runs modal
+     */
+    function close() {
+        modal.classList.remove('active');
+    }
+
+    /**
+     * Back to the list of runs
+     */
+    function showList() {
+        openRunId = null;
+        refresh();
+    }
+
+    /**
+     * Redraw the modal if it is open
+     */
+    function refresh() {
+        if (!modal || !modal.classList.contains('active')) return;
+
+        updateCompareOptions();
+        const run = openRunId ? get(openRunId) : null;
+        contentEl.innerHTML = run ? renderRun(run) : renderRunList();
+    }
+
+    /**
+     * Rebuild the run pickers of the comparison toolbar
+     */
+    function updateCompareOptions() {
+        [compareA, compareB].forEach((select, index) => {
+            const currentValue = select.value;
+            select.innerHTML = runs.map(run =>
+                `<option value="${escapeHtml(run.id)}">${escapeHtml(run.name)}</option>`).join('');
+
+            if (runs.some(run => run.id === currentValue)) {
+                select.value = currentValue;
+            } else if (runs[index]) {
+                // Default to comparing the latest run with the one before
+                select.value = runs[index].id;
+            }
+        });
+    }
+
+    /**
+     * Table of all runs
+     */
+    function renderRunList() {
+        if (runs.length === 0) {
+            return '<p class="dashboard-empty">No analysis runs yet. Use Analyze History to start one.</p>';
+        }
+
+        const body = runs.map(run => {
+            const counts = countFindings(run.findings);
+            return `
+                <tr>
+                    <td><button type="button" class="alert-chart-link" onclick="AnalysisRuns.open('${escapeHtml(run.id)}')">${escapeHtml(run.name)}</button></td>
+                    <td>${escapeHtml(describePeriod(run))}</td>
+                    <td>${escapeHtml(describeThreshold(run.parameters))}</td>
+                    <td><span class="status-pill ${getStatus(run)}">${escapeHtml(getStatusLabel(run))}</span></td>
+                    <td class="number">${counts.thefts}</td>
+                    <td class="number">${counts.refuels}</td>
+                    <td class="number">${counts.merged}</td>
+                    <td><button type="button" class="btn btn-secondary btn-small" onclick="AnalysisRuns.confirmRemove('${escapeHtml(run.id)}')">Delete</button></td>
+                </tr>`;
+        }).join('');
+
+        return `<table class="data-table"><thead><tr><th>Run</th><th>Period</th><th>Threshold</th><th>Status</th>` +
+            `<th class="number">Suspected thefts</th><th class="number">Refuels</th><th class="number">In alerts</th><th></th></tr></thead>` +
+            `<tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * One run: its settings and findings, with merge and export controls
+     */
+    function renderRun(run) {
+        const unit = AlertManager.getSettings().volumeUnit;
+        const runId = escapeHtml(run.id);
+        const findings = [...run.findings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const failed = run.failed > 0 ? ` · data for ${run.failed} vehicle${run.failed === 1 ? '' : 's'} could not be fetched` : '';
+
+        const parameterRows = PARAMETERS.map(p => `
+            <tr><td>${escapeHtml(p.label)}</td><td>${escapeHtml(describeParameter(p, run.parameters[p.key], unit))}</td></tr>`).join('');
+
+        const findingRows = findings.map(f => `
+            <tr>
+                <td>${f.merged
+                    ? '<span class="status-pill matched">In alerts</span>'
+                    : `<input type="checkbox" class="run-finding" value="${f.id}" aria-label="Confirm finding">`}</td>
+                <td>${escapeHtml(new Date(f.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(f.vehicleName)}</td>
+                <td>${escapeHtml(TYPE_LABELS[f.type] || f.type)}</td>
+                <td>${escapeHtml(f.severity)}</td>
+                <td>${escapeHtml(describeFinding(f, unit))}</td>
+                <td>${escapeHtml((f.detectors || []).map(d => d.name).join(', '))}</td>
+            </tr>`).join('');
+
+        const findingsTable = findings.length === 0
+            ? '<p class="dashboard-empty">Nothing was found in this period.</p>'
+            : `<table class="data-table"><thead><tr><th><input type="checkbox" aria-label="Select all findings" ` +
+                `onchange="AnalysisRuns.selectAll(this.checked)"></th><th>Time</th><th>Vehicle</th><th>Event</th><th>Severity</th>` +
+                `<th>Change</th><th>Detected by</th></tr></thead><tbody>${findingRows}</tbody></table>`;
+
+        return `
+            <div class="chart-toolbar">
+                <button type="button" class="btn btn-secondary" onclick="AnalysisRuns.showList()">&lsaquo; All runs</button>
+                <button type="button" class="btn btn-primary" onclick="AnalysisRuns.mergeSelected('${runId}')">Merge confirmed into alerts</button>
+                <select id="run-export-format" aria-label="Export format">
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (XLSX)</option>
+                    <option value="json">JSON</option>
+                    <option value="geojson">GeoJSON (map)</option>
+                </select>
+                <button type="button" class="btn btn-secondary"
+                        onclick="AnalysisRuns.exportRun('${runId}', document.getElementById('run-export-format').value)">Export</button>
+            </div>
+            <h3 class="dashboard-section">${escapeHtml(run.name)}</h3>
+            <p class="dashboard-period">${escapeHtml(describePeriod(run))} · ${escapeHtml(getStatusLabel(run))} · ${run.vehicles} vehicles analyzed${escapeHtml(failed)}</p>
+            ${findingsTable}
+            <p class="dashboard-note">Tick the findings you have confirmed and merge them into the alert list. Events already listed are not added again.</p>
+            <details class="run-parameters">
+                <summary>Settings used</summary>
+                <table class="data-table"><tbody>${parameterRows}</tbody></table>
+            </details>
+        `;
+    }
+
+    /**
+     * Compare the runs picked in the toolbar
+     */
+    function showComparison() {
+        if (!compareA.value || !compareB.value) {
+            alert('Run at least two historical analyses to compare them');
+            return;
+        }
+        if (compareA.value === compareB.value) {
+            alert('Pick two different runs to compare');
+            return;
+        }
+
+        const runA = get(compareA.value);
+        const runB = get(compareB.value);
+        contentEl.innerHTML = renderComparison(runA, runB, compare(runA.id, runB.id));
+    }
+
+    /**
+     * What changed between two runs
+     */
+    function renderComparison(runA, runB, result) {
+        const unit = AlertManager.getSettings().volumeUnit;
+        const nameA = escapeHtml(runA.name);
+        const nameB = escapeHtml(runB.name);
+
+        const overlap = new Date(runA.from) < new Date(runB.to) && new Date(runB.from) < new Date(runA.to);
+        const periodNote = runA.from === runB.from && runA.to === runB.to
+            ? ''
+            : `<p class="dashboard-note">The runs cover ${overlap ? 'different, overlapping' : 'different'} periods ` +
+              `(${escapeHtml(describePeriod(runA))} and ${escapeHtml(describePeriod(runB))}), so some differences come from the data, not the settings.</p>`;
+
+        const parameterTable = result.parameters.length === 0
+            ? '<p class="dashboard-empty">Both runs used the same settings.</p>'
+            : `<table class="data-table"><thead><tr><th>Setting</th><th>${nameA}</th><th>${nameB}</th></tr></thead><tbody>` +
+              result.parameters.map(p =>
+                  `<tr><td>${escapeHtml(p.label)}</td><td>${escapeHtml(p.a)}</td><td>${escapeHtml(p.b)}</td></tr>`).join('') +
+              '</tbody></table>';
+
+        const findingTable = (findings, emptyText) => {
+            if (findings.length === 0) {
+                return `<p class="dashboard-empty">${emptyText}</p>`;
+            }
+            const rows = findings.map(f => `
+                <tr>
+                    <td>${escapeHtml(new Date(f.timestamp).toLocaleString())}</td>
+                    <td>${escapeHtml(f.vehicleName)}</td>
+                    <td>${escapeHtml(TYPE_LABELS[f.type] || f.type)}</td>
+                    <td>${escapeHtml(f.severity)}</td>
+                    <td>${escapeHtml(describeFinding(f, unit))}</td>
+                </tr>`).join('');
+            return `<table class="data-table"><thead><tr><th>Time</th><th>Vehicle</th><th>Event</th><th>Severity</th>` +
+                `<th>Change</th></tr></thead><tbody>${rows}</tbody></table>`;
+        };
+
+        const changedSeverity = result.both.filter(pair => pair.a.severity !== pair.b.severity);
+        const severityRows = changedSeverity.map(pair => `
+            <tr>
+                <td>${escapeHtml(new Date(pair.a.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(pair.a.vehicleName)}</td>
+                <td>${escapeHtml(TYPE_LABELS[pair.a.type] || pair.a.type)}</td>
+                <td>${escapeHtml(pair.a.severity)}</td>
+                <td>${escapeHtml(pair.b.severity)}</td>
+            </tr>`).join('');
+
+        return `
+            <div class="chart-toolbar">
+                <button type="button" class="btn btn-secondary" onclick="AnalysisRuns.showList()">&lsaquo; All runs</button>
+            </div>
+            <h3 class="dashboard-section">${nameA} compared with ${nameB}</h3>
+            ${periodNote}
+            <div class="dashboard-totals">
+                ${renderTotal(result.both.length, 'Found by both')}
+                ${renderTotal(result.onlyA.length, `Only in ${runA.name}`)}
+                ${renderTotal(result.onlyB.length, `Only in ${runB.name}`)}
+            </div>
+            <h3 class="dashboard-section">Settings that differ</h3>
+            ${parameterTable}
+            <h3 class="dashboard-section">Only in ${nameA}</h3>
+            ${findingTable(result.onlyA, `Everything ${nameA} found, ${nameB} found too.`)}
+            <h3 class="dashboard-section">Only in ${nameB}</h3>
+            ${findingTable(result.onlyB, `Everything ${nameB} found, ${nameA} found too.`)}
+            <h3 class="dashboard-section">Found by both, at a different severity</h3>
+            ${changedSeverity.length === 0
+                ? '<p class="dashboard-empty">Events found by both runs have the same severity.</p>'
+                : `<table class="data-table"><thead><tr><th>Time</th><th>Vehicle</th><th>Event</th><th>${nameA}</th>` +
+                  `<th>${nameB}</th></tr></thead><tbody>${severityRows}</tbody></table>`}
+            <p class="dashboard-note">Findings for the same vehicle and event within ${MATCH_WINDOW_MS / 60000} minutes of each other count as the same event.</p>
+        `;
+    }
+
+    /**
+     * A headline number
+     */
+    function renderTotal(value, label) {
+        return `
+            <div class="dashboard-total">
+                <div class="dashboard-total-value">${value}</div>
+                <div class="dashboard-total-label">${escapeHtml(label)}</div>
+            </div>`;
+    }
+
+    /**
+     * Tick or untick every finding not yet merged
+     */
+    function selectAll(checked) {
+        contentEl.querySelectorAll('.run-finding').forEach(box => {
+            box.checked = checked;
+        });
+    }
+
+    /**
+     * Merge the ticked findings of the open run into the alert list
+     * @param {string} runId - Run id
+     */
+    function mergeSelected(runId) {
+        const ids = [...contentEl.querySelectorAll('.run-finding:checked')].map(box => Number(box.value));
+        if (ids.length === 0) {
+            alert('Tick the findings you have confirmed first');
+            return;
+        }
+
+        const result = mergeFindings(runId, ids);
+        refresh();
+
+        if (result.existing > 0) {
+            alert(`${result.added} added to the alert list; ${result.existing} already listed`);
+        }
+    }
+
+    /**
+     * Delete a run after asking
+     * @param {string} runId - Run id
+     */
+    function confirmRemove(runId) {
+        const run = get(runId);
+        if (!run) return;
+
+        if (run.status === 'running' && FuelMonitor.isAnalyzingHistory()) {
+            alert('This run is still in progress');
+            return;
+        }
+        if (confirm(`Delete the analysis run "${run.name}"? Alerts merged from it stay in the alert list.`)) {
+            remove(runId);
+        }
+    }
+
+    /**
+     * Status of a run; one left 'running' with nothing in progress was interrupted
+     */
+    function getStatus(run) {
+        return run.status === 'running' && !FuelMonitor.isAnalyzingHistory() ? 'interrupted' : run.status;
+    }
+
+    /**
+     * Display label for a run's status
+     */
+    function getStatusLabel(run) {
+        const labels = { running: 'Running', complete: 'Complete', cancelled: 'Cancelled', interrupted: 'Interrupted' };
+        return labels[getStatus(run)];
+    }
+
+    /**
+     * Finding counts for the run list
+     */
+    function countFindings(findings) {
+        return {
+            thefts: findings.filter(f => f.type !== 'refuel').length,
+            refuels: findings.filter(f => f.type === 'refuel').length,
+            merged: findings.filter(f => f.merged).length
+        };
+    }
+
+    /**
+     * The drop threshold a run used, in a few words
+     */
+    function describeThreshold(parameters) {
+        if (parameters.thresholdUnit === 'volume') {
+            return FuelUnits.format(parameters.volumeThreshold, AlertManager.getSettings().volumeUnit);
+        }
+        return `${parameters.dropThreshold}%`;
+    }
+
+    /**
+     * Display text for a recorded setting
+     */
+    function describeParameter(spec, value, unit) {
+        if (value === null || value === undefined) return 'Not recorded';
+
+        switch (spec.kind) {
+            case 'volume':
+                return FuelUnits.format(value, unit || AlertManager.getSettings().volumeUnit);
+            case 'list':
+                return value.length === 0 ? 'None' : `${value.length} defined`;
+            case 'detectors': {
+                const groups = Object.keys(value.groups || {}).length;
+                return (value.default || []).join(', ') + (groups > 0 ? ` (+ ${groups} group${groups === 1 ? '' : 's'})` : '');
+            }
+            default:
+                if (typeof value === 'boolean') return value ? 'On' : 'Off';
+                return String(value);
+        }
+    }
+
+    /**
+     * What a finding measured
+     */
+    function describeFinding(finding, unit) {
+        switch (finding.type) {
+            case 'refuel':
+                return `+${finding.fuelAdded.toFixed(1)}%`;
+            case 'overconsumption':
+                return `${FuelUnits.format(finding.volumeLost, unit)} over expected`;
+            default:
+                return `-${finding.fuelDrop.toFixed(1)}%` +
+                    (typeof finding.volumeLost === 'number' ? ` (${FuelUnits.format(finding.volumeLost, unit)})` : '');
+        }
+    }
+
+    /**
+     * Readable analyzed period
+     */
+    function describePeriod(run) {
+        const format = time => new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${format(run.from)} - ${format(run.to)}`;
+    }
+
+    /**
+     * Run name as part of a file name
+     */
+    function slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'run';
+    }
+
+    /**
+     * Persist a run shortly (a run finds many things in a burst; each save
+     * writes the whole run)
+     */
+    function scheduleSave(run) {
+        if (pendingSaves.has(run.id)) return;
+
+        pendingSaves.set(run.id, setTimeout(() => saveRun(run), SAVE_DELAY_MS));
+    }
+
+    /**
+     * Persist a run
+     * @returns {Promise<boolean>} Whether the run is stored (true when there is no IndexedDB to store it in)
+     */
+    function saveRun(run) {
+        clearTimeout(pendingSaves.get(run.id));
+        pendingSaves.delete(run.id);
+
+        if (!FuelStore.isAvailable()) return Promise.resolve(true);
+
+        return FuelStore.putRun(run)
+            .then(() => true)
+            .catch(e => {
+                console.error('Failed to save analysis run:', e);
+                return false;
+            });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        create,
+        addFinding,
+        finish,
+        flush,
+        get,
+        getRuns,
+        remove,
+        mergeFindings,
+        compare,
+        exportRun,
+        open,
+        close,
+        showList,
+        selectAll,
+        mergeSelected,
+        confirmRemove
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * Consumption baseline for Fuel Theft Monitor
+ * Learns how much fuel each vehicle normally uses from its trips (litres per km
+ * and per engine hour), and judges whether a trip or a day used more than that.
+ * Catches fuel leaving the tank while the vehicle is running - a tapped fuel
+ * line, or fuel pumped out during a stop with the engine on - which the drop
+ * detectors deliberately ignore.
+ *
+ * A trip sample (volumes in litres):
+ *
+ *   {
+ *     key: '2026-10-10T07:02:00.000Z',   // Trip start (identifies the trip)
+ *     start: Date, end: Date,
+ *     distanceKm: 42.5,
+ *     engineHours: 1.2,                  // Driving plus idling time
+ *     litres: 11.8,                      // Fuel used (level fall plus fills during the trip)
+ *     flagged: false                     // Part of a period that raised an alert (not learned from)
+ *   }
+ */
+
+const ConsumptionModel = (function() {
+    const MIN_SAMPLES = 5;              // Trips needed before the baseline is trusted
+    const MAX_SAMPLES = 50;             // Most recent trips the baseline is built from
+    const MIN_DISTANCE_KM = 20;         // A per-km rate needs at least this much driving...
+    const MIN_ENGINE_HOURS = 1;         // ...and a per-hour rate this much engine time
+    const LEVEL_WINDOW_MS = 10 * 60 * 1000;
+
+    /**
+     * Hours in a Geotab TimeSpan ('hh:mm:ss', 'd.hh:mm:ss', optional fractions)
+     * @param {string} value - TimeSpan
+     * @returns {number} Hours (0 if unreadable)
+     */
+    function parseTimeSpan(value) {
+        const match = /^(?:(\d+)\.)?(\d{1,2}):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || '');
+        if (!match) return 0;
+
+        return (parseInt(match[1] || '0', 10) * 24) +
+            parseInt(match[2], 10) +
+            parseInt(match[3], 10) / 60 +
+            parseFloat(match[4]) / 3600;
+    }
+
+    /**
+     * Engine hours of a trip (driving plus idling, or start to stop if those are missing)
+     * @param {Object} trip - Geotab Trip
+     * @returns {number} Hours
+     */
+    function getEngineHours(trip) {
+        const hours = parseTimeSpan(trip.drivingDuration) + parseTimeSpan(trip.idlingDuration);
+        if (hours > 0) return hours;
+
+        return Math.max(0, (new Date(trip.stop) - new Date(trip.start)) / (60 * 60 * 1000));
+    }
+
+    /**
+     * Fuel level at the start or end of a trip: the median of the readings in the
+     * ten minutes before the start (or after the end), while the vehicle stood
+     * still, or else the last reading before the time (devices log on change,
+     * so the level held since)
+     * @param {Array} readings - [{timestamp, level}], oldest first
+     * @param {Date} time - Trip start or end
+     * @param {string} side - 'before' (a start) or 'after' (an end)
+     * @returns {number|null} Level (%), or null if there is no reading to go on
+     */
+    function levelAt(readings, time, side) {
+        const t = time.getTime();
+        const from = side === 'after' ? t : t - LEVEL_WINDOW_MS;
+        const to = side === 'after' ? t + LEVEL_WINDOW_MS : t;
+        const near = readings
+            .filter(r => r.timestamp.getTime() >= from && r.timestamp.getTime() <= to)
+            .map(r => r.level)
+            .sort((a, b) => a - b);
+
+        if (near.length > 0) {
+            const middle = Math.floor(near.length / 2);
+            return near.length % 2 === 1 ? near[middle] : (near[middle - 1] + near[middle]) / 2;
+        }
+
+        const before = readings.filter(r => r.timestamp.getTime() <= t);
+        return before.length > 0 ? before[before.length - 1].level : null;
+    }
+
+    /**
+     * Baseline from the trips learned before a time
+     * Rates are totals over totals, so long trips weigh more than short noisy ones.
+     * @param {Array} samples - Trip samples, oldest first
+     * @param {Date} before - Only trips that ended by this time are used
+     * @returns {Object|null} {litresPerKm, litresPerHour, trips, distanceKm, engineHours},
+     *                        or null while there is too little history
+     */
+    function buildBaseline(samples, before) {
+        const usable = (samples || [])
+            .filter(s => !s.flagged && new Date(s.end) <= before)
+            .slice(-MAX_SAMPLES);
+        if (usable.length < MIN_SAMPLES) return null;
+
+        const litres = usable.reduce((sum, s) => sum + s.litres, 0);
+        const distanceKm = usable.reduce((sum, s) => sum + s.distanceKm, 0);
+        const engineHours = usable.reduce((sum, s) => sum + s.engineHours, 0);
+        if (litres <= 0) return null;
+
+        const baseline = {
+            litresPerKm: distanceKm >= MIN_DISTANCE_KM ? litres / distanceKm : null,
+            litresPerHour: engineHours >= MIN_ENGINE_HOURS ? litres / engineHours : null,
+            trips: usable.length,
+            distanceKm: distanceKm,
+            engineHours: engineHours
+        };
+
+        return baseline.litresPerKm !== null || baseline.litresPerHour !== null ? baseline : null;
+    }
+
+    /**
+     * Fuel a baseline expects for some driving
+     * The larger of the distance and engine-hour estimates, so idling-heavy
+     * days and long motorway runs are both given the benefit of the doubt.
+     * @returns {number} Litres
+     */
+    function getExpectedLitres(baseline, distanceKm, engineHours) {
+        const byDistance = baseline.litresPerKm !== null ? distanceKm * baseline.litresPerKm : 0;
+        const byHours = baseline.litresPerHour !== null ? engineHours * baseline.litresPerHour : 0;
+        return Math.max(byDistance, byHours);
+    }
+
+    /**
+     * Whether a trip or day used more fuel than expected
+     * @param {Object} period - {distanceKm, engineHours, litres}
+     * @param {Object} baseline - From buildBaseline
+     * @param {Object} options - {margin: % over expected, minLitres: smallest excess worth an alert}
+     * @returns {Object|null} {expectedLitres, excessLitres, excessPercent, explanation}, or null if within the margin
+     */
+    function evaluate(period, baseline, options) {
+        const expectedLitres = getExpectedLitres(baseline, period.distanceKm, period.engineHours);
+        if (expectedLitres <= 0) return null;
+
+        const excessLitres = period.litres - expectedLitres;
+        const excessPercent = excessLitres / expectedLitres * 100;
+        if (excessPercent <= options.margin || excessLitres < options.minLitres) return null;
+
+        const rates = [
+            baseline.litresPerKm !== null ? `${(baseline.litresPerKm * 100).toFixed(1)} L/100 km` : null,
+            baseline.litresPerHour !== null ? `${baseline.litresPerHour.toFixed(1)} L/h` : null
+        ].filter(rate => rate !== null).join(', ');
+
+        return {
+            expectedLitres: expectedLitres,
+            excessLitres: excessLitres,
+            excessPercent: excessPercent,
+            explanation: `Used ${excessPercent.toFixed(0)}% more fuel than expected for ` +
+                `${period.distanceKm.toFixed(0)} km and ${period.engineHours.toFixed(1)} engine hours ` +
+                `(baseline ${rates} from ${baseline.trips} trips, limit ${options.margin}%)`
+        };
+    }
+
+    // Public API
+    return {
+        parseTimeSpan,
+        getEngineHours,
+        levelAt,
+        buildBaseline,
+        evaluate
+    };
+})();
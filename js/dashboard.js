@@ -0,0 +1,533 @@
+/**
+ * Fleet dashboard for Fuel Theft Monitor
+ * Looks across the stored alert history: suspected thefts and estimated fuel
+ * lost per day or week, the vehicles and locations losing the most, when in
+ * the week losses happen, how often each detector's alerts are reviewed as
+ * false positives, and how the period compares with the one before it.
+ *
+ * Filterable by Geotab group and date range. Totals and league tables use the
+ * same aggregation as the summary reports, so the two always agree.
+ */
+
+const FleetDashboard = (function() {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_DAYS = 30;
+    const TOP_ROWS = 10;
+    const INTERVALS = {
+        day: { label: 'Day' },
+        week: { label: 'Week' }
+    };
+    const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+    const CHART = { width: 720, height: 170, top: 12, right: 8, bottom: 28, left: 56, maxLabels: 10 };
+    const NO_DETECTOR = 'Not recorded';                 // Alerts from before detectors were recorded
+    const SHORT_FILL_SOURCE = 'Fuel card reconciliation';
+
+    // DOM elements
+    let modal = null;
+    let contentEl = null;
+    let groupSelect = null;
+    let fromInput = null;
+    let toInput = null;
+    let intervalSelect = null;
+
+    /**
+     * Set up the dashboard modal
+     */
+    function init() {
+        modal = document.getElementById('dashboard-modal');
+        if (!modal) return;
+
+        contentEl = document.getElementById('dashboard-content');
+        groupSelect = document.getElementById('dashboard-group');
+        fromInput = document.getElementById('dashboard-from');
+        toInput = document.getElementById('dashboard-to');
+        intervalSelect = document.getElementById('dashboard-interval');
+
+        document.getElementById('dashboard-btn').addEventListener('click', open);
+        document.getElementById('close-dashboard').addEventListener('click', close);
+        modal.addEventListener('click', function(e) {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                close();
+            }
+        });
+
+        [groupSelect, fromInput, toInput, intervalSelect].forEach(control => {
+            control.addEventListener('change', render);
+        });
+    }
+
+    /**
+     * Show the dashboard (the last 30 days unless a range was picked before)
+     */
+    async function open() {
+        if (!modal) return;
+
+        if (!fromInput.value || !toInput.value) {
+            const today = new Date();
+            toInput.value = toDateInput(today);
+            fromInput.value = toDateInput(new Date(today.getTime() - (DEFAULT_DAYS - 1) * DAY_MS));
+        }
+
+        modal.classList.add('active');
+        render();
+
+        // Groups come from the vehicle list, which may still be loading
+        await FuelMonitor.ensureVehicles();
+        updateGroupOptions();
+        render();
+    }
+
+    /**
+     * Close the dashboard
+     */
+    function close() {
+        modal.classList.remove('active');
+    }
+
+    /**
+     * Rebuild the group filter from the loaded vehicles
+     */
+    function updateGroupOptions() {
+        const currentValue = groupSelect.value;
+
+        groupSelect.innerHTML = '<option value="all">All Groups</option>';
+        FuelMonitor.getGroups().forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.id;
+            option.textContent = group.name;
+            groupSelect.appendChild(option);
+        });
+
+        if ([...groupSelect.options].some(opt => opt.value === currentValue)) {
+            groupSelect.value = currentValue;
+        }
+    }
+
+    /**
+     * Render the dashboard for the current filters
+     */
+    function render() {
+        if (!contentEl) return;
+
+        const filters = readFilters();
+        if (!filters) {
+            contentEl.innerHTML = '<p class="dashboard-empty">Pick a From date on or before the To date.</p>';
+            return;
+        }
+
+        contentEl.innerHTML = renderDashboard(build(filters));
+    }
+
+    /**
+     * Filters from the dashboard controls
+     * @returns {Object|null} {groupId, from, to, interval}, or null if the range is invalid
+     */
+    function readFilters() {
+        const from = parseDateInput(fromInput.value);
+        const to = parseDateInput(toInput.value);
+        if (!from || !to || from > to) return null;
+
+        return {
+            groupId: groupSelect.value || 'all',
+            from: from,
+            to: shiftDays(to, 1),        // The To date is included
+            interval: INTERVALS[intervalSelect.value] ? intervalSelect.value : 'day'
+        };
+    }
+
+    /**
+     * Aggregate the stored alerts for a set of filters
+     * Losses are suspected thefts and short fills; refuels are left out.
+     * @param {Object} filters - {groupId, from, to, interval}
+     * @returns {Object} Dashboard data
+     */
+    function build(filters) {
+        const vehicles = new Map(FuelMonitor.getVehicles().map(v => [v.id, v]));
+        const groupNames = new Map(FuelMonitor.getGroups().map(g => [g.id, g.name]));
+        const previousFrom = new Date(filters.from.getTime() - (filters.to - filters.from));
+
+        const losses = AlertManager.getAlerts().filter(a =>
+            (a.type || 'theft') !== 'refuel' && isInGroup(a, vehicles, filters.groupId));
+        const inPeriod = (start, end) => losses.filter(a => {
+            const time = new Date(a.timestamp);
+            return time >= start && time < end;
+        });
+
+        const current = inPeriod(filters.from, filters.to);
+        const previous = inPeriod(previousFrom, filters.from);
+        const currentSummary = FuelReports.summarize(current, vehicles, groupNames);
+        const previousSummary = FuelReports.summarize(previous, vehicles, groupNames);
+
+        return {
+            from: filters.from,
+            to: filters.to,
+            previousFrom: previousFrom,
+            interval: filters.interval,
+            totals: { ...currentSummary.totals, falsePositiveRate: getFalsePositiveRate(current) },
+            previousTotals: { ...previousSummary.totals, falsePositiveRate: getFalsePositiveRate(previous) },
+            trend: buildTrend(current, filters),
+            vehicles: FuelReports.compareBuckets(currentSummary.buckets.vehicle, previousSummary.buckets.vehicle),
+            locations: FuelReports.compareBuckets(currentSummary.buckets.location, previousSummary.buckets.location),
+            heatmap: buildHeatmap(current),
+            detectors: buildDetectorStats(current)
+        };
+    }
+
+    /**
+     * Whether an alert's vehicle is in the selected group
+     */
+    function isInGroup(alert, vehicles, groupId) {
+        if (groupId === 'all') return true;
+
+        const vehicle = vehicles.get(alert.vehicleId);
+        return !!vehicle && (vehicle.groups || []).includes(groupId);
+    }
+
+    /**
+     * Share of reviewed alerts (confirmed or false positive) that were false positives
+     * @returns {number|null} Rate from 0 to 1, or null if none were reviewed
+     */
+    function getFalsePositiveRate(alertList) {
+        const falsePositives = alertList.filter(a => a.status === 'false-positive').length;
+        const reviewed = falsePositives + alertList.filter(a => a.status === 'confirmed').length;
+        return reviewed > 0 ? falsePositives / reviewed : null;
+    }
+
+    /**
+     * Alerts and fuel lost per day or week, with empty periods included
+     */
+    function buildTrend(alertList, filters) {
+        const buckets = [];
+        for (let start = startOfInterval(filters.from, filters.interval); start < filters.to;
+            start = shiftDays(start, filters.interval === 'week' ? 7 : 1)) {
+            buckets.push({ start: start, alerts: 0, litres: 0 });
+        }
+
+        alertList
+            .filter(a => a.status !== 'false-positive')
+            .forEach(alert => {
+                const start = startOfInterval(new Date(alert.timestamp), filters.interval).getTime();
+                const bucket = buckets.find(b => b.start.getTime() === start);
+                if (!bucket) return;
+
+                bucket.alerts++;
+                bucket.litres += alert.volumeLost || 0;
+            });
+
+        return buckets;
+    }
+
+    /**
+     * Alerts per weekday (Monday first) and hour of day
+     */
+    function buildHeatmap(alertList) {
+        const cells = WEEKDAYS.map(() => new Array(24).fill(0));
+
+        alertList
+            .filter(a => a.status !== 'false-positive')
+            .forEach(alert => {
+                const time = new Date(alert.timestamp);
+                cells[(time.getDay() + 6) % 7][time.getHours()]++;
+            });
+
+        return cells;
+    }
+
+    /**
+     * Review outcomes per detector (an alert counts for every detector that fired)
+     */
+    function buildDetectorStats(alertList) {
+        const stats = new Map();
+
+        alertList.forEach(alert => {
+            let names = (alert.detectors || []).map(d => d.name);
+            if (names.length === 0) {
+                names = [alert.type === 'shortfill' ? SHORT_FILL_SOURCE : NO_DETECTOR];
+            }
+
+            names.forEach(name => {
+                const entry = stats.get(name) || { name: name, alerts: 0, confirmed: 0, falsePositives: 0 };
+                entry.alerts++;
+                if (alert.status === 'confirmed') entry.confirmed++;
+                if (alert.status === 'false-positive') entry.falsePositives++;
+                stats.set(name, entry);
+            });
+        });
+
+        return [...stats.values()]
+            .map(entry => {
+                const reviewed = entry.confirmed + entry.falsePositives;
+                return { ...entry, falsePositiveRate: reviewed > 0 ? entry.falsePositives / reviewed : null };
+            })
+            .sort((a, b) => b.alerts - a.alerts || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Dashboard HTML
+     */
+    function renderDashboard(data) {
+        const unit = AlertManager.getSettings().volumeUnit;
+        const volume = litres => FuelUnits.format(litres, unit);
+        const count = value => String(value);
+        const totals = data.totals;
+        const before = data.previousTotals;
+
+        const totalBox = (label, value, previousValue, formatter) => `
+            <div class="dashboard-total">
+                <div class="dashboard-total-value">${escapeHtml(formatter(value))}</div>
+                <div class="dashboard-total-label">${escapeHtml(label)}</div>
+                <div class="dashboard-total-label">${renderChange(value, previousValue, formatter)} vs ${escapeHtml(formatter(previousValue))}</div>
+            </div>`;
+
+        const notes = [];
+        if (totals.unknownVolume > 0) {
+            notes.push(totals.unknownVolume === 1
+                ? '1 alert on a vehicle without a tank capacity is counted but not in the fuel lost.'
+                : `${totals.unknownVolume} alerts on vehicles without a tank capacity are counted but not in the fuel lost.`);
+        }
+        if (totals.falsePositives > 0) {
+            notes.push(totals.falsePositives === 1
+                ? '1 alert marked as a false positive is left out of the losses.'
+                : `${totals.falsePositives} alerts marked as false positives are left out of the losses.`);
+        }
+
+        return `
+            <p class="dashboard-period">${escapeHtml(describePeriod(data.from, data.to))}, compared with ${escapeHtml(describePeriod(data.previousFrom, data.from))}</p>
+            <div class="dashboard-totals">
+                ${totalBox('Suspected thefts', totals.alerts, before.alerts, count)}
+                ${totalBox('Estimated fuel lost', totals.litres, before.litres, volume)}
+                ${totalBox('Confirmed thefts', totals.confirmed, before.confirmed, count)}
+                ${renderRateBox(totals.falsePositiveRate, before.falsePositiveRate)}
+            </div>
+            ${notes.map(note => `<p class="dashboard-note">${escapeHtml(note)}</p>`).join('')}
+
+            <h3 class="dashboard-section">Suspected thefts per ${INTERVALS[data.interval].label.toLowerCase()}</h3>
+            ${renderBarChart(data.trend, b => b.alerts, count, data.interval)}
+            <h3 class="dashboard-section">Estimated fuel lost per ${INTERVALS[data.interval].label.toLowerCase()}</h3>
+            ${renderBarChart(data.trend, b => b.litres, volume, data.interval)}
+
+            <h3 class="dashboard-section">Top vehicles</h3>
+            ${renderLeagueTable('Vehicle', data.vehicles, volume)}
+            <h3 class="dashboard-section">Top locations</h3>
+            ${renderLeagueTable('Location', data.locations, volume)}
+
+            <h3 class="dashboard-section">Time of day</h3>
+            ${renderHeatmap(data.heatmap)}
+
+            <h3 class="dashboard-section">False positives by detector</h3>
+            ${renderDetectorTable(data.detectors)}`;
+    }
+
+    /**
+     * Total box for the false-positive rate (a higher rate is shown as worse)
+     */
+    function renderRateBox(rate, previousRate) {
+        const comparison = rate === null || previousRate === null
+            ? `vs ${escapeHtml(formatRate(previousRate))}`
+            : `${renderChange(rate * 100, previousRate * 100, value => `${value.toFixed(0)} pts`)} vs ${escapeHtml(formatRate(previousRate))}`;
+
+        return `
+            <div class="dashboard-total" title="False positives out of the alerts reviewed as confirmed or false positive">
+                <div class="dashboard-total-value">${escapeHtml(formatRate(rate))}</div>
+                <div class="dashboard-total-label">False-positive rate</div>
+                <div class="dashboard-total-label">${comparison}</div>
+            </div>`;
+    }
+
+    /**
+     * Bar chart of one value per day or week
+     */
+    function renderBarChart(buckets, valueOf, formatter, interval) {
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const plotBottom = CHART.top + plotHeight;
+        const max = Math.max(0, ...buckets.map(valueOf));
+        const slot = plotWidth / Math.max(1, buckets.length);
+        const labelEvery = Math.ceil(buckets.length / CHART.maxLabels);
+
+        const parts = [];
+
+        // Scale: zero and the largest value
+        [0, max].forEach((value, index) => {
+            const y = index === 0 ? plotBottom : CHART.top;
+            parts.push(`<line class="dashboard-grid" x1="${CHART.left}" x2="${CHART.left + plotWidth}" y1="${y}" y2="${y}"></line>`);
+            parts.push(`<text class="dashboard-axis-label" x="${CHART.left - 6}" y="${y + 4}" text-anchor="end">${escapeHtml(formatter(value))}</text>`);
+        });
+
+        buckets.forEach((bucket, index) => {
+            const value = valueOf(bucket);
+            const barHeight = max > 0 ? value / max * plotHeight : 0;
+            const x = CHART.left + index * slot;
+            const label = formatBucket(bucket.start, interval);
+
+            parts.push(`<rect class="dashboard-bar" x="${(x + slot * 0.1).toFixed(1)}" y="${(plotBottom - barHeight).toFixed(1)}" ` +
+                `width="${Math.max(1, slot * 0.8).toFixed(1)}" height="${barHeight.toFixed(1)}">` +
+                `<title>${escapeHtml(label)}: ${escapeHtml(formatter(value))}</title></rect>`);
+            if (index % labelEvery === 0) {
+                parts.push(`<text class="dashboard-axis-label" x="${(x + slot / 2).toFixed(1)}" y="${CHART.height - 8}" text-anchor="middle">${escapeHtml(label)}</text>`);
+            }
+        });
+
+        return `<svg class="dashboard-chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART.width} ${CHART.height}" ` +
+            `preserveAspectRatio="xMidYMid meet">${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Top rows of a breakdown, with the previous period alongside
+     */
+    function renderLeagueTable(label, rows, volume) {
+        const active = rows.filter(row => row.alerts > 0);
+        if (active.length === 0) {
+            return '<p class="dashboard-empty">No suspected thefts in this period.</p>';
+        }
+
+        const body = active.slice(0, TOP_ROWS).map(row => `
+            <tr>
+                <td>${escapeHtml(row.name)}</td>
+                <td class="number">${row.alerts}</td>
+                <td class="number">${escapeHtml(volume(row.litres))}</td>
+                <td class="number">${row.previousAlerts}</td>
+                <td class="number">${renderChange(row.litres, row.previousLitres, volume)}</td>
+            </tr>`).join('');
+
+        return `<table class="data-table"><thead><tr><th>${escapeHtml(label)}</th><th class="number">Alerts</th>` +
+            `<th class="number">Fuel lost</th><th class="number">Previous alerts</th><th class="number">Change in fuel lost</th></tr></thead>` +
+            `<tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Weekday by hour grid, shaded by the number of alerts
+     */
+    function renderHeatmap(cells) {
+        const max = Math.max(0, ...cells.map(row => Math.max(...row)));
+        if (max === 0) {
+            return '<p class="dashboard-empty">No suspected thefts in this period.</p>';
+        }
+
+        const hours = Array.from({ length: 24 }, (_, hour) => hour);
+        const header = hours.map(hour => `<th>${hour % 3 === 0 ? String(hour).padStart(2, '0') : ''}</th>`).join('');
+        const body = cells.map((row, day) => `
+            <tr>
+                <th>${WEEKDAYS[day]}</th>
+                ${row.map((value, hour) => `<td style="background-color: rgba(211, 47, 47, ${(value / max * 0.85).toFixed(2)})" ` +
+                    `title="${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00-${String(hour + 1).padStart(2, '0')}:00: ${value} alert${value === 1 ? '' : 's'}">` +
+                    `${value || ''}</td>`).join('')}
+            </tr>`).join('');
+
+        return `<table class="dashboard-heatmap"><thead><tr><th></th>${header}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Review outcomes per detector
+     */
+    function renderDetectorTable(detectors) {
+        if (detectors.length === 0) {
+            return '<p class="dashboard-empty">No alerts in this period.</p>';
+        }
+
+        const body = detectors.map(entry => `
+            <tr>
+                <td>${escapeHtml(entry.name)}</td>
+                <td class="number">${entry.alerts}</td>
+                <td class="number">${entry.confirmed}</td>
+                <td class="number">${entry.falsePositives}</td>
+                <td class="number">${escapeHtml(formatRate(entry.falsePositiveRate))}</td>
+            </tr>`).join('');
+
+        return `<table class="data-table"><thead><tr><th>Detector</th><th class="number">Alerts</th>` +
+            `<th class="number">Confirmed</th><th class="number">False positives</th><th class="number">False-positive rate</th></tr></thead>` +
+            `<tbody>${body}</tbody></table>` +
+            '<p class="dashboard-note">The rate is out of the alerts reviewed as confirmed or false positive.</p>';
+    }
+
+    /**
+     * Signed change between periods (more is shown as bad)
+     */
+    function renderChange(value, previousValue, formatter) {
+        const difference = value - previousValue;
+        if (Math.abs(difference) < 0.05) return '<span>no change</span>';
+
+        const text = `${difference > 0 ? '+' : '-'}${formatter(Math.abs(difference))}`;
+        return `<span class="${difference > 0 ? 'dashboard-up' : 'dashboard-down'}">${escapeHtml(text)}</span>`;
+    }
+
+    /**
+     * Percentage, or a dash when nothing was reviewed
+     */
+    function formatRate(rate) {
+        return rate === null ? '—' : `${(rate * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * Start of the day, or of the week (Monday), containing a time
+     */
+    function startOfInterval(time, interval) {
+        const start = new Date(time.getFullYear(), time.getMonth(), time.getDate());
+        if (interval === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        }
+        return start;
+    }
+
+    /**
+     * Axis label for a day or week
+     */
+    function formatBucket(start, interval) {
+        const date = start.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        return interval === 'week' ? `w/c ${date}` : date;
+    }
+
+    /**
+     * Local midnight of a yyyy-mm-dd date input value
+     */
+    function parseDateInput(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    /**
+     * yyyy-mm-dd value for a date input, in local time
+     */
+    function toDateInput(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Same local time a number of days earlier or later
+     */
+    function shiftDays(date, days) {
+        const shifted = new Date(date);
+        shifted.setDate(shifted.getDate() + days);
+        return shifted;
+    }
+
+    /**
+     * Readable period of whole days (the end is exclusive)
+     */
+    function describePeriod(from, to) {
+        const format = date => date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${format(from)} - ${format(new Date(to.getTime() - 1))}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        build
+    };
+})();
@@ -0,0 +1,195 @@
+/**
+ * Detector registry for Fuel Theft Monitor
+ * Theft detectors are plug-ins with a common interface:
+ *
+ *   {
+ *     id: 'threshold',                 // Unique key (stored in config)
+ *     name: 'Threshold rule',          // Shown in settings and on alert cards
+ *     description: '...',
+ *     detect(series, context) => [detection, ...]
+ *   }
+ *
+ * series  - Conditioned readings [{timestamp, level}] oldest first; the last one is
+ *           the reading being analyzed. Readings before the previous confirmed drop
+ *           are already excluded.
+ * context - {vehicle, tankCapacity, config}
+ *
+ * Each detection describes a drop: {score, explanation, dropPercent, previousLevel,
+ * currentLevel, volumeLost, durationMinutes, previousTimestamp}. A score of 1 means
+ * "just at the detector's limit"; higher is more certain.
+ */
+
+const DetectorRegistry = (function() {
+    const detectors = new Map();
+
+    /**
+     * Register a detector (replaces one with the same id)
+     * @param {Object} detector - Detector implementing the interface above
+     */
+    function register(detector) {
+        if (!detector || !detector.id || typeof detector.detect !== 'function') {
+            throw new Error('A detector needs an id and a detect(series, context) function');
+        }
+        detectors.set(detector.id, detector);
+    }
+
+    /**
+     * Get a detector by id
+     * @param {string} id - Detector id
+     * @returns {Object|undefined} Detector
+     */
+    function get(id) {
+        return detectors.get(id);
+    }
+
+    /**
+     * List registered detectors
+     * @returns {Array} Detectors in registration order
+     */
+    function list() {
+        return [...detectors.values()];
+    }
+
+    /**
+     * Convert a percentage of the tank to litres
+     * @param {number} percent - Percentage of tank
+     * @param {number|null} tankCapacity - Tank capacity in litres
+     * @returns {number|null} Volume in litres, or null if capacity unknown
+     */
+    function percentToLitres(percent, tankCapacity) {
+        if (!tankCapacity) return null;
+        return (percent / 100) * tankCapacity;
+    }
+
+    /**
+     * Readings within a time window before the latest reading (excluding it)
+     * @param {Array} series - Readings, latest last
+     * @param {number} windowMinutes - Window length
+     * @returns {Array} Readings in the window
+     */
+    function readingsInWindow(series, windowMinutes) {
+        const current = series[series.length - 1];
+        const windowStart = new Date(current.timestamp.getTime() - (windowMinutes * 60 * 1000));
+        return series.slice(0, -1).filter(r => r.timestamp >= windowStart);
+    }
+
+    /**
+     * Build a detection from the reading the drop is measured from
+     */
+    function buildDetection(fromReading, current, tankCapacity, score, explanation) {
+        const dropPercent = fromReading.level - current.level;
+        return {
+            score: score,
+            explanation: explanation,
+            dropPercent: dropPercent,
+            previousLevel: fromReading.level,
+            currentLevel: current.level,
+            volumeLost: percentToLitres(dropPercent, tankCapacity),
+            tankCapacity: tankCapacity,
+            durationMinutes: (current.timestamp - fromReading.timestamp) / (1000 * 60),
+            previousTimestamp: fromReading.timestamp
+        };
+    }
+
+    // Built-in: the original rule - the window maximum minus the current reading
+    register({
+        id: 'threshold',
+        name: 'Threshold rule',
+        description: 'Drop from the highest level in the time window exceeds the fuel drop threshold',
+        detect(series, context) {
+            const { config, tankCapacity } = context;
+            const recentReadings = readingsInWindow(series, config.timeWindowMinutes);
+            if (recentReadings.length === 0) return [];
+
+            const current = series[series.length - 1];
+
+            // Get the highest recent level (to detect drop from)
+            const maxReading = recentReadings.reduce((max, r) => r.level > max.level ? r : max, recentReadings[0]);
+            const dropPercent = maxReading.level - current.level;
+            const volumeLost = percentToLitres(dropPercent, tankCapacity);
+
+            // Volume thresholds need a known tank capacity
+            const useVolume = config.thresholdUnit === 'volume' && volumeLost !== null;
+            const score = useVolume ? volumeLost / config.volumeThreshold : dropPercent / config.dropThreshold;
+
+            if (score < 1) return [];
+
+            const limit = useVolume
+                ? `${FuelUnits.format(volumeLost, 'L')} lost (limit ${FuelUnits.format(config.volumeThreshold, 'L')})`
+                : `${dropPercent.toFixed(1)}% drop (limit ${config.dropThreshold}%)`;
+            const minutes = Math.round((current.timestamp - maxReading.timestamp) / (1000 * 60));
+
+            return [buildDetection(maxReading, current, tankCapacity, score,
+                `${limit} within ${minutes} min`)];
+        }
+    });
+
+    // Built-in: steep, sustained fall regardless of the total size
+    register({
+        id: 'rate',
+        name: 'Rate of change',
+        description: 'Level falls faster than the rate limit over a continuous decline',
+        detect(series, context) {
+            const { config, tankCapacity } = context;
+            if (series.length < 2) return [];
+
+            // Walk back over the continuous decline ending at the current reading
+            const current = series[series.length - 1];
+            let start = series.length - 1;
+            while (start > 0 && series[start - 1].level > series[start].level &&
+                   (current.timestamp - series[start - 1].timestamp) <= config.timeWindowMinutes * 60 * 1000) {
+                start--;
+            }
+
+            const fromReading = series[start];
+            const dropPercent = fromReading.level - current.level;
+            const minutes = (current.timestamp - fromReading.timestamp) / (1000 * 60);
+
+            if (dropPercent < config.rateMinDrop || minutes <= 0) return [];
+
+            const rate = dropPercent / minutes;
+            const score = rate / config.rateThreshold;
+            if (score < 1) return [];
+
+            return [buildDetection(fromReading, current, tankCapacity, score,
+                `${dropPercent.toFixed(1)}% fall at ${rate.toFixed(2)} %/min (limit ${config.rateThreshold} %/min)`)];
+        }
+    });
+
+    // Built-in: statistical outlier against the recent level distribution
+    register({
+        id: 'zscore',
+        name: 'Statistical (z-score)',
+        description: 'Level is far below the recent mean relative to normal sensor noise',
+        detect(series, context) {
+            const { config, tankCapacity } = context;
+
+            // Baseline: readings in the two windows before the current one
+            const baseline = readingsInWindow(series, config.timeWindowMinutes * 2);
+            if (baseline.length < 5) return [];
+
+            const current = series[series.length - 1];
+            const mean = baseline.reduce((sum, r) => sum + r.level, 0) / baseline.length;
+            const variance = baseline.reduce((sum, r) => sum + Math.pow(r.level - mean, 2), 0) / baseline.length;
+
+            // Floor the deviation so a perfectly flat sensor does not make every change significant
+            const stdDev = Math.max(Math.sqrt(variance), 0.5);
+            const z = (mean - current.level) / stdDev;
+
+            if (mean - current.level < config.statMinDrop || z < config.zScoreThreshold) return [];
+
+            const maxReading = baseline.reduce((max, r) => r.level > max.level ? r : max, baseline[0]);
+
+            return [buildDetection(maxReading, current, tankCapacity, z / config.zScoreThreshold,
+                `${current.level.toFixed(1)}% is ${z.toFixed(1)}σ below the recent mean ${mean.toFixed(1)}% ` +
+                `(σ ${stdDev.toFixed(1)}%, limit ${config.zScoreThreshold}σ)`)];
+        }
+    });
+
+    // Public API
+    return {
+        register,
+        get,
+        list
+    };
+})();
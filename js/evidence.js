@@ -0,0 +1,411 @@
+/**
+ * Evidence reports for Fuel Theft Monitor
+ * Builds a self-contained HTML report for a single alert (vehicle, fuel chart,
+ * ignition and trips, location, raw StatusData, detection parameters and the
+ * investigation history) that can be attached to a case or printed to PDF.
+ */
+
+const EvidencePack = (function() {
+    const HOUR_MS = 60 * 60 * 1000;
+    const MINUTE_MS = 60 * 1000;
+    const CONTEXT_BEFORE_HOURS = 3;  // Chart this much before the detection window...
+    const CONTEXT_AFTER_HOURS = 2;   // ...and this much after the alert
+    const CHART_WIDTH = 900;
+    const TYPE_LABELS = { shortfill: 'Short fill', overconsumption: 'Excess consumption' };
+
+    const REPORT_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 24px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        h2 { font-size: 16px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #1976d2; }
+        .subtitle { color: #666; margin-bottom: 16px; }
+        .toolbar { margin-bottom: 16px; }
+        .toolbar button { padding: 8px 16px; border: none; border-radius: 4px; background: #1976d2; color: white; cursor: pointer; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e0e0e0; vertical-align: top; }
+        th { background: #f5f5f5; }
+        table.facts th { width: 220px; background: none; font-weight: 600; }
+        tr.in-window td { background: #fff3e0; }
+        .note { color: #666; font-size: 12px; margin: 6px 0; }
+        .empty { color: #999; font-style: italic; }
+        @media print { .toolbar { display: none; } h2 { break-after: avoid; } table, svg { break-inside: avoid; } }
+    `;
+
+    /**
+     * Build the evidence report for an alert and download it
+     * @param {Object} alertData - Theft-type alert
+     */
+    async function exportAlert(alertData) {
+        try {
+            const html = await buildReport(alertData);
+
+            const blob = new Blob([html], { type: 'text/html' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `fuel-evidence-${slug(alertData.vehicleName)}-${new Date(alertData.timestamp).toISOString().split('T')[0]}.html`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            console.error('Failed to export evidence:', e);
+            alert('Could not build the evidence report. See the console for details.');
+        }
+    }
+
+    /**
+     * Build the report HTML for an alert
+     * @param {Object} alert - Theft-type alert
+     * @returns {Promise<string>} Complete HTML document
+     */
+    async function buildReport(alert) {
+        const timestamp = new Date(alert.timestamp);
+        const detectionWindow = alert.duration > 0
+            ? { start: new Date(timestamp.getTime() - alert.duration * MINUTE_MS), end: timestamp }
+            : null;
+        const windowStart = detectionWindow ? detectionWindow.start : timestamp;
+
+        const from = new Date(windowStart.getTime() - CONTEXT_BEFORE_HOURS * HOUR_MS);
+        const to = new Date(Math.min(Date.now(), timestamp.getTime() + CONTEXT_AFTER_HOURS * HOUR_MS));
+
+        const vehicle = FuelMonitor.getVehicles().find(v => v.id === alert.vehicleId) || null;
+        const parameters = getParameters(alert, vehicle);
+
+        const timeline = await FuelMonitor.getVehicleTimeline(alert.vehicleId, from, to);
+        const events = AlertManager.getAlerts().filter(a => {
+            const time = new Date(a.timestamp);
+            return a.vehicleId === alert.vehicleId && time >= from && time <= to;
+        });
+
+        const hasPosition = typeof alert.latitude === 'number' && typeof alert.longitude === 'number';
+        const snapshot = hasPosition ? await AlertMap.getSnapshot(alert.latitude, alert.longitude) : null;
+
+        // Samples shown raw: the detection window plus the lookback before it and the recovery time after
+        const sampleFrom = new Date(windowStart.getTime() - (parameters.timeWindowMinutes || 0) * MINUTE_MS);
+        const sampleTo = new Date(timestamp.getTime() + (parameters.recoveryMinutes || 0) * MINUTE_MS);
+        const samples = timeline.readings.filter(r => r.timestamp >= sampleFrom && r.timestamp <= sampleTo);
+
+        const title = `Fuel evidence report: ${alert.vehicleName}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<div class="toolbar"><button type="button" onclick="window.print()">Print / Save as PDF</button></div>
+<h1>${escapeHtml(title)}</h1>
+<div class="subtitle">Alert #${alert.id} &middot; ${escapeHtml(formatDateTime(timestamp))} &middot; generated ${escapeHtml(formatDateTime(new Date()))}</div>
+
+<h2>Vehicle</h2>
+${renderVehicle(alert, vehicle)}
+
+<h2>Alert</h2>
+${renderSummary(alert)}
+
+<h2>Fuel Level</h2>
+${FuelChart.renderSvg(timeline, events, { from: from, to: to, window: detectionWindow, focusAlertId: alert.id, width: CHART_WIDTH })}
+<p class="note">${escapeHtml(formatDateTime(from))} - ${escapeHtml(formatDateTime(to))}. Shaded red: detection window; shaded yellow: ignition on; blue bars: trips.</p>
+
+<h2>Ignition &amp; Trips</h2>
+${renderPeriods('Ignition on', timeline.ignition)}
+${renderPeriods('Trip', timeline.trips)}
+
+<h2>Location</h2>
+${renderLocation(alert, hasPosition, snapshot)}
+
+<h2>Fuel Level Samples</h2>
+${renderSamples(samples, detectionWindow, timeline.source, sampleFrom, sampleTo)}
+
+<h2>Detection Parameters</h2>
+${renderParameters(parameters)}
+${renderDetectors(alert)}
+
+<h2>Investigation History</h2>
+${renderHistory(alert)}
+</body>
+</html>`;
+    }
+
+    /**
+     * Parameters in effect when the alert was raised; alerts from before they
+     * were recorded fall back to the current settings
+     */
+    function getParameters(alert, vehicle) {
+        if (alert.parameters) {
+            return { ...alert.parameters, recordedAt: 'detection' };
+        }
+
+        const current = FuelMonitor.getDetectionParameters(vehicle || { id: alert.vehicleId, groups: [] });
+        return { ...current, recordedAt: 'export' };
+    }
+
+    /**
+     * Vehicle details
+     */
+    function renderVehicle(alert, vehicle) {
+        const groupNames = new Map(FuelMonitor.getGroups().map(g => [g.id, g.name]));
+        const groups = vehicle ? (vehicle.groups || []).map(id => groupNames.get(id) || id).join(', ') : '';
+
+        return renderFacts([
+            ['Name', alert.vehicleName],
+            ['Device ID', alert.vehicleId],
+            ['Serial number', vehicle && vehicle.serialNumber],
+            ['License plate', vehicle && vehicle.licensePlate],
+            ['Groups', groups],
+            ['Driver', alert.driverName || 'Unknown'],
+            ['Tank capacity', formatVolume(alert.tankCapacity || (vehicle && vehicle.tankCapacity))]
+        ]);
+    }
+
+    /**
+     * What was detected
+     */
+    function renderSummary(alert) {
+        const type = alert.type || 'theft';
+        const facts = [
+            ['Type', TYPE_LABELS[type] || 'Fuel drop'],
+            ['Severity', alert.severity],
+            ['Time', formatDateTime(new Date(alert.timestamp))]
+        ];
+
+        // A purchase that never reached the tank has no levels to show
+        if (typeof alert.previousLevel === 'number') {
+            facts.push(['Level', `${alert.previousLevel.toFixed(1)}% to ${alert.currentLevel.toFixed(1)}%`]);
+        }
+
+        if (type === 'shortfill') {
+            facts.push(
+                ['Purchased', formatVolume(alert.purchasedVolume)],
+                ['Tank increase', formatVolume(alert.volumeAdded)],
+                ['Missing', formatVolume(alert.volumeLost)],
+                ['Station', alert.station]
+            );
+        } else if (type === 'overconsumption') {
+            const usage = alert.consumption || {};
+            facts.push(
+                ['Excess', `${formatVolume(alert.volumeLost)} (${alert.fuelDrop.toFixed(1)}% of tank)`],
+                ['Fuel used', formatVolume(usage.fuelUsed)],
+                ['Expected', formatVolume(usage.expectedFuel)],
+                ['Period', usage.periodStart ? `${formatDateTime(new Date(usage.periodStart))} to ${formatDateTime(new Date(alert.timestamp))}` : ''],
+                ['Distance', typeof usage.distanceKm === 'number' ? `${usage.distanceKm.toFixed(1)} km` : ''],
+                ['Engine hours', typeof usage.engineHours === 'number' ? usage.engineHours.toFixed(1) : ''],
+                ['Baseline trips', usage.baselineTrips],
+                ['Risk schedules', (alert.riskSchedules || []).join(', ')]
+            );
+        } else {
+            facts.push(
+                ['Fuel drop', `${alert.fuelDrop.toFixed(1)}%${alert.volumeLost ? ` (${formatVolume(alert.volumeLost)})` : ''}`],
+                ['Duration', `${alert.duration} min`],
+                ['Vehicle state', alert.stateUnknown ? 'Unknown - no ignition, trip or GPS data to confirm it was parked' : 'Parked'],
+                ['Risk schedules', (alert.riskSchedules || []).join(', ')]
+            );
+        }
+
+        facts.push(
+            ['Status', alert.status ? AlertManager.getStatusLabel(alert.status) : ''],
+            ['Assignee', alert.assignee],
+            ['Historical analysis', alert.isHistorical ? 'Yes' : 'No']
+        );
+
+        return renderFacts(facts);
+    }
+
+    /**
+     * Ignition or trip periods as a table
+     */
+    function renderPeriods(label, periods) {
+        if (periods.length === 0) {
+            return `<p class="empty">No ${label.toLowerCase()} periods in the charted range.</p>`;
+        }
+
+        const rows = periods.map(p => `
+            <tr>
+                <td>${escapeHtml(label)}</td>
+                <td>${escapeHtml(formatDateTime(p.start))}</td>
+                <td>${escapeHtml(formatDateTime(p.end))}</td>
+                <td>${Math.round((p.end - p.start) / MINUTE_MS)} min</td>
+            </tr>`).join('');
+
+        return `<table><thead><tr><th></th><th>Start</th><th>End</th><th>Length</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Address, zone and map snapshot
+     */
+    function renderLocation(alert, hasPosition, snapshot) {
+        const zoneKind = Zones.getKind(alert);
+        const facts = renderFacts([
+            ['Address', alert.location && alert.location !== 'Unknown' ? alert.location : ''],
+            ['Coordinates', hasPosition ? `${alert.latitude.toFixed(6)}, ${alert.longitude.toFixed(6)}` : ''],
+            ['Zone', alert.zoneName ? `${alert.zoneName} (${zoneKind})` : '']
+        ]);
+
+        if (!hasPosition) {
+            return `${facts}<p class="empty">No GPS position was recorded for this alert.</p>`;
+        }
+
+        const link = `https://www.openstreetmap.org/?mlat=${alert.latitude}&mlon=${alert.longitude}#map=17/${alert.latitude}/${alert.longitude}`;
+        const map = snapshot || '<p class="empty">The map could not be loaded when the report was built.</p>';
+
+        return `${facts}${map}<p class="note"><a href="${link}">Open in OpenStreetMap</a></p>`;
+    }
+
+    /**
+     * Raw fuel level StatusData around the drop
+     */
+    function renderSamples(samples, detectionWindow, source, from, to) {
+        const range = `${formatDateTime(from)} - ${formatDateTime(to)}`;
+        if (samples.length === 0) {
+            return `<p class="empty">No fuel level samples between ${escapeHtml(range)}.</p>`;
+        }
+
+        const sourceNote = {
+            geotab: 'StatusData from Geotab (fuel level diagnostic).',
+            stored: 'Readings stored locally by the monitor; the Geotab StatusData was not available.',
+            live: 'Readings held in memory by the monitor; the Geotab StatusData was not available.'
+        }[source] || '';
+
+        const rows = samples.map(r => {
+            const inWindow = detectionWindow && r.timestamp >= detectionWindow.start && r.timestamp <= detectionWindow.end;
+            return `
+            <tr class="${inWindow ? 'in-window' : ''}">
+                <td>${escapeHtml(r.id || '')}</td>
+                <td>${escapeHtml(r.timestamp.toISOString())}</td>
+                <td>${typeof r.data === 'number' ? r.data : ''}</td>
+                <td>${r.level.toFixed(2)}%</td>
+            </tr>`;
+        }).join('');
+
+        return `<p class="note">${escapeHtml(range)}. ${escapeHtml(sourceNote)} Highlighted rows fall in the detection window.</p>
+<table><thead><tr><th>StatusData ID</th><th>Date/time (UTC)</th><th>Data</th><th>Level</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Settings the detection ran with
+     */
+    function renderParameters(p) {
+        const threshold = p.thresholdUnit === 'volume'
+            ? formatVolume(p.volumeThreshold)
+            : `${p.dropThreshold}%`;
+        const detectorNames = (p.detectors || []).map(id => {
+            const detector = DetectorRegistry.get(id);
+            return detector ? detector.name : id;
+        }).join(', ');
+
+        const note = p.recordedAt === 'detection'
+            ? 'Recorded when the alert was raised.'
+            : 'This alert predates parameter recording; these are the settings at export time.';
+
+        return `<p class="note">${escapeHtml(note)}</p>` + renderFacts([
+            ['Threshold profile', p.profileName || 'Default'],
+            ['Drop threshold', threshold],
+            ['Time window', `${p.timeWindowMinutes} min`],
+            ['Tank capacity', formatVolume(p.tankCapacity)],
+            ['Detectors', detectorNames],
+            ['Smoothing', p.smoothingMethod && p.smoothingMethod !== 'none'
+                ? `${p.smoothingMethod} (${p.smoothingWindow} samples)` : 'None'],
+            ['Outlier threshold', isSet(p.outlierThreshold) ? `${p.outlierThreshold}%` : ''],
+            ['Confirmation samples', p.confirmSamples],
+            ['Recovery time', isSet(p.recoveryMinutes) ? `${p.recoveryMinutes} min` : '']
+        ]);
+    }
+
+    /**
+     * Detectors that fired, with their explanations
+     */
+    function renderDetectors(alert) {
+        if (!alert.detectors || alert.detectors.length === 0) return '';
+
+        const rows = alert.detectors.map(d => `
+            <tr>
+                <td>${escapeHtml(d.name)}</td>
+                <td>${d.score.toFixed(2)}</td>
+                <td>${escapeHtml(d.explanation)}</td>
+            </tr>`).join('');
+
+        return `<table><thead><tr><th>Detector</th><th>Score</th><th>Explanation</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Workflow history and current notes
+     */
+    function renderHistory(alert) {
+        const history = alert.history || [];
+        const notes = alert.notes
+            ? `<p><strong>Current notes:</strong></p><p>${escapeHtml(alert.notes).replace(/\n/g, '<br>')}</p>`
+            : '';
+
+        if (history.length === 0) {
+            return `<p class="empty">No workflow changes recorded.</p>${notes}`;
+        }
+
+        const rows = history.map(h => `
+            <tr>
+                <td>${escapeHtml(formatDateTime(new Date(h.timestamp)))}</td>
+                <td>${escapeHtml(h.user)}</td>
+                <td>${escapeHtml(AlertManager.describeChange(h))}${h.field === 'notes' && h.to ? `: ${escapeHtml(h.to)}` : ''}</td>
+            </tr>`).join('');
+
+        return `<table><thead><tr><th>Time</th><th>User</th><th>Change</th></tr></thead><tbody>${rows}</tbody></table>${notes}`;
+    }
+
+    /**
+     * Two-column table of label/value pairs (empty values are shown as a dash)
+     */
+    function renderFacts(facts) {
+        const rows = facts.map(([label, value]) => {
+            const text = value === null || value === undefined || value === '' ? '-' : String(value);
+            return `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(text)}</td></tr>`;
+        }).join('');
+
+        return `<table class="facts"><tbody>${rows}</tbody></table>`;
+    }
+
+    /**
+     * Volume in the user's unit, or empty if unknown
+     */
+    function formatVolume(litres) {
+        if (litres === null || litres === undefined) return '';
+        return FuelUnits.format(litres, AlertManager.getSettings().volumeUnit);
+    }
+
+    /**
+     * Date and time with seconds, in local time
+     */
+    function formatDateTime(date) {
+        return date.toLocaleString([], {
+            year: 'numeric', month: 'short', day: 'numeric',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+    }
+
+    /**
+     * File name safe version of a vehicle name
+     */
+    function slug(text) {
+        return String(text || 'vehicle').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vehicle';
+    }
+
+    /**
+     * Whether a numeric setting is set
+     */
+    function isSet(value) {
+        return typeof value === 'number' && !isNaN(value);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        exportAlert,
+        buildReport
+    };
+})();
@@ -0,0 +1,523 @@
+/**
+ * Fuel card reconciliation module for Fuel Theft Monitor
+ * Imports fuel card transactions (CSV files or Geotab FuelTransaction records)
+ * and matches them against detected refuels to find short fills
+ */
+
+const FuelCards = (function() {
+    // Geotab API instance
+    let api = null;
+
+    // Imported transactions, keyed by transaction key
+    let transactions = [];
+
+    const STORAGE_KEY = 'fuelMonitorTransactions';
+    const MAX_STORED_TRANSACTIONS = 2000;
+
+    // Accepted CSV header names for each field (compared lower-case, without spaces/underscores)
+    const COLUMN_ALIASES = {
+        cardNumber: ['card', 'cardnumber', 'cardno', 'fuelcard'],
+        vehicle: ['plate', 'licenceplate', 'licenseplate', 'registration', 'reg', 'vehicle', 'vehiclename', 'unit'],
+        timestamp: ['timestamp', 'datetime', 'date', 'transactiondate', 'time'],
+        litres: ['litres', 'liters', 'volume', 'quantity', 'qty', 'volumelitres'],
+        station: ['station', 'site', 'sitename', 'merchant', 'location']
+    };
+
+    /**
+     * Initialize the fuel card module
+     * @param {Object} geotabApi - Authenticated Geotab API instance
+     */
+    function init(geotabApi) {
+        api = geotabApi;
+        loadTransactions();
+    }
+
+    /**
+     * Import transactions from a fuel card CSV file
+     * Expected columns: card, plate/vehicle, timestamp, litres, station
+     * @param {string} csvText - File contents
+     * @returns {Object} Import result ({imported, skipped, errors})
+     */
+    function importCSV(csvText) {
+        const rows = parseCSV(csvText);
+        if (rows.length < 2) {
+            throw new Error('The file has no transaction rows');
+        }
+
+        const columns = mapColumns(rows[0]);
+        const missing = ['vehicle', 'timestamp', 'litres'].filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`Missing required column(s): ${missing.join(', ')}`);
+        }
+
+        const parsed = [];
+        const errors = [];
+
+        rows.slice(1).forEach((row, index) => {
+            // Ignore blank lines
+            if (row.every(cell => cell.trim() === '')) return;
+
+            const value = field => columns[field] !== undefined ? (row[columns[field]] || '').trim() : '';
+            const timestamp = parseTimestamp(value('timestamp'));
+            const litres = parseFloat(value('litres').replace(',', '.'));
+
+            if (!timestamp || isNaN(litres) || litres <= 0) {
+                errors.push(`Row ${index + 2}: invalid timestamp or litres`);
+                return;
+            }
+
+            const vehicle = resolveVehicle(value('vehicle'));
+            if (!vehicle) {
+                errors.push(`Row ${index + 2}: unknown vehicle "${value('vehicle')}"`);
+                return;
+            }
+
+            parsed.push({
+                source: 'csv',
+                cardNumber: value('cardNumber'),
+                vehicleId: vehicle.id,
+                vehicleName: vehicle.name,
+                timestamp: timestamp,
+                litres: litres,
+                station: value('station')
+            });
+        });
+
+        const imported = addTransactions(parsed);
+
+        return { imported: imported, skipped: parsed.length - imported, errors: errors };
+    }
+
+    /**
+     * Fetch FuelTransaction records from Geotab for a date range
+     * @param {Date} fromDate - Start date
+     * @param {Date} toDate - End date
+     * @returns {Object} Import result ({imported, skipped, errors})
+     */
+    async function fetchGeotabTransactions(fromDate, toDate) {
+        const records = await api.call('Get', {
+            typeName: 'FuelTransaction',
+            search: {
+                fromDate: fromDate.toISOString(),
+                toDate: toDate.toISOString()
+            }
+        });
+
+        const parsed = [];
+        const errors = [];
+
+        (records || []).forEach(record => {
+            const vehicle = (record.device && record.device.id && findVehicleById(record.device.id))
+                || resolveVehicle(record.licencePlate)
+                || resolveVehicle(record.serialNumber);
+
+            if (!vehicle || !(record.volume > 0)) {
+                errors.push(`Transaction ${record.id || record.externalReference}: no matching vehicle or volume`);
+                return;
+            }
+
+            parsed.push({
+                source: 'geotab',
+                cardNumber: record.cardNumber || '',
+                vehicleId: vehicle.id,
+                vehicleName: vehicle.name,
+                timestamp: new Date(record.dateTime),
+                litres: record.volume,
+                station: record.siteName || ''
+            });
+        });
+
+        const imported = addTransactions(parsed);
+
+        return { imported: imported, skipped: parsed.length - imported, errors: errors };
+    }
+
+    /**
+     * Add parsed transactions, ignoring ones already imported
+     * @param {Array} parsed - Parsed transactions
+     * @returns {number} Number of new transactions
+     */
+    function addTransactions(parsed) {
+        const known = new Set(transactions.map(t => t.key));
+        let added = 0;
+
+        parsed.forEach(t => {
+            const key = getTransactionKey(t);
+            if (known.has(key)) return;
+
+            known.add(key);
+            transactions.push({ ...t, key: key, timestamp: t.timestamp.toISOString() });
+            added++;
+        });
+
+        transactions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        saveTransactions();
+
+        return added;
+    }
+
+    /**
+     * Stable key for a transaction (same purchase imported twice yields the same key)
+     */
+    function getTransactionKey(t) {
+        return [t.vehicleId, t.cardNumber, t.timestamp.toISOString(), t.litres.toFixed(2)].join('|');
+    }
+
+    /**
+     * Reconcile all stored transactions against the detected refuels
+     * Each transaction is assigned to the nearest refuel for its vehicle within the
+     * match window; purchases assigned to the same fill are summed before comparing.
+     * A purchase with no fill at all is pending while readings around it are still
+     * missing, and a short fill of its whole volume once they have been analyzed.
+     * Short fills are raised as alerts (once per transaction).
+     * @returns {Object} Summary ({matched, shortFills, pending, unverifiable, results})
+     */
+    function reconcile() {
+        const config = FuelMonitor.getConfig();
+        const windowMs = config.cardMatchWindowMinutes * 60 * 1000;
+        const alerts = AlertManager.getAlerts();
+        const refuels = alerts.filter(a => a.type === 'refuel');
+
+        // Transactions already raised as short fills
+        const raised = new Set(alerts.filter(a => a.type === 'shortfill').map(a => a.transactionKey));
+
+        // Assign each transaction to its nearest refuel
+        const byRefuel = new Map();
+        const results = [];
+
+        transactions.forEach(t => {
+            const time = new Date(t.timestamp).getTime();
+            let nearest = null;
+            let nearestGap = Infinity;
+
+            refuels.forEach(r => {
+                if (r.vehicleId !== t.vehicleId) return;
+                const gap = Math.abs(new Date(r.timestamp).getTime() - time);
+                if (gap <= windowMs && gap < nearestGap) {
+                    nearest = r;
+                    nearestGap = gap;
+                }
+            });
+
+            if (!nearest) {
+                if (!isAnalyzed(time, windowMs)) {
+                    // No fill seen yet - may be resolved by later monitoring or historical analysis
+                    results.push({ transaction: t, status: 'pending' });
+                    return;
+                }
+
+                // The tank readings around the purchase were analyzed and it never rose
+                results.push({ transaction: t, status: 'short', refuel: null, shortfall: t.litres });
+                if (!raised.has(t.key)) {
+                    raiseUnfilled(t);
+                }
+                return;
+            }
+
+            if (!byRefuel.has(nearest.id)) {
+                byRefuel.set(nearest.id, { refuel: nearest, transactions: [] });
+            }
+            byRefuel.get(nearest.id).transactions.push(t);
+        });
+
+        // Compare purchased volume with the tank increase for each fill
+        byRefuel.forEach(({ refuel, transactions: purchases }) => {
+            const purchased = purchases.reduce((sum, t) => sum + t.litres, 0);
+
+            if (refuel.volumeAdded === null) {
+                // Tank capacity unknown, so the increase cannot be expressed in litres
+                purchases.forEach(t => results.push({ transaction: t, status: 'unverifiable', refuel: refuel }));
+                return;
+            }
+
+            const shortfall = purchased - refuel.volumeAdded;
+            const tolerance = Math.max(config.shortFillToleranceLitres,
+                purchased * (config.shortFillTolerancePercent / 100));
+
+            if (shortfall <= tolerance) {
+                purchases.forEach(t => results.push({ transaction: t, status: 'matched', refuel: refuel }));
+                return;
+            }
+
+            // Attribute the shortfall to each purchase in proportion to its volume
+            purchases.forEach(t => {
+                const transactionShortfall = shortfall * (t.litres / purchased);
+                results.push({ transaction: t, status: 'short', refuel: refuel, shortfall: transactionShortfall });
+
+                if (raised.has(t.key)) return;
+
+                AlertManager.addAlert({
+                    type: 'shortfill',
+                    vehicleId: t.vehicleId,
+                    vehicleName: t.vehicleName,
+                    severity: determineShortFillSeverity(shortfall, purchased),
+                    fuelAdded: refuel.fuelAdded,
+                    previousLevel: refuel.previousLevel,
+                    currentLevel: refuel.currentLevel,
+                    volumeAdded: refuel.volumeAdded * (t.litres / purchased),
+                    volumeLost: transactionShortfall,
+                    purchasedVolume: t.litres,
+                    tankCapacity: refuel.tankCapacity,
+                    duration: refuel.duration,
+                    station: t.station,
+                    cardNumber: t.cardNumber,
+                    transactionKey: t.key,
+                    refuelAlertId: refuel.id,
+                    location: refuel.location,
+                    latitude: refuel.latitude,
+                    longitude: refuel.longitude,
+                    zoneName: refuel.zoneName,
+                    zoneEffect: refuel.zoneEffect,
+                    driverId: refuel.driverId,
+                    driverName: refuel.driverName,
+                    timestamp: new Date(t.timestamp),
+                    isHistorical: refuel.isHistorical
+                });
+            });
+        });
+
+        return {
+            matched: results.filter(r => r.status === 'matched').length,
+            shortFills: results.filter(r => r.status === 'short').length,
+            pending: results.filter(r => r.status === 'pending').length,
+            unverifiable: results.filter(r => r.status === 'unverifiable').length,
+            results: results
+        };
+    }
+
+    /**
+     * Whether the readings around a purchase have all been analyzed, so a missing
+     * fill means the tank did not rise rather than that data has not arrived
+     * @param {number} time - Purchase time (ms)
+     * @param {number} windowMs - Match window
+     */
+    function isAnalyzed(time, windowMs) {
+        const windowEnd = time + windowMs;
+        if (windowEnd > FuelMonitor.now().getTime()) return false;
+
+        return FuelMonitor.getUncoveredPeriods(new Date(time - windowMs), new Date(windowEnd)).length === 0;
+    }
+
+    /**
+     * Raise a purchase that never reached the tank as a short fill
+     * @param {Object} t - Transaction
+     */
+    function raiseUnfilled(t) {
+        AlertManager.addAlert({
+            type: 'shortfill',
+            vehicleId: t.vehicleId,
+            vehicleName: t.vehicleName,
+            severity: determineShortFillSeverity(t.litres, t.litres),
+            fuelAdded: 0,
+            previousLevel: null,
+            currentLevel: null,
+            volumeAdded: 0,
+            volumeLost: t.litres,
+            purchasedVolume: t.litres,
+            tankCapacity: FuelMonitor.getTankCapacity(t.vehicleId),
+            duration: 0,
+            station: t.station,
+            cardNumber: t.cardNumber,
+            transactionKey: t.key,
+            refuelAlertId: null,
+            timestamp: new Date(t.timestamp)
+        });
+    }
+
+    /**
+     * Determine short fill severity from the share of the purchase that is missing
+     * @param {number} shortfall - Missing litres
+     * @param {number} purchased - Purchased litres
+     * @returns {string} Severity level
+     */
+    function determineShortFillSeverity(shortfall, purchased) {
+        const missingPercent = (shortfall / purchased) * 100;
+
+        // CRITICAL: half or more of the purchase never reached the tank
+        if (missingPercent >= 50) {
+            return 'critical';
+        }
+
+        // HIGH: a quarter or more missing
+        if (missingPercent >= 25) {
+            return 'high';
+        }
+
+        return 'medium';
+    }
+
+    /**
+     * Find a vehicle by its device ID
+     */
+    function findVehicleById(id) {
+        return FuelMonitor.getVehicles().find(v => v.id === id) || null;
+    }
+
+    /**
+     * Resolve a vehicle from a plate, name, serial number or device ID
+     * @param {string} text - Identifier from the transaction
+     * @returns {Object|null} Vehicle or null if not found
+     */
+    function resolveVehicle(text) {
+        if (!text) return null;
+
+        const normalized = normalizeIdentifier(text);
+        return FuelMonitor.getVehicles().find(v =>
+            [v.licensePlate, v.name, v.serialNumber, v.id].some(id => id && normalizeIdentifier(id) === normalized)
+        ) || null;
+    }
+
+    /**
+     * Normalize identifiers for comparison ("AB 12-CD" matches "ab12cd")
+     */
+    function normalizeIdentifier(text) {
+        return String(text).toLowerCase().replace(/[\s\-_]/g, '');
+    }
+
+    /**
+     * Map CSV header cells to field names
+     * @param {Array} headerRow - Header cells
+     * @returns {Object} field -> column index
+     */
+    function mapColumns(headerRow) {
+        const columns = {};
+
+        headerRow.forEach((cell, index) => {
+            const name = cell.toLowerCase().replace(/[\s_()]/g, '');
+            Object.keys(COLUMN_ALIASES).forEach(field => {
+                if (columns[field] === undefined && COLUMN_ALIASES[field].includes(name)) {
+                    columns[field] = index;
+                }
+            });
+        });
+
+        return columns;
+    }
+
+    /**
+     * Parse a transaction timestamp
+     * Accepts ISO 8601 and day-first dates (dd/mm/yyyy hh:mm[:ss])
+     * @param {string} text - Timestamp text
+     * @returns {Date|null} Parsed date or null
+     */
+    function parseTimestamp(text) {
+        if (!text) return null;
+
+        const dayFirst = text.match(/^(\d{1,2})[\/.](\d{1,2})[\/.](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+        if (dayFirst) {
+            const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = dayFirst;
+            const date = new Date(year, month - 1, day, hours, minutes, seconds);
+            return isNaN(date) ? null : date;
+        }
+
+        const date = new Date(text);
+        return isNaN(date) ? null : date;
+    }
+
+    /**
+     * Parse CSV text into rows of cells (handles quoted fields, "" escapes,
+     * and comma or semicolon delimiters)
+     * @param {string} text - CSV contents
+     * @returns {Array<Array<string>>} Rows
+     */
+    function parseCSV(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0] || '';
+        const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get all imported transactions (for external access)
+     */
+    function getTransactions() {
+        return [...transactions];
+    }
+
+    /**
+     * Remove all imported transactions
+     */
+    function clearTransactions() {
+        transactions = [];
+        saveTransactions();
+    }
+
+    /**
+     * Save transactions to localStorage
+     */
+    function saveTransactions() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            // Keep only the most recent transactions
+            const toSave = transactions.slice(-MAX_STORED_TRANSACTIONS);
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
+        } catch (e) {
+            console.error('Failed to save fuel card transactions:', e);
+        }
+    }
+
+    /**
+     * Load transactions from localStorage
+     */
+    function loadTransactions() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            const saved = localStorage.getItem(STORAGE_KEY);
+            if (saved) {
+                transactions = JSON.parse(saved);
+            }
+        } catch (e) {
+            console.error('Failed to load fuel card transactions:', e);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        importCSV,
+        fetchGeotabTransactions,
+        reconcile,
+        getTransactions,
+        clearTransactions
+    };
+})();
@@ -0,0 +1,354 @@
+/**
+ * Fuel level chart for Fuel Theft Monitor
+ * Shows what a vehicle's tank did over time: the fuel level line, periods with
+ * the ignition on, trips, the detection window of the alert being looked at,
+ * and the drops, short fills, excess consumption and refuels found in the period.
+ * Drawn as plain SVG inside the fuel chart modal.
+ */
+
+const FuelChart = (function() {
+    const DEFAULT_WIDTH = 750;
+    const HEIGHT = 320;
+    const MARGIN = { top: 20, right: 16, bottom: 56, left: 44 };
+    const TRIP_LANE_HEIGHT = 10;
+    const HOUR_MS = 60 * 60 * 1000;
+    const TICK_STEPS_HOURS = [1, 2, 3, 6, 12, 24, 48];
+    const MAX_TICKS = 8;
+
+    // Chart colours travel with the SVG (the modal and exported reports share them)
+    const SVG_STYLE = `
+        .chart-ignition { fill: #fff3c4; }
+        .chart-window { fill: rgba(211, 47, 47, 0.15); }
+        .chart-grid { stroke: #e1e5eb; stroke-width: 1; }
+        .chart-axis-label { font-size: 11px; fill: #666; }
+        .chart-empty { font-size: 14px; fill: #666; }
+        .chart-trip { fill: #1565c0; }
+        .chart-level { fill: none; stroke: #1a1a2e; stroke-width: 2; }
+        .chart-reading { fill: #1a1a2e; }
+        .chart-event line { stroke-width: 1.5; stroke-dasharray: 4 3; }
+        .chart-event.focus line { stroke-width: 3; stroke-dasharray: none; }
+        .chart-event.theft line { stroke: #d32f2f; }
+        .chart-event.theft polygon { fill: #d32f2f; }
+        .chart-event.shortfill line { stroke: #f57c00; }
+        .chart-event.shortfill polygon { fill: #f57c00; }
+        .chart-event.overconsumption line { stroke: #8e24aa; }
+        .chart-event.overconsumption polygon { fill: #8e24aa; }
+        .chart-event.refuel line { stroke: #43a047; }
+        .chart-event.refuel polygon { fill: #43a047; }
+    `;
+
+    // DOM elements
+    let modal = null;
+    let titleEl = null;
+    let rangeSelect = null;
+    let statusEl = null;
+    let chartEl = null;
+
+    // What is shown: {vehicleId, vehicleName, from, to, focusAlertId, window}
+    let view = null;
+    let requestId = 0;
+
+    /**
+     * Set up the fuel chart modal
+     */
+    function init() {
+        modal = document.getElementById('fuel-chart-modal');
+        if (!modal) return;
+
+        titleEl = document.getElementById('fuel-chart-title');
+        rangeSelect = document.getElementById('fuel-chart-range');
+        statusEl = document.getElementById('fuel-chart-status');
+        chartEl = document.getElementById('fuel-chart');
+
+        document.getElementById('close-fuel-chart').addEventListener('click', close);
+        modal.addEventListener('click', function(e) {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                close();
+            }
+        });
+
+        // Changing the range keeps the end of the period where it is
+        rangeSelect.addEventListener('change', () => {
+            if (!view) return;
+            view.from = new Date(view.to.getTime() - getRangeHours() * HOUR_MS);
+            load();
+        });
+        document.getElementById('fuel-chart-earlier').addEventListener('click', () => shift(-1));
+        document.getElementById('fuel-chart-later').addEventListener('click', () => shift(1));
+    }
+
+    /**
+     * Chart the period around an alert, with its detection window highlighted
+     * @param {Object} alert - Alert
+     */
+    function openForAlert(alert) {
+        const timestamp = new Date(alert.timestamp);
+        const hours = 6;
+        const to = new Date(Math.min(Date.now(), timestamp.getTime() + hours / 4 * HOUR_MS));
+
+        view = {
+            vehicleId: alert.vehicleId,
+            vehicleName: alert.vehicleName,
+            from: new Date(to.getTime() - hours * HOUR_MS),
+            to: to,
+            focusAlertId: alert.id,
+            window: alert.duration > 0
+                ? { start: new Date(timestamp.getTime() - alert.duration * 60 * 1000), end: timestamp }
+                : null
+        };
+        open(hours);
+    }
+
+    /**
+     * Chart the last day of a vehicle
+     * @param {string} vehicleId - Vehicle device ID
+     * @param {string} vehicleName - Vehicle name
+     */
+    function openForVehicle(vehicleId, vehicleName) {
+        const hours = 24;
+        const to = new Date();
+
+        view = {
+            vehicleId: vehicleId,
+            vehicleName: vehicleName,
+            from: new Date(to.getTime() - hours * HOUR_MS),
+            to: to,
+            focusAlertId: null,
+            window: null
+        };
+        open(hours);
+    }
+
+    /**
+     * Show the modal and load the current view
+     */
+    function open(hours) {
+        if (!modal) return;
+
+        rangeSelect.value = String(hours);
+        titleEl.textContent = `Fuel Level - ${view.vehicleName}`;
+        modal.classList.add('active');
+        load();
+    }
+
+    /**
+     * Close the modal
+     */
+    function close() {
+        modal.classList.remove('active');
+        requestId++;
+    }
+
+    /**
+     * Move the period earlier (-1) or later (1) by half its length, not past now
+     */
+    function shift(direction) {
+        if (!view) return;
+
+        const step = Math.min((view.to - view.from) / 2 * direction, Date.now() - view.to.getTime());
+        view.from = new Date(view.from.getTime() + step);
+        view.to = new Date(view.to.getTime() + step);
+        load();
+    }
+
+    /**
+     * Selected range in hours
+     */
+    function getRangeHours() {
+        return parseInt(rangeSelect.value, 10) || 24;
+    }
+
+    /**
+     * Fetch the data for the current view and draw it
+     */
+    async function load() {
+        const request = ++requestId;
+        const { vehicleId, from, to } = view;
+
+        statusEl.textContent = 'Loading...';
+
+        const timeline = await FuelMonitor.getVehicleTimeline(vehicleId, from, to);
+
+        // A newer request (or closing the modal) supersedes this one
+        if (request !== requestId) return;
+
+        const events = AlertManager.getAlerts().filter(a => {
+            const time = new Date(a.timestamp);
+            return a.vehicleId === vehicleId && time >= from && time <= to;
+        });
+
+        statusEl.textContent = `${formatDateTime(from)} - ${formatDateTime(to)} · ${timeline.readings.length} readings`;
+        chartEl.innerHTML = renderSvg(timeline, events, {
+            ...view,
+            width: chartEl.clientWidth || DEFAULT_WIDTH
+        });
+    }
+
+    /**
+     * Build the chart SVG (self-styled, so it can also be embedded in reports)
+     * @param {Object} timeline - From FuelMonitor.getVehicleTimeline
+     * @param {Array} events - Alerts of the vehicle in the period
+     * @param {Object} view - {from, to, window: {start, end}|null, focusAlertId, width}
+     * @returns {string} SVG markup
+     */
+    function renderSvg(timeline, events, view) {
+        const width = view.width || DEFAULT_WIDTH;
+        const plotWidth = width - MARGIN.left - MARGIN.right;
+        const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+        const plotBottom = MARGIN.top + plotHeight;
+        const from = view.from.getTime();
+        const span = view.to.getTime() - from;
+
+        const x = time => MARGIN.left + Math.min(1, Math.max(0, (new Date(time).getTime() - from) / span)) * plotWidth;
+        const y = level => MARGIN.top + (1 - Math.min(100, Math.max(0, level)) / 100) * plotHeight;
+        const band = (start, end, className, title) => {
+            const left = x(start);
+            const bandWidth = Math.max(1, x(end) - left);
+            return `<rect class="${className}" x="${left}" y="${MARGIN.top}" width="${bandWidth}" height="${plotHeight}">` +
+                `<title>${escapeHtml(title)}</title></rect>`;
+        };
+
+        const parts = [];
+
+        // Ignition on periods and the detection window behind everything else
+        timeline.ignition.forEach(p => {
+            parts.push(band(p.start, p.end, 'chart-ignition', `Ignition on ${formatDateTime(p.start)} - ${formatDateTime(p.end)}`));
+        });
+        if (view.window) {
+            parts.push(band(view.window.start, view.window.end, 'chart-window',
+                `Detection window ${formatDateTime(view.window.start)} - ${formatDateTime(view.window.end)}`));
+        }
+
+        // Level grid
+        [0, 25, 50, 75, 100].forEach(level => {
+            parts.push(`<line class="chart-grid" x1="${MARGIN.left}" x2="${MARGIN.left + plotWidth}" y1="${y(level)}" y2="${y(level)}"></line>`);
+            parts.push(`<text class="chart-axis-label" x="${MARGIN.left - 6}" y="${y(level) + 4}" text-anchor="end">${level}%</text>`);
+        });
+
+        // Time axis
+        getTicks(view.from, view.to).forEach(tick => {
+            parts.push(`<line class="chart-grid" x1="${x(tick)}" x2="${x(tick)}" y1="${MARGIN.top}" y2="${plotBottom}"></line>`);
+            parts.push(`<text class="chart-axis-label" x="${x(tick)}" y="${HEIGHT - 8}" text-anchor="middle">${escapeHtml(formatTick(tick, span))}</text>`);
+        });
+
+        // Trips in a lane under the plot
+        const tripLaneY = plotBottom + 8;
+        parts.push(`<text class="chart-axis-label" x="${MARGIN.left - 6}" y="${tripLaneY + TRIP_LANE_HEIGHT - 1}" text-anchor="end">Trips</text>`);
+        timeline.trips.forEach(trip => {
+            const left = x(trip.start);
+            parts.push(`<rect class="chart-trip" x="${left}" y="${tripLaneY}" width="${Math.max(2, x(trip.end) - left)}" height="${TRIP_LANE_HEIGHT}">` +
+                `<title>Trip ${escapeHtml(formatDateTime(trip.start))} - ${escapeHtml(formatDateTime(trip.end))}</title></rect>`);
+        });
+
+        // Fuel level
+        if (timeline.readings.length === 0) {
+            parts.push(`<text class="chart-empty" x="${MARGIN.left + plotWidth / 2}" y="${MARGIN.top + plotHeight / 2}" text-anchor="middle">No fuel level readings in this period</text>`);
+        } else {
+            const points = timeline.readings.map(r => `${x(r.timestamp).toFixed(1)},${y(r.level).toFixed(1)}`).join(' ');
+            parts.push(`<polyline class="chart-level" points="${points}"></polyline>`);
+
+            // Individual readings are only worth marking when there are few
+            if (timeline.readings.length <= 150) {
+                timeline.readings.forEach(r => {
+                    parts.push(`<circle class="chart-reading" cx="${x(r.timestamp).toFixed(1)}" cy="${y(r.level).toFixed(1)}" r="2">` +
+                        `<title>${escapeHtml(formatDateTime(r.timestamp))}: ${r.level.toFixed(1)}%</title></circle>`);
+                });
+            }
+        }
+
+        // Drops, short fills, excess consumption and refuels
+        events.forEach(alert => {
+            const type = alert.type || 'theft';
+            const eventX = x(alert.timestamp);
+            const focus = alert.id === view.focusAlertId ? ' focus' : '';
+            const marker = type === 'refuel'
+                ? `${eventX - 5},${MARGIN.top - 2} ${eventX + 5},${MARGIN.top - 2} ${eventX},${MARGIN.top - 10}`
+                : `${eventX - 5},${MARGIN.top - 10} ${eventX + 5},${MARGIN.top - 10} ${eventX},${MARGIN.top - 2}`;
+
+            parts.push(`<g class="chart-event ${type}${focus}">` +
+                `<line x1="${eventX}" x2="${eventX}" y1="${MARGIN.top}" y2="${plotBottom}"></line>` +
+                `<polygon points="${marker}"></polygon>` +
+                `<title>${escapeHtml(describeEvent(alert))}</title></g>`);
+        });
+
+        return `<svg class="fuel-chart-svg" xmlns="http://www.w3.org/2000/svg" width="${width}" height="${HEIGHT}" ` +
+            `viewBox="0 0 ${width} ${HEIGHT}" role="img" aria-label="Fuel level chart">` +
+            `<style>${SVG_STYLE}</style>${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Tick times for the time axis, on whole local hours
+     */
+    function getTicks(from, to) {
+        const spanHours = (to - from) / HOUR_MS;
+        const stepHours = TICK_STEPS_HOURS.find(step => spanHours / step <= MAX_TICKS) || TICK_STEPS_HOURS[TICK_STEPS_HOURS.length - 1];
+
+        const tick = new Date(from);
+        tick.setMinutes(0, 0, 0);
+        while (tick < from || tick.getHours() % Math.min(stepHours, 24) !== 0) {
+            tick.setHours(tick.getHours() + 1);
+        }
+
+        const ticks = [];
+        while (tick <= to) {
+            ticks.push(new Date(tick));
+            tick.setHours(tick.getHours() + stepHours);
+        }
+        return ticks;
+    }
+
+    /**
+     * Time axis label (with the day once the period is longer than a day)
+     */
+    function formatTick(tick, spanMs) {
+        const time = tick.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (spanMs <= 24 * HOUR_MS) return time;
+        return `${tick.toLocaleDateString([], { weekday: 'short', day: 'numeric' })} ${time}`;
+    }
+
+    /**
+     * Tooltip for an event marker
+     */
+    function describeEvent(alert) {
+        const time = formatDateTime(alert.timestamp);
+        switch (alert.type) {
+            case 'refuel':
+                return `Refuel at ${time}: +${alert.fuelAdded.toFixed(1)}% (${alert.previousLevel.toFixed(1)}% to ${alert.currentLevel.toFixed(1)}%)`;
+            case 'shortfill':
+                return `Short fill at ${time}: ${alert.station || 'unknown station'}`;
+            case 'overconsumption':
+                return `Excess consumption ending ${time}: ${alert.fuelDrop.toFixed(1)}% of tank over the baseline`;
+            default:
+                return `${alert.severity} drop at ${time}: -${alert.fuelDrop.toFixed(1)}% (${alert.previousLevel.toFixed(1)}% to ${alert.currentLevel.toFixed(1)}%)`;
+        }
+    }
+
+    /**
+     * Short local date and time
+     */
+    function formatDateTime(time) {
+        return new Date(time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        openForAlert,
+        openForVehicle,
+        renderSvg
+    };
+})();
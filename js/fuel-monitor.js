@@ -1,39 +1,143 @@
 /**
  * Fuel monitoring module for Fuel Theft Monitor
- * Handles data polling, analysis, and theft detection
+ * Handles data polling, analysis, theft and refuel detection, and finding
+ * where each event happened (GPS log records, reverse-geocoded) and who was
+ * driving (driver changes, or the last trip's driver)
  */
 
 const FuelMonitor = (function() {
-    // Geotab API instance
+    // Geotab API instance, and the current time (a simulator may run its own, faster clock)
     let api = null;
+    let clock = () => new Date();
 
     // Monitoring state
     let isMonitoring = false;
     let pollInterval = null;
     let feedToken = null;
+    let lastPollAt = null;  // Time of the last successful poll, while polls keep succeeding
+
+    // Periods whose fuel data has been analyzed, live or historically ([{from, to}] in ms)
+    let coverage = [];
+
+    // Consumption baseline per vehicle: vehicleId -> {samples: [trip samples], checkedTo: ms}
+    let consumption = {};
+    let lastConsumptionCheck = null;
+
+    // Running historical analysis ({cancelled, runId}), or null
+    let historyRun = null;
 
     // Vehicle data cache
     const vehicleCache = new Map();
-    const fuelHistory = new Map(); // vehicleId -> [{timestamp, level}, ...]
+    const groupCache = new Map(); // groupId -> group name
+    const analysisContexts = new Map(); // vehicleId -> live analysis context (history, filter, pending drop)
+    const addressCache = new Map(); // rounded "lat,lng" -> reverse-geocoded address
+    const geotabZoneCache = new Map(); // zoneId -> {id, name, points: [{latitude, longitude}]}
+    const driverNameCache = new Map(); // user id -> driver name
+    const stateTimelines = new Map(); // vehicleId -> live vehicle state timeline (see VehicleState)
+    const stateFeedTokens = {};       // state source -> GetFeed version
 
     // Configuration
     let config = {
         dropThreshold: 10,      // Minimum % drop to trigger alert
         timeWindowMinutes: 30,  // Time window for detection
-        pollIntervalSeconds: 30 // How often to poll for data
+        pollIntervalSeconds: 30, // How often to poll for data
+        thresholdUnit: 'percent', // 'percent' or 'volume'
+        volumeThreshold: 50,    // Minimum drop in litres (when thresholdUnit is 'volume')
+        tankCapacities: {},     // deviceId -> tank capacity in litres (overrides Device record)
+        refuelDetection: true,  // Detect fills as well as drops
+        refuelThreshold: 15,    // Minimum % rise to record a refuel
+        cardMatchWindowMinutes: 60,     // Max gap between a card transaction and its fill
+        shortFillToleranceLitres: 5,    // Purchases may exceed the fill by this much...
+        shortFillTolerancePercent: 10,  // ...or by this % of the purchase, whichever is larger
+        smoothingMethod: 'median',      // 'none', 'median' or 'average'
+        smoothingWindow: 3,     // Readings per smoothing window
+        outlierThreshold: 20,   // % jump from the recent median held back as a possible outlier (0 = off)
+        confirmSamples: 1,      // Readings that must stay low after a drop before alerting
+        recoveryMinutes: 10,    // Cancel the alert if the level recovers within this time
+        rateThreshold: 1,       // Rate-of-change detector: %/min limit...
+        rateMinDrop: 5,         // ...for declines of at least this %
+        zScoreThreshold: 4,     // Statistical detector: standard deviations below the recent mean...
+        statMinDrop: 5,         // ...for drops of at least this %
+        detectorSelection: {    // Active detectors: default set, and per Geotab group (groupId -> ids)
+            default: ['threshold'],
+            groups: {}
+        },
+        severityRules: SeverityRules.getDefaultRules(), // Ordered; first matching rule sets the severity
+        thresholdProfiles: [],  // [{id, name, devices: [ids], groups: [ids], ...PROFILE_FIELDS overrides}]
+        zones: [],              // Trusted and hotspot zones (see Zones)
+        riskSchedules: [],      // High-risk periods and maintenance windows (see RiskSchedules)
+        consumptionDetection: true, // Compare fuel used while driving with the vehicle's baseline
+        consumptionPeriod: 'day',   // Judge each 'trip' or each 'day' of driving
+        consumptionMargin: 30,      // % over the expected consumption that raises an alert...
+        consumptionMinLitres: 10,   // ...for an excess of at least this many litres
+        alertRetentionDays: 365,    // Stored alerts older than this are deleted (0 = keep forever)
+        readingRetentionDays: 30,   // Stored raw readings older than this are deleted (0 = keep forever)
+        reportSchedule: {           // Fuel-loss summary produced when the add-in runs past the due time
+            enabled: false,
+            frequency: 'weekly',    // 'daily' or 'weekly'
+            weekday: 1,             // Weekly: day the report is due (0 = Sunday)
+            time: '07:00'           // Local time the report is due
+        }
     };
 
+    // Settings a threshold profile may override (unset fields fall back to the global value)
+    const PROFILE_FIELDS = ['dropThreshold', 'timeWindowMinutes', 'thresholdUnit', 'volumeThreshold', 'refuelThreshold'];
+
     // Diagnostic IDs
     const DIAGNOSTIC_FUEL_LEVEL = 'DiagnosticFuelLevelId';
     const DIAGNOSTIC_IGNITION = 'DiagnosticIgnitionId';
 
+    // Vehicle state sources and where their data comes from
+    const STATE_FEEDS = {
+        ignition: { typeName: 'StatusData', search: { diagnosticSearch: { id: DIAGNOSTIC_IGNITION } } },
+        trips: { typeName: 'Trip', search: {} },
+        speeds: { typeName: 'LogRecord', search: {} }
+    };
+
+    // Vehicle state: minutes before a drop checked for movement; the state
+    // feeds start this far back, and live timelines keep this much
+    const STATE_WINDOW_MINUTES = 5;
+    const STATE_LOOKBACK_HOURS = 1;
+    const STATE_KEEP_HOURS = 6;
+    const STATE_FEED_LIMIT = 50000; // GPS for a whole fleet is far busier than its fuel levels
+
+    // GPS lookup: parked vehicles log rarely, so search well before the event
+    const LOCATION_LOOKBACK_MINUTES = 120;
+    const LOCATION_LOOKAHEAD_MINUTES = 30;
+
+    // Driver lookup: the driver change or trip in effect may have started well before the event
+    const DRIVER_LOOKBACK_HOURS = 24;
+    const NO_DRIVER_IDS = ['UnknownDriverId', 'NoDriverId'];
+
+    // Analyzed periods are remembered this long; shorter gaps between them are ignored
+    const COVERAGE_KEEP_DAYS = 90;
+    const COVERAGE_MIN_GAP_MINUTES = 5;
+
+    // Consumption: trips kept per vehicle; live checks run this often, on trips ended this long ago
+    const CONSUMPTION_KEEP_SAMPLES = 200;
+    const CONSUMPTION_CHECK_MINUTES = 60;
+    const CONSUMPTION_SETTLE_MINUTES = 30;
+
+    // Historical analysis: vehicles analyzed at once (their requests go out batched together)
+    const HISTORY_CONCURRENCY = 10;
+
     /**
      * Initialize the fuel monitor
+     * Restores live analysis state saved before the last reload and applies data retention.
+     * Calls made together are sent to Geotab in batches (see GeotabBatch).
      * @param {Object} geotabApi - Authenticated Geotab API instance
+     * @param {Object} [options] - {clock: function returning the current time as a Date (default: the system clock)}
+     * @returns {Promise} Resolves once stored state is restored
      */
-    function init(geotabApi) {
-        api = geotabApi;
+    async function init(geotabApi, options) {
+        api = GeotabBatch.wrap(geotabApi);
+        clock = options && options.clock ? options.clock : () => new Date();
         loadConfig();
+        loadCoverage();
+        loadConsumption();
+
+        await restoreAnalysisContexts();
+        await applyRetention();
     }
 
     /**
@@ -74,6 +178,7 @@ const FuelMonitor = (function() {
             pollInterval = null;
         }
         isMonitoring = false;
+        lastPollAt = null;
         updateStatus('inactive', 'Monitoring stopped');
         console.log('Fuel monitoring stopped');
     }
@@ -86,7 +191,7 @@ const FuelMonitor = (function() {
             const devices = await api.call('Get', {
                 typeName: 'Device',
                 search: {
-                    fromDate: new Date().toISOString()
+                    fromDate: clock().toISOString()
                 }
             });
 
@@ -94,18 +199,69 @@ const FuelMonitor = (function() {
                 vehicleCache.set(device.id, {
                     id: device.id,
                     name: device.name,
-                    serialNumber: device.serialNumber
+                    serialNumber: device.serialNumber,
+                    licensePlate: device.licensePlate || '',
+                    tankCapacity: device.fuelTankCapacity || null,
+                    groups: (device.groups || []).map(g => g.id)
                 });
             });
 
             console.log(`Loaded ${vehicleCache.size} vehicles`);
 
+            await loadGroups();
+            await loadGeotabZones();
+
         } catch (error) {
             console.error('Failed to load vehicles:', error);
             throw error;
         }
     }
 
+    /**
+     * Load group names from Geotab (for per-group settings)
+     * Failure is not fatal: groups are then shown by id
+     */
+    async function loadGroups() {
+        try {
+            const groups = await api.call('Get', { typeName: 'Group' });
+
+            (groups || []).forEach(group => {
+                groupCache.set(group.id, group.name || group.id);
+            });
+        } catch (error) {
+            console.error('Failed to load groups:', error);
+        }
+    }
+
+    /**
+     * Load zones from Geotab (so they can be used as trusted or hotspot zones)
+     * Failure is not fatal: only locally defined zones are then available
+     */
+    async function loadGeotabZones() {
+        try {
+            const zones = await api.call('Get', { typeName: 'Zone' });
+
+            (zones || []).forEach(zone => {
+                geotabZoneCache.set(zone.id, {
+                    id: zone.id,
+                    name: zone.name || zone.id,
+                    points: (zone.points || []).map(p => ({ latitude: p.y, longitude: p.x }))
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load zones:', error);
+        }
+    }
+
+    /**
+     * Load the vehicle list if it has not been loaded yet
+     */
+    async function ensureVehicles() {
+        if (vehicleCache.size === 0) {
+            await loadVehicles();
+        }
+    }
+
     /**
      * Poll for fuel data using GetFeed
      */
@@ -127,7 +283,11 @@ const FuelMonitor = (function() {
                 feedCall.fromVersion = feedToken;
             }
 
-            const result = await api.call('GetFeed', feedCall);
+            // Vehicle state is brought up to date alongside (in the same batch)
+            const [result] = await Promise.all([
+                api.call('GetFeed', feedCall),
+                pollStateFeeds()
+            ]);
 
             // Store the new token for next request
             feedToken = result.toVersion;
@@ -137,8 +297,28 @@ const FuelMonitor = (function() {
                 await processFuelData(result.data);
             }
 
+            // Resolve drops and held readings that were waiting on time rather than data
+            const now = clock();
+            for (const ctx of analysisContexts.values()) {
+                await flushAnalysis(ctx, now, false);
+            }
+
+            saveAnalysisContexts();
+
+            // Everything since the previous poll has now been seen
+            if (lastPollAt) {
+                recordCoverage(lastPollAt, now);
+            }
+            lastPollAt = now;
+
+            if (!lastConsumptionCheck || now - lastConsumptionCheck >= CONSUMPTION_CHECK_MINUTES * 60 * 1000) {
+                lastConsumptionCheck = now;
+                await checkConsumption(now);
+            }
+
         } catch (error) {
             console.error('Error polling fuel data:', error);
+            lastPollAt = null;
 
             // Reset token on error to get fresh data
             if (error.message && error.message.includes('version')) {
@@ -167,8 +347,9 @@ const FuelMonitor = (function() {
             });
         });
 
-        // Analyze each device's data
+        // Keep the raw readings, then analyze each device's data
         for (const [deviceId, dataPoints] of byDevice) {
+            storeReadings(deviceId, dataPoints);
             await analyzeVehicleFuelData(deviceId, dataPoints);
         }
     }
@@ -179,384 +360,1896 @@ const FuelMonitor = (function() {
      * @param {Array} newDataPoints - New fuel level readings
      */
     async function analyzeVehicleFuelData(deviceId, newDataPoints) {
-        // Get or create history for this vehicle
-        if (!fuelHistory.has(deviceId)) {
-            fuelHistory.set(deviceId, []);
+        // Get or create the live analysis context for this vehicle
+        if (!analysisContexts.has(deviceId)) {
+            analysisContexts.set(deviceId, createAnalysisContext({ name: 'Unknown Vehicle', id: deviceId }, false));
         }
 
-        const history = fuelHistory.get(deviceId);
+        const ctx = analysisContexts.get(deviceId);
+        ctx.vehicle = vehicleCache.get(deviceId) || ctx.vehicle;
+        ctx.tankCapacity = getTankCapacity(deviceId);
+        ctx.config = getVehicleConfig(ctx.vehicle);
 
         // Sort new points by timestamp
         newDataPoints.sort((a, b) => a.timestamp - b.timestamp);
 
         // Analyze each new point against history
         for (const currentPoint of newDataPoints) {
-            // Look for suspicious drops
-            const detection = detectSuspiciousDrop(history, currentPoint);
+            await analyzeReading(ctx, currentPoint);
+        }
+    }
 
-            if (detection) {
-                // Verify vehicle state (ignition off, stationary)
-                const isStationary = await checkVehicleState(deviceId, currentPoint.timestamp);
-
-                if (isStationary) {
-                    // Get vehicle info
-                    const vehicle = vehicleCache.get(deviceId) || { name: 'Unknown Vehicle', id: deviceId };
-
-                    // Determine severity
-                    const severity = determineSeverity(detection.dropPercent, detection.durationMinutes);
-
-                    // Create alert
-                    AlertManager.addAlert({
-                        vehicleId: deviceId,
-                        vehicleName: vehicle.name,
-                        severity: severity,
-                        fuelDrop: detection.dropPercent,
-                        previousLevel: detection.previousLevel,
-                        currentLevel: detection.currentLevel,
-                        duration: Math.round(detection.durationMinutes)
-                    });
-                }
-            }
+    /**
+     * Create the per-vehicle state used while walking through readings
+     * (shared by live monitoring and historical analysis)
+     * @param {Object} vehicle - Vehicle object
+     * @param {boolean} isHistorical - Whether alerts are from historical analysis
+     * @returns {Object} Analysis context
+     */
+    function createAnalysisContext(vehicle, isHistorical) {
+        return {
+            vehicle: vehicle,
+            tankCapacity: getTankCapacity(vehicle.id),
+            config: getVehicleConfig(vehicle),  // Global config with the vehicle's threshold profile applied
+            isHistorical: isHistorical,
+            history: [],                        // Conditioned readings [{timestamp, level, rawLevel}]
+            filter: SignalFilter.createState(), // Outlier / smoothing state
+            pendingDrop: null,                  // Drop awaiting confirmation or recovery
+            lastDrop: null,                     // Timestamp of the last confirmed drop
+            refuelPeak: null,                   // Peak of the last detected fill
+            stateTimeline: null,                // Historical: vehicle state fetched for the range (live: stateTimelines)
+            run: null,                          // Historical: the running analysis ({cancelled, runId})
+            detections: null,                   // Replay: drops that would alert, collected instead of raised
+            alertCount: 0,
+            refuelCount: 0
+        };
+    }
+
+    /**
+     * Run a raw reading through signal conditioning and detection
+     * @param {Object} ctx - Analysis context
+     * @param {Object} rawPoint - Raw reading {timestamp, level}
+     */
+    async function analyzeReading(ctx, rawPoint) {
+        const conditioned = SignalFilter.condition(ctx.filter, rawPoint, getFilterOptions(ctx.config));
 
-            // Add to history (keep last 2 hours of data)
-            history.push(currentPoint);
-            pruneHistory(history);
+        for (const point of conditioned) {
+            await analyzePoint(ctx, point);
         }
     }
 
     /**
-     * Detect suspicious fuel drops
-     * @param {Array} history - Historical fuel readings
-     * @param {Object} currentPoint - Current fuel reading
-     * @returns {Object|null} Detection result or null
+     * Analyze a conditioned reading: track pending drops, detect new drops and refuels
+     * @param {Object} ctx - Analysis context
+     * @param {Object} currentPoint - Conditioned reading
      */
-    function detectSuspiciousDrop(history, currentPoint) {
-        if (history.length === 0) return null;
-
-        // Look at recent readings within the time window
-        const windowStart = new Date(currentPoint.timestamp.getTime() - (config.timeWindowMinutes * 60 * 1000));
+    async function analyzePoint(ctx, currentPoint) {
+        if (ctx.pendingDrop) {
+            // A level that climbs back means slosh or a sensor glitch, not theft
+            if (updatePendingDrop(ctx.pendingDrop, currentPoint)) {
+                console.log('Fuel drop recovered, alert cancelled:', ctx.vehicle.name);
+                ctx.pendingDrop = null;
+            }
+        } else {
+            // Look for suspicious drops
+            const detection = runDetectors(ctx, currentPoint);
 
-        // Find readings in the time window
-        const recentReadings = history.filter(h => h.timestamp >= windowStart && h.timestamp < currentPoint.timestamp);
+            if (detection) {
+                ctx.pendingDrop = {
+                    detection: detection,
+                    timestamp: currentPoint.timestamp,
+                    confirmations: 0,
+                    samplesSince: 0,
+                    falling: true       // Level still going down (a siphon in progress)
+                };
+            }
+        }
 
-        if (recentReadings.length === 0) return null;
+        // Raise the alert once enough confirming readings arrived and the recovery window passed
+        if (ctx.pendingDrop && isPendingDropDue(ctx.pendingDrop, currentPoint.timestamp, ctx.config)) {
+            await confirmDrop(ctx, currentPoint.timestamp);
+        }
 
-        // Get the highest recent level (to detect drop from)
-        const maxReading = recentReadings.reduce((max, r) => r.level > max.level ? r : max, recentReadings[0]);
+        // Look for fills that have just levelled off
+        const refuel = detectRefuel(ctx.history, currentPoint, ctx.tankCapacity, ctx.refuelPeak, ctx.config);
 
-        // Calculate drop
-        const dropPercent = maxReading.level - currentPoint.level;
-        const durationMinutes = (currentPoint.timestamp - maxReading.timestamp) / (1000 * 60);
+        if (refuel) {
+            await raiseRefuel(ctx, refuel);
 
-        // Check if it meets threshold
-        if (dropPercent >= config.dropThreshold && durationMinutes <= config.timeWindowMinutes) {
-            return {
-                dropPercent: dropPercent,
-                previousLevel: maxReading.level,
-                currentLevel: currentPoint.level,
-                durationMinutes: durationMinutes,
-                previousTimestamp: maxReading.timestamp
-            };
+            // Check a live fill against any imported card transactions
+            if (!ctx.isHistorical) {
+                FuelCards.reconcile();
+            }
         }
 
-        return null;
+        // Add to history
+        ctx.history.push(currentPoint);
+        pruneHistory(ctx.history, currentPoint.timestamp, ctx.config.timeWindowMinutes);
     }
 
     /**
-     * Check if vehicle was stationary during the time period
-     * @param {string} deviceId - Vehicle device ID
-     * @param {Date} timestamp - Time to check
-     * @returns {boolean} True if vehicle was stationary
+     * Update a pending drop with a later reading
+     * @param {Object} pending - Pending drop
+     * @param {Object} point - Conditioned reading after the drop
+     * @returns {boolean} True if the level recovered (the drop should be cancelled)
      */
-    async function checkVehicleState(deviceId, timestamp) {
-        try {
-            // Get ignition status
-            const fromDate = new Date(timestamp.getTime() - (5 * 60 * 1000)); // 5 min before
-
-            const ignitionData = await api.call('Get', {
-                typeName: 'StatusData',
-                search: {
-                    deviceSearch: { id: deviceId },
-                    diagnosticSearch: { id: DIAGNOSTIC_IGNITION },
-                    fromDate: fromDate.toISOString(),
-                    toDate: timestamp.toISOString()
-                }
-            });
+    function updatePendingDrop(pending, point) {
+        const detection = pending.detection;
+        pending.samplesSince++;
 
-            // Check if ignition was off (value = 0)
-            if (ignitionData && ignitionData.length > 0) {
-                const latestIgnition = ignitionData[ignitionData.length - 1];
-                // Ignition off = 0, on = 1
-                if (latestIgnition.data !== 0) {
-                    return false; // Ignition was on, not suspicious
-                }
-            }
+        // Recovered: the level regained at least half of the drop
+        if (point.level >= detection.previousLevel - (detection.dropPercent / 2)) {
+            return true;
+        }
 
-            // Also check for recent trips/movement
-            const trips = await api.call('Get', {
-                typeName: 'Trip',
-                search: {
-                    deviceSearch: { id: deviceId },
-                    fromDate: fromDate.toISOString(),
-                    toDate: timestamp.toISOString()
-                }
-            });
+        // Still down: this reading confirms the drop (and may deepen it)
+        pending.confirmations++;
+        pending.falling = point.level < detection.currentLevel;
 
-            // If there were active trips, vehicle wasn't stationary
-            if (trips && trips.length > 0) {
-                return false;
-            }
+        if (pending.falling) {
+            detection.currentLevel = point.level;
+            detection.dropPercent = detection.previousLevel - point.level;
+            detection.volumeLost = percentToLitres(detection.dropPercent, detection.tankCapacity);
+            detection.durationMinutes = (point.timestamp - detection.previousTimestamp) / (1000 * 60);
+        }
 
-            return true; // Vehicle was stationary
+        return false;
+    }
 
-        } catch (error) {
-            console.error('Error checking vehicle state:', error);
-            // On error, still report (could be important)
-            return true;
-        }
+    /**
+     * Whether a pending drop has enough confirmations, its recovery window has passed
+     * and the level has stopped falling (so one siphoning session gives one alert)
+     */
+    function isPendingDropDue(pending, now, cfg) {
+        const waited = (now - pending.timestamp) >= cfg.recoveryMinutes * 60 * 1000;
+        return waited && !pending.falling && pending.confirmations >= cfg.confirmSamples;
     }
 
     /**
-     * Determine alert severity based on drop characteristics
-     * @param {number} dropPercent - Percentage of fuel drop
-     * @param {number} durationMinutes - Time period of drop
-     * @returns {string} Severity level
+     * Resolve held readings and pending drops that are waiting on time rather than data
+     * Devices log fuel level on change, so no reading since a drop means the level held.
+     * @param {Object} ctx - Analysis context
+     * @param {Date} now - Current time (wall clock, or the end of a historical range)
+     * @param {boolean} final - True at the end of a historical range (decide everything now)
      */
-    function determineSeverity(dropPercent, durationMinutes) {
-        // CRITICAL: >25% drop in <10 minutes
-        if (dropPercent > 25 && durationMinutes < 10) {
-            return 'critical';
+    async function flushAnalysis(ctx, now, final) {
+        const cfg = ctx.config;
+        const maxHold = final ? 0 : cfg.recoveryMinutes;
+        for (const point of SignalFilter.flush(ctx.filter, now, maxHold, getFilterOptions(cfg))) {
+            await analyzePoint(ctx, point);
         }
 
-        // HIGH: >15% drop in <20 minutes
-        if (dropPercent > 15 && durationMinutes < 20) {
-            return 'high';
+        const pending = ctx.pendingDrop;
+        if (pending) {
+            const waitedMs = now - pending.timestamp;
+            const confirmed = pending.confirmations >= cfg.confirmSamples || pending.samplesSince === 0;
+
+            if (confirmed && (final || waitedMs >= cfg.recoveryMinutes * 60 * 1000)) {
+                await confirmDrop(ctx, now);
+            } else if (final || waitedMs > (cfg.recoveryMinutes + cfg.timeWindowMinutes) * 60 * 1000) {
+                console.log('Fuel drop not confirmed, alert discarded:', ctx.vehicle.name);
+                ctx.pendingDrop = null;
+            }
         }
 
-        // MEDIUM: >10% drop in <30 minutes (default threshold)
-        return 'medium';
+        // A fill still rising at the end of a range has levelled off as far as we can tell
+        if (final && ctx.history.length > 0) {
+            const lastPoint = ctx.history[ctx.history.length - 1];
+            const refuel = detectRefuel(ctx.history, lastPoint, ctx.tankCapacity, ctx.refuelPeak, ctx.config);
+            if (refuel) {
+                await raiseRefuel(ctx, refuel);
+            }
+        }
     }
 
     /**
-     * Prune old history entries
-     * @param {Array} history - Fuel history array
+     * Record a detected fill (a replay only counts it)
+     * @param {Object} ctx - Analysis context
+     * @param {Object} refuel - Fill from detectRefuel
      */
-    function pruneHistory(history) {
-        const twoHoursAgo = new Date(Date.now() - (2 * 60 * 60 * 1000));
+    async function raiseRefuel(ctx, refuel) {
+        ctx.refuelPeak = refuel.timestamp;
+        ctx.refuelCount++;
+        if (ctx.detections) return;
+
+        const position = await lookupLocation(ctx.vehicle.id, refuel.timestamp);
+        const driver = await lookupDriver(ctx.vehicle.id, refuel.timestamp);
+        raiseAlert(buildRefuelAlert(ctx.vehicle, refuel, ctx.tankCapacity, ctx.isHistorical, position, driver), ctx.run);
+    }
 
-        while (history.length > 0 && history[0].timestamp < twoHoursAgo) {
-            history.shift();
+    /**
+     * Raise the alert for a confirmed drop if the vehicle was stationary
+     * @param {Object} ctx - Analysis context
+     * @param {Date} confirmedAt - Time of confirmation; later drops are measured from here
+     */
+    async function confirmDrop(ctx, confirmedAt) {
+        const { detection, timestamp } = ctx.pendingDrop;
+        ctx.pendingDrop = null;
+        ctx.lastDrop = confirmedAt;
+
+        // Tank work is expected during maintenance windows
+        const schedules = RiskSchedules.find(config.riskSchedules, ctx.vehicle, timestamp);
+        const maintenance = RiskSchedules.findSuppressing(schedules);
+        if (maintenance) {
+            console.log('Fuel drop during maintenance window, no alert:', maintenance.name);
+            return;
         }
 
-        // Also limit to max 500 entries per vehicle
-        while (history.length > 500) {
-            history.shift();
+        // Where it happened (severity rules may match on the address, zones adjust the outcome);
+        // replays skip the lookup, so zones do not apply to them
+        const position = ctx.detections ? null : await lookupLocation(ctx.vehicle.id, timestamp);
+        const zone = position ? position.zone : null;
+        detection.location = position ? position.address : null;
+
+        // Verify vehicle state (ignition off, stationary, not in a trusted zone);
+        // when the state is not known the alert is raised and says so
+        const state = checkVehicleState(ctx, timestamp, zone);
+
+        if (state.stationary !== false) {
+            // Determine severity
+            const severity = determineSeverity(ctx.vehicle, detection, timestamp, zone, schedules);
+            const driver = ctx.detections ? null : await lookupDriver(ctx.vehicle.id, timestamp);
+
+            // Create alert
+            const alertData = {
+                vehicleId: ctx.vehicle.id,
+                vehicleName: ctx.vehicle.name,
+                severity: severity,
+                fuelDrop: detection.dropPercent,
+                previousLevel: detection.previousLevel,
+                currentLevel: detection.currentLevel,
+                volumeLost: detection.volumeLost,
+                tankCapacity: ctx.tankCapacity,
+                duration: Math.round(detection.durationMinutes),
+                detectors: detection.detectors,
+                parameters: getDetectionParameters(ctx.vehicle, RiskSchedules.adjustConfig(ctx.config, schedules), ctx.tankCapacity),
+                timestamp: timestamp,
+                ...getLocationFields(position),
+                riskSchedules: schedules.map(schedule => schedule.name),
+                stateUnknown: state.stationary === null,
+                driverId: driver ? driver.id : null,
+                driverName: driver ? driver.name : null,
+                isHistorical: ctx.isHistorical
+            };
+
+            if (ctx.detections) {
+                ctx.detections.push(alertData);
+            } else {
+                raiseAlert(alertData, ctx.run);
+            }
+            ctx.alertCount++;
         }
     }
 
     /**
-     * Update configuration
-     * @param {Object} newConfig - New configuration values
+     * Record an alert: live alerts (and those of an unnamed historical analysis,
+     * such as a report filling a gap) go to the alert list; those of an analysis
+     * run are kept with the run until reviewed
+     * @param {Object} alertData - As for AlertManager.addAlert
+     * @param {Object|null} run - Running historical analysis, or null when live
+     * @returns {boolean} Whether it was recorded (false if already known)
      */
-    function updateConfig(newConfig) {
-        config = { ...config, ...newConfig };
-        saveConfig();
-
-        // Restart polling with new interval if changed
-        if (isMonitoring && newConfig.pollIntervalSeconds) {
-            clearInterval(pollInterval);
-            pollInterval = setInterval(pollForFuelData, config.pollIntervalSeconds * 1000);
+    function raiseAlert(alertData, run) {
+        if (run && run.runId) {
+            return AnalysisRuns.addFinding(run.runId, alertData);
         }
+        return AlertManager.addAlert(alertData);
     }
 
     /**
-     * Get current configuration
+     * Signal conditioning options from an analysis context's config
+     * (a replay's candidate settings, or the vehicle's own)
+     * @param {Object} cfg - Context config
      */
-    function getConfig() {
-        return { ...config };
+    function getFilterOptions(cfg) {
+        return {
+            smoothingMethod: cfg.smoothingMethod,
+            smoothingWindow: cfg.smoothingWindow,
+            outlierThreshold: cfg.outlierThreshold
+        };
     }
 
     /**
-     * Save configuration to localStorage
+     * Run the active detectors for a vehicle against its readings
+     * @param {Object} ctx - Analysis context
+     * @param {Object} currentPoint - Current conditioned reading
+     * @returns {Object|null} Strongest detection, with every detector that fired
+     *                        listed in its detectors array, or null
      */
-    function saveConfig() {
-        try {
-            localStorage.setItem('fuelMonitorConfig', JSON.stringify(config));
-        } catch (e) {
-            console.error('Failed to save config:', e);
-        }
+    function runDetectors(ctx, currentPoint) {
+        // Readings before the last confirmed drop belong to that event
+        const series = ctx.history.filter(h => !ctx.lastDrop || h.timestamp >= ctx.lastDrop);
+        if (series.length === 0) return null;
+        series.push(currentPoint);
+
+        // High-risk periods may lower the thresholds for this reading
+        const schedules = RiskSchedules.find(config.riskSchedules, ctx.vehicle, currentPoint.timestamp);
+        const context = {
+            vehicle: ctx.vehicle,
+            tankCapacity: ctx.tankCapacity,
+            config: RiskSchedules.adjustConfig({ ...ctx.config }, schedules)
+        };
+        const fired = [];
+
+        getActiveDetectorIds(ctx.vehicle).forEach(id => {
+            const detector = DetectorRegistry.get(id);
+            if (!detector) return;
+
+            try {
+                detector.detect(series, context).forEach(detection => {
+                    fired.push({ ...detection, detectorId: detector.id, detectorName: detector.name });
+                });
+            } catch (error) {
+                console.error(`Detector ${id} failed:`, error);
+            }
+        });
+
+        if (fired.length === 0) return null;
+
+        const best = fired.reduce((top, d) => d.score > top.score ? d : top, fired[0]);
+
+        return {
+            ...best,
+            detectors: fired.map(d => ({
+                id: d.detectorId,
+                name: d.detectorName,
+                score: d.score,
+                explanation: d.explanation
+            }))
+        };
     }
 
     /**
-     * Load configuration from localStorage
+     * Detector ids active for a vehicle
+     * Detectors selected for any of the vehicle's groups apply; otherwise the default set
+     * @param {Object} vehicle - Vehicle object
+     * @returns {Array<string>} Detector ids
      */
-    function loadConfig() {
-        try {
-            const saved = localStorage.getItem('fuelMonitorConfig');
-            if (saved) {
-                config = { ...config, ...JSON.parse(saved) };
-            }
-        } catch (e) {
-            console.error('Failed to load config:', e);
+    function getActiveDetectorIds(vehicle) {
+        const selection = config.detectorSelection || {};
+        const groupSelections = selection.groups || {};
+        const ids = new Set();
+
+        (vehicle.groups || []).forEach(groupId => {
+            (groupSelections[groupId] || []).forEach(id => ids.add(id));
+        });
+
+        if (ids.size === 0) {
+            (selection.default || ['threshold']).forEach(id => ids.add(id));
         }
+
+        return [...ids];
     }
 
     /**
-     * Update status indicator
-     * @param {string} status - Status type (active, inactive, error)
-     * @param {string} text - Status text
+     * Detection settings in effect for a vehicle, recorded on its alerts as evidence
+     * @param {Object} vehicle - Vehicle object
+     * @param {Object} [cfg] - Vehicle config (defaults to the current one)
+     * @param {number|null} [tankCapacity] - Tank capacity in litres (defaults to the current one)
+     * @returns {Object} Parameters (volumes in litres)
      */
-    function updateStatus(status, text) {
-        const indicator = document.getElementById('status-indicator');
-        if (!indicator) return;
-
-        indicator.className = `status-indicator status-${status}`;
-        indicator.querySelector('.status-text').textContent = text;
+    function getDetectionParameters(vehicle, cfg = getVehicleConfig(vehicle), tankCapacity = getTankCapacity(vehicle.id)) {
+        return {
+            profileName: cfg.profileName,
+            dropThreshold: cfg.dropThreshold,
+            thresholdUnit: cfg.thresholdUnit,
+            volumeThreshold: cfg.volumeThreshold,
+            timeWindowMinutes: cfg.timeWindowMinutes,
+            tankCapacity: tankCapacity,
+            detectors: getActiveDetectorIds(vehicle),
+            smoothingMethod: cfg.smoothingMethod,
+            smoothingWindow: cfg.smoothingWindow,
+            outlierThreshold: cfg.outlierThreshold,
+            confirmSamples: cfg.confirmSamples,
+            recoveryMinutes: cfg.recoveryMinutes
+        };
     }
 
     /**
-     * Check if monitoring is active
+     * Threshold profile for a vehicle
+     * A profile attached to the device wins; otherwise the first profile attached
+     * to one of the vehicle's groups
+     * @param {Object} vehicle - Vehicle object
+     * @returns {Object|null} Threshold profile, or null for the global defaults
      */
-    function isActive() {
-        return isMonitoring;
+    function getThresholdProfile(vehicle) {
+        const profiles = config.thresholdProfiles || [];
+        const groups = vehicle.groups || [];
+
+        return profiles.find(p => (p.devices || []).includes(vehicle.id)) ||
+            profiles.find(p => (p.groups || []).some(id => groups.includes(id))) ||
+            null;
     }
 
     /**
-     * Get vehicle cache (for external access)
+     * Effective config for a vehicle: the global config with its threshold profile applied
+     * @param {Object} vehicle - Vehicle object
+     * @returns {Object} Config (profileName is set when a profile applies)
      */
-    function getVehicles() {
-        return [...vehicleCache.values()];
+    function getVehicleConfig(vehicle) {
+        const effective = { ...config, profileName: null };
+        const profile = getThresholdProfile(vehicle);
+        if (!profile) return effective;
+
+        PROFILE_FIELDS.forEach(field => {
+            if (profile[field] !== null && profile[field] !== undefined && profile[field] !== '') {
+                effective[field] = profile[field];
+            }
+        });
+        effective.profileName = profile.name;
+
+        return effective;
     }
 
     /**
-     * Analyze historical fuel data for a date range
-     * @param {Date} fromDate - Start date
-     * @param {Date} toDate - End date
-     * @param {Function} progressCallback - Optional callback for progress updates
+     * Detect refuel events (sharp level rises)
+     * A fill is reported once the level stops rising, so each fill yields one event
+     * @param {Array} history - Historical fuel readings
+     * @param {Object} currentPoint - Current fuel reading
+     * @param {number|null} tankCapacity - Tank capacity in litres, if known
+     * @param {Date} notBefore - Peak of the previous fill; readings before it are ignored
+     * @param {Object} cfg - Vehicle config (see getVehicleConfig)
+     * @returns {Object|null} Refuel result or null
      */
-    async function analyzeHistoricalData(fromDate, toDate, progressCallback) {
-        try {
-            // Ensure vehicles are loaded
-            if (vehicleCache.size === 0) {
-                await loadVehicles();
-            }
+    function detectRefuel(history, currentPoint, tankCapacity, notBefore, cfg) {
+        if (!cfg.refuelDetection || history.length < 2) return null;
 
-            const vehicles = [...vehicleCache.values()];
-            let processed = 0;
-            let totalAlerts = 0;
+        // The last reading is the candidate peak; wait until the level stops rising
+        const peak = history[history.length - 1];
+        if (currentPoint.level > peak.level) return null;
 
-            if (progressCallback) {
-                progressCallback(`Analyzing ${vehicles.length} vehicles...`, 0);
-            }
+        const windowStart = new Date(peak.timestamp.getTime() - (cfg.timeWindowMinutes * 60 * 1000));
 
-            // Process each vehicle
-            for (const vehicle of vehicles) {
-                try {
-                    const alerts = await analyzeVehicleHistory(vehicle, fromDate, toDate);
-                    totalAlerts += alerts;
-                    processed++;
+        // Readings leading up to the peak, after any previously reported fill
+        const recentReadings = history.filter(h =>
+            h.timestamp >= windowStart && (!notBefore || h.timestamp >= notBefore));
 
-                    if (progressCallback) {
-                        const percent = Math.round((processed / vehicles.length) * 100);
-                        progressCallback(`Analyzed ${vehicle.name} (${processed}/${vehicles.length})`, percent);
-                    }
-                } catch (err) {
-                    console.error(`Error analyzing vehicle ${vehicle.name}:`, err);
-                }
-            }
+        if (recentReadings.length < 2) return null;
 
-            if (progressCallback) {
-                progressCallback(`Analysis complete. Found ${totalAlerts} potential theft events.`, 100);
-            }
+        // Get the lowest level before the peak (to measure the rise from)
+        const minReading = recentReadings.reduce((min, r) => r.level < min.level ? r : min, recentReadings[0]);
 
-            return totalAlerts;
+        const risePercent = peak.level - minReading.level;
 
-        } catch (error) {
-            console.error('Historical analysis failed:', error);
-            throw error;
+        if (risePercent >= cfg.refuelThreshold) {
+            return {
+                risePercent: risePercent,
+                previousLevel: minReading.level,
+                currentLevel: peak.level,
+                volumeAdded: percentToLitres(risePercent, tankCapacity),
+                durationMinutes: (peak.timestamp - minReading.timestamp) / (1000 * 60),
+                previousTimestamp: minReading.timestamp,
+                timestamp: peak.timestamp
+            };
         }
+
+        return null;
     }
 
     /**
-     * Analyze historical fuel data for a single vehicle
+     * Build the alert payload for a refuel event
      * @param {Object} vehicle - Vehicle object
-     * @param {Date} fromDate - Start date
-     * @param {Date} toDate - End date
-     * @returns {number} Number of alerts found
+     * @param {Object} refuel - Result from detectRefuel
+     * @param {number|null} tankCapacity - Tank capacity in litres
+     * @param {boolean} isHistorical - Whether found by historical analysis
+     * @param {Object|null} position - Result from lookupLocation
+     * @param {Object|null} driver - Result from lookupDriver
+     * @returns {Object} Alert data for AlertManager.addAlert
      */
-    async function analyzeVehicleHistory(vehicle, fromDate, toDate) {
-        let alertCount = 0;
+    function buildRefuelAlert(vehicle, refuel, tankCapacity, isHistorical, position, driver) {
+        return {
+            type: 'refuel',
+            vehicleId: vehicle.id,
+            vehicleName: vehicle.name,
+            severity: 'info',
+            fuelAdded: refuel.risePercent,
+            previousLevel: refuel.previousLevel,
+            currentLevel: refuel.currentLevel,
+            volumeAdded: refuel.volumeAdded,
+            tankCapacity: tankCapacity,
+            duration: Math.round(refuel.durationMinutes),
+            timestamp: refuel.timestamp,
+            ...getLocationFields(position),
+            driverId: driver ? driver.id : null,
+            driverName: driver ? driver.name : null,
+            isHistorical: isHistorical
+        };
+    }
+
+    /**
+     * Judge the driving in a period against each vehicle's consumption baseline
+     * (live monitoring: runs hourly on trips that have ended, or on whole days)
+     * @param {Date} now - Time of the poll
+     */
+    async function checkConsumption(now) {
+        if (!config.consumptionDetection) return;
+
+        const cutoff = config.consumptionPeriod === 'day'
+            ? new Date(now.getFullYear(), now.getMonth(), now.getDate())
+            : new Date(now.getTime() - CONSUMPTION_SETTLE_MINUTES * 60 * 1000);
+        const hour = 60 * 60 * 1000;
+
+        for (const vehicle of vehicleCache.values()) {
+            const state = consumption[vehicle.id];
+            const fromDate = state && state.checkedTo
+                ? new Date(state.checkedTo)
+                : new Date(cutoff.getTime() - 24 * hour);
+            if (fromDate >= cutoff) continue;
+
+            try {
+                const fuelData = await GeotabBatch.getAll(api, 'StatusData', {
+                    deviceSearch: { id: vehicle.id },
+                    diagnosticSearch: { id: DIAGNOSTIC_FUEL_LEVEL },
+                    fromDate: new Date(fromDate.getTime() - hour).toISOString(),
+                    toDate: new Date(Math.min(now.getTime(), cutoff.getTime() + hour)).toISOString()
+                });
+                const readings = (fuelData || [])
+                    .map(point => ({ timestamp: new Date(point.dateTime), level: point.data * 100 }))
+                    .sort((a, b) => a.timestamp - b.timestamp);
+
+                await analyzeConsumption(vehicle, readings, fromDate, cutoff, null);
+
+                consumption[vehicle.id] = { samples: [], ...consumption[vehicle.id], checkedTo: cutoff.getTime() };
+                saveConsumption();
+            } catch (error) {
+                console.error(`Error checking consumption for ${vehicle.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Learn a vehicle's consumption from its trips in a period, and raise an alert
+     * for each trip or day (config.consumptionPeriod) that used more than its baseline
+     * @param {Object} vehicle - Vehicle object
+     * @param {Array} readings - Fuel levels [{timestamp, level}], oldest first
+     * @param {Date} fromDate - Start of the period
+     * @param {Date} toDate - End of the period; only trips and days finished by then are judged
+     * @param {Object|null} run - Running historical analysis, or null when live
+     * @returns {Promise<number>} Number of alerts raised
+     */
+    async function analyzeConsumption(vehicle, readings, fromDate, toDate, run) {
+        const tankCapacity = getTankCapacity(vehicle.id);
+        if (!config.consumptionDetection || !tankCapacity || readings.length < 2) return 0;
 
+        let trips;
         try {
-            // Fetch fuel level data for the date range
-            const fuelData = await api.call('Get', {
-                typeName: 'StatusData',
+            trips = await api.call('Get', {
+                typeName: 'Trip',
                 search: {
                     deviceSearch: { id: vehicle.id },
-                    diagnosticSearch: { id: DIAGNOSTIC_FUEL_LEVEL },
                     fromDate: fromDate.toISOString(),
                     toDate: toDate.toISOString()
                 }
             });
+        } catch (error) {
+            console.error('Error fetching trips for consumption:', error);
+            return 0;
+        }
 
-            if (!fuelData || fuelData.length < 2) {
-                return 0; // Not enough data
+        // Fills and alerted drops are not consumption (an analysis run's are still with the run)
+        const runFindings = run && run.runId ? AnalysisRuns.get(run.runId).findings : [];
+        const events = [...AlertManager.getAlerts(), ...runFindings].filter(a =>
+            a.vehicleId === vehicle.id && (a.type === 'refuel' || (a.type || 'theft') === 'theft'));
+
+        const state = consumption[vehicle.id] || { samples: [], checkedTo: null };
+        const options = { margin: config.consumptionMargin, minLitres: config.consumptionMinLitres };
+        let alertCount = 0;
+
+        const periods = getConsumptionPeriods(trips || [], readings, events, tankCapacity, fromDate, toDate);
+        for (const period of periods) {
+            const baseline = ConsumptionModel.buildBaseline(state.samples, period.start);
+            const excess = baseline ? ConsumptionModel.evaluate(period, baseline, options) : null;
+
+            // Trips of a suspect period are kept out of the baseline
+            period.samples.forEach(sample => { sample.flagged = excess !== null; });
+            const keys = new Set(period.samples.map(sample => sample.key));
+            state.samples = [...state.samples.filter(sample => !keys.has(sample.key)), ...period.samples]
+                .sort((a, b) => new Date(a.start) - new Date(b.start))
+                .slice(-CONSUMPTION_KEEP_SAMPLES);
+
+            if (excess && await raiseConsumptionAlert(vehicle, period, baseline, excess, tankCapacity, run)) {
+                alertCount++;
             }
+        }
 
-            // Sort by timestamp
-            fuelData.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+        consumption[vehicle.id] = state;
+        saveConsumption();
 
-            // Build history array
-            const history = [];
+        return alertCount;
+    }
 
-            for (const point of fuelData) {
-                const currentPoint = {
-                    timestamp: new Date(point.dateTime),
-                    level: point.data * 100 // Convert to percentage
+    /**
+     * Trips (or days of trips) in a period with the fuel they used
+     * A day is only judged if it lies wholly within the period.
+     * @returns {Array} Periods [{start, end, distanceKm, engineHours, litres, startLevel, endLevel, samples}], oldest first
+     */
+    function getConsumptionPeriods(trips, readings, events, tankCapacity, fromDate, toDate) {
+        const samples = trips
+            .map(trip => ({
+                start: new Date(trip.start),
+                end: new Date(trip.stop),
+                distanceKm: trip.distance || 0,
+                engineHours: ConsumptionModel.getEngineHours(trip)
+            }))
+            .filter(trip => trip.end > fromDate && trip.end <= toDate)
+            .sort((a, b) => a.start - b.start)
+            .map(trip => {
+                const used = getFuelUsed(readings, events, trip.start, trip.end, tankCapacity);
+                return used && {
+                    key: trip.start.toISOString(),
+                    ...trip,
+                    litres: used.litres,
+                    flagged: false,
+                    startLevel: used.startLevel,
+                    endLevel: used.endLevel
                 };
+            })
+            .filter(sample => sample);
+
+        const toPeriod = (group, used) => ({
+            start: group[0].start,
+            end: group[group.length - 1].end,
+            distanceKm: group.reduce((sum, s) => sum + s.distanceKm, 0),
+            engineHours: group.reduce((sum, s) => sum + s.engineHours, 0),
+            litres: used.litres,
+            startLevel: used.startLevel,
+            endLevel: used.endLevel,
+            samples: group.map(({ startLevel, endLevel, ...sample }) => sample)
+        });
 
-                // Detect suspicious drops
-                const detection = detectSuspiciousDrop(history, currentPoint);
-
-                if (detection) {
-                    // Check vehicle state at that time
-                    const isStationary = await checkVehicleState(vehicle.id, currentPoint.timestamp);
-
-                    if (isStationary) {
-                        const severity = determineSeverity(detection.dropPercent, detection.durationMinutes);
-
-                        // Add alert (mark as historical)
-                        AlertManager.addAlert({
-                            vehicleId: vehicle.id,
-                            vehicleName: vehicle.name,
-                            severity: severity,
-                            fuelDrop: detection.dropPercent,
-                            previousLevel: detection.previousLevel,
-                            currentLevel: detection.currentLevel,
-                            duration: Math.round(detection.durationMinutes),
-                            timestamp: currentPoint.timestamp,
-                            isHistorical: true
-                        });
-
-                        alertCount++;
-                    }
-                }
+        if (config.consumptionPeriod !== 'day') {
+            return samples.map(sample => toPeriod([sample], sample));
+        }
 
-                // Add to history
-                history.push(currentPoint);
+        // Whole days: the fuel used from the first trip's start to the last trip's end
+        const days = new Map();
+        samples.forEach(sample => {
+            const day = new Date(sample.start.getFullYear(), sample.start.getMonth(), sample.start.getDate());
+            const dayEnd = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+            if (day < fromDate || dayEnd > toDate) return;
 
-                // Prune old entries (keep window + buffer)
-                while (history.length > 0 &&
-                       (currentPoint.timestamp - history[0].timestamp) > (config.timeWindowMinutes * 2 * 60 * 1000)) {
-                    history.shift();
-                }
-            }
+            if (!days.has(day.getTime())) days.set(day.getTime(), []);
+            days.get(day.getTime()).push(sample);
+        });
 
-        } catch (error) {
-            console.error(`Error fetching fuel data for ${vehicle.name}:`, error);
-        }
+        return [...days.values()]
+            .map(group => {
+                const used = getFuelUsed(readings, events, group[0].start, group[group.length - 1].end, tankCapacity);
+                return used && toPeriod(group, used);
+            })
+            .filter(period => period);
+    }
 
-        return alertCount;
+    /**
+     * Fuel used between two times: the fall in level, plus fills, less drops
+     * already alerted as theft
+     * @returns {Object|null} {litres, startLevel, endLevel}, or null without readings at both ends
+     */
+    function getFuelUsed(readings, events, start, end, tankCapacity) {
+        const startLevel = ConsumptionModel.levelAt(readings, start, 'before');
+        const endLevel = ConsumptionModel.levelAt(readings, end, 'after');
+        if (startLevel === null || endLevel === null) return null;
+
+        const within = events.filter(e => {
+            const time = new Date(e.timestamp);
+            return time >= start && time <= end;
+        });
+        const added = within.filter(e => e.type === 'refuel').reduce((sum, e) => sum + (e.fuelAdded || 0), 0);
+        const stolen = within.filter(e => e.type !== 'refuel').reduce((sum, e) => sum + (e.fuelDrop || 0), 0);
+
+        return {
+            litres: percentToLitres(startLevel - endLevel + added - stolen, tankCapacity),
+            startLevel: startLevel,
+            endLevel: endLevel
+        };
+    }
+
+    /**
+     * Raise the alert for a trip or day that used more fuel than its baseline
+     * @returns {Promise<boolean>} Whether a new alert was added
+     */
+    async function raiseConsumptionAlert(vehicle, period, baseline, excess, tankCapacity, run) {
+        const schedules = RiskSchedules.find(config.riskSchedules, vehicle, period.end);
+        const maintenance = RiskSchedules.findSuppressing(schedules);
+        if (maintenance) {
+            console.log('Excess consumption during maintenance window, no alert:', maintenance.name);
+            return false;
+        }
+
+        const position = await lookupLocation(vehicle.id, period.end);
+        const durationMinutes = (period.end - period.start) / (60 * 1000);
+        const excessPercent = excess.excessLitres / tankCapacity * 100;
+
+        // Severity rules see the excess as the amount lost
+        const severity = determineSeverity(vehicle, {
+            dropPercent: excessPercent,
+            volumeLost: excess.excessLitres,
+            durationMinutes: durationMinutes,
+            location: position ? position.address : null
+        }, period.end, null, schedules);
+        const driver = await lookupDriver(vehicle.id, period.end);
+
+        return raiseAlert({
+            type: 'overconsumption',
+            vehicleId: vehicle.id,
+            vehicleName: vehicle.name,
+            severity: severity,
+            fuelDrop: excessPercent,
+            previousLevel: period.startLevel,
+            currentLevel: period.endLevel,
+            volumeLost: excess.excessLitres,
+            tankCapacity: tankCapacity,
+            duration: Math.round(durationMinutes),
+            detectors: [{
+                id: 'consumption',
+                name: 'Consumption baseline',
+                score: period.litres / excess.expectedLitres,
+                explanation: excess.explanation
+            }],
+            consumption: {
+                period: config.consumptionPeriod === 'day' ? 'day' : 'trip',
+                periodStart: period.start.toISOString(),
+                fuelUsed: period.litres,
+                expectedFuel: excess.expectedLitres,
+                distanceKm: period.distanceKm,
+                engineHours: period.engineHours,
+                litresPerKm: baseline.litresPerKm,
+                litresPerHour: baseline.litresPerHour,
+                baselineTrips: baseline.trips
+            },
+            timestamp: period.end,
+            ...getLocationFields(position),
+            riskSchedules: schedules.map(schedule => schedule.name),
+            driverId: driver ? driver.id : null,
+            driverName: driver ? driver.name : null,
+            isHistorical: run !== null
+        }, run);
+    }
+
+    /**
+     * A vehicle's current consumption baseline (for the settings panel)
+     * @param {string} vehicleId - Vehicle device ID
+     * @returns {Object|null} From ConsumptionModel.buildBaseline
+     */
+    function getConsumptionBaseline(vehicleId) {
+        const state = consumption[vehicleId];
+        return state ? ConsumptionModel.buildBaseline(state.samples, clock()) : null;
+    }
+
+    /**
+     * Find where a vehicle was at a given time
+     * Uses the last GPS log record at or before the time (the first one after
+     * if none), reverse-geocoded to an address.
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Date} timestamp - Time of the event
+     * @returns {Promise<Object|null>} {latitude, longitude, address, zone}, or null if no position was logged
+     */
+    async function lookupLocation(deviceId, timestamp) {
+        try {
+            const logRecords = await api.call('Get', {
+                typeName: 'LogRecord',
+                search: {
+                    deviceSearch: { id: deviceId },
+                    fromDate: new Date(timestamp.getTime() - LOCATION_LOOKBACK_MINUTES * 60 * 1000).toISOString(),
+                    toDate: new Date(timestamp.getTime() + LOCATION_LOOKAHEAD_MINUTES * 60 * 1000).toISOString()
+                }
+            });
+
+            const valid = (logRecords || []).filter(r =>
+                typeof r.latitude === 'number' && typeof r.longitude === 'number' &&
+                !(r.latitude === 0 && r.longitude === 0));
+            if (valid.length === 0) return null;
+
+            const before = valid.filter(r => new Date(r.dateTime) <= timestamp);
+            const record = before.length > 0 ? before[before.length - 1] : valid[0];
+
+            return {
+                latitude: record.latitude,
+                longitude: record.longitude,
+                address: await getAddress(record.latitude, record.longitude),
+                zone: Zones.find(getZones(), record.latitude, record.longitude)
+            };
+        } catch (error) {
+            console.error('Error looking up vehicle location:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find who was driving a vehicle at a given time
+     * Uses the driver change in effect at the time, or failing that the driver
+     * of the last trip that started before it.
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Date} timestamp - Time of the event
+     * @returns {Promise<Object|null>} {id, name}, or null if no driver was identified
+     */
+    async function lookupDriver(deviceId, timestamp) {
+        const search = {
+            deviceSearch: { id: deviceId },
+            fromDate: new Date(timestamp.getTime() - DRIVER_LOOKBACK_HOURS * 60 * 60 * 1000).toISOString(),
+            toDate: timestamp.toISOString()
+        };
+
+        try {
+            const changes = await api.call('Get', {
+                typeName: 'DriverChange',
+                search: { ...search, includeOverlappedChanges: true }
+            });
+
+            const change = (changes || [])
+                .filter(c => new Date(c.dateTime) <= timestamp && (!c.type || c.type === 'Driver'))
+                .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+                .pop();
+            const driverId = change ? getDriverId(change.driver) : null;
+            if (driverId) {
+                return { id: driverId, name: await getDriverName(driverId) };
+            }
+        } catch (error) {
+            console.error('Error looking up driver changes:', error);
+        }
+
+        try {
+            const trips = await api.call('Get', { typeName: 'Trip', search: search });
+
+            const trip = (trips || [])
+                .filter(t => new Date(t.start) <= timestamp && getDriverId(t.driver))
+                .sort((a, b) => new Date(a.start) - new Date(b.start))
+                .pop();
+            if (trip) {
+                const driverId = getDriverId(trip.driver);
+                return { id: driverId, name: await getDriverName(driverId) };
+            }
+        } catch (error) {
+            console.error('Error looking up trip driver:', error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Driver id from a driver reference (an entity or an id), or null for "no driver"
+     */
+    function getDriverId(driver) {
+        const id = driver && (typeof driver === 'string' ? driver : driver.id);
+        return id && !NO_DRIVER_IDS.includes(id) ? id : null;
+    }
+
+    /**
+     * Display name of a driver (cached; falls back to the id)
+     * @param {string} driverId - User id of the driver
+     * @returns {Promise<string>} Name
+     */
+    async function getDriverName(driverId) {
+        if (driverNameCache.has(driverId)) {
+            return driverNameCache.get(driverId);
+        }
+
+        try {
+            const users = await api.call('Get', { typeName: 'User', search: { id: driverId } });
+            const user = users && users[0];
+            const fullName = user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '';
+            const name = fullName || (user && user.name) || driverId;
+
+            driverNameCache.set(driverId, name);
+            return name;
+        } catch (error) {
+            console.error('Error looking up driver name:', error);
+            return driverId;
+        }
+    }
+
+    /**
+     * Reverse-geocode a position with GetAddresses (cached; falls back to the coordinates)
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Promise<string>} Address
+     */
+    async function getAddress(latitude, longitude) {
+        const coordinates = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+        if (addressCache.has(coordinates)) {
+            return addressCache.get(coordinates);
+        }
+
+        try {
+            const addresses = await api.call('GetAddresses', {
+                coordinates: [{ x: longitude, y: latitude }],
+                movingAddresses: false
+            });
+            const address = addresses && addresses[0] && addresses[0].formattedAddress;
+
+            addressCache.set(coordinates, address || coordinates);
+            return address || coordinates;
+        } catch (error) {
+            console.error('Error reverse-geocoding location:', error);
+            return coordinates;
+        }
+    }
+
+    /**
+     * Alert fields for a position from lookupLocation
+     * @param {Object|null} position - Position, or null if unknown
+     * @returns {Object} {location, latitude, longitude, zoneName, zoneEffect}
+     */
+    function getLocationFields(position) {
+        if (!position) {
+            return { location: null, latitude: null, longitude: null, zoneName: null, zoneEffect: null };
+        }
+
+        return {
+            location: position.address,
+            latitude: position.latitude,
+            longitude: position.longitude,
+            zoneName: position.zone ? position.zone.name : null,
+            zoneEffect: position.zone ? position.zone.effect : null
+        };
+    }
+
+    /**
+     * Configured zones with their shapes (Geotab zones take the shape loaded from Geotab)
+     * Geotab zones that are not loaded (or no longer exist) are skipped.
+     * @returns {Array} Zones
+     */
+    function getZones() {
+        return (config.zones || [])
+            .map(zone => {
+                if (!zone.geotabZoneId) return zone;
+
+                const geotabZone = geotabZoneCache.get(zone.geotabZoneId);
+                return geotabZone
+                    ? { ...zone, name: zone.name || geotabZone.name, points: geotabZone.points }
+                    : null;
+            })
+            .filter(zone => zone !== null);
+    }
+
+    /**
+     * Zones loaded from Geotab, by name
+     * @returns {Array} [{id, name}]
+     */
+    function getGeotabZones() {
+        return [...geotabZoneCache.values()]
+            .map(zone => ({ id: zone.id, name: zone.name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get the tank capacity for a vehicle
+     * Per-vehicle overrides in config take precedence over the Device record
+     * @param {string} deviceId - Vehicle device ID
+     * @returns {number|null} Capacity in litres, or null if unknown
+     */
+    function getTankCapacity(deviceId) {
+        const override = config.tankCapacities && config.tankCapacities[deviceId];
+        if (override > 0) {
+            return override;
+        }
+
+        const vehicle = vehicleCache.get(deviceId);
+        return (vehicle && vehicle.tankCapacity > 0) ? vehicle.tankCapacity : null;
+    }
+
+    /**
+     * Convert a percentage of the tank to litres
+     * @param {number} percent - Percentage of tank
+     * @param {number|null} tankCapacity - Tank capacity in litres
+     * @returns {number|null} Volume in litres, or null if capacity unknown
+     */
+    function percentToLitres(percent, tankCapacity) {
+        if (!tankCapacity) return null;
+        return (percent / 100) * tankCapacity;
+    }
+
+    /**
+     * Check if vehicle was stationary in the minutes before a drop, outside any
+     * zone where tank work is expected
+     * Answered from the vehicle's state timeline; no API calls are made.
+     * @param {Object} ctx - Analysis context
+     * @param {Date} timestamp - Time of the drop
+     * @param {Object|null} zone - Zone the vehicle was in (from lookupLocation)
+     * @returns {Object} {stationary: true | false | null (state unknown), missing: [sources without data]}
+     */
+    function checkVehicleState(ctx, timestamp, zone) {
+        // Draining or swapping tanks at a depot or workshop is not theft
+        if (zone && zone.effect === 'suppress') {
+            console.log('Fuel drop in trusted zone, no alert:', zone.name);
+            return { stationary: false, missing: [] };
+        }
+
+        const timeline = ctx.stateTimeline || stateTimelines.get(ctx.vehicle.id) || null;
+        const state = VehicleState.isStationary(timeline, timestamp, STATE_WINDOW_MINUTES);
+
+        if (state.stationary === null) {
+            console.log(`Vehicle state unknown (no ${state.missing.join(', ')} data), alerting:`, ctx.vehicle.name);
+        }
+        return state;
+    }
+
+    /**
+     * Live vehicle state timeline of a vehicle (created empty)
+     */
+    function getStateTimeline(vehicleId) {
+        if (!stateTimelines.has(vehicleId)) {
+            stateTimelines.set(vehicleId, VehicleState.create());
+        }
+        return stateTimelines.get(vehicleId);
+    }
+
+    /**
+     * Bring the live vehicle state timelines up to date from the ignition,
+     * trip and GPS feeds
+     * A feed that fails starts again from its lookback; anything it missed
+     * before that stays uncovered, and drops then are flagged as state unknown.
+     */
+    async function pollStateFeeds() {
+        const now = clock();
+
+        await Promise.all(VehicleState.SOURCES.map(async source => {
+            const feed = STATE_FEEDS[source];
+            const feedCall = { typeName: feed.typeName, search: { ...feed.search }, resultsLimit: STATE_FEED_LIMIT };
+            let from = null;
+
+            if (stateFeedTokens[source]) {
+                feedCall.fromVersion = stateFeedTokens[source];
+            } else {
+                from = new Date(now.getTime() - STATE_LOOKBACK_HOURS * 60 * 60 * 1000);
+                feedCall.search.fromDate = from.toISOString();
+            }
+
+            try {
+                const result = await api.call('GetFeed', feedCall);
+                const data = result.data || [];
+                stateFeedTokens[source] = result.toVersion;
+
+                const byDevice = new Map();
+                data.forEach(record => {
+                    const deviceId = record.device && record.device.id;
+                    if (!deviceId) return;
+                    if (!byDevice.has(deviceId)) byDevice.set(deviceId, []);
+                    byDevice.get(deviceId).push(record);
+                });
+                byDevice.forEach((records, deviceId) => VehicleState.add(getStateTimeline(deviceId), source, records));
+
+                // A full batch means more is waiting; the feed is only complete once caught up
+                if (data.length < feedCall.resultsLimit) {
+                    new Set([...vehicleCache.keys(), ...stateTimelines.keys()]).forEach(deviceId => {
+                        const timeline = getStateTimeline(deviceId);
+                        const covered = timeline.covered[source];
+                        VehicleState.markCovered(timeline, source, from || new Date(covered ? covered.to : now), now);
+                    });
+                }
+            } catch (error) {
+                console.error(`Error polling ${source} feed:`, error);
+                delete stateFeedTokens[source];
+            }
+        }));
+
+        const before = now.getTime() - STATE_KEEP_HOURS * 60 * 60 * 1000;
+        stateTimelines.forEach(timeline => VehicleState.prune(timeline, before));
+    }
+
+    /**
+     * Fetch a vehicle's ignition, trips and GPS speeds for a historical range in bulk
+     * A source that cannot be fetched is left uncovered (drops are then flagged as state unknown).
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Date} fromDate - Start of the range
+     * @param {Date} toDate - End of the range
+     * @returns {Promise<Object>} Timeline
+     */
+    async function loadStateTimeline(deviceId, fromDate, toDate) {
+        const timeline = VehicleState.create();
+        const from = new Date(fromDate.getTime() - STATE_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+        await Promise.all(VehicleState.SOURCES.map(async source => {
+            const feed = STATE_FEEDS[source];
+            try {
+                const records = await GeotabBatch.getAll(api, feed.typeName, {
+                    ...feed.search,
+                    deviceSearch: { id: deviceId },
+                    fromDate: from.toISOString(),
+                    toDate: toDate.toISOString()
+                });
+                VehicleState.add(timeline, source, records || []);
+                VehicleState.markCovered(timeline, source, from, toDate);
+            } catch (error) {
+                console.error(`Error fetching ${source} for vehicle state:`, error);
+            }
+        }));
+
+        return timeline;
+    }
+
+    /**
+     * Determine alert severity from the configured severity rules, adjusted
+     * for the zone the drop happened in and the risk schedules in effect
+     * @param {Object} vehicle - Vehicle the drop belongs to
+     * @param {Object} detection - Confirmed drop
+     * @param {Date} timestamp - Time of the drop
+     * @param {Object|null} zone - Zone the vehicle was in
+     * @param {Array} schedules - Risk schedules in effect at the time of the drop
+     * @returns {string} Severity level
+     */
+    function determineSeverity(vehicle, detection, timestamp, zone, schedules) {
+        const severity = SeverityRules.evaluate(config.severityRules, {
+            dropPercent: detection.dropPercent,
+            volumeLost: detection.volumeLost,
+            durationMinutes: detection.durationMinutes,
+            timestamp: timestamp,
+            location: detection.location || null,
+            groups: vehicle.groups || []
+        });
+
+        return RiskSchedules.adjustSeverity(Zones.adjustSeverity(severity, zone), schedules);
+    }
+
+    /**
+     * Prune old history entries
+     * Keeps at least 2 hours (or twice the detection window) before the latest reading
+     * @param {Array} history - Fuel history array
+     * @param {Date} latestTimestamp - Timestamp of the newest reading
+     * @param {number} windowMinutes - Detection window of the vehicle
+     */
+    function pruneHistory(history, latestTimestamp, windowMinutes) {
+        const keepMs = Math.max(2 * 60 * 60 * 1000, windowMinutes * 2 * 60 * 1000);
+        const cutoff = new Date(latestTimestamp.getTime() - keepMs);
+
+        while (history.length > 0 && history[0].timestamp < cutoff) {
+            history.shift();
+        }
+
+        // Also limit to max 500 entries per vehicle
+        while (history.length > 500) {
+            history.shift();
+        }
+    }
+
+    /**
+     * Update configuration (shared with the team when SharedStore is active)
+     * @param {Object} newConfig - New configuration values
+     */
+    function updateConfig(newConfig) {
+        applyConfig(newConfig);
+        SharedStore.pushConfig(newConfig);
+    }
+
+    /**
+     * Apply configuration saved by another user (not pushed back)
+     * @param {Object} sharedConfig - Shared configuration values
+     */
+    function applySharedConfig(sharedConfig) {
+        applyConfig(sharedConfig);
+    }
+
+    /**
+     * Apply configuration values locally
+     */
+    function applyConfig(newConfig) {
+        const previousInterval = config.pollIntervalSeconds;
+        config = { ...config, ...newConfig };
+        saveConfig();
+
+        // Live analysis picks up changed thresholds and profiles straight away
+        analysisContexts.forEach(ctx => {
+            ctx.config = getVehicleConfig(ctx.vehicle);
+        });
+
+        // Restart polling with new interval if changed
+        if (isMonitoring && config.pollIntervalSeconds !== previousInterval) {
+            clearInterval(pollInterval);
+            pollInterval = setInterval(pollForFuelData, config.pollIntervalSeconds * 1000);
+        }
+    }
+
+    /**
+     * Current time on the monitoring clock (the simulator's in standalone mode)
+     * @returns {Date} Now
+     */
+    function now() {
+        return clock();
+    }
+
+    /**
+     * Get current configuration
+     */
+    function getConfig() {
+        return { ...config };
+    }
+
+    /**
+     * Record that the fuel data of a period has been analyzed
+     * @param {Date} fromDate - Start of the period
+     * @param {Date} toDate - End of the period
+     */
+    function recordCoverage(fromDate, toDate) {
+        const cutoff = clock().getTime() - COVERAGE_KEEP_DAYS * 24 * 60 * 60 * 1000;
+        const periods = [...coverage, { from: fromDate.getTime(), to: toDate.getTime() }]
+            .filter(p => p.to >= cutoff)
+            .sort((a, b) => a.from - b.from);
+
+        coverage = [];
+        periods.forEach(period => {
+            const last = coverage[coverage.length - 1];
+            if (last && period.from <= last.to) {
+                last.to = Math.max(last.to, period.to);
+            } else {
+                coverage.push({ ...period });
+            }
+        });
+
+        saveCoverage();
+    }
+
+    /**
+     * Parts of a period neither live monitoring nor historical analysis has covered
+     * @param {Date} fromDate - Start of the period
+     * @param {Date} toDate - End of the period
+     * @returns {Array} Gaps [{from: Date, to: Date}], oldest first
+     */
+    function getUncoveredPeriods(fromDate, toDate) {
+        const gaps = [];
+        let cursor = fromDate.getTime();
+        const end = toDate.getTime();
+
+        coverage.forEach(period => {
+            if (period.to <= cursor || period.from >= end) return;
+            if (period.from > cursor) {
+                gaps.push({ from: cursor, to: period.from });
+            }
+            cursor = Math.max(cursor, period.to);
+        });
+        if (cursor < end) {
+            gaps.push({ from: cursor, to: end });
+        }
+
+        return gaps
+            .filter(gap => gap.to - gap.from >= COVERAGE_MIN_GAP_MINUTES * 60 * 1000)
+            .map(gap => ({ from: new Date(gap.from), to: new Date(gap.to) }));
+    }
+
+    /**
+     * Save analyzed periods to localStorage
+     */
+    function saveCoverage() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            localStorage.setItem('fuelMonitorCoverage', JSON.stringify(coverage));
+        } catch (e) {
+            console.error('Failed to save analysis coverage:', e);
+        }
+    }
+
+    /**
+     * Load analyzed periods from localStorage
+     */
+    function loadCoverage() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            coverage = JSON.parse(localStorage.getItem('fuelMonitorCoverage')) || [];
+        } catch (e) {
+            console.error('Failed to load analysis coverage:', e);
+        }
+    }
+
+    /**
+     * Save consumption baselines to localStorage
+     */
+    function saveConsumption() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            localStorage.setItem('fuelMonitorConsumption', JSON.stringify(consumption));
+        } catch (e) {
+            console.error('Failed to save consumption baselines:', e);
+        }
+    }
+
+    /**
+     * Load consumption baselines from localStorage
+     */
+    function loadConsumption() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            consumption = JSON.parse(localStorage.getItem('fuelMonitorConsumption')) || {};
+        } catch (e) {
+            console.error('Failed to load consumption baselines:', e);
+        }
+    }
+
+    /**
+     * Save configuration to localStorage
+     */
+    function saveConfig() {
+        try {
+            localStorage.setItem('fuelMonitorConfig', JSON.stringify(config));
+        } catch (e) {
+            console.error('Failed to save config:', e);
+        }
+    }
+
+    /**
+     * Load configuration from localStorage
+     */
+    function loadConfig() {
+        try {
+            const saved = localStorage.getItem('fuelMonitorConfig');
+            if (saved) {
+                config = { ...config, ...JSON.parse(saved) };
+            }
+        } catch (e) {
+            console.error('Failed to load config:', e);
+        }
+    }
+
+    /**
+     * Persist raw readings (failures are logged; analysis does not depend on them)
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Array} readings - [{timestamp, level}]
+     */
+    function storeReadings(deviceId, readings) {
+        if (!FuelStore.isAvailable()) return;
+
+        FuelStore.putReadings(deviceId, readings)
+            .catch(e => console.error('Failed to store readings:', e));
+    }
+
+    /**
+     * Stored raw readings for a vehicle
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Date} fromDate - Start
+     * @param {Date} toDate - End
+     * @returns {Promise<Array>} [{timestamp, level}], oldest first
+     */
+    async function getStoredReadings(deviceId, fromDate, toDate) {
+        if (!FuelStore.isAvailable()) return [];
+
+        try {
+            return await FuelStore.getReadings(deviceId, fromDate, toDate);
+        } catch (e) {
+            console.error('Failed to load readings:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Fuel level, ignition and trips of a vehicle over a time range (for the fuel chart)
+     * Fuel levels come from Geotab; when that fails or has nothing, from stored
+     * readings, and failing that from the live analysis history.
+     * @param {string} deviceId - Vehicle device ID
+     * @param {Date} fromDate - Start
+     * @param {Date} toDate - End
+     * @returns {Promise<Object>} {readings: [{timestamp, level, id?, data?}], source: 'geotab'|'stored'|'live',
+     *     ignition: [{start, end}], trips: [{start, end}]} (id and data are the raw StatusData fields)
+     */
+    async function getVehicleTimeline(deviceId, fromDate, toDate) {
+        const search = {
+            deviceSearch: { id: deviceId },
+            fromDate: fromDate.toISOString(),
+            toDate: toDate.toISOString()
+        };
+
+        let readings = [];
+        let source = 'geotab';
+        try {
+            const fuelData = await api.call('Get', {
+                typeName: 'StatusData',
+                search: { ...search, diagnosticSearch: { id: DIAGNOSTIC_FUEL_LEVEL } }
+            });
+            readings = (fuelData || []).map(point => ({
+                timestamp: new Date(point.dateTime),
+                level: point.data * 100, // Convert to percentage
+                id: point.id,
+                data: point.data
+            }));
+        } catch (error) {
+            console.error('Error fetching fuel levels for chart:', error);
+        }
+
+        if (readings.length === 0) {
+            source = 'stored';
+            readings = await getStoredReadings(deviceId, fromDate, toDate);
+        }
+
+        if (readings.length === 0 && analysisContexts.has(deviceId)) {
+            source = 'live';
+            readings = analysisContexts.get(deviceId).history
+                .filter(p => p.timestamp >= fromDate && p.timestamp <= toDate)
+                .map(p => ({ timestamp: p.timestamp, level: typeof p.rawLevel === 'number' ? p.rawLevel : p.level }));
+        }
+
+        readings.sort((a, b) => a.timestamp - b.timestamp);
+
+        let ignition = [];
+        try {
+            const ignitionData = await api.call('Get', {
+                typeName: 'StatusData',
+                search: { ...search, diagnosticSearch: { id: DIAGNOSTIC_IGNITION } }
+            });
+            ignition = toIgnitionPeriods(ignitionData || [], fromDate, toDate);
+        } catch (error) {
+            console.error('Error fetching ignition for chart:', error);
+        }
+
+        let trips = [];
+        try {
+            const tripData = await api.call('Get', { typeName: 'Trip', search: search });
+            trips = (tripData || []).map(trip => ({ start: new Date(trip.start), end: new Date(trip.stop) }));
+        } catch (error) {
+            console.error('Error fetching trips for chart:', error);
+        }
+
+        return { readings: readings, source: source, ignition: ignition, trips: trips };
+    }
+
+    /**
+     * Turn ignition StatusData (1 = on, 0 = off) into periods with the ignition on
+     * A first reading of "off" means the ignition was on from the start of the range.
+     */
+    function toIgnitionPeriods(ignitionData, fromDate, toDate) {
+        const periods = [];
+        let onSince = null;
+
+        ignitionData
+            .map(d => ({ timestamp: new Date(d.dateTime), on: d.data !== 0 }))
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach((change, index) => {
+                if (change.on && !onSince) {
+                    onSince = change.timestamp;
+                } else if (!change.on && (onSince || index === 0)) {
+                    periods.push({ start: onSince || fromDate, end: change.timestamp });
+                    onSince = null;
+                }
+            });
+
+        if (onSince) {
+            periods.push({ start: onSince, end: toDate });
+        }
+
+        return periods;
+    }
+
+    /**
+     * Save the live analysis state so a reload resumes where it left off
+     */
+    function saveAnalysisContexts() {
+        if (!FuelStore.isAvailable()) return;
+
+        // Only plain reading fields are kept (not the raw StatusData objects)
+        const plain = r => r && { timestamp: r.timestamp, level: r.level, rawLevel: r.rawLevel };
+
+        analysisContexts.forEach((ctx, deviceId) => {
+            FuelStore.putContext({
+                vehicleId: deviceId,
+                savedAt: new Date(),
+                history: ctx.history.map(plain),
+                filter: { buffer: ctx.filter.buffer.map(plain), suspect: plain(ctx.filter.suspect) },
+                pendingDrop: ctx.pendingDrop,
+                lastDrop: ctx.lastDrop,
+                refuelPeak: ctx.refuelPeak
+            }).catch(e => console.error('Failed to save analysis state:', e));
+        });
+    }
+
+    /**
+     * Restore live analysis state saved by saveAnalysisContexts
+     */
+    async function restoreAnalysisContexts() {
+        await FuelStore.open();
+        if (!FuelStore.isAvailable()) return;
+
+        try {
+            const snapshots = await FuelStore.getContexts();
+
+            snapshots.forEach(snapshot => {
+                const ctx = createAnalysisContext({ name: 'Unknown Vehicle', id: snapshot.vehicleId }, false);
+                ctx.history = snapshot.history || [];
+                ctx.filter = snapshot.filter || SignalFilter.createState();
+                ctx.pendingDrop = snapshot.pendingDrop || null;
+                ctx.lastDrop = snapshot.lastDrop || null;
+                ctx.refuelPeak = snapshot.refuelPeak || null;
+                analysisContexts.set(snapshot.vehicleId, ctx);
+            });
+
+            if (snapshots.length > 0) {
+                console.log(`Restored analysis state for ${snapshots.length} vehicles`);
+            }
+        } catch (e) {
+            console.error('Failed to restore analysis state:', e);
+        }
+    }
+
+    /**
+     * Delete stored alerts and readings older than the retention settings
+     */
+    async function applyRetention() {
+        try {
+            const removed = await FuelStore.prune({
+                alertDays: config.alertRetentionDays,
+                readingDays: config.readingRetentionDays
+            });
+
+            if (removed.alertIds.length > 0) {
+                // Retention is this browser's setting; the team's shared records stay
+                AlertManager.removeAlerts(removed.alertIds, { local: true });
+            }
+        } catch (e) {
+            console.error('Failed to apply retention:', e);
+        }
+    }
+
+    /**
+     * Update status indicator
+     * @param {string} status - Status type (active, inactive, error)
+     * @param {string} text - Status text
+     */
+    function updateStatus(status, text) {
+        const indicator = document.getElementById('status-indicator');
+        if (!indicator) return;
+
+        indicator.className = `status-indicator status-${status}`;
+        indicator.querySelector('.status-text').textContent = text;
+    }
+
+    /**
+     * Check if monitoring is active
+     */
+    function isActive() {
+        return isMonitoring;
+    }
+
+    /**
+     * Get vehicle cache (for external access)
+     */
+    function getVehicles() {
+        return [...vehicleCache.values()];
+    }
+
+    /**
+     * Get groups used by the loaded vehicles (for per-group settings)
+     * @returns {Array} [{id, name}]
+     */
+    function getGroups() {
+        const ids = new Set();
+        vehicleCache.forEach(vehicle => (vehicle.groups || []).forEach(id => ids.add(id)));
+
+        return [...ids]
+            .map(id => ({ id: id, name: groupCache.get(id) || id }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Analyze historical fuel data for a date range
+     * Several vehicles are analyzed at once (their requests are batched). A
+     * resumable run saves its progress after each vehicle, so one interrupted
+     * by closing the tab can be picked up with resumeHistoricalAnalysis.
+     * Given a run name, what is found is kept as an analysis run (see
+     * AnalysisRuns) for review; otherwise it goes straight to the alert list.
+     * @param {Date} fromDate - Start date
+     * @param {Date} toDate - End date
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @param {Object} options - {resumable: save progress for resuming, runName: record as a named run}
+     * @returns {Object} Counts of theft alerts and refuels found ({alerts, refuels, cancelled, runId})
+     */
+    async function analyzeHistoricalData(fromDate, toDate, progressCallback, options = {}) {
+        return runHistoricalAnalysis({
+            from: fromDate.getTime(),
+            to: toDate.getTime(),
+            runName: options.runName || null,
+            runId: null,
+            done: [],
+            failed: 0,
+            alerts: 0,
+            refuels: 0
+        }, !!options.resumable, progressCallback);
+    }
+
+    /**
+     * Continue the resumable historical analysis that was interrupted, skipping
+     * the vehicles it had finished
+     * @param {Function} progressCallback - Optional callback for progress updates
+     * @returns {Object} Counts for the whole run ({alerts, refuels, cancelled, runId})
+     */
+    async function resumeHistoricalAnalysis(progressCallback) {
+        const checkpoint = getHistoryCheckpoint();
+        if (!checkpoint) {
+            throw new Error('There is no interrupted analysis to resume');
+        }
+        if (checkpoint.runId && !AnalysisRuns.get(checkpoint.runId)) {
+            clearHistoryCheckpoint();
+            throw new Error('The interrupted analysis run has been deleted');
+        }
+        return runHistoricalAnalysis(checkpoint, true, progressCallback);
+    }
+
+    /**
+     * Stop the running historical analysis once the vehicles in progress are done
+     * (a cancelled run cannot be resumed)
+     */
+    function cancelHistoricalAnalysis() {
+        if (historyRun) {
+            historyRun.cancelled = true;
+        }
+    }
+
+    /**
+     * Whether a historical analysis is running
+     */
+    function isAnalyzingHistory() {
+        return historyRun !== null;
+    }
+
+    /**
+     * Work through the vehicles of a historical analysis, HISTORY_CONCURRENCY at a time
+     * @param {Object} job - Checkpoint: {from, to (ms), runName, runId, done: [vehicle ids], failed, alerts, refuels}
+     * @param {boolean} resumable - Whether progress is saved for resuming
+     * @param {Function} progressCallback - Optional callback for progress updates
+     */
+    async function runHistoricalAnalysis(job, resumable, progressCallback) {
+        if (historyRun) {
+            throw new Error('A historical analysis is already running');
+        }
+
+        const fromDate = new Date(job.from);
+        const toDate = new Date(job.to);
+        if (job.runName && !job.runId) {
+            job.runId = AnalysisRuns.create(job.runName, fromDate, toDate, config).id;
+        }
+        historyRun = { cancelled: false, runId: job.runId };
+        const run = historyRun;
+
+        try {
+            // Ensure vehicles are loaded
+            await ensureVehicles();
+
+            const vehicles = [...vehicleCache.values()];
+            const done = new Set(job.done);
+            const pending = vehicles.filter(vehicle => !done.has(vehicle.id));
+
+            if (resumable) {
+                await saveHistoryCheckpoint(job);
+            }
+            if (progressCallback) {
+                const percent = vehicles.length > 0 ? Math.round((job.done.length / vehicles.length) * 100) : 0;
+                progressCallback(`Analyzing ${pending.length} of ${vehicles.length} vehicles...`, percent);
+            }
+
+            let next = 0;
+            const worker = async () => {
+                while (!run.cancelled && next < pending.length) {
+                    const vehicle = pending[next++];
+                    let counts;
+                    try {
+                        counts = await analyzeVehicleHistory(vehicle, fromDate, toDate, run);
+                    } catch (err) {
+                        console.error(`Error analyzing vehicle ${vehicle.name}:`, err);
+                        counts = { alerts: 0, refuels: 0, failed: true };
+                    }
+                    if (counts.cancelled) return;
+
+                    job.alerts += counts.alerts;
+                    job.refuels += counts.refuels;
+                    if (counts.failed) job.failed++;
+                    job.done.push(vehicle.id);
+
+                    if (resumable) {
+                        await saveHistoryCheckpoint(job);
+                    }
+                    if (progressCallback) {
+                        const percent = Math.round((job.done.length / vehicles.length) * 100);
+                        progressCallback(`Analyzed ${vehicle.name} (${job.done.length}/${vehicles.length})`, percent);
+                    }
+                }
+            };
+            await Promise.all(Array.from({ length: Math.min(HISTORY_CONCURRENCY, pending.length) }, worker));
+
+            if (resumable) {
+                clearHistoryCheckpoint();
+            }
+            if (job.runId) {
+                AnalysisRuns.finish(job.runId, {
+                    status: run.cancelled ? 'cancelled' : 'complete',
+                    vehicles: job.done.length,
+                    failed: job.failed
+                });
+            }
+
+            if (run.cancelled) {
+                if (progressCallback) {
+                    progressCallback(`Analysis cancelled after ${job.done.length} of ${vehicles.length} vehicles.`, 100);
+                }
+                return { alerts: job.alerts, refuels: job.refuels, cancelled: true, runId: job.runId };
+            }
+
+            // A range is only covered if every vehicle's data could be fetched and
+            // what was found is in the alert list (a run's findings await review)
+            if (job.failed === 0 && !job.runId) {
+                recordCoverage(fromDate, toDate);
+            }
+
+            if (progressCallback) {
+                progressCallback(`Analysis complete. Found ${job.alerts} potential theft events and ${job.refuels} refuels.`, 100);
+            }
+
+            return { alerts: job.alerts, refuels: job.refuels, cancelled: false, runId: job.runId };
+
+        } catch (error) {
+            console.error('Historical analysis failed:', error);
+            throw error;
+        } finally {
+            historyRun = null;
+        }
+    }
+
+    /**
+     * Analyze historical fuel data for a single vehicle
+     * @param {Object} vehicle - Vehicle object
+     * @param {Date} fromDate - Start date
+     * @param {Date} toDate - End date
+     * @param {Object} run - Running analysis ({cancelled, runId})
+     * @returns {Object} Number of theft alerts and refuels found ({alerts, refuels, failed, cancelled})
+     */
+    async function analyzeVehicleHistory(vehicle, fromDate, toDate, run) {
+        const ctx = createAnalysisContext(vehicle, true);
+        ctx.run = run;
+        let failed = false;
+
+        try {
+            // Fetch fuel level data for the date range (in pages if there is a lot)
+            const fuelData = await GeotabBatch.getAll(api, 'StatusData', {
+                deviceSearch: { id: vehicle.id },
+                diagnosticSearch: { id: DIAGNOSTIC_FUEL_LEVEL },
+                fromDate: fromDate.toISOString(),
+                toDate: toDate.toISOString()
+            });
+
+            if (run.cancelled) {
+                return { alerts: 0, refuels: 0, cancelled: true };
+            }
+
+            if (!fuelData || fuelData.length < 2) {
+                return { alerts: 0, refuels: 0 }; // Not enough data
+            }
+
+            // Sort by timestamp
+            fuelData.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+
+            const readings = fuelData.map(point => ({
+                timestamp: new Date(point.dateTime),
+                level: point.data * 100 // Convert to percentage
+            }));
+            storeReadings(vehicle.id, readings);
+
+            // Ignition, trips and GPS for the whole range, so drops are checked locally
+            ctx.stateTimeline = await loadStateTimeline(vehicle.id, fromDate, toDate);
+
+            for (const reading of readings) {
+                await analyzeReading(ctx, reading);
+            }
+
+            // Decide on anything still pending at the end of the range
+            await flushAnalysis(ctx, new Date(fuelData[fuelData.length - 1].dateTime), true);
+
+            // Then judge the driving against the consumption baseline
+            ctx.alertCount += await analyzeConsumption(vehicle, readings, fromDate, toDate, run);
+
+        } catch (error) {
+            console.error(`Error fetching fuel data for ${vehicle.name}:`, error);
+            failed = true;
+        }
+
+        return { alerts: ctx.alertCount, refuels: ctx.refuelCount, failed: failed };
+    }
+
+    /**
+     * Fuel history and vehicle state of a vehicle, for replaying with replayHistory
+     * Fuel levels come from Geotab; when that fails or has nothing, from stored readings.
+     * @param {Object} vehicle - Vehicle object
+     * @param {Date} fromDate - Start
+     * @param {Date} toDate - End
+     * @returns {Promise<Object>} {readings: [{timestamp, level}], source: 'geotab'|'stored', stateTimeline}
+     */
+    async function loadReplayData(vehicle, fromDate, toDate) {
+        let readings = [];
+        let source = 'geotab';
+        try {
+            const fuelData = await GeotabBatch.getAll(api, 'StatusData', {
+                deviceSearch: { id: vehicle.id },
+                diagnosticSearch: { id: DIAGNOSTIC_FUEL_LEVEL },
+                fromDate: fromDate.toISOString(),
+                toDate: toDate.toISOString()
+            });
+            readings = (fuelData || []).map(point => ({
+                timestamp: new Date(point.dateTime),
+                level: point.data * 100 // Convert to percentage
+            }));
+        } catch (error) {
+            console.error(`Error fetching fuel data for ${vehicle.name}:`, error);
+        }
+
+        if (readings.length === 0) {
+            source = 'stored';
+            readings = await getStoredReadings(vehicle.id, fromDate, toDate);
+        }
+        readings.sort((a, b) => a.timestamp - b.timestamp);
+
+        return {
+            readings: readings,
+            source: source,
+            stateTimeline: await loadStateTimeline(vehicle.id, fromDate, toDate)
+        };
+    }
+
+    /**
+     * Replay a vehicle's fuel history through detection with other settings
+     * Nothing is raised or stored, and locations and drivers are not looked up
+     * (so zones do not apply); drops still only count while the vehicle was parked.
+     * @param {Object} vehicle - Vehicle object
+     * @param {Object} data - From loadReplayData (one load serves every replay of the vehicle)
+     * @param {Object} overrides - Settings to try, over the vehicle's own (e.g. {dropThreshold: 15})
+     * @returns {Promise<Array>} Drops that would have alerted (alert data, as for AlertManager.addAlert)
+     */
+    async function replayHistory(vehicle, data, overrides) {
+        const ctx = createAnalysisContext(vehicle, true);
+        ctx.config = { ...ctx.config, ...overrides };
+        ctx.stateTimeline = data.stateTimeline;
+        ctx.detections = [];
+
+        for (const reading of data.readings) {
+            await analyzeReading(ctx, reading);
+        }
+        if (data.readings.length > 0) {
+            await flushAnalysis(ctx, data.readings[data.readings.length - 1].timestamp, true);
+        }
+
+        return ctx.detections;
+    }
+
+    /**
+     * Interrupted resumable historical analysis, if any
+     * @returns {Object|null} {from, to (ms), runName, runId, done: [vehicle ids], failed, alerts, refuels}
+     */
+    function getHistoryCheckpoint() {
+        if (!FuelStore.isPersistent()) return null;
+
+        try {
+            return JSON.parse(localStorage.getItem('fuelMonitorHistoryCheckpoint'));
+        } catch (e) {
+            console.error('Failed to load analysis checkpoint:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save the progress of a resumable historical analysis, once the run's
+     * findings so far are stored (a resume skips the vehicles marked done, so
+     * their findings must not be lost). Skipped if the run could not be saved.
+     */
+    async function saveHistoryCheckpoint(job) {
+        if (!FuelStore.isPersistent()) return;
+
+        // Other vehicles may finish while the run is written; they are not covered by it
+        const checkpoint = { ...job, done: [...job.done] };
+        if (job.runId && !(await AnalysisRuns.flush(job.runId))) return;
+
+        try {
+            localStorage.setItem('fuelMonitorHistoryCheckpoint', JSON.stringify(checkpoint));
+        } catch (e) {
+            console.error('Failed to save analysis checkpoint:', e);
+        }
+    }
+
+    /**
+     * Forget the resumable historical analysis (finished or cancelled)
+     */
+    function clearHistoryCheckpoint() {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            localStorage.removeItem('fuelMonitorHistoryCheckpoint');
+        } catch (e) {
+            console.error('Failed to clear analysis checkpoint:', e);
+        }
     }
 
     // Public API
@@ -565,9 +2258,28 @@ const FuelMonitor = (function() {
         startMonitoring,
         stopMonitoring,
         updateConfig,
+        applySharedConfig,
         getConfig,
+        now,
         isActive,
         getVehicles,
-        analyzeHistoricalData
+        getGroups,
+        getGeotabZones,
+        ensureVehicles,
+        getTankCapacity,
+        getVehicleConfig,
+        getDetectionParameters,
+        getStoredReadings,
+        getVehicleTimeline,
+        applyRetention,
+        getUncoveredPeriods,
+        getConsumptionBaseline,
+        analyzeHistoricalData,
+        resumeHistoricalAnalysis,
+        cancelHistoricalAnalysis,
+        isAnalyzingHistory,
+        getHistoryCheckpoint,
+        loadReplayData,
+        replayHistory
     };
 })();
@@ -0,0 +1,111 @@
+/**
+ * Batched Geotab API calls for Fuel Theft Monitor
+ * Wraps the API so calls made at the same moment (by the vehicles a historical
+ * analysis works on at once, or the lookups for one drop) reach the server
+ * together in one ExecuteMultiCall, and reads long ranges page by page.
+ */
+
+const GeotabBatch = (function() {
+    const MAX_BATCH_CALLS = 100;    // Calls sent in one ExecuteMultiCall
+    const PAGE_SIZE = 50000;        // Records asked for per Get (the server's result limit)
+
+    /**
+     * Wrap an API so calls made together are sent as one ExecuteMultiCall
+     * A batch that fails as a whole (one bad call fails them all) is retried
+     * call by call, so each caller gets its own result or error.
+     * @param {Object} api - Geotab API instance
+     * @returns {Object} API with the same call(method, params)
+     */
+    function wrap(api) {
+        let queue = [];
+        let timer = null;
+
+        function call(method, params) {
+            return new Promise((resolve, reject) => {
+                queue.push({ method: method, params: params, resolve: resolve, reject: reject });
+
+                if (queue.length >= MAX_BATCH_CALLS) {
+                    flush();
+                } else if (!timer) {
+                    timer = setTimeout(() => {
+                        timer = null;
+                        flush();
+                    }, 0);
+                }
+            });
+        }
+
+        async function flush() {
+            const batch = queue.splice(0, MAX_BATCH_CALLS);
+            if (batch.length === 0) return;
+            if (batch.length === 1) {
+                send(batch[0]);
+                return;
+            }
+
+            let results = null;
+            try {
+                results = await api.call('ExecuteMultiCall', {
+                    calls: batch.map(entry => ({ method: entry.method, params: entry.params }))
+                });
+            } catch (error) {
+                console.error('Batched API call failed, retrying calls one by one:', error);
+            }
+
+            if (Array.isArray(results) && results.length === batch.length) {
+                batch.forEach((entry, i) => entry.resolve(results[i]));
+            } else {
+                batch.forEach(send);
+            }
+        }
+
+        function send(entry) {
+            api.call(entry.method, entry.params).then(entry.resolve, entry.reject);
+        }
+
+        return { call: call };
+    }
+
+    /**
+     * Get every record of a type in a date range, page by page
+     * Each page starts at the time (dateTime, or a trip's start) of the last
+     * record of the one before; records seen on both are dropped by id.
+     * @param {Object} api - Geotab API instance
+     * @param {string} typeName - Entity type (e.g. 'StatusData')
+     * @param {Object} search - Search with fromDate and toDate
+     * @returns {Promise<Array>} Records, in the order the server returned them
+     */
+    async function getAll(api, typeName, search) {
+        const records = [];
+        const seen = new Set();
+        let fromDate = search.fromDate;
+
+        for (;;) {
+            const page = await api.call('Get', {
+                typeName: typeName,
+                search: { ...search, fromDate: fromDate },
+                resultsLimit: PAGE_SIZE
+            }) || [];
+
+            const fresh = page.filter(record => !record.id || !seen.has(record.id));
+            fresh.forEach(record => {
+                if (record.id) seen.add(record.id);
+                records.push(record);
+            });
+
+            if (page.length < PAGE_SIZE || fresh.length === 0) {
+                return records;
+            }
+            fromDate = page.reduce((latest, record) => {
+                const time = record.dateTime || record.start;
+                return new Date(time) > new Date(latest) ? time : latest;
+            }, fromDate);
+        }
+    }
+
+    // Public API
+    return {
+        wrap,
+        getAll
+    };
+})();
@@ -0,0 +1,575 @@
+/**
+ * Offline Geotab API stand-in for Fuel Theft Monitor
+ * Serves Device, StatusData (fuel level and ignition), Trip and LogRecord
+ * data - recorded in a JSON fixture, or generated for a scenario - through
+ * the Get, GetFeed, GetAddresses and ExecuteMultiCall calls the monitor makes
+ * to MyGeotab, so the whole pipeline can be run outside MyGeotab.
+ *
+ * Data appears as the simulated clock passes it, and GetFeed hands it out by
+ * version like Geotab does. The clock can run faster than real time, but never
+ * ahead of it: a scenario day starts a day ago and plays through at `speed`
+ * times real time, after which the clock keeps real time. A generated fleet
+ * has a week of ordinary driving before the scenario (for historical analysis
+ * and consumption baselines) and keeps driving after it.
+ *
+ * Standalone mode takes its options from the page address, for example
+ * index.html?scenario=siphon&speed=120 or index.html?fixture=recorded.json
+ *
+ * A fixture (Geotab entities, as returned by the API):
+ *
+ *   {
+ *     start: ISO,                              // Where the clock starts (default: the first record)
+ *     devices: [Device],
+ *     statusData: [StatusData],                // Fuel level and ignition
+ *     trips: [Trip],
+ *     logRecords: [LogRecord],
+ *     groups: [Group], zones: [Zone], users: [User], driverChanges: [DriverChange]   // Optional
+ *   }
+ */
+
+const GeotabSimulator = (function() {
+    const HOUR_MS = 60 * 60 * 1000;
+    const MINUTE_MS = 60 * 1000;
+    const DEFAULT_SPEED = 60;
+    const SCENARIO_HOURS = 24;
+    const HISTORY_DAYS = 7;
+    const AFTER_HOURS = 48;                     // Generated data after the scenario day, once the clock keeps real time
+
+    const DIAGNOSTIC_FUEL_LEVEL = 'DiagnosticFuelLevelId';
+    const DIAGNOSTIC_IGNITION = 'DiagnosticIgnitionId';
+
+    const SCENARIOS = {
+        normal: { label: 'Normal driving' },
+        refuel: { label: 'Refuel' },
+        siphon: { label: 'Overnight siphon' },
+        noisy: { label: 'Noisy sensor' }
+    };
+
+    // Generated fleet: Sim Truck 1 is the one the scenario happens to
+    const FLEET = {
+        vehicles: 3,
+        tankLitres: 300,
+        depot: { latitude: 43.4675, longitude: -79.6877 },
+        trips: [{ start: 7.5, end: 9.5 }, { start: 13, end: 15.5 }],   // Local hours, every day
+        speedKmh: 50,
+        litresPerKm: 0.35,
+        refuelBelow: 30,                        // Level (%) at the end of a trip that sends a vehicle to refuel
+        reserve: 10,                            // Level (%) a trip may not take the tank below (topped up before setting off)
+        refuelTo: 95
+    };
+
+    // Reading and GPS intervals (minutes); Geotab logs more often while driving
+    const INTERVALS = { parkedFuel: 20, drivingFuel: 5, parkedGps: 30, drivingGps: 2, event: 2 };
+
+    const SIPHON = { hour: 1, percent: 25, minutes: 20 };
+    const NOISE = { percent: 2.5, spikePercent: 20, spikeEvery: 15 };   // Jitter, and a dropout every so many readings
+
+    const FEED_TYPES = ['StatusData', 'Trip', 'LogRecord'];
+
+    // Records by type, each feed type in release order with versions 1, 2, ...
+    let store = emptyStore();
+    let clockState = null;      // {start (simulated ms), startedAt (real ms), speed}
+    let description = '';
+
+    /**
+     * Start serving a scenario or a fixture
+     * @param {Object} options - {scenario: id in SCENARIOS (default 'normal'), fixture: URL of a fixture
+     *                           (instead of a scenario), speed: times real time (default 60)}
+     * @returns {Promise} Resolves once the data is ready
+     */
+    async function start(options) {
+        const opts = options || {};
+        const speed = opts.speed > 0 ? opts.speed : DEFAULT_SPEED;
+
+        if (opts.fixture) {
+            const response = await fetch(opts.fixture);
+            if (!response.ok) {
+                throw new Error(`Fixture ${opts.fixture} could not be loaded (${response.status})`);
+            }
+            load(await response.json(), speed);
+            description = `Recorded data (${opts.fixture}), ${speed}× speed`;
+            return;
+        }
+
+        const scenarioId = SCENARIOS[opts.scenario] ? opts.scenario : 'normal';
+        // Starts far enough back to play through in (a day / speed) and end now
+        const scenarioMs = SCENARIO_HOURS * HOUR_MS;
+        load(generate(scenarioId, Date.now() - scenarioMs + scenarioMs / speed), speed);
+        description = `${SCENARIOS[scenarioId].label}, ${speed}× speed`;
+    }
+
+    /**
+     * Serve the data of a fixture, with the clock starting at its start
+     * @param {Object} fixture - Fixture (see above)
+     * @param {number} speed - Times real time
+     */
+    function load(fixture, speed) {
+        store = emptyStore();
+        store.Device = fixture.devices || [];
+        store.Group = fixture.groups || [];
+        store.Zone = fixture.zones || [];
+        store.User = fixture.users || [];
+        store.DriverChange = fixture.driverChanges || [];
+        store.StatusData = versioned('StatusData', fixture.statusData || []);
+        store.Trip = versioned('Trip', fixture.trips || []);
+        store.LogRecord = versioned('LogRecord', fixture.logRecords || []);
+
+        const first = FEED_TYPES
+            .map(type => store[type].length > 0 ? getRecordTime(type, store[type][0]) : Infinity)
+            .reduce((min, time) => Math.min(min, time), Infinity);
+        const startTime = fixture.start ? new Date(fixture.start).getTime() : first;
+
+        clockState = {
+            start: isFinite(startTime) ? startTime : Date.now(),
+            startedAt: Date.now(),
+            speed: speed
+        };
+    }
+
+    /**
+     * Generate a fleet's data for a scenario
+     * @param {string} scenarioId - Id in SCENARIOS
+     * @param {number} start - When the scenario day starts (ms)
+     * @returns {Object} Fixture
+     */
+    function generate(scenarioId, start) {
+        const fixture = {
+            start: new Date(start).toISOString(),
+            devices: [],
+            statusData: [],
+            trips: [],
+            logRecords: [],
+            groups: [{ id: 'sim-group', name: 'Simulated fleet' }],
+            users: []
+        };
+        const from = startOfDay(start - HISTORY_DAYS * 24 * HOUR_MS);
+        const to = start + (SCENARIO_HOURS + AFTER_HOURS) * HOUR_MS;
+
+        for (let index = 0; index < FLEET.vehicles; index++) {
+            const number = index + 1;
+            const device = {
+                id: `sim-${number}`,
+                name: `Sim Truck ${number}`,
+                serialNumber: `SIM${String(number).padStart(6, '0')}`,
+                licensePlate: `SIM ${String(number).padStart(3, '0')}`,
+                fuelTankCapacity: FLEET.tankLitres,
+                groups: [{ id: 'sim-group' }]
+            };
+            const driver = { id: `sim-driver-${number}`, firstName: 'Sim', lastName: `Driver ${number}`, name: `driver${number}@sim.local` };
+            fixture.devices.push(device);
+            fixture.users.push(driver);
+
+            const events = index === 0 ? getScenarioEvents(scenarioId, start) : {};
+            generateVehicle(fixture, device, driver, index, from, to, events);
+        }
+
+        return fixture;
+    }
+
+    /**
+     * When the scenario's event happens to Sim Truck 1
+     * @returns {Object} {refuelAfter: ms, siphonAt: ms, noisy: {from, to}} (only what the scenario has)
+     */
+    function getScenarioEvents(scenarioId, start) {
+        switch (scenarioId) {
+            case 'refuel':
+                return { refuelAfter: start };
+            case 'siphon': {
+                // The first night after the scenario starts (the truck is parked then)
+                const night = new Date(start);
+                night.setHours(SIPHON.hour, 0, 0, 0);
+                if (night.getTime() <= start) night.setDate(night.getDate() + 1);
+                return { siphonAt: night.getTime() };
+            }
+            case 'noisy':
+                return { noisy: { from: start, to: start + SCENARIO_HOURS * HOUR_MS } };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Generate one vehicle's fuel levels, ignition, trips and GPS from `from` to `to`
+     * Every day it makes the same trips from its depot and back, and refuels
+     * when it comes back low.
+     */
+    function generateVehicle(fixture, device, driver, index, from, to, events) {
+        const random = createRandom(index + 1);
+        const depot = {
+            latitude: FLEET.depot.latitude + index * 0.01,
+            longitude: FLEET.depot.longitude + index * 0.01
+        };
+        const sim = { level: 80 - index * 15, time: from, counter: 0, refuelAt: null, siphonAt: events.siphonAt || null };
+        let refuelled = false;
+        let noisyReadings = 0;
+
+        const fuel = (time, level) => {
+            let value = level;
+            if (events.noisy && time >= events.noisy.from && time < events.noisy.to) {
+                noisyReadings++;
+                value += (random() * 2 - 1) * NOISE.percent;
+                if (noisyReadings % NOISE.spikeEvery === 0) value -= NOISE.spikePercent;
+            }
+            fixture.statusData.push({
+                id: `${device.id}-f${++sim.counter}`,
+                device: { id: device.id },
+                diagnostic: { id: DIAGNOSTIC_FUEL_LEVEL },
+                dateTime: new Date(time).toISOString(),
+                data: Math.round(Math.min(100, Math.max(0, value)) * 10) / 1000
+            });
+        };
+        const ignition = (time, on) => {
+            fixture.statusData.push({
+                id: `${device.id}-i${++sim.counter}`,
+                device: { id: device.id },
+                diagnostic: { id: DIAGNOSTIC_IGNITION },
+                dateTime: new Date(time).toISOString(),
+                data: on ? 1 : 0
+            });
+        };
+        const gps = (time, position, speed) => {
+            fixture.logRecords.push({
+                id: `${device.id}-g${++sim.counter}`,
+                device: { id: device.id },
+                dateTime: new Date(time).toISOString(),
+                latitude: position.latitude,
+                longitude: position.longitude,
+                speed: speed
+            });
+        };
+
+        // Parked at the depot until a time; fills and siphons happen while parked,
+        // in place of the reading due next
+        const park = until => {
+            for (let t = sim.time; t < until; t += INTERVALS.parkedGps * MINUTE_MS) {
+                gps(t, depot, 0);
+            }
+            let t = sim.time;
+            let end = until;
+            while (t < until) {
+                if (sim.siphonAt !== null && sim.siphonAt <= t && sim.siphonAt < until) {
+                    t = changeLevel(sim.siphonAt, -Math.min(SIPHON.percent, sim.level - FLEET.reserve / 2), SIPHON.minutes);
+                    end = Math.max(end, t);
+                    sim.siphonAt = null;
+                    continue;
+                }
+                if (sim.refuelAt !== null && sim.refuelAt <= t && sim.refuelAt < until) {
+                    const minutes = Math.max(INTERVALS.event, Math.round((FLEET.refuelTo - sim.level) / 10) * INTERVALS.event);
+                    t = changeLevel(sim.refuelAt, FLEET.refuelTo - sim.level, minutes);
+                    end = Math.max(end, t);
+                    sim.refuelAt = null;
+                    continue;
+                }
+                fuel(t, sim.level);
+                t += INTERVALS.parkedFuel * MINUTE_MS;
+            }
+            sim.time = end;
+        };
+
+        // Percent of the tank a trip uses
+        const tripUse = (tripStart, tripEnd) =>
+            (tripEnd - tripStart) / HOUR_MS * FLEET.speedKmh * FLEET.litresPerKm / FLEET.tankLitres * 100;
+
+        // Level change at a steady rate, with the readings a sensor would log
+        const changeLevel = (at, change, minutes) => {
+            const startLevel = sim.level;
+            const steps = Math.max(1, Math.round(minutes / INTERVALS.event));
+            fuel(at, startLevel);
+            for (let step = 1; step <= steps; step++) {
+                sim.level = startLevel + change * step / steps;
+                fuel(at + step * INTERVALS.event * MINUTE_MS, sim.level);
+            }
+            return at + (steps + 1) * INTERVALS.event * MINUTE_MS;
+        };
+
+        // A round trip from the depot
+        const drive = (tripStart, tripEnd) => {
+            const hours = (tripEnd - tripStart) / HOUR_MS;
+            const distance = hours * FLEET.speedKmh;
+            const used = tripUse(tripStart, tripEnd);
+            const startLevel = sim.level;
+
+            ignition(tripStart, true);
+            for (let t = tripStart; t < tripEnd; t += INTERVALS.drivingGps * MINUTE_MS) {
+                const angle = (t - tripStart) / (tripEnd - tripStart) * 2 * Math.PI;
+                gps(t, {
+                    latitude: depot.latitude + 0.05 * Math.sin(angle),
+                    longitude: depot.longitude + 0.05 * (1 - Math.cos(angle))
+                }, Math.round(FLEET.speedKmh * (0.8 + random() * 0.4)));
+            }
+            for (let t = tripStart; t < tripEnd; t += INTERVALS.drivingFuel * MINUTE_MS) {
+                fuel(t, startLevel - used * (t - tripStart) / (tripEnd - tripStart));
+            }
+            sim.level = startLevel - used;
+            fuel(tripEnd, sim.level);
+            gps(tripEnd, depot, 0);
+            ignition(tripEnd, false);
+
+            fixture.trips.push({
+                id: `${device.id}-t${++sim.counter}`,
+                device: { id: device.id },
+                driver: { id: driver.id },
+                start: new Date(tripStart).toISOString(),
+                stop: new Date(tripEnd).toISOString(),
+                distance: Math.round(distance * 10) / 10,
+                drivingDuration: formatTimeSpan(tripEnd - tripStart),
+                idlingDuration: '00:00:00'
+            });
+
+            // Back low (or the scenario's fill): refuel soon after
+            const scenarioFill = events.refuelAfter && !refuelled && tripEnd >= events.refuelAfter;
+            if (sim.level < FLEET.refuelBelow || scenarioFill) {
+                sim.refuelAt = tripEnd + 10 * MINUTE_MS;
+                refuelled = refuelled || scenarioFill;
+            }
+            sim.time = tripEnd + INTERVALS.drivingFuel * MINUTE_MS;
+        };
+
+        for (let day = from; day < to; day = startOfDay(day + 36 * HOUR_MS)) {
+            FLEET.trips.forEach(trip => {
+                const tripStart = day + trip.start * HOUR_MS;
+                const tripEnd = day + trip.end * HOUR_MS;
+                if (tripEnd > to) return;
+
+                // Topped up before setting off if the tank would not last the trip
+                park(tripStart - 30 * MINUTE_MS);
+                if (sim.level - tripUse(tripStart, tripEnd) < FLEET.reserve && sim.refuelAt === null) {
+                    sim.refuelAt = sim.time;
+                }
+                park(tripStart);
+                drive(tripStart, tripEnd);
+            });
+        }
+        park(to);
+    }
+
+    /**
+     * Stand-in for the MyGeotab API object
+     * @returns {Object} {call(method, params): Promise}
+     */
+    function createApi() {
+        return {
+            call: call
+        };
+    }
+
+    /**
+     * Answer an API call from the simulated data
+     * @param {string} method - Get, GetFeed, GetAddresses or ExecuteMultiCall
+     * @param {Object} params - Call parameters
+     * @returns {Promise} Result
+     */
+    async function call(method, params) {
+        switch (method) {
+            case 'ExecuteMultiCall':
+                return Promise.all(params.calls.map(c => call(c.method, c.params)));
+            case 'Get':
+                return get(params);
+            case 'GetFeed':
+                return getFeed(params);
+            case 'GetAddresses':
+                return (params.coordinates || []).map(c => ({
+                    formattedAddress: `Simulated site near ${c.y.toFixed(3)}, ${c.x.toFixed(3)}`
+                }));
+            default:
+                console.log('Simulator: no data for', method, params);
+                return [];
+        }
+    }
+
+    /**
+     * Get: entities matching a search, as far as the clock has got
+     */
+    function get(params) {
+        const typeName = params.typeName;
+        const search = params.search || {};
+        const records = store[typeName];
+        if (!records) {
+            console.log('Simulator: no data for', typeName);
+            return [];
+        }
+
+        const now = getNow();
+        const from = search.fromDate ? new Date(search.fromDate).getTime() : -Infinity;
+        const to = search.toDate ? new Date(search.toDate).getTime() : Infinity;
+        const timed = ['StatusData', 'Trip', 'LogRecord', 'DriverChange'].includes(typeName);
+
+        const results = records.filter(record => {
+            if (search.id && record.id !== search.id) return false;
+            if (!matches(record, search)) return false;
+            if (!timed) return true;
+            if (getRecordTime(typeName, record) > now) return false;
+
+            if (typeName === 'Trip') {
+                return new Date(record.stop).getTime() >= from && new Date(record.start).getTime() <= to;
+            }
+            const time = new Date(record.dateTime).getTime();
+            return time >= from && time <= to;
+        });
+
+        if (typeName === 'Trip') {
+            results.sort((a, b) => new Date(a.start) - new Date(b.start));
+        }
+        return params.resultsLimit ? results.slice(0, params.resultsLimit) : results;
+    }
+
+    /**
+     * GetFeed: what has come in since a version
+     * Without a version the feed starts at search.fromDate, or else where the
+     * clock started.
+     */
+    function getFeed(params) {
+        const typeName = params.typeName;
+        const search = params.search || {};
+        const records = store[typeName];
+        if (!records || !FEED_TYPES.includes(typeName)) {
+            throw new Error(`Simulator: ${typeName} has no feed`);
+        }
+
+        const now = getNow();
+        const limit = params.resultsLimit || 50000;
+        let index;
+        if (params.fromVersion) {
+            index = parseInt(params.fromVersion, 16);
+            if (isNaN(index)) {
+                throw new Error(`Invalid fromVersion ${params.fromVersion}`);
+            }
+        } else {
+            const from = search.fromDate ? new Date(search.fromDate).getTime() : clockState.start;
+            index = records.findIndex(record => getRecordTime(typeName, record) >= from);
+            if (index < 0) index = records.length;
+        }
+
+        const data = [];
+        let toVersion = formatVersion(index);
+        for (; index < records.length && data.length < limit; index++) {
+            const record = records[index];
+            if (getRecordTime(typeName, record) > now) break;
+
+            toVersion = record.version;
+            if (matches(record, search)) {
+                data.push(record);
+            }
+        }
+
+        return { data: data, toVersion: toVersion };
+    }
+
+    /**
+     * Whether a record matches the device and diagnostic of a search
+     */
+    function matches(record, search) {
+        if (search.deviceSearch && search.deviceSearch.id && (!record.device || record.device.id !== search.deviceSearch.id)) {
+            return false;
+        }
+        if (search.diagnosticSearch && search.diagnosticSearch.id && (!record.diagnostic || record.diagnostic.id !== search.diagnosticSearch.id)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Records of a feed type in the order they become available, with their versions
+     */
+    function versioned(typeName, records) {
+        const list = records
+            .map(record => ({ ...record }))
+            .sort((a, b) => getRecordTime(typeName, a) - getRecordTime(typeName, b));
+        list.forEach((record, index) => {
+            record.version = formatVersion(index + 1);
+        });
+        return list;
+    }
+
+    /**
+     * When a record becomes available (a trip once it has ended)
+     */
+    function getRecordTime(typeName, record) {
+        return new Date(typeName === 'Trip' ? record.stop : record.dateTime).getTime();
+    }
+
+    /**
+     * Geotab-style version string
+     */
+    function formatVersion(number) {
+        return number.toString(16).padStart(16, '0');
+    }
+
+    /**
+     * Simulated current time: `speed` times real time from the start, but never
+     * ahead of the real clock (the system clock until a simulation is started)
+     * @returns {number} Current time (ms)
+     */
+    function getNow() {
+        const real = Date.now();
+        if (!clockState) return real;
+
+        return Math.min(real, clockState.start + (real - clockState.startedAt) * clockState.speed);
+    }
+
+    /**
+     * Simulated current time, as a Date (for FuelMonitor's clock)
+     * @returns {Date} Current time
+     */
+    function now() {
+        return new Date(getNow());
+    }
+
+    /**
+     * What is being simulated, for the status bar
+     * @returns {string} Description
+     */
+    function describe() {
+        return description;
+    }
+
+    /**
+     * Store with no data
+     */
+    function emptyStore() {
+        return { Device: [], Group: [], Zone: [], User: [], DriverChange: [], StatusData: [], Trip: [], LogRecord: [] };
+    }
+
+    /**
+     * Local midnight of the day containing a time (ms)
+     */
+    function startOfDay(time) {
+        const day = new Date(time);
+        day.setHours(0, 0, 0, 0);
+        return day.getTime();
+    }
+
+    /**
+     * Geotab TimeSpan ("hh:mm:ss") of a duration
+     */
+    function formatTimeSpan(ms) {
+        const seconds = Math.round(ms / 1000);
+        const pad = n => String(n).padStart(2, '0');
+        return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    }
+
+    /**
+     * Seeded random numbers from 0 to 1 (the same scenario always generates the same data)
+     */
+    function createRandom(seed) {
+        let state = seed * 2654435761 >>> 0;
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Public API
+    return {
+        SCENARIOS,
+        start,
+        load,
+        generate,
+        createApi,
+        now,
+        describe
+    };
+})();
@@ -17,6 +17,9 @@
     let saveSettingsBtn = null;
     let cancelSettingsBtn = null;
 
+    // Fuel card modal
+    let fuelCardsModal = null;
+
     /**
      * Entry point for the add-in
      * Called by MyGeotab when the add-in is loaded
@@ -32,7 +35,7 @@
              * @param {Object} freshState - Add-in state
              * @param {Function} callback - Callback when initialization is complete
              */
-            initialize: function(freshApi, freshState, callback) {
+            initialize: async function(freshApi, freshState, callback) {
                 api = freshApi;
                 state = freshState;
 
@@ -41,11 +44,20 @@
                 // Initialize UI components
                 initializeUI();
 
-                // Initialize alert manager
-                AlertManager.init();
+                // Initialize the alert map and alert manager (loads stored alerts and analysis runs)
+                AlertMap.init();
+                await AlertManager.init();
+                await AnalysisRuns.init();
+
+                // Initialize fuel monitor with API (restores stored analysis state)
+                await FuelMonitor.init(api);
+                FuelCards.init(api);
 
-                // Initialize fuel monitor with API
-                FuelMonitor.init(api);
+                // Record the signed-in user in alert history, and share alerts and
+                // config with the team (syncs in the background; offline uses the local cache)
+                const userName = await getUserName();
+                AlertManager.setCurrentUser(userName);
+                SharedStore.init(api, userName).then(() => FuelReports.start());
 
                 // Request notification permission
                 requestNotificationPermission();
@@ -84,6 +96,20 @@
         };
     };
 
+    /**
+     * Name of the signed-in MyGeotab user
+     * @returns {Promise<string|null>} User name, or null if unknown
+     */
+    function getUserName() {
+        return new Promise(resolve => {
+            if (typeof api.getSession !== 'function') {
+                resolve(null);
+                return;
+            }
+            api.getSession(session => resolve(session ? session.userName : null));
+        });
+    }
+
     /**
      * Initialize UI event handlers
      */
@@ -129,8 +155,34 @@
             if (e.key === 'Escape' && settingsModal.classList.contains('active')) {
                 closeSettings();
             }
+            if (e.key === 'Escape' && fuelCardsModal && fuelCardsModal.classList.contains('active')) {
+                closeFuelCards();
+            }
         });
 
+        // Fuel card reconciliation
+        initializeFuelCardsUI();
+
+        // Fuel level chart, for an alert (from its card) or the vehicle selected in the filter
+        FuelChart.init();
+        AlertExport.init();
+        FuelReports.init();
+        FleetDashboard.init();
+        TuningLab.init();
+        const vehicleFilter = document.getElementById('vehicle-filter');
+        const vehicleChartBtn = document.getElementById('vehicle-chart-btn');
+        if (vehicleChartBtn) {
+            vehicleFilter.addEventListener('change', () => {
+                vehicleChartBtn.disabled = vehicleFilter.value === 'all';
+            });
+            vehicleChartBtn.addEventListener('click', () => {
+                const option = vehicleFilter.selectedOptions[0];
+                if (option && option.value !== 'all') {
+                    FuelChart.openForVehicle(option.value, option.textContent);
+                }
+            });
+        }
+
         // Test alert button
         const testAlertBtn = document.getElementById('test-alert-btn');
         if (testAlertBtn) {
@@ -143,6 +195,77 @@
             analyzeHistoryBtn.addEventListener('click', analyzeHistoricalData);
         }
 
+        const cancelHistoryBtn = document.getElementById('cancel-history-btn');
+        if (cancelHistoryBtn) {
+            cancelHistoryBtn.addEventListener('click', cancelHistoricalAnalysis);
+        }
+
+        const resumeHistoryBtn = document.getElementById('resume-history-btn');
+        if (resumeHistoryBtn) {
+            resumeHistoryBtn.addEventListener('click', resumeHistoricalAnalysis);
+            updateResumeButton();
+        }
+
+        // Volume unit options
+        const volumeUnitSelect = document.getElementById('volume-unit-select');
+        if (volumeUnitSelect) {
+            FuelUnits.getUnits().forEach(unit => {
+                const option = document.createElement('option');
+                option.value = unit.key;
+                option.textContent = unit.name;
+                volumeUnitSelect.appendChild(option);
+            });
+            volumeUnitSelect.addEventListener('change', onVolumeUnitChange);
+        }
+
+        // Threshold profiles
+        const addThresholdProfileBtn = document.getElementById('add-threshold-profile');
+        if (addThresholdProfileBtn) {
+            addThresholdProfileBtn.addEventListener('click', () => {
+                addThresholdProfile({ name: '', devices: [], groups: [] }, currentVolumeUnit());
+            });
+        }
+
+        // Per-group detector selection
+        const addDetectorGroupBtn = document.getElementById('add-detector-group');
+        if (addDetectorGroupBtn) {
+            addDetectorGroupBtn.addEventListener('click', () => addDetectorGroupRow('', []));
+        }
+
+        // Severity rule editor
+        const addSeverityRuleBtn = document.getElementById('add-severity-rule');
+        if (addSeverityRuleBtn) {
+            addSeverityRuleBtn.addEventListener('click', () => {
+                addSeverityRuleRow({ severity: 'medium' }, currentVolumeUnit());
+            });
+        }
+
+        const resetSeverityRulesBtn = document.getElementById('reset-severity-rules');
+        if (resetSeverityRulesBtn) {
+            resetSeverityRulesBtn.addEventListener('click', () => {
+                renderSeverityRules(SeverityRules.getDefaultRules(), currentVolumeUnit());
+            });
+        }
+
+        // Zone editor
+        const addZoneBtn = document.getElementById('add-zone');
+        if (addZoneBtn) {
+            addZoneBtn.addEventListener('click', () => {
+                addZoneRow({ name: '', effect: 'suppress', radius: 200 });
+            });
+        }
+
+        // Risk schedule editor (a new schedule starts as "outside operating hours")
+        const addRiskScheduleBtn = document.getElementById('add-risk-schedule');
+        if (addRiskScheduleBtn) {
+            addRiskScheduleBtn.addEventListener('click', () => {
+                addRiskScheduleRow({
+                    name: '', effect: 'escalate', outside: true, days: [1, 2, 3, 4, 5],
+                    timeFrom: '07:00', timeTo: '18:00', dates: [], groups: [], devices: []
+                });
+            });
+        }
+
         // Set default dates (last 7 days)
         setDefaultDates();
     }
@@ -169,7 +292,6 @@
     async function analyzeHistoricalData() {
         const dateFromInput = document.getElementById('date-from');
         const dateToInput = document.getElementById('date-to');
-        const analyzeBtn = document.getElementById('analyze-history-btn');
 
         if (!dateFromInput.value || !dateToInput.value) {
             alert('Please select both From and To dates');
@@ -192,13 +314,38 @@
             return;
         }
 
-        // Clear existing alerts before analyzing
-        AlertManager.clearAlerts();
+        // What is found is kept as a named run, for review before it joins the alert list
+        const runNameInput = document.getElementById('history-run-name');
+        const runName = runNameInput.value.trim() || `${dateFromInput.value} to ${dateToInput.value}`;
+
+        await runHistoryAnalysis(progress =>
+            FuelMonitor.analyzeHistoricalData(fromDate, toDate, progress, { resumable: true, runName: runName }));
+        runNameInput.value = '';
+    }
+
+    /**
+     * Continue the historical analysis interrupted when the page was last closed
+     */
+    async function resumeHistoricalAnalysis() {
+        await runHistoryAnalysis(progress => FuelMonitor.resumeHistoricalAnalysis(progress));
+    }
+
+    /**
+     * Run a historical analysis, showing its progress on the Analyze button
+     * @param {Function} start - Starts the analysis given a progress callback; resolves to the counts
+     */
+    async function runHistoryAnalysis(start) {
+        const analyzeBtn = document.getElementById('analyze-history-btn');
+        const cancelBtn = document.getElementById('cancel-history-btn');
 
         // Disable button and show progress
         analyzeBtn.disabled = true;
         const originalText = analyzeBtn.textContent;
         analyzeBtn.textContent = 'Analyzing...';
+        cancelBtn.disabled = false;
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.hidden = false;
+        document.getElementById('resume-history-btn').hidden = true;
 
         // Update status
         const indicator = document.getElementById('status-indicator');
@@ -208,19 +355,26 @@
         }
 
         try {
-            const alertCount = await FuelMonitor.analyzeHistoricalData(fromDate, toDate, function(message, percent) {
+            const counts = await start(function(message, percent) {
                 analyzeBtn.textContent = `${percent}% - ${message.split('(')[0].trim()}`;
             });
 
             // Update status
             if (indicator) {
-                indicator.querySelector('.status-text').textContent = `Found ${alertCount} potential theft events`;
+                indicator.querySelector('.status-text').textContent = counts.cancelled
+                    ? `Analysis cancelled - found ${counts.alerts} potential theft events and ${counts.refuels} refuels so far`
+                    : `Found ${counts.alerts} potential theft events and ${counts.refuels} refuels`;
             }
 
-            if (alertCount === 0) {
+            if (counts.alerts === 0 && !counts.cancelled) {
                 alert('No suspicious fuel drops detected in the selected date range.');
             }
 
+            // Show what the run found, for review
+            if (counts.runId) {
+                AnalysisRuns.open(counts.runId);
+            }
+
         } catch (error) {
             console.error('Analysis failed:', error);
             alert('Failed to analyze historical data: ' + error.message);
@@ -233,6 +387,34 @@
             // Re-enable button
             analyzeBtn.disabled = false;
             analyzeBtn.textContent = originalText;
+            cancelBtn.hidden = true;
+            updateResumeButton();
+        }
+    }
+
+    /**
+     * Stop the running historical analysis (vehicles in progress are finished first)
+     */
+    function cancelHistoricalAnalysis() {
+        const cancelBtn = document.getElementById('cancel-history-btn');
+        cancelBtn.disabled = true;
+        cancelBtn.textContent = 'Cancelling...';
+        FuelMonitor.cancelHistoricalAnalysis();
+    }
+
+    /**
+     * Offer to resume a historical analysis that was interrupted
+     */
+    function updateResumeButton() {
+        const resumeBtn = document.getElementById('resume-history-btn');
+        if (!resumeBtn) return;
+
+        const checkpoint = FuelMonitor.getHistoryCheckpoint();
+        resumeBtn.hidden = !checkpoint || FuelMonitor.isAnalyzingHistory();
+        if (checkpoint) {
+            const day = time => new Date(time).toLocaleDateString();
+            resumeBtn.title = `Analysis of ${day(checkpoint.from)} to ${day(checkpoint.to)} was interrupted ` +
+                `after ${checkpoint.done.length} vehicles`;
         }
     }
 
@@ -241,9 +423,9 @@
      */
     function triggerTestAlert() {
         const testVehicles = [
-            { name: 'Test Truck #101', id: 'test-101' },
-            { name: 'Test Van #202', id: 'test-202' },
-            { name: 'Test Car #303', id: 'test-303' }
+            { name: 'Test Truck #101', id: 'test-101', tankCapacity: 400 },
+            { name: 'Test Van #202', id: 'test-202', tankCapacity: 80 },
+            { name: 'Test Car #303', id: 'test-303', tankCapacity: 50 }
         ];
         const severities = ['critical', 'high', 'medium'];
 
@@ -274,13 +456,184 @@
             fuelDrop: fuelDrop,
             previousLevel: previousLevel,
             currentLevel: currentLevel,
+            volumeLost: (fuelDrop / 100) * vehicle.tankCapacity,
+            tankCapacity: vehicle.tankCapacity,
             duration: Math.round(duration),
-            location: 'Test Location'
+            location: 'Test Location',
+            isTest: true
         });
 
         console.log('Test alert triggered:', vehicle.name, severity);
     }
 
+    /**
+     * Set up the fuel card reconciliation modal
+     */
+    function initializeFuelCardsUI() {
+        fuelCardsModal = document.getElementById('fuel-cards-modal');
+        if (!fuelCardsModal) return;
+
+        document.getElementById('fuel-cards-btn').addEventListener('click', openFuelCards);
+        document.getElementById('close-fuel-cards').addEventListener('click', closeFuelCards);
+
+        fuelCardsModal.addEventListener('click', function(e) {
+            if (e.target === fuelCardsModal) {
+                closeFuelCards();
+            }
+        });
+
+        // CSV import
+        document.getElementById('fuel-card-file').addEventListener('change', async function(e) {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            try {
+                await FuelMonitor.ensureVehicles();
+                const result = FuelCards.importCSV(await file.text());
+                reportFuelCardImport(result);
+            } catch (error) {
+                console.error('Fuel card import failed:', error);
+                alert('Failed to import fuel card file: ' + error.message);
+            } finally {
+                e.target.value = '';
+            }
+        });
+
+        // Geotab FuelTransaction import
+        document.getElementById('fetch-fuel-transactions').addEventListener('click', async function() {
+            const dateFrom = document.getElementById('date-from').value;
+            const dateTo = document.getElementById('date-to').value;
+
+            if (!dateFrom || !dateTo) {
+                alert('Please select both From and To dates');
+                return;
+            }
+
+            const toDate = new Date(dateTo);
+            toDate.setHours(23, 59, 59, 999);
+
+            try {
+                await FuelMonitor.ensureVehicles();
+                const result = await FuelCards.fetchGeotabTransactions(new Date(dateFrom), toDate);
+                reportFuelCardImport(result);
+            } catch (error) {
+                console.error('Fuel transaction fetch failed:', error);
+                alert('Failed to fetch fuel transactions: ' + error.message);
+            }
+        });
+
+        document.getElementById('reconcile-fuel-cards').addEventListener('click', function() {
+            renderFuelCardSummary(FuelCards.reconcile());
+        });
+
+        document.getElementById('clear-fuel-transactions').addEventListener('click', function() {
+            if (confirm('Remove all imported fuel card transactions?')) {
+                FuelCards.clearTransactions();
+                renderFuelCardSummary(FuelCards.reconcile());
+            }
+        });
+    }
+
+    /**
+     * Report an import result and reconcile the new transactions
+     * @param {Object} result - Import result ({imported, skipped, errors})
+     */
+    function reportFuelCardImport(result) {
+        renderFuelCardSummary(FuelCards.reconcile());
+
+        let message = `Imported ${result.imported} transactions`;
+        if (result.skipped > 0) {
+            message += `, ${result.skipped} already imported`;
+        }
+        if (result.errors.length > 0) {
+            message += `.\n${result.errors.length} rows could not be used:\n` + result.errors.slice(0, 10).join('\n');
+        }
+        alert(message);
+    }
+
+    /**
+     * Render reconciliation counts and the transaction table
+     * @param {Object} summary - Result from FuelCards.reconcile
+     */
+    function renderFuelCardSummary(summary) {
+        const summaryEl = document.getElementById('fuel-card-summary');
+        const tableEl = document.getElementById('fuel-card-transactions');
+        const unit = AlertManager.getSettings().volumeUnit;
+
+        summaryEl.innerHTML = `
+            <span><strong>${summary.matched}</strong> matched</span>
+            <span><strong>${summary.shortFills}</strong> short fills</span>
+            <span><strong>${summary.pending}</strong> no fill found yet</span>
+            <span><strong>${summary.unverifiable}</strong> unknown tank capacity</span>
+        `;
+
+        if (summary.results.length === 0) {
+            tableEl.innerHTML = '<p class="capacity-empty">No transactions imported.</p>';
+            return;
+        }
+
+        const statusLabels = {
+            matched: 'Matched',
+            short: 'Short fill',
+            pending: 'No fill found',
+            unverifiable: 'Unverifiable'
+        };
+
+        const rows = summary.results
+            .slice()
+            .sort((a, b) => new Date(b.transaction.timestamp) - new Date(a.transaction.timestamp))
+            .map(r => {
+                const t = r.transaction;
+                // A short fill without a refuel is a purchase the tank never rose for
+                const increase = r.refuel ? r.refuel.volumeAdded : (r.status === 'short' ? 0 : null);
+                const tankIncrease = increase !== null ? FuelUnits.format(increase, unit) : '';
+                return `
+                    <tr>
+                        <td>${new Date(t.timestamp).toLocaleString()}</td>
+                        <td>${escapeHtml(t.vehicleName)}</td>
+                        <td>${escapeHtml(t.station || '')}</td>
+                        <td>${FuelUnits.format(t.litres, unit)}</td>
+                        <td>${tankIncrease}</td>
+                        <td><span class="status-pill ${r.status}">${statusLabels[r.status]}</span></td>
+                    </tr>
+                `;
+            })
+            .join('');
+
+        tableEl.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr><th>Time</th><th>Vehicle</th><th>Station</th><th>Purchased</th><th>Tank Increase</th><th>Status</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Open fuel card modal
+     */
+    function openFuelCards() {
+        renderFuelCardSummary(FuelCards.reconcile());
+        fuelCardsModal.classList.add('active');
+    }
+
+    /**
+     * Close fuel card modal
+     */
+    function closeFuelCards() {
+        fuelCardsModal.classList.remove('active');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     /**
      * Open settings modal
      */
@@ -303,6 +656,32 @@
         const threshold = parseInt(document.getElementById('threshold-input').value, 10);
         const timeWindow = parseInt(document.getElementById('time-window-input').value, 10);
         const pollInterval = parseInt(document.getElementById('poll-interval-input').value, 10);
+        const refuelDetection = document.getElementById('refuel-detection-enabled').checked;
+        const refuelThreshold = parseInt(document.getElementById('refuel-threshold-input').value, 10);
+        const thresholdUnit = document.getElementById('threshold-unit-select').value;
+        const volumeUnit = document.getElementById('volume-unit-select').value;
+        const volumeThreshold = FuelUnits.toLitres(
+            parseFloat(document.getElementById('volume-threshold-input').value), volumeUnit);
+        const cardMatchWindow = parseInt(document.getElementById('card-match-window-input').value, 10);
+        const shortFillLitres = FuelUnits.toLitres(
+            parseFloat(document.getElementById('short-fill-litres-input').value), volumeUnit);
+        const shortFillPercent = parseFloat(document.getElementById('short-fill-percent-input').value);
+        const smoothingMethod = document.getElementById('smoothing-method-select').value;
+        const smoothingWindow = parseInt(document.getElementById('smoothing-window-input').value, 10);
+        const outlierThreshold = parseFloat(document.getElementById('outlier-threshold-input').value);
+        const consumptionDetection = document.getElementById('consumption-enabled').checked;
+        const consumptionPeriod = document.getElementById('consumption-period-select').value;
+        const consumptionMargin = parseFloat(document.getElementById('consumption-margin-input').value);
+        const consumptionMinLitres = FuelUnits.toLitres(
+            parseFloat(document.getElementById('consumption-min-input').value), volumeUnit);
+        const confirmSamples = parseInt(document.getElementById('confirm-samples-input').value, 10);
+        const recoveryMinutes = parseInt(document.getElementById('recovery-minutes-input').value, 10);
+        const rateThreshold = parseFloat(document.getElementById('rate-threshold-input').value);
+        const rateMinDrop = parseFloat(document.getElementById('rate-min-drop-input').value);
+        const zScoreThreshold = parseFloat(document.getElementById('zscore-threshold-input').value);
+        const statMinDrop = parseFloat(document.getElementById('stat-min-drop-input').value);
+        const alertRetentionDays = parseInt(document.getElementById('alert-retention-input').value, 10);
+        const readingRetentionDays = parseInt(document.getElementById('reading-retention-input').value, 10);
         const soundEnabled = document.getElementById('sound-enabled').checked;
         const browserNotifications = document.getElementById('browser-notifications').checked;
 
@@ -322,17 +701,154 @@
             return;
         }
 
+        if (isNaN(smoothingWindow) || smoothingWindow < 1 || smoothingWindow > 15) {
+            alert('Smoothing window must be between 1 and 15 readings');
+            return;
+        }
+
+        if (isNaN(outlierThreshold) || outlierThreshold < 0 || outlierThreshold > 100) {
+            alert('Outlier threshold must be between 0 and 100');
+            return;
+        }
+
+        if (isNaN(confirmSamples) || confirmSamples < 0 || confirmSamples > 20) {
+            alert('Confirming readings must be between 0 and 20');
+            return;
+        }
+
+        if (isNaN(recoveryMinutes) || recoveryMinutes < 0 || recoveryMinutes > 120) {
+            alert('Recovery window must be between 0 and 120 minutes');
+            return;
+        }
+
+        if (isNaN(rateThreshold) || rateThreshold <= 0 || isNaN(rateMinDrop) || rateMinDrop < 1) {
+            alert('Rate of change limit must be greater than zero and its minimum drop at least 1%');
+            return;
+        }
+
+        if (isNaN(zScoreThreshold) || zScoreThreshold < 1 || isNaN(statMinDrop) || statMinDrop < 1) {
+            alert('Statistical limit and minimum drop must be at least 1');
+            return;
+        }
+
+        if (isNaN(alertRetentionDays) || alertRetentionDays < 0 ||
+            isNaN(readingRetentionDays) || readingRetentionDays < 0) {
+            alert('Retention periods must be zero (keep forever) or a number of days');
+            return;
+        }
+
+        const thresholdProfiles = readThresholdProfiles(volumeUnit);
+        if (!thresholdProfiles) {
+            alert('Every threshold profile needs a name, and its values must be within the same limits as the global settings');
+            return;
+        }
+
+        const severityRules = readSeverityRules(volumeUnit);
+        if (!severityRules) {
+            alert('Severity rule values must be zero or more, and time windows need both a start and an end');
+            return;
+        }
+
+        const zones = readZones();
+        if (!zones) {
+            alert('Every zone needs a name and a Geotab zone, a circle (latitude, longitude and radius) or a polygon of at least 3 valid points');
+            return;
+        }
+
+        const riskSchedules = readRiskSchedules();
+        if (!riskSchedules) {
+            alert('Every risk schedule needs a name and its days, hours or dates; hours need both a start and an end, dates must be yyyy-mm-dd, and lowered thresholds must be between 1 and 100%');
+            return;
+        }
+
+        const reportSchedule = FuelReports.readSchedule();
+        if (!reportSchedule) {
+            alert('Enter the time summary reports are due');
+            return;
+        }
+
+        const detectorSelection = readDetectorSelection();
+        if (!detectorSelection) {
+            alert('Select at least one default detector, and a group and detector for every group row');
+            return;
+        }
+
+        if (isNaN(refuelThreshold) || refuelThreshold < 1 || refuelThreshold > 100) {
+            alert('Refuel threshold must be between 1 and 100');
+            return;
+        }
+
+        if (isNaN(cardMatchWindow) || cardMatchWindow < 5 || cardMatchWindow > 720) {
+            alert('Card match window must be between 5 and 720 minutes');
+            return;
+        }
+
+        if (shortFillLitres === null || shortFillLitres < 0 || isNaN(shortFillPercent) ||
+            shortFillPercent < 0 || shortFillPercent > 100) {
+            alert('Short fill tolerances must be zero or more (percentage up to 100)');
+            return;
+        }
+
+        if (isNaN(consumptionMargin) || consumptionMargin < 5 || consumptionMargin > 500 ||
+            consumptionMinLitres === null || consumptionMinLitres < 0) {
+            alert('Consumption margin must be between 5 and 500%, and the minimum excess zero or more');
+            return;
+        }
+
+        if (thresholdUnit === 'volume' && (volumeThreshold === null || volumeThreshold <= 0)) {
+            alert('Volume threshold must be greater than zero');
+            return;
+        }
+
+        const tankCapacities = readTankCapacities(volumeUnit);
+        if (!tankCapacities) {
+            alert('Tank capacities must be positive numbers');
+            return;
+        }
+
         // Update fuel monitor config
         FuelMonitor.updateConfig({
             dropThreshold: threshold,
             timeWindowMinutes: timeWindow,
-            pollIntervalSeconds: pollInterval
+            pollIntervalSeconds: pollInterval,
+            thresholdUnit: thresholdUnit,
+            volumeThreshold: volumeThreshold || FuelMonitor.getConfig().volumeThreshold,
+            tankCapacities: tankCapacities,
+            refuelDetection: refuelDetection,
+            refuelThreshold: refuelThreshold,
+            cardMatchWindowMinutes: cardMatchWindow,
+            shortFillToleranceLitres: shortFillLitres,
+            shortFillTolerancePercent: shortFillPercent,
+            consumptionDetection: consumptionDetection,
+            consumptionPeriod: consumptionPeriod,
+            consumptionMargin: consumptionMargin,
+            consumptionMinLitres: consumptionMinLitres,
+            smoothingMethod: smoothingMethod,
+            smoothingWindow: smoothingWindow,
+            outlierThreshold: outlierThreshold,
+            confirmSamples: confirmSamples,
+            recoveryMinutes: recoveryMinutes,
+            rateThreshold: rateThreshold,
+            rateMinDrop: rateMinDrop,
+            zScoreThreshold: zScoreThreshold,
+            statMinDrop: statMinDrop,
+            detectorSelection: detectorSelection,
+            severityRules: severityRules,
+            thresholdProfiles: thresholdProfiles,
+            zones: zones,
+            riskSchedules: riskSchedules,
+            alertRetentionDays: alertRetentionDays,
+            readingRetentionDays: readingRetentionDays,
+            reportSchedule: reportSchedule
         });
+        FuelMonitor.applyRetention();
+        FuelReports.checkSchedule();
 
-        // Save notification preferences
+        // Save notification and display preferences
         const notificationSettings = {
             soundEnabled: soundEnabled,
-            browserNotifications: browserNotifications
+            browserNotifications: browserNotifications,
+            volumeUnit: volumeUnit
         };
 
         try {
@@ -341,6 +857,9 @@
             console.error('Failed to save notification settings:', e);
         }
 
+        // Re-render alerts in case the volume unit changed
+        AlertManager.renderAll();
+
         closeSettings();
         console.log('Settings saved');
     }
@@ -360,6 +879,76 @@
         if (timeWindowInput) timeWindowInput.value = config.timeWindowMinutes;
         if (pollIntervalInput) pollIntervalInput.value = config.pollIntervalSeconds;
 
+        const filterInputs = {
+            'smoothing-method-select': config.smoothingMethod,
+            'smoothing-window-input': config.smoothingWindow,
+            'outlier-threshold-input': config.outlierThreshold,
+            'confirm-samples-input': config.confirmSamples,
+            'recovery-minutes-input': config.recoveryMinutes,
+            'rate-threshold-input': config.rateThreshold,
+            'rate-min-drop-input': config.rateMinDrop,
+            'zscore-threshold-input': config.zScoreThreshold,
+            'stat-min-drop-input': config.statMinDrop,
+            'alert-retention-input': config.alertRetentionDays,
+            'reading-retention-input': config.readingRetentionDays
+        };
+        Object.keys(filterInputs).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = filterInputs[id];
+        });
+
+        renderDetectorSelection(config.detectorSelection);
+
+        const refuelDetectionInput = document.getElementById('refuel-detection-enabled');
+        const refuelThresholdInput = document.getElementById('refuel-threshold-input');
+        if (refuelDetectionInput) refuelDetectionInput.checked = config.refuelDetection !== false;
+        if (refuelThresholdInput) refuelThresholdInput.value = config.refuelThreshold;
+
+        const thresholdUnitSelect = document.getElementById('threshold-unit-select');
+        if (thresholdUnitSelect) thresholdUnitSelect.value = config.thresholdUnit;
+
+        // Volumes are stored in litres and shown in the preferred unit
+        const volumeUnit = AlertManager.getSettings().volumeUnit;
+        const volumeUnitSelect = document.getElementById('volume-unit-select');
+        if (volumeUnitSelect) {
+            volumeUnitSelect.value = volumeUnit;
+            volumeUnitSelect.dataset.unit = volumeUnit;
+        }
+
+        const volumeThresholdInput = document.getElementById('volume-threshold-input');
+        if (volumeThresholdInput) {
+            volumeThresholdInput.value = roundVolume(FuelUnits.fromLitres(config.volumeThreshold, volumeUnit));
+        }
+
+        const cardMatchWindowInput = document.getElementById('card-match-window-input');
+        const shortFillLitresInput = document.getElementById('short-fill-litres-input');
+        const shortFillPercentInput = document.getElementById('short-fill-percent-input');
+        if (cardMatchWindowInput) cardMatchWindowInput.value = config.cardMatchWindowMinutes;
+        if (shortFillLitresInput) {
+            shortFillLitresInput.value = roundVolume(FuelUnits.fromLitres(config.shortFillToleranceLitres, volumeUnit));
+        }
+        if (shortFillPercentInput) shortFillPercentInput.value = config.shortFillTolerancePercent;
+
+        const consumptionEnabledInput = document.getElementById('consumption-enabled');
+        const consumptionPeriodSelect = document.getElementById('consumption-period-select');
+        const consumptionMarginInput = document.getElementById('consumption-margin-input');
+        const consumptionMinInput = document.getElementById('consumption-min-input');
+        if (consumptionEnabledInput) consumptionEnabledInput.checked = config.consumptionDetection !== false;
+        if (consumptionPeriodSelect) consumptionPeriodSelect.value = config.consumptionPeriod;
+        if (consumptionMarginInput) consumptionMarginInput.value = config.consumptionMargin;
+        if (consumptionMinInput) {
+            consumptionMinInput.value = roundVolume(FuelUnits.fromLitres(config.consumptionMinLitres, volumeUnit));
+        }
+
+        renderThresholdProfiles(config.thresholdProfiles || [], volumeUnit);
+        renderSeverityRules(config.severityRules || [], volumeUnit);
+        renderZones(config.zones || []);
+        renderRiskSchedules(config.riskSchedules || []);
+        FuelReports.renderSchedule(config.reportSchedule);
+        updateVolumeUnitLabels(volumeUnit);
+        renderTankCapacityTable(config.tankCapacities || {}, volumeUnit);
+        renderConsumptionBaselines(volumeUnit);
+
         // Load notification settings
         try {
             const notifSettings = JSON.parse(localStorage.getItem('fuelMonitorSettings')) || {};
@@ -378,6 +967,910 @@
         }
     }
 
+    /**
+     * Render detector checkboxes for the default set and each group rule
+     * @param {Object} selection - {default: [ids], groups: {groupId: [ids]}}
+     */
+    function renderDetectorSelection(selection) {
+        const defaults = document.getElementById('detector-default');
+        const rules = document.getElementById('detector-group-rules');
+        if (!defaults || !rules) return;
+
+        defaults.innerHTML = '';
+        defaults.appendChild(createDetectorCheckboxes(selection.default || []));
+
+        rules.innerHTML = '';
+        Object.keys(selection.groups || {}).forEach(groupId => {
+            addDetectorGroupRow(groupId, selection.groups[groupId]);
+        });
+    }
+
+    /**
+     * Create a checkbox per registered detector
+     * @param {Array} checkedIds - Detector ids to pre-check
+     * @returns {HTMLElement} Checkbox container
+     */
+    function createDetectorCheckboxes(checkedIds) {
+        const container = document.createElement('div');
+        container.className = 'detector-checkboxes';
+
+        DetectorRegistry.list().forEach(detector => {
+            const label = document.createElement('label');
+            label.title = detector.description || '';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = detector.id;
+            checkbox.checked = checkedIds.includes(detector.id);
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(detector.name));
+            container.appendChild(label);
+        });
+
+        return container;
+    }
+
+    /**
+     * Add a group rule row to the detector settings
+     * @param {string} groupId - Selected group ('' for none)
+     * @param {Array} checkedIds - Detector ids to pre-check
+     */
+    function addDetectorGroupRow(groupId, checkedIds) {
+        const rules = document.getElementById('detector-group-rules');
+        if (!rules) return;
+
+        const row = document.createElement('div');
+        row.className = 'detector-group-row';
+
+        const select = document.createElement('select');
+        select.innerHTML = '<option value="">Select group...</option>';
+        const groups = FuelMonitor.getGroups();
+
+        // Keep rules for groups that are not loaded yet
+        if (groupId && !groups.some(g => g.id === groupId)) {
+            groups.push({ id: groupId, name: groupId });
+        }
+
+        groups
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(group => {
+                const option = document.createElement('option');
+                option.value = group.id;
+                option.textContent = group.name;
+                select.appendChild(option);
+            });
+        select.value = groupId;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'row-remove';
+        removeBtn.title = 'Remove';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => row.remove());
+
+        row.appendChild(select);
+        row.appendChild(createDetectorCheckboxes(checkedIds));
+        row.appendChild(removeBtn);
+        rules.appendChild(row);
+    }
+
+    /**
+     * Read the detector selection from the settings
+     * @returns {Object|null} {default, groups}, or null if incomplete
+     */
+    function readDetectorSelection() {
+        const checkedIn = container => [...container.querySelectorAll('input[type="checkbox"]:checked')]
+            .map(cb => cb.value);
+
+        const defaults = document.getElementById('detector-default');
+        const selection = {
+            default: defaults ? checkedIn(defaults) : ['threshold'],
+            groups: {}
+        };
+        if (selection.default.length === 0) return null;
+
+        for (const row of document.querySelectorAll('#detector-group-rules .detector-group-row')) {
+            const groupId = row.querySelector('select').value;
+            const ids = checkedIn(row);
+            if (!groupId || ids.length === 0) return null;
+
+            selection.groups[groupId] = [...new Set([...(selection.groups[groupId] || []), ...ids])];
+        }
+
+        return selection;
+    }
+
+    /**
+     * Render the threshold profile editor
+     * @param {Array} profiles - Threshold profiles (volumes in litres)
+     * @param {string} volumeUnit - Display unit
+     */
+    function renderThresholdProfiles(profiles, volumeUnit) {
+        const container = document.getElementById('threshold-profiles');
+        if (!container) return;
+
+        container.innerHTML = '';
+        profiles.forEach(profile => addThresholdProfile(profile, volumeUnit));
+    }
+
+    /**
+     * Add a profile to the threshold profile editor
+     * @param {Object} profile - Threshold profile (volumes in litres)
+     * @param {string} volumeUnit - Display unit
+     */
+    function addThresholdProfile(profile, volumeUnit) {
+        const container = document.getElementById('threshold-profiles');
+        if (!container) return;
+
+        const card = document.createElement('div');
+        card.className = 'threshold-profile';
+        card.dataset.profileId = profile.id || `profile-${Date.now()}-${container.children.length}`;
+
+        // Keep attachments to vehicles and groups that are not loaded yet
+        const vehicles = FuelMonitor.getVehicles()
+            .map(v => ({ id: v.id, name: v.name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        (profile.devices || []).forEach(id => {
+            if (!vehicles.some(v => v.id === id)) vehicles.push({ id: id, name: id });
+        });
+
+        const groups = FuelMonitor.getGroups();
+        (profile.groups || []).forEach(id => {
+            if (!groups.some(g => g.id === id)) groups.push({ id: id, name: id });
+        });
+
+        const options = items => items
+            .map(item => `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)}</option>`)
+            .join('');
+
+        card.innerHTML = `
+            <div class="profile-header">
+                <input type="text" data-field="name" placeholder="Profile name (e.g. Generators)">
+                <button type="button" class="row-remove" title="Remove">&times;</button>
+            </div>
+            <div class="profile-fields">
+                <div>
+                    <label>Drop threshold (%)</label>
+                    <input type="number" data-field="dropThreshold" min="1" max="50" placeholder="global">
+                </div>
+                <div>
+                    <label>Threshold type</label>
+                    <select data-field="thresholdUnit">
+                        <option value="">Global</option>
+                        <option value="percent">Percent of tank</option>
+                        <option value="volume">Volume</option>
+                    </select>
+                </div>
+                <div>
+                    <label>Drop threshold (<span class="volume-unit-label">${FuelUnits.label(volumeUnit)}</span>)</label>
+                    <input type="number" data-field="volumeThreshold" min="1" placeholder="global">
+                </div>
+                <div>
+                    <label>Time window (min)</label>
+                    <input type="number" data-field="timeWindowMinutes" min="5" max="120" placeholder="global">
+                </div>
+                <div>
+                    <label>Refuel threshold (%)</label>
+                    <input type="number" data-field="refuelThreshold" min="1" max="100" placeholder="global">
+                </div>
+            </div>
+            <div class="profile-attachments">
+                <div>
+                    <label>Groups</label>
+                    <select data-field="groups" multiple size="4">${options(groups)}</select>
+                </div>
+                <div>
+                    <label>Vehicles</label>
+                    <select data-field="devices" multiple size="4">${options(vehicles)}</select>
+                </div>
+            </div>
+        `;
+
+        const field = name => card.querySelector(`[data-field="${name}"]`);
+        const numberValue = value => typeof value === 'number' ? value : '';
+
+        field('name').value = profile.name || '';
+        field('dropThreshold').value = numberValue(profile.dropThreshold);
+        field('thresholdUnit').value = profile.thresholdUnit || '';
+        field('volumeThreshold').value = typeof profile.volumeThreshold === 'number'
+            ? roundVolume(FuelUnits.fromLitres(profile.volumeThreshold, volumeUnit))
+            : '';
+        field('timeWindowMinutes').value = numberValue(profile.timeWindowMinutes);
+        field('refuelThreshold').value = numberValue(profile.refuelThreshold);
+
+        ['groups', 'devices'].forEach(name => {
+            const selected = profile[name] || [];
+            [...field(name).options].forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+        });
+
+        card.querySelector('.row-remove').addEventListener('click', () => card.remove());
+
+        container.appendChild(card);
+    }
+
+    /**
+     * Read threshold profiles from the editor
+     * @param {string} volumeUnit - Unit the volume inputs are expressed in
+     * @returns {Array|null} Profiles (volumes in litres), or null if invalid
+     */
+    function readThresholdProfiles(volumeUnit) {
+        const profiles = [];
+
+        for (const card of document.querySelectorAll('#threshold-profiles .threshold-profile')) {
+            const field = name => card.querySelector(`[data-field="${name}"]`);
+            const number = name => field(name).value === '' ? null : parseFloat(field(name).value);
+            const inRange = (value, min, max) => value === null || (!isNaN(value) && value >= min && value <= max);
+            const selected = name => [...field(name).selectedOptions].map(option => option.value);
+
+            const profile = {
+                id: card.dataset.profileId,
+                name: field('name').value.trim(),
+                dropThreshold: number('dropThreshold'),
+                thresholdUnit: field('thresholdUnit').value || null,
+                volumeThreshold: number('volumeThreshold'),
+                timeWindowMinutes: number('timeWindowMinutes'),
+                refuelThreshold: number('refuelThreshold'),
+                groups: selected('groups'),
+                devices: selected('devices')
+            };
+
+            if (!profile.name ||
+                !inRange(profile.dropThreshold, 1, 50) ||
+                !inRange(profile.timeWindowMinutes, 5, 120) ||
+                !inRange(profile.refuelThreshold, 1, 100) ||
+                !inRange(profile.volumeThreshold, 0.1, Infinity)) {
+                return null;
+            }
+
+            if (profile.volumeThreshold !== null) {
+                profile.volumeThreshold = FuelUnits.toLitres(profile.volumeThreshold, volumeUnit);
+            }
+            profiles.push(profile);
+        }
+
+        return profiles;
+    }
+
+    /**
+     * Render the severity rule editor
+     * @param {Array} rules - Ordered severity rules (volumes in litres)
+     * @param {string} volumeUnit - Display unit
+     */
+    function renderSeverityRules(rules, volumeUnit) {
+        const container = document.getElementById('severity-rules');
+        if (!container) return;
+
+        container.innerHTML = '';
+        rules.forEach(rule => addSeverityRuleRow(rule, volumeUnit));
+    }
+
+    /**
+     * Add a rule row to the severity rule editor
+     * @param {Object} rule - Severity rule (volumes in litres)
+     * @param {string} volumeUnit - Display unit
+     */
+    function addSeverityRuleRow(rule, volumeUnit) {
+        const container = document.getElementById('severity-rules');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'severity-rule-row';
+
+        const groupOptions = FuelMonitor.getGroups();
+        if (rule.groupId && !groupOptions.some(g => g.id === rule.groupId)) {
+            groupOptions.push({ id: rule.groupId, name: rule.groupId });
+        }
+
+        const volume = typeof rule.volumeAbove === 'number'
+            ? roundVolume(FuelUnits.fromLitres(rule.volumeAbove, volumeUnit))
+            : '';
+
+        row.innerHTML = `
+            <span class="rule-order"></span>
+            <select data-field="severity">
+                ${SeverityRules.LEVELS.map(level => `<option value="${level}">${level.toUpperCase()}</option>`).join('')}
+            </select>
+            <span>drop &gt;</span>
+            <input type="number" data-field="dropAbove" min="0" max="100" placeholder="any">
+            <span>%, volume &gt;</span>
+            <input type="number" data-field="volumeAbove" min="0" placeholder="any">
+            <span class="volume-unit-label">${FuelUnits.label(volumeUnit)}</span>
+            <span>, in &lt;</span>
+            <input type="number" data-field="durationBelow" min="0" placeholder="any">
+            <span>min, between</span>
+            <input type="time" data-field="timeFrom">
+            <span>and</span>
+            <input type="time" data-field="timeTo">
+            <span>, location contains</span>
+            <input type="text" data-field="location" placeholder="any">
+            <span>, group</span>
+            <select data-field="groupId">
+                <option value="">Any group</option>
+                ${groupOptions.map(g => `<option value="${escapeHtml(g.id)}">${escapeHtml(g.name)}</option>`).join('')}
+            </select>
+            <button type="button" class="rule-move" data-move="-1" title="Move up">&uarr;</button>
+            <button type="button" class="rule-move" data-move="1" title="Move down">&darr;</button>
+            <button type="button" class="row-remove" title="Remove">&times;</button>
+        `;
+
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        field('severity').value = rule.severity || 'medium';
+        field('dropAbove').value = typeof rule.dropAbove === 'number' ? rule.dropAbove : '';
+        field('volumeAbove').value = volume;
+        field('durationBelow').value = typeof rule.durationBelow === 'number' ? rule.durationBelow : '';
+        field('timeFrom').value = rule.timeFrom || '';
+        field('timeTo').value = rule.timeTo || '';
+        field('location').value = rule.location || '';
+        field('groupId').value = rule.groupId || '';
+
+        row.querySelectorAll('.rule-move').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const sibling = btn.dataset.move === '-1' ? row.previousElementSibling : row.nextElementSibling;
+                if (!sibling) return;
+                if (btn.dataset.move === '-1') {
+                    container.insertBefore(row, sibling);
+                } else {
+                    container.insertBefore(sibling, row);
+                }
+                numberSeverityRules();
+            });
+        });
+
+        row.querySelector('.row-remove').addEventListener('click', () => {
+            row.remove();
+            numberSeverityRules();
+        });
+
+        container.appendChild(row);
+        numberSeverityRules();
+    }
+
+    /**
+     * Show each rule's position in the evaluation order
+     */
+    function numberSeverityRules() {
+        document.querySelectorAll('#severity-rules .rule-order').forEach((el, i) => {
+            el.textContent = `${i + 1}.`;
+        });
+    }
+
+    /**
+     * Read the severity rules from the editor
+     * @param {string} volumeUnit - Unit the volume inputs are expressed in
+     * @returns {Array|null} Ordered rules (volumes in litres), or null if invalid
+     */
+    function readSeverityRules(volumeUnit) {
+        const rules = [];
+
+        for (const row of document.querySelectorAll('#severity-rules .severity-rule-row')) {
+            const value = name => row.querySelector(`[data-field="${name}"]`).value.trim();
+            const number = name => value(name) === '' ? null : parseFloat(value(name));
+
+            const rule = {
+                severity: value('severity'),
+                dropAbove: number('dropAbove'),
+                volumeAbove: number('volumeAbove'),
+                durationBelow: number('durationBelow'),
+                timeFrom: value('timeFrom') || null,
+                timeTo: value('timeTo') || null,
+                location: value('location') || null,
+                groupId: value('groupId') || null
+            };
+
+            const numbers = [rule.dropAbove, rule.volumeAbove, rule.durationBelow];
+            if (numbers.some(n => n !== null && (isNaN(n) || n < 0))) return null;
+            if (!rule.timeFrom !== !rule.timeTo) return null;
+
+            if (rule.volumeAbove !== null) {
+                rule.volumeAbove = FuelUnits.toLitres(rule.volumeAbove, volumeUnit);
+            }
+            rules.push(rule);
+        }
+
+        return rules;
+    }
+
+    /**
+     * Render the zone editor
+     * @param {Array} zones - Configured zones
+     */
+    function renderZones(zones) {
+        const container = document.getElementById('zones');
+        if (!container) return;
+
+        container.innerHTML = '';
+        zones.forEach(zone => addZoneRow(zone));
+    }
+
+    /**
+     * Add a zone to the zone editor
+     * @param {Object} zone - Zone (see Zones)
+     */
+    function addZoneRow(zone) {
+        const container = document.getElementById('zones');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'zone-row';
+        row.dataset.zoneId = zone.id || `zone-${Date.now()}-${container.children.length}`;
+
+        // Keep a Geotab zone that is not loaded yet
+        const geotabZones = FuelMonitor.getGeotabZones();
+        if (zone.geotabZoneId && !geotabZones.some(z => z.id === zone.geotabZoneId)) {
+            geotabZones.push({ id: zone.geotabZoneId, name: zone.geotabZoneId });
+        }
+
+        const effectOptions = Zones.getEffects()
+            .map(e => `<option value="${e.key}">${escapeHtml(e.label)}</option>`)
+            .join('');
+        const geotabOptions = geotabZones
+            .map(z => `<option value="${escapeHtml(z.id)}">${escapeHtml(z.name)}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <div class="zone-header">
+                <input type="text" data-field="name" placeholder="Zone name (e.g. North Depot)">
+                <select data-field="effect">${effectOptions}</select>
+                <select data-field="source">
+                    <option value="geotab">Geotab zone</option>
+                    <option value="circle">Circle</option>
+                    <option value="polygon">Polygon</option>
+                </select>
+                <button type="button" class="row-remove" title="Remove">&times;</button>
+            </div>
+            <div class="zone-shape" data-source="geotab">
+                <select data-field="geotabZoneId">
+                    <option value="">${geotabZones.length > 0 ? 'Select a zone' : 'No Geotab zones loaded'}</option>
+                    ${geotabOptions}
+                </select>
+            </div>
+            <div class="zone-shape" data-source="circle">
+                <input type="number" data-field="latitude" step="any" min="-90" max="90" placeholder="Latitude">
+                <input type="number" data-field="longitude" step="any" min="-180" max="180" placeholder="Longitude">
+                <input type="number" data-field="radius" min="1" placeholder="Radius">
+                <span>m</span>
+            </div>
+            <div class="zone-shape" data-source="polygon">
+                <textarea data-field="points" rows="3" placeholder="51.5007, -0.1246&#10;51.5010, -0.1240&#10;51.5003, -0.1238"></textarea>
+            </div>
+        `;
+
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        const source = zone.geotabZoneId ? 'geotab'
+            : (zone.points || []).length >= 3 ? 'polygon'
+            : 'circle';
+
+        field('name').value = zone.name || '';
+        field('effect').value = zone.effect || 'suppress';
+        field('source').value = source;
+        field('geotabZoneId').value = zone.geotabZoneId || '';
+        field('latitude').value = typeof zone.latitude === 'number' ? zone.latitude : '';
+        field('longitude').value = typeof zone.longitude === 'number' ? zone.longitude : '';
+        field('radius').value = typeof zone.radius === 'number' ? zone.radius : '';
+        field('points').value = (zone.points || []).map(p => `${p.latitude}, ${p.longitude}`).join('\n');
+
+        // Only the inputs for the chosen shape are shown
+        const showShape = () => {
+            row.querySelectorAll('.zone-shape').forEach(el => {
+                el.style.display = el.dataset.source === field('source').value ? '' : 'none';
+            });
+        };
+        field('source').addEventListener('change', showShape);
+        showShape();
+
+        row.querySelector('.row-remove').addEventListener('click', () => row.remove());
+
+        container.appendChild(row);
+    }
+
+    /**
+     * Read zones from the editor
+     * @returns {Array|null} Zones, or null if invalid
+     */
+    function readZones() {
+        const zones = [];
+
+        for (const row of document.querySelectorAll('#zones .zone-row')) {
+            const field = name => row.querySelector(`[data-field="${name}"]`);
+            const number = name => field(name).value === '' ? NaN : parseFloat(field(name).value);
+            const validPosition = (lat, lng) => !isNaN(lat) && !isNaN(lng) &&
+                lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+            const source = field('source').value;
+
+            const zone = {
+                id: row.dataset.zoneId,
+                name: field('name').value.trim(),
+                effect: field('effect').value,
+                geotabZoneId: null,
+                points: [],
+                latitude: null,
+                longitude: null,
+                radius: null
+            };
+
+            if (source === 'geotab') {
+                // The Geotab zone name is used when no name is given
+                zone.geotabZoneId = field('geotabZoneId').value || null;
+                if (!zone.geotabZoneId) return null;
+                if (!zone.name) {
+                    zone.name = field('geotabZoneId').selectedOptions[0].textContent;
+                }
+            } else if (source === 'circle') {
+                zone.latitude = number('latitude');
+                zone.longitude = number('longitude');
+                zone.radius = number('radius');
+                if (!zone.name || !validPosition(zone.latitude, zone.longitude) || !(zone.radius > 0)) return null;
+            } else {
+                zone.points = field('points').value
+                    .split('\n')
+                    .filter(line => line.trim() !== '')
+                    .map(line => {
+                        const [lat, lng] = line.split(',').map(v => parseFloat(v));
+                        return { latitude: lat, longitude: lng };
+                    });
+                if (!zone.name || zone.points.length < 3 ||
+                    zone.points.some(p => !validPosition(p.latitude, p.longitude))) {
+                    return null;
+                }
+            }
+
+            zones.push(zone);
+        }
+
+        return zones;
+    }
+
+    /**
+     * Render the risk schedule editor
+     * @param {Array} schedules - Configured risk schedules
+     */
+    function renderRiskSchedules(schedules) {
+        const container = document.getElementById('risk-schedules');
+        if (!container) return;
+
+        container.innerHTML = '';
+        schedules.forEach(schedule => addRiskScheduleRow(schedule));
+    }
+
+    /**
+     * Add a schedule to the risk schedule editor
+     * @param {Object} schedule - Risk schedule (see RiskSchedules)
+     */
+    function addRiskScheduleRow(schedule) {
+        const container = document.getElementById('risk-schedules');
+        if (!container) return;
+
+        const card = document.createElement('div');
+        card.className = 'risk-schedule';
+        card.dataset.scheduleId = schedule.id || `schedule-${Date.now()}-${container.children.length}`;
+
+        // Keep attachments to vehicles and groups that are not loaded yet
+        const vehicles = FuelMonitor.getVehicles()
+            .map(v => ({ id: v.id, name: v.name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        (schedule.devices || []).forEach(id => {
+            if (!vehicles.some(v => v.id === id)) vehicles.push({ id: id, name: id });
+        });
+
+        const groups = FuelMonitor.getGroups();
+        (schedule.groups || []).forEach(id => {
+            if (!groups.some(g => g.id === id)) groups.push({ id: id, name: id });
+        });
+
+        const options = items => items
+            .map(item => `<option value="${escapeHtml(item.id)}">${escapeHtml(item.name)}</option>`)
+            .join('');
+        const effectOptions = RiskSchedules.getEffects()
+            .map(e => `<option value="${e.key}">${escapeHtml(e.label)}</option>`)
+            .join('');
+
+        // Monday first, stored as Date.getDay() numbers
+        const days = [1, 2, 3, 4, 5, 6, 0].map(day => {
+            const name = new Date(2024, 0, 7 + day).toLocaleDateString([], { weekday: 'short' });
+            return `<label class="schedule-day"><input type="checkbox" data-day="${day}">${escapeHtml(name)}</label>`;
+        }).join('');
+
+        card.innerHTML = `
+            <div class="profile-header">
+                <input type="text" data-field="name" placeholder="Schedule name (e.g. Outside operating hours)">
+                <select data-field="effect">${effectOptions}</select>
+                <button type="button" class="row-remove" title="Remove">&times;</button>
+            </div>
+            <div class="schedule-when">
+                <select data-field="outside">
+                    <option value="false">During</option>
+                    <option value="true">Outside</option>
+                </select>
+                <span class="schedule-days">${days}</span>
+                <span>between</span>
+                <input type="time" data-field="timeFrom">
+                <span>and</span>
+                <input type="time" data-field="timeTo">
+                <span class="schedule-threshold">
+                    <span>thresholds at</span>
+                    <input type="number" data-field="thresholdPercent" min="1" max="100">
+                    <span>%</span>
+                </span>
+            </div>
+            <div class="profile-fields">
+                <div>
+                    <label data-dates-label></label>
+                    <textarea data-field="dates" rows="2" placeholder="2026-12-25&#10;2026-12-26"></textarea>
+                </div>
+            </div>
+            <div class="profile-attachments">
+                <div>
+                    <label>Groups (none selected = whole fleet)</label>
+                    <select data-field="groups" multiple size="4">${options(groups)}</select>
+                </div>
+                <div>
+                    <label>Vehicles</label>
+                    <select data-field="devices" multiple size="4">${options(vehicles)}</select>
+                </div>
+            </div>
+        `;
+
+        const field = name => card.querySelector(`[data-field="${name}"]`);
+
+        field('name').value = schedule.name || '';
+        field('effect').value = schedule.effect || 'escalate';
+        field('outside').value = schedule.outside ? 'true' : 'false';
+        field('timeFrom').value = schedule.timeFrom || '';
+        field('timeTo').value = schedule.timeTo || '';
+        field('thresholdPercent').value = typeof schedule.thresholdPercent === 'number'
+            ? schedule.thresholdPercent
+            : RiskSchedules.DEFAULT_THRESHOLD_PERCENT;
+        field('dates').value = (schedule.dates || []).join('\n');
+        card.querySelectorAll('[data-day]').forEach(checkbox => {
+            checkbox.checked = (schedule.days || []).includes(Number(checkbox.dataset.day));
+        });
+
+        ['groups', 'devices'].forEach(name => {
+            const selected = schedule[name] || [];
+            [...field(name).options].forEach(option => {
+                option.selected = selected.includes(option.value);
+            });
+        });
+
+        // The threshold input only matters for 'sensitive'; dates mean holidays when outside the hours
+        const updateFields = () => {
+            card.querySelector('.schedule-threshold').style.display = field('effect').value === 'sensitive' ? '' : 'none';
+            card.querySelector('[data-dates-label]').textContent = field('outside').value === 'true'
+                ? 'Holidays, covered all day (yyyy-mm-dd, one per line)'
+                : 'Only on these dates, instead of the weekdays (yyyy-mm-dd, one per line)';
+        };
+        field('effect').addEventListener('change', updateFields);
+        field('outside').addEventListener('change', updateFields);
+        updateFields();
+
+        card.querySelector('.row-remove').addEventListener('click', () => card.remove());
+
+        container.appendChild(card);
+    }
+
+    /**
+     * Read risk schedules from the editor
+     * @returns {Array|null} Schedules, or null if invalid
+     */
+    function readRiskSchedules() {
+        const schedules = [];
+
+        for (const card of document.querySelectorAll('#risk-schedules .risk-schedule')) {
+            const field = name => card.querySelector(`[data-field="${name}"]`);
+            const selected = name => [...field(name).selectedOptions].map(option => option.value);
+
+            const schedule = {
+                id: card.dataset.scheduleId,
+                name: field('name').value.trim(),
+                effect: field('effect').value,
+                thresholdPercent: null,
+                days: [...card.querySelectorAll('[data-day]:checked')].map(checkbox => Number(checkbox.dataset.day)),
+                timeFrom: field('timeFrom').value || null,
+                timeTo: field('timeTo').value || null,
+                outside: field('outside').value === 'true',
+                dates: field('dates').value.split(/[\s,]+/).filter(date => date !== ''),
+                groups: selected('groups'),
+                devices: selected('devices')
+            };
+
+            if (schedule.effect === 'sensitive') {
+                schedule.thresholdPercent = parseFloat(field('thresholdPercent').value);
+                if (isNaN(schedule.thresholdPercent) || schedule.thresholdPercent < 1 || schedule.thresholdPercent > 100) {
+                    return null;
+                }
+            }
+
+            // A schedule with no days, hours or dates would cover all (or none) of the time
+            const hasWindow = schedule.days.length > 0 || schedule.timeFrom || schedule.dates.length > 0;
+            if (!schedule.name || !hasWindow || !schedule.timeFrom !== !schedule.timeTo ||
+                schedule.dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+                return null;
+            }
+
+            schedules.push(schedule);
+        }
+
+        return schedules;
+    }
+
+    /**
+     * Volume unit currently selected in the settings modal
+     */
+    function currentVolumeUnit() {
+        const select = document.getElementById('volume-unit-select');
+        return (select && select.dataset.unit) || AlertManager.getSettings().volumeUnit;
+    }
+
+    /**
+     * Render the per-vehicle tank capacity override inputs
+     * @param {Object} overrides - deviceId -> capacity in litres
+     * @param {string} volumeUnit - Display unit
+     */
+    function renderTankCapacityTable(overrides, volumeUnit) {
+        const table = document.getElementById('tank-capacity-table');
+        if (!table) return;
+
+        const vehicles = FuelMonitor.getVehicles();
+        table.innerHTML = '';
+
+        if (vehicles.length === 0) {
+            table.innerHTML = '<span class="capacity-empty">No vehicles loaded yet. Start monitoring to edit capacities.</span>';
+            return;
+        }
+
+        vehicles
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(vehicle => {
+                const row = document.createElement('div');
+                row.className = 'capacity-row';
+
+                const name = document.createElement('span');
+                name.textContent = vehicle.name;
+
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.dataset.vehicleId = vehicle.id;
+                input.placeholder = vehicle.tankCapacity
+                    ? roundVolume(FuelUnits.fromLitres(vehicle.tankCapacity, volumeUnit))
+                    : 'Unknown';
+                if (overrides[vehicle.id]) {
+                    input.value = roundVolume(FuelUnits.fromLitres(overrides[vehicle.id], volumeUnit));
+                }
+
+                row.appendChild(name);
+                row.appendChild(input);
+                table.appendChild(row);
+            });
+    }
+
+    /**
+     * Show the consumption baseline learned for each vehicle
+     * @param {string} volumeUnit - Display unit
+     */
+    function renderConsumptionBaselines(volumeUnit) {
+        const table = document.getElementById('consumption-baselines');
+        if (!table) return;
+
+        const vehicles = FuelMonitor.getVehicles();
+        table.innerHTML = '';
+
+        if (vehicles.length === 0) {
+            table.innerHTML = '<span class="capacity-empty">No vehicles loaded yet. Start monitoring to see baselines.</span>';
+            return;
+        }
+
+        vehicles
+            .slice()
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(vehicle => {
+                const baseline = FuelMonitor.getConsumptionBaseline(vehicle.id);
+                const rates = baseline
+                    ? [
+                        baseline.litresPerKm !== null ? `${FuelUnits.format(baseline.litresPerKm * 100, volumeUnit)}/100 km` : null,
+                        baseline.litresPerHour !== null ? `${FuelUnits.format(baseline.litresPerHour, volumeUnit)}/h` : null,
+                        `${baseline.trips} trips`
+                    ].filter(rate => rate !== null).join(', ')
+                    : 'Still learning';
+
+                const row = document.createElement('div');
+                row.className = 'capacity-row';
+
+                const name = document.createElement('span');
+                name.textContent = vehicle.name;
+
+                const value = document.createElement('span');
+                value.className = 'consumption-rate';
+                value.textContent = rates;
+
+                row.appendChild(name);
+                row.appendChild(value);
+                table.appendChild(row);
+            });
+    }
+
+    /**
+     * Read tank capacity overrides from the settings table
+     * @param {string} volumeUnit - Unit the inputs are expressed in
+     * @returns {Object|null} deviceId -> capacity in litres, or null if invalid
+     */
+    function readTankCapacities(volumeUnit) {
+        const capacities = {};
+        const inputs = document.querySelectorAll('#tank-capacity-table input[data-vehicle-id]');
+
+        for (const input of inputs) {
+            if (input.value === '') continue;
+
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value <= 0) {
+                return null;
+            }
+            capacities[input.dataset.vehicleId] = FuelUnits.toLitres(value, volumeUnit);
+        }
+
+        // Keep overrides for vehicles not currently loaded
+        const existing = FuelMonitor.getConfig().tankCapacities || {};
+        Object.keys(existing).forEach(id => {
+            if (!document.querySelector(`#tank-capacity-table input[data-vehicle-id="${CSS.escape(id)}"]`)) {
+                capacities[id] = existing[id];
+            }
+        });
+
+        return capacities;
+    }
+
+    /**
+     * Convert the volume inputs when the unit selection changes
+     */
+    function onVolumeUnitChange(e) {
+        const select = e.target;
+        const fromUnit = select.dataset.unit || FuelUnits.DEFAULT_UNIT;
+        const toUnit = select.value;
+
+        const inputs = [
+            document.getElementById('volume-threshold-input'),
+            document.getElementById('short-fill-litres-input'),
+            document.getElementById('consumption-min-input'),
+            ...document.querySelectorAll('#tank-capacity-table input[data-vehicle-id]'),
+            ...document.querySelectorAll('#severity-rules input[data-field="volumeAbove"]'),
+            ...document.querySelectorAll('#threshold-profiles input[data-field="volumeThreshold"]')
+        ];
+
+        inputs.forEach(input => {
+            if (!input) return;
+            ['value', 'placeholder'].forEach(prop => {
+                const value = parseFloat(input[prop]);
+                if (!isNaN(value)) {
+                    input[prop] = roundVolume(FuelUnits.fromLitres(FuelUnits.toLitres(value, fromUnit), toUnit));
+                }
+            });
+        });
+
+        select.dataset.unit = toUnit;
+        updateVolumeUnitLabels(toUnit);
+        renderConsumptionBaselines(toUnit);
+    }
+
+    /**
+     * Update unit labels in the settings modal
+     */
+    function updateVolumeUnitLabels(volumeUnit) {
+        document.querySelectorAll('.volume-unit-label').forEach(el => {
+            el.textContent = FuelUnits.label(volumeUnit);
+        });
+    }
+
+    /**
+     * Round a volume for display in an input
+     */
+    function roundVolume(value) {
+        return value === null ? '' : Math.round(value * 10) / 10;
+    }
+
     /**
      * Request browser notification permission
      */
@@ -391,51 +1884,57 @@
 
     /**
      * For standalone testing (without MyGeotab)
-     * Creates a mock API for development
+     * Runs against the Geotab simulator: a scenario or recorded data, picked in
+     * the page address (e.g. index.html?scenario=siphon&speed=120, or ?fixture=recorded.json)
      */
-    function initializeStandalone() {
+    async function initializeStandalone() {
         console.log('Running in standalone mode');
 
-        // Mock API for testing
-        const mockApi = {
-            call: function(method, params) {
-                console.log('Mock API call:', method, params);
-                return Promise.resolve([]);
-            }
-        };
+        const params = new URLSearchParams(window.location.search);
+        try {
+            await GeotabSimulator.start({
+                scenario: params.get('scenario'),
+                fixture: params.get('fixture'),
+                speed: Number(params.get('speed')) || null
+            });
+        } catch (error) {
+            console.error('Failed to start the simulator:', error);
+        }
+        api = GeotabSimulator.createApi();
+
+        // Simulated data stays in memory: nothing reaches IndexedDB, localStorage
+        // or the team's shared store (which is never started here)
+        FuelStore.useMemoryOnly();
 
         // Initialize components
-        AlertManager.init();
-        FuelMonitor.init(mockApi);
+        AlertMap.init();
+        await AlertManager.init();
+        await AnalysisRuns.init();
+        await FuelMonitor.init(api, { clock: GeotabSimulator.now });
+        FuelCards.init(api);
         initializeUI();
         loadSettingsToUI();
 
+        await FuelMonitor.startMonitoring();
+
         // Update status for standalone mode
         const indicator = document.getElementById('status-indicator');
-        if (indicator) {
-            indicator.className = 'status-indicator status-active';
-            indicator.querySelector('.status-text').textContent = 'Demo Mode';
-        }
-
-        // Add demo alert for testing
-        setTimeout(function() {
-            AlertManager.addAlert({
-                vehicleId: 'demo-1',
-                vehicleName: 'Demo Vehicle #1',
-                severity: 'high',
-                fuelDrop: 18.5,
-                previousLevel: 75.0,
-                currentLevel: 56.5,
-                duration: 15,
-                location: 'Demo Location'
-            });
-        }, 2000);
+        if (indicator && FuelMonitor.isActive()) {
+            indicator.querySelector('.status-text').textContent = `Simulator: ${GeotabSimulator.describe()}`;
+        }
+    }
+
+    /**
+     * Whether the page was opened on its own rather than by MyGeotab
+     * (MyGeotab always hosts the add-in in a frame)
+     */
+    function isStandalone() {
+        const params = new URLSearchParams(window.location.search);
+        return params.has('scenario') || params.has('fixture') || window.top === window;
     }
 
-    // Check if running inside MyGeotab or standalone
-    document.addEventListener('DOMContentLoaded', function() {
-        // If not in MyGeotab, initialize standalone mode
-        if (typeof window.geotab === 'undefined' || !window.geotab.addin) {
+    window.addEventListener('DOMContentLoaded', function() {
+        if (isStandalone()) {
             initializeStandalone();
         }
     });
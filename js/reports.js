@@ -0,0 +1,607 @@
+/**
+ * Fuel-loss summary reports for Fuel Theft Monitor
+ * Aggregates suspected thefts and estimated fuel lost per vehicle, group,
+ * driver and location over a day or a week, compared with the period before.
+ *
+ * The schedule is part of the shared config, so the whole team gets the same
+ * digest; each browser produces it the first time the add-in runs past the
+ * due time. Parts of the period live monitoring did not cover are analyzed
+ * historically first, by one browser only: it claims the period through
+ * SharedStore, and the others wait for it to finish, then build the report
+ * from the alerts it shared.
+ */
+
+const FuelReports = (function() {
+    const PERIODS = {
+        daily: { days: 1, label: 'Daily' },
+        weekly: { days: 7, label: 'Weekly' }
+    };
+    const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const DIMENSIONS = [
+        { key: 'vehicle', label: 'Vehicle' },
+        { key: 'group', label: 'Group' },
+        { key: 'driver', label: 'Driver' },
+        { key: 'location', label: 'Location' }
+    ];
+    const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+    const MAX_STORED_REPORTS = 10;
+    const MAX_REPORT_ROWS = 25;   // Per breakdown in the downloaded report
+    const CLAIM_TIMEOUT_MS = 60 * 60 * 1000;   // A backfill claimed longer ago than this was abandoned
+
+    let checkTimer = null;
+    let generating = null;        // Promise of the report being produced
+
+    const REPORT_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 24px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        h2 { font-size: 16px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 2px solid #1976d2; }
+        .subtitle { color: #666; margin-bottom: 16px; }
+        .totals { display: flex; gap: 16px; flex-wrap: wrap; }
+        .total { border: 1px solid #e0e0e0; border-radius: 6px; padding: 12px 16px; min-width: 160px; }
+        .total-value { font-size: 24px; font-weight: 600; }
+        .total-label { font-size: 12px; color: #666; }
+        table { border-collapse: collapse; width: 100%; font-size: 13px; }
+        th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e0e0e0; }
+        th { background: #f5f5f5; }
+        td.number, th.number { text-align: right; }
+        .up { color: #d32f2f; }
+        .down { color: #388e3c; }
+        .note { color: #666; font-size: 12px; margin: 6px 0; }
+        .empty { color: #999; font-style: italic; }
+    `;
+
+    /**
+     * Set up the report controls and banner
+     */
+    function init() {
+        const generateBtn = document.getElementById('generate-report');
+        if (generateBtn) {
+            generateBtn.addEventListener('click', async function() {
+                const frequency = document.getElementById('report-frequency').value;
+                generateBtn.disabled = true;
+                try {
+                    const report = await generate(frequency, new Date());
+                    if (report) download(report);
+                } finally {
+                    generateBtn.disabled = false;
+                }
+            });
+        }
+
+        const frequencySelect = document.getElementById('report-frequency');
+        if (frequencySelect) {
+            frequencySelect.addEventListener('change', updateWeekdayVisibility);
+        }
+
+        document.getElementById('report-banner-dismiss').addEventListener('click', hideBanner);
+
+        renderReportList();
+    }
+
+    /**
+     * Check the schedule now and every few minutes
+     */
+    function start() {
+        clearInterval(checkTimer);
+        checkTimer = setInterval(checkSchedule, CHECK_INTERVAL_MS);
+        return checkSchedule();
+    }
+
+    /**
+     * Produce the scheduled report if it is due and this browser has not produced it yet
+     * @returns {Promise<Object|null>} The report produced, if any
+     */
+    async function checkSchedule() {
+        const schedule = FuelMonitor.getConfig().reportSchedule;
+        if (!schedule || !schedule.enabled || !PERIODS[schedule.frequency] || generating) return null;
+
+        const due = getLatestDue(schedule, new Date());
+        const state = loadState();
+        if (state.lastDue && new Date(state.lastDue) >= due) return null;
+
+        // Only one browser backfills the period; another one doing it (or a claim
+        // that could not be settled) is checked again later
+        const task = `report-${schedule.frequency}-${due.getTime()}`;
+        const claim = await SharedStore.claimTask(task, CLAIM_TIMEOUT_MS);
+        if (claim === 'taken' || claim === 'error') return null;
+        if (claim === 'done') {
+            await SharedStore.sync();
+        }
+
+        const report = await generate(schedule.frequency, due, claim === 'claimed');
+        if (!report) return null;
+
+        if (claim === 'claimed') {
+            await SharedStore.completeTask(task);
+        }
+        saveState({ lastDue: due.toISOString() });
+        showBanner(report);
+        return report;
+    }
+
+    /**
+     * Most recent due time of a schedule at or before a time
+     * @param {Object} schedule - {frequency, weekday, time}
+     * @param {Date} now - Current time
+     * @returns {Date} Due time
+     */
+    function getLatestDue(schedule, now) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(schedule.time || '') || [null, '0', '0'];
+        const due = new Date(now);
+        due.setHours(parseInt(match[1], 10), parseInt(match[2], 10), 0, 0);
+
+        if (schedule.frequency === 'weekly') {
+            due.setDate(due.getDate() - (due.getDay() - schedule.weekday + 7) % 7);
+        }
+        if (due > now) {
+            due.setDate(due.getDate() - PERIODS[schedule.frequency].days);
+        }
+
+        return due;
+    }
+
+    /**
+     * Produce a report for the period ending at a time
+     * @param {string} frequency - 'daily' or 'weekly'
+     * @param {Date} toDate - End of the period
+     * @param {boolean} [backfill=true] - Analyze what live monitoring did not cover first
+     * @returns {Promise<Object|null>} Report, or null if it could not be produced
+     */
+    function generate(frequency, toDate, backfill = true) {
+        // One report at a time; a second request waits for the first
+        if (generating) return generating.then(() => generate(frequency, toDate, backfill));
+
+        generating = buildReport(frequency, toDate, backfill)
+            .then(report => {
+                storeReport(report);
+                renderReportList();
+                return report;
+            })
+            .catch(error => {
+                console.error('Failed to generate summary report:', error);
+                return null;
+            })
+            .finally(() => {
+                generating = null;
+            });
+
+        return generating;
+    }
+
+    /**
+     * Gather and aggregate the data for a report
+     */
+    async function buildReport(frequency, toDate, backfill) {
+        const days = PERIODS[frequency].days;
+        const from = shiftDays(toDate, -days);
+        const previousFrom = shiftDays(from, -days);
+
+        // Fill in what live monitoring missed, for both periods
+        await FuelMonitor.ensureVehicles();
+        const gaps = backfill ? FuelMonitor.getUncoveredPeriods(previousFrom, toDate) : [];
+        for (const gap of gaps) {
+            await FuelMonitor.analyzeHistoricalData(gap.from, gap.to);
+        }
+
+        const vehicles = new Map(FuelMonitor.getVehicles().map(v => [v.id, v]));
+        const groupNames = new Map(FuelMonitor.getGroups().map(g => [g.id, g.name]));
+        const alerts = (await getAlertsBetween(previousFrom, toDate)).filter(a => (a.type || 'theft') !== 'refuel');
+        const inPeriod = (start, end) => alerts.filter(a => {
+            const time = new Date(a.timestamp);
+            return time >= start && time < end;
+        });
+
+        const current = summarize(inPeriod(from, toDate), vehicles, groupNames);
+        const previous = summarize(inPeriod(previousFrom, from), vehicles, groupNames);
+
+        const breakdowns = {};
+        DIMENSIONS.forEach(dimension => {
+            breakdowns[dimension.key] = compareBuckets(current.buckets[dimension.key], previous.buckets[dimension.key]);
+        });
+
+        return {
+            id: `${frequency}-${toDate.getTime()}`,
+            frequency: frequency,
+            from: from.toISOString(),
+            to: toDate.toISOString(),
+            previousFrom: previousFrom.toISOString(),
+            generatedAt: new Date().toISOString(),
+            backfilled: gaps.map(gap => ({ from: gap.from.toISOString(), to: gap.to.toISOString() })),
+            totals: current.totals,
+            previousTotals: previous.totals,
+            breakdowns: breakdowns
+        };
+    }
+
+    /**
+     * Alerts in a period, read from IndexedDB (the alert list when it is unavailable)
+     */
+    async function getAlertsBetween(from, to) {
+        if (FuelStore.isAvailable()) {
+            return FuelStore.getAlertsBetween(from, to);
+        }
+
+        return AlertManager.getAlerts().filter(a => {
+            const time = new Date(a.timestamp);
+            return time >= from && time < to;
+        });
+    }
+
+    /**
+     * Totals and per-dimension buckets for a set of theft-type alerts
+     * Alerts marked as false positives are counted apart and not in the losses.
+     */
+    function summarize(alertList, vehicles, groupNames) {
+        const totals = { alerts: 0, litres: 0, unknownVolume: 0, falsePositives: 0, confirmed: 0 };
+        const buckets = {};
+        DIMENSIONS.forEach(dimension => {
+            buckets[dimension.key] = new Map();
+        });
+
+        alertList.forEach(alert => {
+            if (alert.status === 'false-positive') {
+                totals.falsePositives++;
+                return;
+            }
+
+            const litres = typeof alert.volumeLost === 'number' ? alert.volumeLost : null;
+            totals.alerts++;
+            if (alert.status === 'confirmed') totals.confirmed++;
+            if (litres === null) {
+                totals.unknownVolume++;
+            } else {
+                totals.litres += litres;
+            }
+
+            const keys = getDimensionKeys(alert, vehicles, groupNames);
+            DIMENSIONS.forEach(dimension => {
+                keys[dimension.key].forEach(name => {
+                    const bucket = buckets[dimension.key].get(name) || { alerts: 0, litres: 0 };
+                    bucket.alerts++;
+                    bucket.litres += litres || 0;
+                    buckets[dimension.key].set(name, bucket);
+                });
+            });
+        });
+
+        return { totals: totals, buckets: buckets };
+    }
+
+    /**
+     * Names an alert is counted under, per dimension (a vehicle can be in several groups)
+     */
+    function getDimensionKeys(alert, vehicles, groupNames) {
+        const vehicle = vehicles.get(alert.vehicleId);
+        const groups = vehicle && vehicle.groups && vehicle.groups.length > 0
+            ? vehicle.groups.map(id => groupNames.get(id) || id)
+            : ['No group'];
+        const location = alert.zoneName ||
+            (alert.location && alert.location !== 'Unknown' ? alert.location : 'Unknown location');
+
+        return {
+            vehicle: [alert.vehicleName || alert.vehicleId],
+            group: groups,
+            driver: [alert.driverName || 'Unknown driver'],
+            location: [location]
+        };
+    }
+
+    /**
+     * Rows of a breakdown with the previous period alongside, biggest losses first
+     */
+    function compareBuckets(current, previous) {
+        const names = new Set([...current.keys(), ...previous.keys()]);
+
+        return [...names]
+            .map(name => {
+                const now = current.get(name) || { alerts: 0, litres: 0 };
+                const before = previous.get(name) || { alerts: 0, litres: 0 };
+                return {
+                    name: name,
+                    alerts: now.alerts,
+                    litres: now.litres,
+                    previousAlerts: before.alerts,
+                    previousLitres: before.litres
+                };
+            })
+            .sort((a, b) => b.litres - a.litres || b.alerts - a.alerts || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Download a report as HTML
+     * @param {Object|string} report - Report, or the id of a stored report
+     */
+    function download(report) {
+        const data = typeof report === 'string' ? getReports().find(r => r.id === report) : report;
+        if (!data) return;
+
+        const blob = new Blob([renderReport(data)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `fuel-loss-${data.frequency}-${data.to.split('T')[0]}.html`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Report HTML document
+     */
+    function renderReport(report) {
+        const unit = AlertManager.getSettings().volumeUnit;
+        const title = `${PERIODS[report.frequency].label} fuel-loss summary`;
+        const period = describePeriod(report.from, report.to);
+        const previousPeriod = describePeriod(report.previousFrom, report.from);
+        const totals = report.totals;
+        const before = report.previousTotals;
+
+        const totalBox = (label, value, previousValue, formatter) => `
+            <div class="total">
+                <div class="total-value">${escapeHtml(formatter(value))}</div>
+                <div class="total-label">${escapeHtml(label)}</div>
+                <div class="total-label">${renderChange(value, previousValue, formatter)} vs ${escapeHtml(formatter(previousValue))}</div>
+            </div>`;
+        const volume = litres => FuelUnits.format(litres, unit);
+        const count = value => String(value);
+
+        const notes = [];
+        if (totals.unknownVolume > 0) {
+            notes.push(totals.unknownVolume === 1
+                ? '1 alert on a vehicle without a tank capacity is counted but not in the fuel lost.'
+                : `${totals.unknownVolume} alerts on vehicles without a tank capacity are counted but not in the fuel lost.`);
+        }
+        if (totals.falsePositives > 0) {
+            notes.push(totals.falsePositives === 1
+                ? '1 alert marked as a false positive is left out.'
+                : `${totals.falsePositives} alerts marked as false positives are left out.`);
+        }
+        if (report.backfilled.length > 0) {
+            notes.push(`Not covered by live monitoring, analyzed from history: ${report.backfilled.map(gap => describePeriod(gap.from, gap.to)).join('; ')}.`);
+        }
+
+        const sections = DIMENSIONS.map(dimension =>
+            `<h2>By ${dimension.label.toLowerCase()}</h2>\n${renderBreakdown(dimension.label, report.breakdowns[dimension.key], volume)}`
+        ).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="subtitle">${escapeHtml(period)}, compared with ${escapeHtml(previousPeriod)} &middot; generated ${escapeHtml(formatDateTime(report.generatedAt))}</div>
+<div class="totals">
+${totalBox('Suspected thefts', totals.alerts, before.alerts, count)}
+${totalBox('Estimated fuel lost', totals.litres, before.litres, volume)}
+${totalBox('Confirmed thefts', totals.confirmed, before.confirmed, count)}
+</div>
+${notes.map(note => `<p class="note">${escapeHtml(note)}</p>`).join('\n')}
+${sections}
+</body>
+</html>`;
+    }
+
+    /**
+     * Table for one breakdown
+     */
+    function renderBreakdown(label, rows, volume) {
+        if (rows.length === 0) {
+            return '<p class="empty">No suspected thefts in either period.</p>';
+        }
+
+        const body = rows.slice(0, MAX_REPORT_ROWS).map(row => `
+            <tr>
+                <td>${escapeHtml(row.name)}</td>
+                <td class="number">${row.alerts}</td>
+                <td class="number">${escapeHtml(volume(row.litres))}</td>
+                <td class="number">${row.previousAlerts}</td>
+                <td class="number">${escapeHtml(volume(row.previousLitres))}</td>
+                <td class="number">${renderChange(row.litres, row.previousLitres, volume)}</td>
+            </tr>`).join('');
+        const more = rows.length > MAX_REPORT_ROWS
+            ? `<p class="note">${rows.length - MAX_REPORT_ROWS} more not shown.</p>`
+            : '';
+
+        return `<table><thead><tr><th>${escapeHtml(label)}</th><th class="number">Alerts</th><th class="number">Fuel lost</th>` +
+            `<th class="number">Previous alerts</th><th class="number">Previous fuel lost</th><th class="number">Change</th></tr></thead>` +
+            `<tbody>${body}</tbody></table>${more}`;
+    }
+
+    /**
+     * Signed change between periods (more loss is shown as bad)
+     */
+    function renderChange(value, previousValue, formatter) {
+        const difference = value - previousValue;
+        if (Math.abs(difference) < 0.05) return '<span>no change</span>';
+
+        const text = `${difference > 0 ? '+' : '-'}${formatter(Math.abs(difference))}`;
+        return `<span class="${difference > 0 ? 'up' : 'down'}">${escapeHtml(text)}</span>`;
+    }
+
+    /**
+     * Show the recent reports in the settings
+     */
+    function renderReportList() {
+        const list = document.getElementById('report-list');
+        if (!list) return;
+
+        const reports = getReports();
+        if (reports.length === 0) {
+            list.innerHTML = '<p class="capacity-empty">No reports produced in this browser yet.</p>';
+            return;
+        }
+
+        list.innerHTML = reports.map(report => `
+            <div class="report-item">
+                <span>${escapeHtml(PERIODS[report.frequency].label)} &middot; ${escapeHtml(describePeriod(report.from, report.to))}</span>
+                <button type="button" class="btn btn-secondary" onclick="FuelReports.download('${escapeHtml(report.id)}')">Download</button>
+            </div>`).join('');
+    }
+
+    /**
+     * Announce a scheduled report
+     */
+    function showBanner(report) {
+        const banner = document.getElementById('report-banner');
+        if (!banner) return;
+
+        document.getElementById('report-banner-text').textContent =
+            `${PERIODS[report.frequency].label} fuel-loss summary for ${describePeriod(report.from, report.to)} is ready: ` +
+            `${report.totals.alerts} suspected theft${report.totals.alerts === 1 ? '' : 's'}.`;
+        document.getElementById('report-banner-download').onclick = () => download(report);
+        banner.hidden = false;
+    }
+
+    /**
+     * Hide the report banner
+     */
+    function hideBanner() {
+        document.getElementById('report-banner').hidden = true;
+    }
+
+    /**
+     * Show the weekday picker only for weekly reports
+     */
+    function updateWeekdayVisibility() {
+        const weekdayGroup = document.getElementById('report-weekday-group');
+        if (weekdayGroup) {
+            weekdayGroup.hidden = document.getElementById('report-frequency').value !== 'weekly';
+        }
+    }
+
+    /**
+     * Fill the schedule fields in the settings
+     * @param {Object} schedule - Report schedule from the config
+     */
+    function renderSchedule(schedule) {
+        const weekdaySelect = document.getElementById('report-weekday');
+        if (weekdaySelect && weekdaySelect.options.length === 0) {
+            weekdaySelect.innerHTML = WEEKDAYS.map((day, index) => `<option value="${index}">${day}</option>`).join('');
+        }
+
+        document.getElementById('report-enabled').checked = !!schedule.enabled;
+        document.getElementById('report-frequency').value = schedule.frequency;
+        weekdaySelect.value = String(schedule.weekday);
+        document.getElementById('report-time').value = schedule.time;
+        updateWeekdayVisibility();
+    }
+
+    /**
+     * Read the schedule fields from the settings
+     * @returns {Object|null} Schedule, or null if the time is invalid
+     */
+    function readSchedule() {
+        const time = document.getElementById('report-time').value;
+        if (!/^\d{1,2}:\d{2}$/.test(time)) return null;
+
+        return {
+            enabled: document.getElementById('report-enabled').checked,
+            frequency: document.getElementById('report-frequency').value,
+            weekday: parseInt(document.getElementById('report-weekday').value, 10),
+            time: time
+        };
+    }
+
+    /**
+     * Keep a report, newest first
+     */
+    function storeReport(report) {
+        if (!FuelStore.isPersistent()) return;
+
+        const reports = [report, ...getReports().filter(r => r.id !== report.id)].slice(0, MAX_STORED_REPORTS);
+        try {
+            localStorage.setItem('fuelMonitorReports', JSON.stringify(reports));
+        } catch (e) {
+            console.error('Failed to save report:', e);
+        }
+    }
+
+    /**
+     * Reports produced in this browser, newest first
+     * @returns {Array} Reports
+     */
+    function getReports() {
+        try {
+            return JSON.parse(localStorage.getItem('fuelMonitorReports')) || [];
+        } catch (e) {
+            console.error('Failed to load reports:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Which scheduled report this browser produced last
+     */
+    function loadState() {
+        try {
+            return JSON.parse(localStorage.getItem('fuelMonitorReportState')) || {};
+        } catch (e) {
+            console.error('Failed to load report state:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Save the report state
+     */
+    function saveState(state) {
+        if (!FuelStore.isPersistent()) return;
+
+        try {
+            localStorage.setItem('fuelMonitorReportState', JSON.stringify(state));
+        } catch (e) {
+            console.error('Failed to save report state:', e);
+        }
+    }
+
+    /**
+     * Same local time a number of days earlier or later
+     */
+    function shiftDays(date, days) {
+        const shifted = new Date(date);
+        shifted.setDate(shifted.getDate() + days);
+        return shifted;
+    }
+
+    /**
+     * Readable period
+     */
+    function describePeriod(from, to) {
+        return `${formatDateTime(from)} - ${formatDateTime(to)}`;
+    }
+
+    /**
+     * Short local date and time
+     */
+    function formatDateTime(value) {
+        return new Date(value).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        start,
+        checkSchedule,
+        generate,
+        download,
+        getReports,
+        renderSchedule,
+        readSchedule,
+        summarize,
+        compareBuckets
+    };
+})();
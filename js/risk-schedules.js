@@ -0,0 +1,157 @@
+/**
+ * Risk schedules for Fuel Theft Monitor
+ * Times when a fuel drop means something different: high-risk periods (nights,
+ * weekends, holidays) that raise the severity or lower the drop thresholds,
+ * and maintenance windows in which tank work is expected and no alert is raised.
+ *
+ *   {
+ *     id: 'schedule-1',
+ *     name: 'Outside operating hours',
+ *     effect: 'escalate' | 'sensitive' | 'suppress',
+ *     thresholdPercent: 50,   // 'sensitive': drop thresholds at this % of normal
+ *     days: [1, 2, 3, 4, 5],  // Weekdays (0 = Sunday); empty = every day
+ *     timeFrom: '07:00',      // Local time of day window (may wrap midnight); empty = all day
+ *     timeTo: '18:00',
+ *     outside: true,          // Applies outside the days and hours above (operating hours)
+ *     dates: ['2026-12-25'],  // 'outside': non-operating days (holidays), covered all day;
+ *                             // otherwise: the window applies on these dates instead of weekdays
+ *     groups: [],             // Vehicles it applies to, by group or device; none = whole fleet
+ *     devices: []
+ *   }
+ *
+ * A drop in a maintenance window is never alerted, whatever else applies.
+ */
+
+const RiskSchedules = (function() {
+    const EFFECTS = [
+        { key: 'escalate', label: 'High risk - raise severity' },
+        { key: 'sensitive', label: 'High risk - lower thresholds' },
+        { key: 'suppress', label: 'Maintenance - no alerts' }
+    ];
+    const DEFAULT_THRESHOLD_PERCENT = 50;
+
+    // Thresholds a 'sensitive' schedule lowers (the minimum drop sizes)
+    const SCALED_FIELDS = ['dropThreshold', 'volumeThreshold', 'rateMinDrop', 'statMinDrop'];
+
+    /**
+     * Effects a schedule can have
+     * @returns {Array} [{key, label}]
+     */
+    function getEffects() {
+        return EFFECTS.map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Schedules in effect for a vehicle at a time
+     * @param {Array} schedules - Configured schedules
+     * @param {Object} vehicle - Vehicle object ({id, groups})
+     * @param {Date} timestamp - Time to check
+     * @returns {Array} Matching schedules, in list order
+     */
+    function find(schedules, vehicle, timestamp) {
+        return (schedules || []).filter(schedule =>
+            appliesTo(schedule, vehicle) && isActive(schedule, timestamp));
+    }
+
+    /**
+     * Whether a schedule covers a vehicle
+     */
+    function appliesTo(schedule, vehicle) {
+        const devices = schedule.devices || [];
+        const groups = schedule.groups || [];
+        if (devices.length === 0 && groups.length === 0) return true;
+
+        return devices.includes(vehicle.id) ||
+            groups.some(id => (vehicle.groups || []).includes(id));
+    }
+
+    /**
+     * Whether a schedule is in effect at a time
+     */
+    function isActive(schedule, timestamp) {
+        const date = new Date(timestamp);
+        const dates = schedule.dates || [];
+        const onDate = dates.includes(toDateKey(date));
+
+        if (schedule.outside) {
+            return onDate || !inWindow(schedule, date, null);
+        }
+        return inWindow(schedule, date, dates.length > 0 ? onDate : null);
+    }
+
+    /**
+     * Whether a time falls on the schedule's days and within its hours
+     * @param {boolean|null} onDate - Day match from the dates list, or null to use the weekdays
+     */
+    function inWindow(schedule, date, onDate) {
+        const days = schedule.days || [];
+        const onDay = onDate !== null ? onDate : days.length === 0 || days.includes(date.getDay());
+        if (!onDay) return false;
+
+        if (!schedule.timeFrom || !schedule.timeTo) return true;
+        return SeverityRules.inTimeWindow(date, schedule.timeFrom, schedule.timeTo);
+    }
+
+    /**
+     * Whether any of the schedules is a maintenance window
+     * @param {Array} schedules - Schedules in effect
+     * @returns {Object|null} The maintenance schedule, or null
+     */
+    function findSuppressing(schedules) {
+        return (schedules || []).find(schedule => schedule.effect === 'suppress') || null;
+    }
+
+    /**
+     * Lower the drop thresholds of a config for the 'sensitive' schedules in effect
+     * (the lowest percentage wins)
+     * @param {Object} cfg - Vehicle config
+     * @param {Array} schedules - Schedules in effect
+     * @returns {Object} Config (the same object if nothing applies)
+     */
+    function adjustConfig(cfg, schedules) {
+        const percents = (schedules || [])
+            .filter(schedule => schedule.effect === 'sensitive')
+            .map(schedule => typeof schedule.thresholdPercent === 'number'
+                ? schedule.thresholdPercent
+                : DEFAULT_THRESHOLD_PERCENT);
+        if (percents.length === 0) return cfg;
+
+        const factor = Math.min(...percents) / 100;
+        const adjusted = { ...cfg };
+        SCALED_FIELDS.forEach(field => {
+            if (typeof adjusted[field] === 'number') {
+                adjusted[field] = adjusted[field] * factor;
+            }
+        });
+
+        return adjusted;
+    }
+
+    /**
+     * Raise a severity by one level if a high-risk schedule says so
+     * @param {string} severity - Severity after the rules and zones
+     * @param {Array} schedules - Schedules in effect
+     * @returns {string} Adjusted severity
+     */
+    function adjustSeverity(severity, schedules) {
+        const escalate = (schedules || []).some(schedule => schedule.effect === 'escalate');
+        return escalate ? SeverityRules.shift(severity, 1) : severity;
+    }
+
+    /**
+     * Local yyyy-mm-dd of a date
+     */
+    function toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    // Public API
+    return {
+        DEFAULT_THRESHOLD_PERCENT,
+        getEffects,
+        find,
+        findSuppressing,
+        adjustConfig,
+        adjustSeverity
+    };
+})();
@@ -0,0 +1,136 @@
+/**
+ * Severity rules for Fuel Theft Monitor
+ * An ordered list of rules; the first rule whose conditions all match a
+ * confirmed drop sets its severity. Empty conditions match anything.
+ *
+ *   {
+ *     severity: 'critical' | 'high' | 'medium',
+ *     dropAbove: 25,          // Drop greater than this percentage
+ *     volumeAbove: null,      // Volume lost greater than this (litres)
+ *     durationBelow: 10,      // Drop happened in less than this many minutes
+ *     timeFrom: '22:00',      // Local time of day window (may wrap midnight)
+ *     timeTo: '05:00',
+ *     location: null,         // Text the alert location must contain
+ *     groupId: null           // Vehicle must belong to this group
+ *   }
+ */
+
+const SeverityRules = (function() {
+    const LEVELS = ['critical', 'high', 'medium'];
+    const FALLBACK_SEVERITY = 'medium';
+
+    // Equivalent to the original fixed cut-offs
+    const DEFAULT_RULES = [
+        { severity: 'critical', dropAbove: 25, durationBelow: 10 },
+        { severity: 'high', dropAbove: 15, durationBelow: 20 },
+        { severity: 'medium' }
+    ];
+
+    /**
+     * Default rules (a fresh copy)
+     * @returns {Array} Rules
+     */
+    function getDefaultRules() {
+        return DEFAULT_RULES.map(rule => ({ ...rule }));
+    }
+
+    /**
+     * Severity for a drop
+     * @param {Array} rules - Ordered rules
+     * @param {Object} facts - {dropPercent, volumeLost, durationMinutes, timestamp, location, groups}
+     * @returns {string} Severity level
+     */
+    function evaluate(rules, facts) {
+        const rule = (rules || []).find(r => matches(r, facts));
+        return rule && LEVELS.includes(rule.severity) ? rule.severity : FALLBACK_SEVERITY;
+    }
+
+    /**
+     * Move a severity up (positive steps) or down (negative steps), staying within the levels
+     * @param {string} severity - Severity level
+     * @param {number} steps - Levels to move; 1 turns medium into high
+     * @returns {string} Severity level
+     */
+    function shift(severity, steps) {
+        const index = LEVELS.indexOf(severity);
+        if (index === -1) return severity;
+        return LEVELS[Math.min(LEVELS.length - 1, Math.max(0, index - steps))];
+    }
+
+    /**
+     * Whether all conditions of a rule hold
+     */
+    function matches(rule, facts) {
+        if (isSet(rule.dropAbove) && !(facts.dropPercent > rule.dropAbove)) {
+            return false;
+        }
+
+        // Volume rules cannot match when the tank capacity is unknown
+        if (isSet(rule.volumeAbove) &&
+            !(typeof facts.volumeLost === 'number' && facts.volumeLost > rule.volumeAbove)) {
+            return false;
+        }
+
+        if (isSet(rule.durationBelow) && !(facts.durationMinutes < rule.durationBelow)) {
+            return false;
+        }
+
+        if (rule.timeFrom && rule.timeTo && !inTimeWindow(facts.timestamp, rule.timeFrom, rule.timeTo)) {
+            return false;
+        }
+
+        if (rule.location) {
+            const location = (facts.location || '').toLowerCase();
+            if (!location.includes(rule.location.toLowerCase())) {
+                return false;
+            }
+        }
+
+        if (rule.groupId && !(facts.groups || []).includes(rule.groupId)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether a time falls in a local HH:MM window (wrapping past midnight if from > to)
+     */
+    function inTimeWindow(timestamp, from, to) {
+        const date = new Date(timestamp);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const start = toMinutes(from);
+        const end = toMinutes(to);
+
+        if (start === null || end === null) return true;
+        if (start <= end) {
+            return minutes >= start && minutes < end;
+        }
+        return minutes >= start || minutes < end;
+    }
+
+    /**
+     * Minutes since midnight for 'HH:MM'
+     */
+    function toMinutes(time) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+        if (!match) return null;
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    /**
+     * Whether a numeric condition is set
+     */
+    function isSet(value) {
+        return typeof value === 'number' && !isNaN(value);
+    }
+
+    // Public API
+    return {
+        LEVELS,
+        getDefaultRules,
+        evaluate,
+        shift,
+        inTimeWindow
+    };
+})();
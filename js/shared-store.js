@@ -0,0 +1,658 @@
+/**
+ * Team-wide storage for Fuel Theft Monitor
+ * Shares alerts (with their workflow state) and the detection config between
+ * users through Geotab AddInData. IndexedDB and localStorage remain the local
+ * cache, so the add-in still reads offline; changes made while offline are
+ * queued and pushed on the next successful sync.
+ *
+ * Records (one AddInData entity each):
+ *   {type: 'config', revision, updatedAt, updatedBy, config}
+ *   {type: 'alert', key, revision, updatedAt, updatedBy, alert}
+ *   {type: 'claim', task, claimedAt, claimedBy, done}   // A task one browser does for the team
+ *
+ * Concurrent edits are merged rather than overwritten: config changes are
+ * applied field by field on top of the latest shared config, and alert
+ * workflow changes are merged through their history (see AlertManager.mergeRemoteAlerts).
+ * An alert whose record has disappeared was removed by another user, and is
+ * removed here too (even if it was edited locally in the meantime).
+ *
+ * A sync reads only the records changed since the previous one (by their
+ * updatedAt, with an overlap for clocks that disagree), plus the current
+ * record of each alert about to be pushed. Every FULL_READ_INTERVAL_MS, and
+ * on the first sync, all records are read a page at a time; only then are
+ * records gone missing taken as removed.
+ * Personal preferences (sound, notifications, volume unit) stay per browser.
+ */
+
+const SharedStore = (function() {
+    const ADDIN_ID = 'aRnVlbFRoZWZ0TW9uaXRvcg';
+    const STATE_KEY = 'fuelMonitorSyncState';
+    const SYNC_INTERVAL_MS = 60 * 1000;
+    const FLUSH_DELAY_MS = 1000;
+    const FULL_READ_INTERVAL_MS = 15 * 60 * 1000;
+    const READ_OVERLAP_MS = 5 * 60 * 1000;   // Changes stamped this far before the last read are read again
+    const RESULTS_LIMIT = 1000;              // Records per Get
+    const MAX_DETAILS_LENGTH = 9500;   // AddInData details are limited to 10,000 characters
+    const CLAIM_KEEP_DAYS = 14;        // Claims are removed after this long
+
+    let api = null;
+    let userName = 'Unknown user';
+    let syncTimer = null;
+    let flushTimer = null;
+    let running = null;
+    let conflictMessage = null;   // Set by reportConflicts during a sync pass
+    const claims = new Map();     // Task -> {id, details} of the claims this browser holds
+
+    // Sync state, persisted so queued changes survive a reload
+    let state = createState();
+
+    /**
+     * Empty sync state
+     */
+    function createState() {
+        return {
+            records: {},        // alert key -> {id, revision} last seen in AddInData
+            config: null,       // {id, revision, config} of the shared config record
+            dirtyAlerts: [],    // Alert keys with local changes to push
+            removedAlerts: [],  // AddInData ids to remove
+            configChanges: null, // Config fields changed locally, not yet pushed
+            lastSync: null,
+            lastRead: null,     // When the last successful sync started reading
+            lastFullRead: null, // When the last full read started
+            claimsSeen: {}      // Claim record id -> when this browser first saw it (ms)
+        };
+    }
+
+    /**
+     * Start sharing through AddInData
+     * @param {Object} geotabApi - Authenticated Geotab API instance
+     * @param {string} [currentUser] - User name recorded on changes
+     * @returns {Promise} Resolves after the first sync attempt
+     */
+    function init(geotabApi, currentUser) {
+        api = geotabApi;
+        userName = currentUser || userName;
+        loadState();
+
+        clearInterval(syncTimer);
+        syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+
+        return sync();
+    }
+
+    /**
+     * Whether sharing is active
+     */
+    function isEnabled() {
+        return api !== null;
+    }
+
+    /**
+     * Queue a new or changed alert for upload (test alerts stay in this browser)
+     * @param {Object} alert - Alert (must have a key)
+     */
+    function pushAlert(alert) {
+        if (!isEnabled() || !alert.key || alert.isTest) return;
+
+        addUnique(state.dirtyAlerts, alert.key);
+        saveState();
+        scheduleFlush();
+    }
+
+    /**
+     * Queue removal of an alert for everyone
+     * @param {Object} alert - Alert being removed
+     */
+    function removeAlert(alert) {
+        if (!isEnabled()) return;
+
+        const record = state.records[alert.key];
+        state.dirtyAlerts = state.dirtyAlerts.filter(k => k !== alert.key);
+        if (record) {
+            addUnique(state.removedAlerts, record.id);
+            delete state.records[alert.key];
+        }
+        saveState();
+        scheduleFlush();
+    }
+
+    /**
+     * Queue changed config fields for upload
+     * @param {Object} changes - Changed config fields
+     */
+    function pushConfig(changes) {
+        if (!isEnabled()) return;
+
+        state.configChanges = { ...(state.configChanges || {}), ...changes };
+        saveState();
+        scheduleFlush();
+    }
+
+    /**
+     * Claim a task only one browser in the team should do, such as the
+     * backfill for a scheduled report. When two browsers claim at once the
+     * claim with the lowest record id wins. Browser clocks may disagree, so a
+     * claim's age is counted from when this browser first saw it.
+     * @param {string} task - Task id, the same in every browser
+     * @param {number} timeoutMs - A claim unfinished this long after it was first seen was abandoned
+     * @returns {Promise<string>} 'claimed' (do it), 'taken' (another browser is
+     *                            doing it), 'done' (another browser has done it)
+     *                            or 'error' (the claim could not be settled; try again later)
+     */
+    async function claimTask(task, timeoutMs) {
+        if (!isEnabled()) return 'claimed';
+
+        const isLive = record => !getDetails(record).done &&
+            Date.now() - state.claimsSeen[record.id] < timeoutMs;
+
+        let id = null;
+        try {
+            const existing = await getClaims(task);
+            if (existing.some(record => getDetails(record).done)) return 'done';
+            if (existing.some(isLive)) return 'taken';
+
+            const details = {
+                type: 'claim',
+                task: task,
+                claimedAt: new Date().toISOString(),
+                claimedBy: userName,
+                done: false
+            };
+            id = await save(null, details);
+
+            // Record ids order claims the same way in every browser
+            const winner = (await getClaims(task))
+                .filter(isLive)
+                .sort((a, b) => a.id.localeCompare(b.id))[0];
+            if (winner && winner.id !== id) {
+                await api.call('Remove', { typeName: 'AddInData', entity: { id: id, addInId: ADDIN_ID } });
+                return 'taken';
+            }
+
+            claims.set(task, { id: id, details: details });
+            return 'claimed';
+        } catch (error) {
+            console.error('Failed to claim shared task:', error);
+
+            // A claim left behind would hold the task for everyone until it times out
+            if (id) {
+                await api.call('Remove', { typeName: 'AddInData', entity: { id: id, addInId: ADDIN_ID } })
+                    .catch(e => console.error('Failed to withdraw shared task claim:', e));
+            }
+            return 'error';
+        }
+    }
+
+    /**
+     * Mark a claimed task as done for the team
+     * @param {string} task - Task id
+     * @returns {Promise} Resolves once recorded
+     */
+    async function completeTask(task) {
+        const claim = claims.get(task);
+        if (!claim || !isEnabled()) return;
+
+        try {
+            await save(claim.id, { ...claim.details, done: true });
+            claims.delete(task);
+        } catch (error) {
+            console.error('Failed to complete shared task:', error);
+        }
+    }
+
+    /**
+     * Claim records for a task, noting when this browser first saw each
+     */
+    async function getClaims(task) {
+        const records = (await getRecords(`task = ${JSON.stringify(task)}`))
+            .filter(record => getDetails(record).type === 'claim');
+
+        const now = Date.now();
+        records
+            .filter(record => !state.claimsSeen[record.id])
+            .forEach(record => {
+                state.claimsSeen[record.id] = now;
+            });
+        saveState();
+
+        return records;
+    }
+
+    /**
+     * Remove claims for any task older than CLAIM_KEEP_DAYS, and forget
+     * claims that are gone
+     * @param {Array} records - All AddInData records (a full read)
+     */
+    async function pruneClaims(records) {
+        const claimRecords = records.filter(record => getDetails(record).type === 'claim');
+        const cutoff = Date.now() - CLAIM_KEEP_DAYS * 24 * 60 * 60 * 1000;
+
+        for (const record of claimRecords.filter(r => Date.parse(getDetails(r).claimedAt) < cutoff)) {
+            await api.call('Remove', { typeName: 'AddInData', entity: { id: record.id, addInId: ADDIN_ID } });
+        }
+
+        const ids = new Set(claimRecords.map(record => record.id));
+        Object.keys(state.claimsSeen)
+            .filter(id => !ids.has(id))
+            .forEach(id => delete state.claimsSeen[id]);
+    }
+
+    /**
+     * Push queued changes soon (several edits in a row go out together)
+     */
+    function scheduleFlush() {
+        clearTimeout(flushTimer);
+        flushTimer = setTimeout(sync, FLUSH_DELAY_MS);
+    }
+
+    /**
+     * Push queued changes, then pull changes made by others
+     * @returns {Promise<boolean>} Whether the sync reached the server
+     */
+    function sync() {
+        if (!isEnabled()) return Promise.resolve(false);
+
+        // One sync at a time; callers during a sync share its result
+        if (!running) {
+            running = runSync().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    }
+
+    /**
+     * One sync pass (see sync)
+     */
+    async function runSync() {
+        conflictMessage = null;
+
+        try {
+            const readAt = new Date().toISOString();
+            const full = !state.lastFullRead || !state.lastRead ||
+                Date.now() - Date.parse(state.lastFullRead) >= FULL_READ_INTERVAL_MS;
+            const { records, checked } = full ? { records: await getRecords(), checked: null } : await readChanges();
+
+            // First sync from this browser: offer the team what it does not have yet
+            if (!state.lastSync) {
+                queueUnshared(records);
+            }
+
+            await pushConfigChanges(records);
+            const added = await pushAlertChanges(records);
+            await pushRemovals();
+            pullChanges(records, added, checked);
+            if (full) {
+                await pruneClaims(records);
+            }
+
+            state.lastSync = new Date().toISOString();
+            state.lastRead = readAt;
+            if (full) {
+                state.lastFullRead = readAt;
+            }
+            saveState();
+            if (conflictMessage) {
+                updateSyncStatus('conflict', 'Merged a concurrent edit', conflictMessage);
+            } else {
+                updateSyncStatus('synced', `Shared · synced ${new Date().toLocaleTimeString()}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Shared storage sync failed:', error);
+            const queued = state.dirtyAlerts.length + state.removedAlerts.length + (state.configChanges ? 1 : 0);
+            updateSyncStatus('offline', queued > 0
+                ? `Offline · ${queued} change${queued === 1 ? '' : 's'} queued`
+                : 'Offline · showing cached data');
+            return false;
+        }
+    }
+
+    /**
+     * Read the records changed since the last sync, and the current record of
+     * each known alert with local changes that is not among them
+     * @returns {Promise<Object>} {records, checked: alert keys looked up one by one}
+     */
+    async function readChanges() {
+        const since = new Date(Date.parse(state.lastRead) - READ_OVERLAP_MS).toISOString();
+        const records = await getRecords(`updatedAt > "${since}"`);
+        const changed = indexAlertRecords(records);
+        const checked = new Set();
+
+        for (const key of state.dirtyAlerts.filter(k => state.records[k] && !changed.has(k))) {
+            records.push(...await getRecords(`key = ${JSON.stringify(key)}`));
+            checked.add(key);
+        }
+
+        return { records: records, checked: checked };
+    }
+
+    /**
+     * Read AddInData records a page at a time
+     * @param {string} [whereClause] - Only records whose details match this query
+     * @returns {Promise<Array>} Records
+     */
+    async function getRecords(whereClause) {
+        const search = whereClause ? { addInId: ADDIN_ID, whereClause: whereClause } : { addInId: ADDIN_ID };
+        const records = [];
+        let page;
+
+        do {
+            const last = records[records.length - 1];
+            page = await api.call('Get', {
+                typeName: 'AddInData',
+                search: search,
+                resultsLimit: RESULTS_LIMIT,
+                sort: last ? { sortBy: 'id', offset: last.id } : { sortBy: 'id' }
+            });
+            records.push(...page);
+        } while (page.length === RESULTS_LIMIT);
+
+        return records;
+    }
+
+    /**
+     * Queue the local alerts missing from the shared records (test alerts stay local)
+     */
+    function queueUnshared(records) {
+        const byKey = indexAlertRecords(records);
+        AlertManager.getAlerts()
+            .filter(a => !a.isTest && !byKey.has(a.key))
+            .forEach(a => addUnique(state.dirtyAlerts, a.key));
+    }
+
+    /**
+     * Apply local config changes on top of the latest shared config
+     */
+    async function pushConfigChanges(records) {
+        if (!state.configChanges) return;
+
+        // Not among the records read: the one seen last is still current
+        const record = findConfigRecord(records);
+        const remote = record ? { id: record.id, ...getDetails(record) } : state.config;
+        const merged = { ...(remote ? remote.config : {}), ...state.configChanges };
+        const revision = (remote ? remote.revision : 0) + 1;
+
+        const details = {
+            type: 'config',
+            revision: revision,
+            updatedAt: new Date().toISOString(),
+            updatedBy: userName,
+            config: merged
+        };
+
+        const id = await save(remote ? remote.id : null, details);
+        state.config = { id: id, revision: revision, config: merged };
+        state.configChanges = null;
+        saveState();
+
+        // Fields other users changed in the meantime apply here too
+        FuelMonitor.applySharedConfig(merged);
+    }
+
+    /**
+     * Upload changed alerts, merging with any newer shared version first
+     * @returns {Promise<Set>} Keys of the alerts shared for the first time
+     */
+    async function pushAlertChanges(records) {
+        const byKey = indexAlertRecords(records);
+        const alertsByKey = new Map(AlertManager.getAlerts().map(a => [a.key, a]));
+        const added = new Set();
+
+        for (const key of state.dirtyAlerts.slice()) {
+            const local = alertsByKey.get(key);
+            const remote = byKey.get(key);
+            const known = state.records[key];
+
+            // Gone locally, or removed by someone else (pullChanges removes it here)
+            if (!local || (known && !remote)) {
+                state.dirtyAlerts = state.dirtyAlerts.filter(k => k !== key);
+                continue;
+            }
+
+            let alert = local;
+            let revision = 1;
+
+            if (remote) {
+                const remoteDetails = getDetails(remote);
+                revision = remoteDetails.revision + 1;
+
+                // Someone else saved a newer version since we last looked: merge it in first
+                if (!known || remoteDetails.revision > known.revision) {
+                    const conflicts = AlertManager.mergeRemoteAlert(remoteDetails.alert);
+                    reportConflicts(local, conflicts, remoteDetails.updatedBy);
+                    alert = AlertManager.getAlerts().find(a => a.key === key) || local;
+                }
+            }
+
+            const details = {
+                type: 'alert',
+                key: key,
+                revision: revision,
+                updatedAt: new Date().toISOString(),
+                updatedBy: userName,
+                alert: toSharedAlert(alert)
+            };
+
+            const id = await save(remote ? remote.id : null, details);
+            state.records[key] = { id: id, revision: revision };
+            state.dirtyAlerts = state.dirtyAlerts.filter(k => k !== key);
+            if (!remote) {
+                added.add(key);
+            }
+            saveState();
+        }
+
+        return added;
+    }
+
+    /**
+     * Remove alerts deleted locally
+     */
+    async function pushRemovals() {
+        for (const id of state.removedAlerts.slice()) {
+            await api.call('Remove', {
+                typeName: 'AddInData',
+                entity: { id: id, addInId: ADDIN_ID }
+            });
+            state.removedAlerts = state.removedAlerts.filter(r => r !== id);
+            saveState();
+        }
+    }
+
+    /**
+     * Apply config and alert changes made by other users
+     * @param {Array} records - AddInData records read at the start of the sync
+     * @param {Set} added - Alert keys shared during this sync (not in records yet)
+     * @param {Set|null} checked - Alert keys whose records were all read (null: every key, a full read)
+     */
+    function pullChanges(records, added, checked) {
+        const configRecord = findConfigRecord(records);
+        if (configRecord) {
+            const details = getDetails(configRecord);
+            if (!state.config || details.revision > state.config.revision) {
+                FuelMonitor.applySharedConfig(details.config);
+            }
+            if (!state.config || details.revision >= state.config.revision) {
+                state.config = { id: configRecord.id, revision: details.revision, config: details.config };
+            }
+        }
+
+        // Alerts added or changed by others, merged in one pass
+        const byKey = indexAlertRecords(records);
+        const localByKey = new Map(AlertManager.getAlerts().map(a => [a.key, a]));
+        const incoming = [];
+        byKey.forEach((record, key) => {
+            const details = getDetails(record);
+            const known = state.records[key];
+
+            if (!known || details.revision > known.revision) {
+                incoming.push(details);
+                state.records[key] = { id: record.id, revision: details.revision };
+            }
+        });
+
+        if (incoming.length > 0) {
+            const conflicts = AlertManager.mergeRemoteAlerts(incoming.map(details => details.alert));
+            incoming.forEach(details => {
+                const local = localByKey.get(details.key);
+                if (local) {
+                    reportConflicts(local, conflicts.get(details.key), details.updatedBy);
+                }
+            });
+        }
+
+        // Records seen before and gone now were removed by another user
+        const removed = Object.keys(state.records)
+            .filter(key => !byKey.has(key) && !added.has(key) && (!checked || checked.has(key)));
+        if (removed.length > 0) {
+            removed.forEach(key => delete state.records[key]);
+            AlertManager.removeRemoteAlerts(removed);
+        }
+    }
+
+    /**
+     * Latest shared config record
+     */
+    function findConfigRecord(records) {
+        return records
+            .filter(r => getDetails(r).type === 'config')
+            .reduce((latest, r) => !latest || getDetails(r).revision > getDetails(latest).revision ? r : latest, null);
+    }
+
+    /**
+     * Latest AddInData record per alert key (concurrent first uploads may create two)
+     */
+    function indexAlertRecords(records) {
+        const byKey = new Map();
+
+        records.forEach(record => {
+            const details = getDetails(record);
+            if (details.type !== 'alert' || !details.key) return;
+
+            const existing = byKey.get(details.key);
+            if (!existing || details.revision > getDetails(existing).revision) {
+                byKey.set(details.key, record);
+            }
+        });
+
+        return byKey;
+    }
+
+    /**
+     * Add or update an AddInData record
+     * @returns {Promise<string>} Record id
+     */
+    async function save(id, details) {
+        const entity = {
+            addInId: ADDIN_ID,
+            groups: [{ id: 'GroupCompanyId' }],
+            details: details
+        };
+
+        if (id) {
+            await api.call('Set', { typeName: 'AddInData', entity: { ...entity, id: id } });
+            return id;
+        }
+
+        return api.call('Add', { typeName: 'AddInData', entity: entity });
+    }
+
+    /**
+     * Alert as stored for the team: without the per-browser id, and trimmed
+     * to the AddInData size limit by dropping the oldest history entries
+     */
+    function toSharedAlert(alert) {
+        const { id, ...shared } = alert;
+        shared.history = (shared.history || []).slice();
+
+        while (JSON.stringify(shared).length > MAX_DETAILS_LENGTH && shared.history.length > 0) {
+            shared.history.shift();
+            shared.historyTruncated = true;
+        }
+
+        return shared;
+    }
+
+    /**
+     * Record details (Geotab may return them as a JSON string)
+     */
+    function getDetails(record) {
+        if (typeof record.details === 'string') {
+            try {
+                return JSON.parse(record.details);
+            } catch (e) {
+                return {};
+            }
+        }
+        return record.details || {};
+    }
+
+    /**
+     * Tell the user when their change met a concurrent change to the same field
+     */
+    function reportConflicts(alert, conflicts, otherUser) {
+        if (!conflicts || conflicts.length === 0) return;
+
+        const message = `${alert.vehicleName}: ${otherUser || 'another user'} also changed ` +
+            `${conflicts.join(', ')} - the most recent change was kept and both are in the history`;
+        console.warn('Alert edit conflict:', message);
+        conflictMessage = conflictMessage ? `${conflictMessage}\n${message}` : message;
+    }
+
+    /**
+     * Show sync state next to the monitoring status
+     */
+    function updateSyncStatus(status, text, title) {
+        const el = document.getElementById('sync-status');
+        if (!el) return;
+
+        el.className = `sync-status sync-${status}`;
+        el.textContent = text;
+        el.title = title || '';
+    }
+
+    /**
+     * Append a value to a list unless already present
+     */
+    function addUnique(list, value) {
+        if (!list.includes(value)) {
+            list.push(value);
+        }
+    }
+
+    /**
+     * Load sync state from localStorage
+     */
+    function loadState() {
+        try {
+            state = { ...createState(), ...JSON.parse(localStorage.getItem(STATE_KEY)) };
+        } catch (e) {
+            console.error('Failed to load sync state:', e);
+            state = createState();
+        }
+    }
+
+    /**
+     * Save sync state to localStorage
+     */
+    function saveState() {
+        try {
+            localStorage.setItem(STATE_KEY, JSON.stringify(state));
+        } catch (e) {
+            console.error('Failed to save sync state:', e);
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        isEnabled,
+        sync,
+        pushAlert,
+        removeAlert,
+        pushConfig,
+        claimTask,
+        completeTask
+    };
+})();
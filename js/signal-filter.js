@@ -0,0 +1,127 @@
+/**
+ * Signal conditioning for Fuel Theft Monitor
+ * Cleans raw fuel level readings before detection: range checks,
+ * outlier rejection and median / moving-average smoothing
+ */
+
+const SignalFilter = (function() {
+    /**
+     * Create per-vehicle filter state
+     * @returns {Object} Filter state
+     */
+    function createState() {
+        return {
+            buffer: [],     // Recent accepted raw readings [{timestamp, level}]
+            suspect: null   // Reading held back as a possible outlier
+        };
+    }
+
+    /**
+     * Feed a raw reading through the filter
+     * A reading that jumps away from the recent median by more than the outlier
+     * threshold is held back until the next reading: if that one agrees (a real
+     * step change) both are accepted, otherwise the held reading is discarded.
+     * @param {Object} state - Filter state from createState
+     * @param {Object} point - Raw reading {timestamp, level}
+     * @param {Object} options - {smoothingMethod, smoothingWindow, outlierThreshold}
+     * @returns {Array} Conditioned readings to analyze (zero, one or two)
+     */
+    function condition(state, point, options) {
+        // Sensor error values (e.g. 255 = not available) are never valid levels
+        if (!isFinite(point.level) || point.level < 0 || point.level > 105) {
+            return [];
+        }
+
+        const reading = { ...point, level: Math.min(point.level, 100) };
+        const output = [];
+
+        if (state.suspect) {
+            const suspect = state.suspect;
+            state.suspect = null;
+
+            if (Math.abs(reading.level - suspect.level) <= options.outlierThreshold) {
+                // The jump persisted, so it was real
+                output.push(accept(state, suspect, options));
+                output.push(accept(state, reading, options));
+                return output;
+            }
+
+            console.log('Outlier rejected:', suspect.level.toFixed(1) + '%', suspect.timestamp);
+        }
+
+        if (isOutlier(state, reading, options)) {
+            state.suspect = reading;
+            return output;
+        }
+
+        output.push(accept(state, reading, options));
+        return output;
+    }
+
+    /**
+     * Release a held reading once no contradicting reading has arrived in time
+     * (devices log fuel level on change, so silence means the level held)
+     * @param {Object} state - Filter state
+     * @param {Date} now - Current time (wall clock, or end of a historical range)
+     * @param {number} maxHoldMinutes - How long a reading may be held
+     * @param {Object} options - Filter options
+     * @returns {Array} Conditioned readings released
+     */
+    function flush(state, now, maxHoldMinutes, options) {
+        if (!state.suspect) return [];
+        if (now - state.suspect.timestamp < maxHoldMinutes * 60 * 1000) return [];
+
+        const suspect = state.suspect;
+        state.suspect = null;
+        return [accept(state, suspect, options)];
+    }
+
+    /**
+     * Whether a reading deviates from the recent median by more than the threshold
+     */
+    function isOutlier(state, reading, options) {
+        if (!options.outlierThreshold || state.buffer.length < 2) return false;
+
+        const recentMedian = median(state.buffer.map(b => b.level));
+        return Math.abs(reading.level - recentMedian) > options.outlierThreshold;
+    }
+
+    /**
+     * Accept a raw reading and return its smoothed value
+     */
+    function accept(state, reading, options) {
+        const window = Math.max(1, options.smoothingWindow || 1);
+
+        state.buffer.push(reading);
+        while (state.buffer.length > window) {
+            state.buffer.shift();
+        }
+
+        const levels = state.buffer.map(b => b.level);
+        let level = reading.level;
+
+        if (options.smoothingMethod === 'median') {
+            level = median(levels);
+        } else if (options.smoothingMethod === 'average') {
+            level = levels.reduce((sum, l) => sum + l, 0) / levels.length;
+        }
+
+        return { ...reading, level: level, rawLevel: reading.level };
+    }
+
+    /**
+     * Median of a list of numbers
+     */
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Public API
+    return {
+        createState,
+        condition,
+        flush
+    };
+})();
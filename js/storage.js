@@ -0,0 +1,348 @@
+/**
+ * Persistent storage for Fuel Theft Monitor
+ * Keeps alerts, raw fuel readings, live detection context and historical
+ * analysis runs in IndexedDB so they survive page reloads. Alerts are read a
+ * page at a time, newest first, so no single read holds a long history.
+ * When IndexedDB is not available (private browsing in some browsers)
+ * isAvailable() is false and callers fall back to memory. In memory-only mode
+ * (the standalone simulator) nothing is stored at all, in IndexedDB or
+ * localStorage.
+ */
+
+const FuelStore = (function() {
+    const DB_NAME = 'fuelTheftMonitor';
+    const DB_VERSION = 3;
+    const LEGACY_ALERTS_KEY = 'fuelMonitorAlerts';
+
+    let db = null;
+    let openPromise = null;
+    let persistent = true;
+
+    /**
+     * Keep everything in memory for this page (call before open)
+     */
+    function useMemoryOnly() {
+        persistent = false;
+    }
+
+    /**
+     * Whether data may be written to IndexedDB or localStorage
+     */
+    function isPersistent() {
+        return persistent;
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable
+     */
+    function open() {
+        if (openPromise) return openPromise;
+
+        openPromise = new Promise(resolve => {
+            if (!persistent) {
+                resolve(null);
+                return;
+            }
+
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB not available, data will not survive a reload');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function(event) {
+                const upgradeDb = request.result;
+
+                if (event.oldVersion < 1) {
+                    // Alerts by id, searchable by time and vehicle
+                    const alerts = upgradeDb.createObjectStore('alerts', { keyPath: 'id' });
+                    alerts.createIndex('timestamp', 'timestamp');
+                    alerts.createIndex('vehicleId', 'vehicleId');
+
+                    // Raw readings, one per vehicle and time (re-fetching a range overwrites)
+                    const readings = upgradeDb.createObjectStore('readings', { keyPath: ['vehicleId', 'timestamp'] });
+                    readings.createIndex('timestamp', 'timestamp');
+
+                    // Live analysis state per vehicle
+                    upgradeDb.createObjectStore('contexts', { keyPath: 'vehicleId' });
+                }
+
+                if (event.oldVersion < 2) {
+                    // Historical analysis runs with their findings
+                    upgradeDb.createObjectStore('runs', { keyPath: 'id' });
+                }
+
+                if (event.oldVersion < 3) {
+                    // Alerts in time order with the id as tie-break, for paging
+                    request.transaction.objectStore('alerts').createIndex('timestampId', ['timestamp', 'id']);
+                }
+            };
+
+            request.onsuccess = function() {
+                db = request.result;
+                resolve(db);
+            };
+
+            request.onerror = function() {
+                console.error('Failed to open IndexedDB:', request.error);
+                resolve(null);
+            };
+        });
+
+        return openPromise;
+    }
+
+    /**
+     * Whether IndexedDB storage is in use (valid after open resolves)
+     */
+    function isAvailable() {
+        return db !== null;
+    }
+
+    /**
+     * Run a transaction and resolve when it completes
+     * @param {string|Array} storeNames - Object stores
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the transaction; its return value is resolved
+     */
+    async function transaction(storeNames, mode, work) {
+        const database = await open();
+        if (!database) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = database.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            result = work(tx);
+        });
+    }
+
+    /**
+     * Migrate alerts saved in localStorage by earlier versions
+     * The key is removed once the alerts are safely in IndexedDB.
+     * @returns {Promise<number>} Number of alerts migrated
+     */
+    async function migrateLegacyAlerts() {
+        let legacy;
+        try {
+            legacy = JSON.parse(localStorage.getItem(LEGACY_ALERTS_KEY));
+        } catch (e) {
+            console.error('Failed to read legacy alerts:', e);
+            return 0;
+        }
+
+        if (!Array.isArray(legacy) || legacy.length === 0 || !(await open())) return 0;
+
+        await putAlerts(legacy);
+        localStorage.removeItem(LEGACY_ALERTS_KEY);
+        console.log(`Migrated ${legacy.length} alerts from localStorage`);
+        return legacy.length;
+    }
+
+    /**
+     * Load a page of stored alerts, newest first, through the (timestamp, id) index
+     * @param {Object|null} after - Last alert of the previous page; the page starts
+     *   strictly after it, so alerts sharing its timestamp are neither repeated nor skipped
+     *   (null: the newest)
+     * @param {number} limit - Most alerts to return
+     * @returns {Promise<Array>} Alerts
+     */
+    async function getAlertPage(after, limit) {
+        const alerts = [];
+        const range = after ? IDBKeyRange.upperBound([after.timestamp, after.id], true) : null;
+
+        await transaction('alerts', 'readonly', tx => {
+            const request = tx.objectStore('alerts').index('timestampId').openCursor(range, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || alerts.length >= limit) return;
+                alerts.push(cursor.value);
+                cursor.continue();
+            };
+        });
+
+        return alerts;
+    }
+
+    /**
+     * Load the stored alerts in a period through the timestamp index
+     * @param {Date} from - Period start (inclusive)
+     * @param {Date} to - Period end (exclusive)
+     * @returns {Promise<Array>} Alerts
+     */
+    async function getAlertsBetween(from, to) {
+        const range = IDBKeyRange.bound(from.toISOString(), to.toISOString(), false, true);
+        const alerts = await transaction('alerts', 'readonly', tx => tx.objectStore('alerts').index('timestamp').getAll(range));
+        return alerts || [];
+    }
+
+    /**
+     * Insert or update alerts
+     * @param {Array} alerts - Alerts to store
+     */
+    function putAlerts(alerts) {
+        return transaction('alerts', 'readwrite', tx => {
+            const store = tx.objectStore('alerts');
+            alerts.forEach(alert => store.put(alert));
+        });
+    }
+
+    /**
+     * Delete alerts by id
+     * @param {Array<number>} ids - Alert ids
+     */
+    function deleteAlerts(ids) {
+        return transaction('alerts', 'readwrite', tx => {
+            const store = tx.objectStore('alerts');
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    /**
+     * Store raw fuel level readings
+     * @param {string} vehicleId - Vehicle device ID
+     * @param {Array} readings - [{timestamp: Date, level}] (level in %)
+     */
+    function putReadings(vehicleId, readings) {
+        return transaction('readings', 'readwrite', tx => {
+            const store = tx.objectStore('readings');
+            readings.forEach(r => store.put({
+                vehicleId: vehicleId,
+                timestamp: r.timestamp.getTime(),
+                level: r.level
+            }));
+        });
+    }
+
+    /**
+     * Raw readings for a vehicle in a time range, oldest first
+     * @param {string} vehicleId - Vehicle device ID
+     * @param {Date} fromDate - Start
+     * @param {Date} toDate - End
+     * @returns {Promise<Array>} [{timestamp: Date, level}]
+     */
+    async function getReadings(vehicleId, fromDate, toDate) {
+        const range = IDBKeyRange.bound([vehicleId, fromDate.getTime()], [vehicleId, toDate.getTime()]);
+        const rows = await transaction('readings', 'readonly', tx => tx.objectStore('readings').getAll(range));
+
+        return (rows || []).map(r => ({ timestamp: new Date(r.timestamp), level: r.level }));
+    }
+
+    /**
+     * Save the live analysis state of a vehicle
+     * @param {Object} snapshot - {vehicleId, ...state}; Dates are stored as-is
+     */
+    function putContext(snapshot) {
+        return transaction('contexts', 'readwrite', tx => {
+            tx.objectStore('contexts').put(snapshot);
+        });
+    }
+
+    /**
+     * Load all saved analysis states
+     * @returns {Promise<Array>} Snapshots
+     */
+    async function getContexts() {
+        const contexts = await transaction('contexts', 'readonly', tx => tx.objectStore('contexts').getAll());
+        return contexts || [];
+    }
+
+    /**
+     * Load all stored analysis runs
+     * @returns {Promise<Array>} Runs
+     */
+    async function getRuns() {
+        const runs = await transaction('runs', 'readonly', tx => tx.objectStore('runs').getAll());
+        return runs || [];
+    }
+
+    /**
+     * Insert or update an analysis run
+     * @param {Object} run - Run with its findings
+     */
+    function putRun(run) {
+        return transaction('runs', 'readwrite', tx => {
+            tx.objectStore('runs').put(run);
+        });
+    }
+
+    /**
+     * Delete an analysis run
+     * @param {string} id - Run id
+     */
+    function deleteRun(id) {
+        return transaction('runs', 'readwrite', tx => {
+            tx.objectStore('runs').delete(id);
+        });
+    }
+
+    /**
+     * Delete data older than the retention periods
+     * @param {Object} retention - {alertDays, readingDays} (0 keeps forever)
+     * @returns {Promise<Object>} {alertIds, readings} removed
+     */
+    async function prune(retention) {
+        const removed = { alertIds: [], readings: 0 };
+        if (!(await open())) return removed;
+
+        const cutoff = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        if (retention.alertDays > 0) {
+            const before = cutoff(retention.alertDays).toISOString();
+            await transaction('alerts', 'readwrite', tx => {
+                const request = tx.objectStore('alerts').index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    removed.alertIds.push(cursor.value.id);
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+        }
+
+        if (retention.readingDays > 0) {
+            const before = cutoff(retention.readingDays).getTime();
+            await transaction('readings', 'readwrite', tx => {
+                const request = tx.objectStore('readings').index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    removed.readings++;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+        }
+
+        return removed;
+    }
+
+    // Public API
+    return {
+        useMemoryOnly,
+        isPersistent,
+        open,
+        isAvailable,
+        migrateLegacyAlerts,
+        getAlertPage,
+        getAlertsBetween,
+        putAlerts,
+        deleteAlerts,
+        putReadings,
+        getReadings,
+        putContext,
+        getContexts,
+        getRuns,
+        putRun,
+        deleteRun,
+        prune
+    };
+})();
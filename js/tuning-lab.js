@@ -0,0 +1,483 @@
+/**
+ * Detector tuning lab for Fuel Theft Monitor
+ * Replays the fuel history of chosen vehicles through the detection pipeline
+ * with candidate drop thresholds and time windows, without raising anything,
+ * and scores each candidate against the suspected thefts already reviewed:
+ * a replayed drop that matches an alert marked confirmed is a hit, one that
+ * matches a false positive is a false alarm, and a confirmed theft nothing
+ * matched is a miss. Precision and recall per candidate show what a change
+ * would gain or cost before it is made in Settings.
+ *
+ * History comes from Geotab, or from the stored readings when Geotab has
+ * none. Each vehicle's history is loaded once and replayed for every candidate.
+ */
+
+const TuningLab = (function() {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_DAYS = 30;
+    const MATCH_WINDOW_MS = 30 * 60 * 1000;    // A replayed drop this close to a reviewed alert is the same event
+    const MAX_CANDIDATES = 30;
+    const REVIEWED = ['confirmed', 'false-positive'];
+    const LABELS = {
+        confirmed: 'Confirmed',
+        'false-positive': 'False positive',
+        unreviewed: 'Not reviewed'
+    };
+
+    // DOM elements
+    let modal = null;
+    let contentEl = null;
+    let vehicleSelect = null;
+    let fromInput = null;
+    let toInput = null;
+    let thresholdsInput = null;
+    let windowsInput = null;
+    let replayBtn = null;
+
+    // Last replay ({from, to, vehicles, reviewed, candidates, sources}), and whether one is running
+    let result = null;
+    let replaying = false;
+
+    /**
+     * Set up the tuning lab modal
+     */
+    function init() {
+        modal = document.getElementById('tuning-modal');
+        if (!modal) return;
+
+        contentEl = document.getElementById('tuning-content');
+        vehicleSelect = document.getElementById('tuning-vehicles');
+        fromInput = document.getElementById('tuning-from');
+        toInput = document.getElementById('tuning-to');
+        thresholdsInput = document.getElementById('tuning-thresholds');
+        windowsInput = document.getElementById('tuning-windows');
+        replayBtn = document.getElementById('tuning-replay-btn');
+
+        document.getElementById('tuning-btn').addEventListener('click', open);
+        document.getElementById('close-tuning').addEventListener('click', close);
+        replayBtn.addEventListener('click', startReplay);
+        modal.addEventListener('click', function(e) {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        document.addEventListener('keydown', function(e) {
+            if (e.key === 'Escape' && modal.classList.contains('active')) {
+                close();
+            }
+        });
+    }
+
+    /**
+     * Show the tuning lab (the last 30 days, around the current settings, unless changed before)
+     */
+    async function open() {
+        if (!modal) return;
+
+        if (!fromInput.value || !toInput.value) {
+            const today = new Date();
+            toInput.value = toDateInput(today);
+            fromInput.value = toDateInput(new Date(today.getTime() - (DEFAULT_DAYS - 1) * DAY_MS));
+        }
+        if (!thresholdsInput.value || !windowsInput.value) {
+            const config = FuelMonitor.getConfig();
+            thresholdsInput.value = suggestValues(config.dropThreshold, [0.5, 0.75, 1, 1.5, 2]).join(', ');
+            windowsInput.value = suggestValues(config.timeWindowMinutes, [0.5, 1, 2]).join(', ');
+        }
+
+        modal.classList.add('active');
+        if (!result && !replaying) {
+            contentEl.innerHTML = '<p class="dashboard-empty">Pick vehicles and the settings to try, then Replay. ' +
+                'With no vehicles picked, those with reviewed alerts in the period are replayed.</p>';
+        }
+
+        // Vehicles may still be loading
+        await FuelMonitor.ensureVehicles();
+        updateVehicleOptions();
+    }
+
+    /**
+     * Close the tuning lab (a replay in progress carries on)
+     */
+    function close() {
+        modal.classList.remove('active');
+    }
+
+    /**
+     * Rebuild the vehicle list, keeping the selection
+     */
+    function updateVehicleOptions() {
+        const selected = new Set([...vehicleSelect.selectedOptions].map(opt => opt.value));
+
+        vehicleSelect.innerHTML = '';
+        [...FuelMonitor.getVehicles()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(vehicle => {
+                const option = document.createElement('option');
+                option.value = vehicle.id;
+                option.textContent = vehicle.name;
+                option.selected = selected.has(vehicle.id);
+                vehicleSelect.appendChild(option);
+            });
+    }
+
+    /**
+     * Read the controls and replay
+     */
+    async function startReplay() {
+        if (replaying) return;
+
+        const from = parseDateInput(fromInput.value);
+        const to = parseDateInput(toInput.value);
+        if (!from || !to || from > to) {
+            alert('Pick a From date on or before the To date');
+            return;
+        }
+
+        const thresholds = parseValues(thresholdsInput.value);
+        const windows = parseValues(windowsInput.value);
+        if (thresholds.length === 0 || windows.length === 0) {
+            alert('Enter at least one drop threshold and one time window, separated by commas');
+            return;
+        }
+        if (thresholds.length * windows.length > MAX_CANDIDATES) {
+            alert(`Try at most ${MAX_CANDIDATES} combinations at a time (${thresholds.length} thresholds × ${windows.length} windows is ${thresholds.length * windows.length})`);
+            return;
+        }
+
+        const candidates = [];
+        thresholds.forEach(dropThreshold => {
+            windows.forEach(timeWindowMinutes => {
+                candidates.push({ dropThreshold: dropThreshold, timeWindowMinutes: timeWindowMinutes });
+            });
+        });
+
+        const vehicleIds = [...vehicleSelect.selectedOptions].map(opt => opt.value);
+        replaying = true;
+        replayBtn.disabled = true;
+        try {
+            result = await replay({ from: from, to: shiftDays(to, 1), vehicleIds: vehicleIds, candidates: candidates }, showProgress);
+            render();
+        } catch (error) {
+            console.error('Failed to replay history:', error);
+            contentEl.innerHTML = `<p class="dashboard-empty">${escapeHtml(error.message)}</p>`;
+        } finally {
+            replaying = false;
+            replayBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Replay fuel history with each candidate and score what would have fired
+     * @param {Object} options - {from, to (exclusive), vehicleIds (empty: those with reviewed alerts), candidates: [{dropThreshold, timeWindowMinutes}]}
+     * @param {Function} onProgress - Called with (vehicle, done, total) before each vehicle
+     * @returns {Promise<Object>} {from, to, vehicles, reviewed, sources, candidates: [{dropThreshold, timeWindowMinutes, detections, missed, stats}]}
+     */
+    async function replay(options, onProgress) {
+        await FuelMonitor.ensureVehicles();
+        const known = new Map(FuelMonitor.getVehicles().map(v => [v.id, v]));
+
+        const inRange = a => {
+            const time = new Date(a.timestamp);
+            return time >= options.from && time < options.to;
+        };
+        const reviewedAll = AlertManager.getAlerts().filter(a =>
+            (a.type || 'theft') === 'theft' && REVIEWED.includes(a.status) && inRange(a));
+
+        const vehicleIds = options.vehicleIds.length > 0
+            ? options.vehicleIds
+            : [...new Set(reviewedAll.map(a => a.vehicleId))];
+        const vehicles = vehicleIds.map(id => known.get(id)).filter(Boolean);
+        if (vehicles.length === 0) {
+            throw new Error('No vehicles to replay: pick some, or review suspected thefts in this period first');
+        }
+
+        const reviewed = reviewedAll.filter(a => vehicleIds.includes(a.vehicleId));
+        const candidates = options.candidates.map(candidate => ({ ...candidate, detections: [] }));
+        const sources = { geotab: 0, stored: 0, none: 0 };
+
+        for (let i = 0; i < vehicles.length; i++) {
+            const vehicle = vehicles[i];
+            if (onProgress) onProgress(vehicle, i, vehicles.length);
+
+            const data = await FuelMonitor.loadReplayData(vehicle, options.from, options.to);
+            if (data.readings.length < 2) {
+                sources.none++;
+                continue;
+            }
+            sources[data.source]++;
+
+            for (const candidate of candidates) {
+                const detections = await FuelMonitor.replayHistory(vehicle, data, {
+                    dropThreshold: candidate.dropThreshold,
+                    timeWindowMinutes: candidate.timeWindowMinutes,
+                    thresholdUnit: 'percent'
+                });
+                candidate.detections.push(...detections);
+            }
+        }
+
+        candidates.forEach(candidate => score(candidate, reviewed));
+
+        return {
+            from: options.from,
+            to: options.to,
+            vehicles: vehicles,
+            reviewed: reviewed,
+            sources: sources,
+            candidates: candidates
+        };
+    }
+
+    /**
+     * Label a candidate's detections against the reviewed alerts and work out its scores
+     * Each reviewed alert matches at most one detection (the closest in time).
+     * @param {Object} candidate - Candidate with its detections
+     * @param {Array} reviewed - Suspected thefts marked confirmed or false positive
+     */
+    function score(candidate, reviewed) {
+        candidate.detections.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        candidate.detections.forEach(detection => {
+            detection.label = 'unreviewed';
+            detection.matchedAlertId = null;
+        });
+
+        reviewed.forEach(alertItem => {
+            const time = new Date(alertItem.timestamp).getTime();
+            let closest = null;
+            candidate.detections.forEach(detection => {
+                const gap = Math.abs(new Date(detection.timestamp).getTime() - time);
+                if (detection.matchedAlertId === null && detection.vehicleId === alertItem.vehicleId &&
+                    gap <= MATCH_WINDOW_MS && (!closest || gap < closest.gap)) {
+                    closest = { detection: detection, gap: gap };
+                }
+            });
+            if (closest) {
+                closest.detection.label = alertItem.status;
+                closest.detection.matchedAlertId = alertItem.id;
+            }
+        });
+
+        const matched = new Set(candidate.detections.map(d => d.matchedAlertId));
+        candidate.missed = reviewed.filter(a => a.status === 'confirmed' && !matched.has(a.id));
+
+        const hits = candidate.detections.filter(d => d.label === 'confirmed').length;
+        const falseAlarms = candidate.detections.filter(d => d.label === 'false-positive').length;
+        const confirmed = reviewed.filter(a => a.status === 'confirmed').length;
+        const precision = hits + falseAlarms > 0 ? hits / (hits + falseAlarms) : null;
+        const recall = confirmed > 0 ? hits / confirmed : null;
+
+        candidate.stats = {
+            fired: candidate.detections.length,
+            hits: hits,
+            falseAlarms: falseAlarms,
+            unreviewed: candidate.detections.length - hits - falseAlarms,
+            missed: candidate.missed.length,
+            precision: precision,
+            recall: recall,
+            f1: precision && recall ? 2 * precision * recall / (precision + recall) : null
+        };
+    }
+
+    /**
+     * Progress while replaying
+     */
+    function showProgress(vehicle, done, total) {
+        contentEl.innerHTML = `<p class="dashboard-empty">Replaying ${escapeHtml(vehicle.name)} (${done + 1} of ${total})...</p>`;
+    }
+
+    /**
+     * Render the last replay
+     */
+    function render() {
+        if (!contentEl || !result) return;
+
+        const config = FuelMonitor.getConfig();
+        const best = getBest(result.candidates);
+        const confirmed = result.reviewed.filter(a => a.status === 'confirmed').length;
+
+        const rows = result.candidates.map((candidate, index) => {
+            const stats = candidate.stats;
+            const current = config.thresholdUnit !== 'volume' &&
+                candidate.dropThreshold === config.dropThreshold && candidate.timeWindowMinutes === config.timeWindowMinutes;
+            const tags = [
+                current ? '<span class="status-pill">Current</span>' : '',
+                candidate === best ? '<span class="status-pill matched">Best</span>' : ''
+            ].join(' ');
+
+            return `
+                <tr>
+                    <td><button type="button" class="alert-chart-link" onclick="TuningLab.showCandidate(${index})">${candidate.dropThreshold}% in ${candidate.timeWindowMinutes} min</button> ${tags}</td>
+                    <td class="number">${stats.fired}</td>
+                    <td class="number">${stats.hits}</td>
+                    <td class="number">${stats.falseAlarms}</td>
+                    <td class="number">${stats.unreviewed}</td>
+                    <td class="number">${stats.missed}</td>
+                    <td class="number">${escapeHtml(formatRate(stats.precision))}</td>
+                    <td class="number">${escapeHtml(formatRate(stats.recall))}</td>
+                </tr>`;
+        }).join('');
+
+        const notes = [];
+        if (result.reviewed.length === 0) {
+            notes.push('None of the suspected thefts for these vehicles in this period have been marked confirmed or false positive, so precision and recall cannot be worked out. Review some alerts first.');
+        }
+        if (result.sources.stored > 0) {
+            notes.push(`${result.sources.stored} vehicle${result.sources.stored === 1 ? '' : 's'} had no fuel history in Geotab and were replayed from stored readings.`);
+        }
+        if (result.sources.none > 0) {
+            notes.push(`${result.sources.none} vehicle${result.sources.none === 1 ? '' : 's'} had no fuel history for this period.`);
+        }
+        if (config.thresholdProfiles.length > 0 || config.thresholdUnit === 'volume') {
+            notes.push('Candidates replace the drop threshold of threshold profiles too, and are always in percent.');
+        }
+
+        contentEl.innerHTML = `
+            <p class="dashboard-period">${escapeHtml(describePeriod(result.from, result.to))} · ${result.vehicles.length} vehicle${result.vehicles.length === 1 ? '' : 's'} · ${confirmed} confirmed and ${result.reviewed.length - confirmed} false positive alert${result.reviewed.length - confirmed === 1 ? '' : 's'} to score against</p>
+            <table class="data-table"><thead><tr><th>Drop threshold / time window</th><th class="number">Would fire</th>` +
+            `<th class="number">Confirmed</th><th class="number">False positives</th><th class="number">Not reviewed</th>` +
+            `<th class="number">Missed</th><th class="number">Precision</th><th class="number">Recall</th></tr></thead>` +
+            `<tbody>${rows}</tbody></table>
+            ${notes.map(note => `<p class="dashboard-note">${escapeHtml(note)}</p>`).join('')}
+            <p class="dashboard-note">Precision is the share of reviewed alerts that would fire that were confirmed; recall is the share of confirmed thefts that would fire. ` +
+            `A replayed drop within ${MATCH_WINDOW_MS / 60000} minutes of a reviewed alert on the same vehicle counts as that alert. ` +
+            `Replays leave zones out, and change nothing in the alert list or Settings. Click a row for what it would raise.</p>
+            <div id="tuning-detail"></div>
+        `;
+    }
+
+    /**
+     * What one candidate would raise, and the confirmed thefts it would miss
+     * @param {number} index - Candidate index in the last replay
+     */
+    function showCandidate(index) {
+        const candidate = result && result.candidates[index];
+        const detailEl = document.getElementById('tuning-detail');
+        if (!candidate || !detailEl) return;
+
+        const unit = AlertManager.getSettings().volumeUnit;
+        const detectionRows = candidate.detections.map(d => `
+            <tr>
+                <td>${escapeHtml(new Date(d.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(d.vehicleName)}</td>
+                <td>${escapeHtml(d.severity)}</td>
+                <td>${escapeHtml(describeDrop(d, unit))}</td>
+                <td>${escapeHtml((d.detectors || []).map(det => det.name).join(', '))}</td>
+                <td><span class="status-pill ${d.label}">${escapeHtml(LABELS[d.label])}</span></td>
+            </tr>`).join('');
+
+        const missedRows = candidate.missed.map(a => `
+            <tr>
+                <td>${escapeHtml(new Date(a.timestamp).toLocaleString())}</td>
+                <td>${escapeHtml(a.vehicleName)}</td>
+                <td>${escapeHtml(describeDrop(a, unit))}</td>
+            </tr>`).join('');
+
+        detailEl.innerHTML = `
+            <h3 class="dashboard-section">${candidate.dropThreshold}% in ${candidate.timeWindowMinutes} min would raise</h3>
+            ${candidate.detections.length === 0
+                ? '<p class="dashboard-empty">Nothing would fire with these settings.</p>'
+                : `<table class="data-table"><thead><tr><th>Time</th><th>Vehicle</th><th>Severity</th><th>Drop</th>` +
+                  `<th>Detected by</th><th>Reviewed as</th></tr></thead><tbody>${detectionRows}</tbody></table>`}
+            <h3 class="dashboard-section">Confirmed thefts it would miss</h3>
+            ${candidate.missed.length === 0
+                ? '<p class="dashboard-empty">None missed.</p>'
+                : `<table class="data-table"><thead><tr><th>Time</th><th>Vehicle</th><th>Drop</th></tr></thead><tbody>${missedRows}</tbody></table>`}
+        `;
+        detailEl.scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Candidate with the best balance of precision and recall (F1); on a tie the
+     * one raising fewer alerts
+     */
+    function getBest(candidates) {
+        return candidates
+            .filter(c => c.stats.f1 !== null)
+            .reduce((best, c) => !best || c.stats.f1 > best.stats.f1 ||
+                (c.stats.f1 === best.stats.f1 && c.stats.fired < best.stats.fired) ? c : best, null);
+    }
+
+    /**
+     * Positive numbers from a comma separated list, smallest first
+     */
+    function parseValues(text) {
+        const values = String(text).split(/[\s,;]+/)
+            .filter(part => part !== '')
+            .map(Number)
+            .filter(value => isFinite(value) && value > 0);
+        return [...new Set(values)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Values around a current setting (rounded, without repeats)
+     */
+    function suggestValues(current, factors) {
+        return [...new Set(factors.map(factor => Math.max(1, Math.round(current * factor))))];
+    }
+
+    /**
+     * How much a drop lost
+     */
+    function describeDrop(drop, unit) {
+        return `-${drop.fuelDrop.toFixed(1)}%` +
+            (typeof drop.volumeLost === 'number' ? ` (${FuelUnits.format(drop.volumeLost, unit)})` : '');
+    }
+
+    /**
+     * Percentage, or a dash when there is nothing to work it out from
+     */
+    function formatRate(rate) {
+        return rate === null ? '—' : `${(rate * 100).toFixed(0)}%`;
+    }
+
+    /**
+     * Local midnight of a yyyy-mm-dd date input value
+     */
+    function parseDateInput(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    /**
+     * yyyy-mm-dd value for a date input, in local time
+     */
+    function toDateInput(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    /**
+     * Same local time a number of days earlier or later
+     */
+    function shiftDays(date, days) {
+        const shifted = new Date(date);
+        shifted.setDate(shifted.getDate() + days);
+        return shifted;
+    }
+
+    /**
+     * Readable period of whole days (the end is exclusive)
+     */
+    function describePeriod(from, to) {
+        const format = date => date.toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${format(from)} - ${format(new Date(to.getTime() - 1))}`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close,
+        replay,
+        showCandidate
+    };
+})();
@@ -0,0 +1,83 @@
+/**
+ * Volume unit helpers for Fuel Theft Monitor
+ * All volumes are stored in litres and converted for display only
+ */
+
+const FuelUnits = (function() {
+    // Supported display units
+    const UNITS = {
+        L: { label: 'L', name: 'Litres', litresPerUnit: 1 },
+        usgal: { label: 'US gal', name: 'US gallons', litresPerUnit: 3.785411784 },
+        impgal: { label: 'imp gal', name: 'Imperial gallons', litresPerUnit: 4.54609 }
+    };
+
+    const DEFAULT_UNIT = 'L';
+
+    /**
+     * Resolve a unit key, falling back to litres
+     * @param {string} unit - Unit key (L, usgal, impgal)
+     * @returns {Object} Unit definition
+     */
+    function getUnit(unit) {
+        return UNITS[unit] || UNITS[DEFAULT_UNIT];
+    }
+
+    /**
+     * Convert litres to a display unit
+     * @param {number} litres - Volume in litres
+     * @param {string} unit - Target unit key
+     * @returns {number|null} Converted volume, or null if unknown
+     */
+    function fromLitres(litres, unit) {
+        if (litres === null || litres === undefined || isNaN(litres)) return null;
+        return litres / getUnit(unit).litresPerUnit;
+    }
+
+    /**
+     * Convert a value in a display unit to litres
+     * @param {number} value - Volume in the given unit
+     * @param {string} unit - Source unit key
+     * @returns {number|null} Volume in litres, or null if unknown
+     */
+    function toLitres(value, unit) {
+        if (value === null || value === undefined || isNaN(value)) return null;
+        return value * getUnit(unit).litresPerUnit;
+    }
+
+    /**
+     * Short label for a unit (e.g. "US gal")
+     */
+    function label(unit) {
+        return getUnit(unit).label;
+    }
+
+    /**
+     * Format a litre volume for display in the given unit
+     * @param {number} litres - Volume in litres
+     * @param {string} unit - Display unit key
+     * @param {number} digits - Decimal places
+     * @returns {string} Formatted volume, or an empty string if unknown
+     */
+    function format(litres, unit, digits = 1) {
+        const value = fromLitres(litres, unit);
+        if (value === null) return '';
+        return `${value.toFixed(digits)} ${label(unit)}`;
+    }
+
+    /**
+     * List available units (for select inputs)
+     */
+    function getUnits() {
+        return Object.keys(UNITS).map(key => ({ key, ...UNITS[key] }));
+    }
+
+    // Public API
+    return {
+        DEFAULT_UNIT,
+        fromLitres,
+        toLitres,
+        label,
+        format,
+        getUnits
+    };
+})();
@@ -0,0 +1,163 @@
+/**
+ * Vehicle state timelines for Fuel Theft Monitor
+ * Keeps what is known about each vehicle's movement - ignition changes, trips
+ * and GPS speeds - so whether a vehicle was parked when its fuel dropped is
+ * answered locally instead of with API calls per drop. Timelines are fed by
+ * the live feeds, or filled in bulk for a historical analysis.
+ *
+ * A timeline:
+ *
+ *   {
+ *     ignition: [{time: ms, on: true}],        // Ignition changes, oldest first
+ *     trips: [{start: ms, end: ms}],
+ *     speeds: [{time: ms, speed: 42}],         // km/h
+ *     covered: {ignition: {from, to}, ...}     // Period each source is complete for (ms)
+ *   }
+ */
+
+const VehicleState = (function() {
+    const SOURCES = ['ignition', 'trips', 'speeds'];
+    const MOVING_SPEED_KMH = 5;     // GPS speeds below this are drift, not driving
+
+    /**
+     * Empty timeline
+     * @returns {Object} Timeline
+     */
+    function create() {
+        return { ignition: [], trips: [], speeds: [], covered: {} };
+    }
+
+    /**
+     * Add records from Geotab to a timeline
+     * @param {Object} timeline - Timeline
+     * @param {string} source - 'ignition' (StatusData), 'trips' (Trip) or 'speeds' (LogRecord)
+     * @param {Array} records - Records
+     */
+    function add(timeline, source, records) {
+        switch (source) {
+            case 'ignition':
+                addIgnition(timeline, records);
+                break;
+            case 'trips':
+                addTrips(timeline, records);
+                break;
+            case 'speeds':
+                addLogRecords(timeline, records);
+                break;
+        }
+    }
+
+    /**
+     * Add ignition StatusData (1 = on, 0 = off)
+     */
+    function addIgnition(timeline, records) {
+        records.forEach(record => {
+            timeline.ignition.push({ time: new Date(record.dateTime).getTime(), on: record.data !== 0 });
+        });
+        timeline.ignition.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Add Geotab trips (a trip seen again replaces the earlier copy)
+     */
+    function addTrips(timeline, trips) {
+        trips.forEach(trip => {
+            const start = new Date(trip.start).getTime();
+            const end = new Date(trip.stop).getTime();
+            timeline.trips = timeline.trips.filter(t => t.start !== start);
+            timeline.trips.push({ start: start, end: end });
+        });
+        timeline.trips.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Add GPS log records
+     */
+    function addLogRecords(timeline, records) {
+        records
+            .filter(record => typeof record.speed === 'number')
+            .forEach(record => {
+                timeline.speeds.push({ time: new Date(record.dateTime).getTime(), speed: record.speed });
+            });
+        timeline.speeds.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Record that a source's data is complete for a period
+     * Joins the period already covered when the two meet or overlap; otherwise
+     * the newer period replaces it (what fell in the gap is unknown).
+     * @param {Object} timeline - Timeline
+     * @param {string} source - 'ignition', 'trips' or 'speeds'
+     * @param {Date} fromDate - Start
+     * @param {Date} toDate - End
+     */
+    function markCovered(timeline, source, fromDate, toDate) {
+        const from = fromDate.getTime();
+        const to = toDate.getTime();
+        const current = timeline.covered[source];
+
+        if (current && from <= current.to && to >= current.from) {
+            timeline.covered[source] = { from: Math.min(from, current.from), to: Math.max(to, current.to) };
+        } else {
+            timeline.covered[source] = { from: from, to: to };
+        }
+    }
+
+    /**
+     * Whether a vehicle was parked in the minutes before a time: ignition off
+     * (as last reported), no trip and no GPS speed
+     * @param {Object|null} timeline - Timeline
+     * @param {Date} timestamp - Time of the drop
+     * @param {number} windowMinutes - Minutes before the drop to check
+     * @returns {Object} {stationary: true | false | null (unknown), missing: [sources not covered]}
+     */
+    function isStationary(timeline, timestamp, windowMinutes) {
+        const to = timestamp.getTime();
+        const from = to - windowMinutes * 60 * 1000;
+        if (!timeline) {
+            return { stationary: null, missing: SOURCES.slice() };
+        }
+
+        const missing = SOURCES.filter(source => {
+            const covered = timeline.covered[source];
+            return !covered || covered.from > from || covered.to < to;
+        });
+
+        // Any sign of movement counts, even if other sources are missing
+        const lastIgnition = timeline.ignition.filter(change => change.time <= to).pop();
+        const moving = (lastIgnition && lastIgnition.on && !missing.includes('ignition')) ||
+            timeline.trips.some(trip => trip.start <= to && trip.end >= from) ||
+            timeline.speeds.some(s => s.time >= from && s.time <= to && s.speed >= MOVING_SPEED_KMH);
+        if (moving) {
+            return { stationary: false, missing: missing };
+        }
+
+        return { stationary: missing.length > 0 ? null : true, missing: missing };
+    }
+
+    /**
+     * Drop entries older than a time, which is then no longer covered (the last
+     * ignition change before it is kept, since it gives the state after)
+     * @param {Object} timeline - Timeline
+     * @param {number} before - Time (ms)
+     */
+    function prune(timeline, before) {
+        Object.values(timeline.covered).forEach(period => {
+            period.from = Math.max(period.from, before);
+        });
+        const lastChange = timeline.ignition.filter(change => change.time < before).pop();
+        timeline.ignition = timeline.ignition.filter(change => change.time >= before || change === lastChange);
+        timeline.trips = timeline.trips.filter(trip => trip.end >= before);
+        timeline.speeds = timeline.speeds.filter(s => s.time >= before);
+    }
+
+    // Public API
+    return {
+        SOURCES,
+        create,
+        add,
+        markCovered,
+        isStationary,
+        prune
+    };
+})();
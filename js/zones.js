@@ -0,0 +1,132 @@
+/**
+ * Zones for Fuel Theft Monitor
+ * Places where a fuel drop means something different: trusted zones (depots,
+ * workshops) where tank work is legitimate, and hotspot zones (lay-bys, truck
+ * stops) where theft is known to happen.
+ *
+ *   {
+ *     id: 'zone-1',
+ *     name: 'North Depot',
+ *     effect: 'suppress' | 'downgrade' | 'escalate',
+ *     geotabZoneId: null,     // Use the shape of this Geotab Zone...
+ *     points: [],             // ...or a local polygon [{latitude, longitude}] (3 or more)...
+ *     latitude: 51.5,         // ...or a local circle
+ *     longitude: -0.12,
+ *     radius: 200             // Metres
+ *   }
+ *
+ * A point inside both kinds of zone is treated as trusted.
+ */
+
+const Zones = (function() {
+    const EFFECTS = [
+        { key: 'suppress', kind: 'trusted', label: 'Trusted - no alerts' },
+        { key: 'downgrade', kind: 'trusted', label: 'Trusted - lower severity' },
+        { key: 'escalate', kind: 'hotspot', label: 'Hotspot - raise severity' }
+    ];
+    const EARTH_RADIUS_M = 6371000;
+
+    /**
+     * Effects a zone can have
+     * @returns {Array} [{key, kind, label}]
+     */
+    function getEffects() {
+        return EFFECTS.map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Whether a zone is 'trusted' or a 'hotspot'
+     * @param {Object} zone - Zone (or alert fields {zoneEffect})
+     * @returns {string|null} Kind
+     */
+    function getKind(zone) {
+        const effect = EFFECTS.find(e => e.key === (zone && (zone.effect || zone.zoneEffect)));
+        return effect ? effect.kind : null;
+    }
+
+    /**
+     * Zone governing a position (trusted zones win over hotspots, then list order)
+     * @param {Array} zones - Zones with their shapes resolved
+     * @param {number} latitude - Latitude
+     * @param {number} longitude - Longitude
+     * @returns {Object|null} Zone, or null if the position is in none
+     */
+    function find(zones, latitude, longitude) {
+        const matching = (zones || []).filter(zone => contains(zone, latitude, longitude));
+        return matching.find(zone => getKind(zone) === 'trusted') || matching[0] || null;
+    }
+
+    /**
+     * Whether a zone contains a position
+     */
+    function contains(zone, latitude, longitude) {
+        if (Array.isArray(zone.points) && zone.points.length >= 3) {
+            return inPolygon(zone.points, latitude, longitude);
+        }
+
+        if (typeof zone.latitude === 'number' && typeof zone.longitude === 'number' && zone.radius > 0) {
+            return distanceMetres(zone.latitude, zone.longitude, latitude, longitude) <= zone.radius;
+        }
+
+        return false;
+    }
+
+    /**
+     * Apply a zone's effect to a severity
+     * @param {string} severity - Severity from the severity rules
+     * @param {Object|null} zone - Zone the drop happened in
+     * @returns {string} Adjusted severity
+     */
+    function adjustSeverity(severity, zone) {
+        if (!zone) return severity;
+
+        switch (zone.effect) {
+            case 'downgrade':
+                return SeverityRules.shift(severity, -1);
+            case 'escalate':
+                return SeverityRules.shift(severity, 1);
+            default:
+                return severity;
+        }
+    }
+
+    /**
+     * Ray casting point-in-polygon test (fine for zone-sized polygons)
+     */
+    function inPolygon(points, latitude, longitude) {
+        let inside = false;
+
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.latitude > latitude) !== (b.latitude > latitude) &&
+                longitude < (b.longitude - a.longitude) * (latitude - a.latitude) / (b.latitude - a.latitude) + a.longitude) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    /**
+     * Great-circle distance between two positions (haversine)
+     */
+    function distanceMetres(lat1, lng1, lat2, lng2) {
+        const toRad = degrees => degrees * Math.PI / 180;
+        const dLat = toRad(lat2 - lat1);
+        const dLng = toRad(lng2 - lng1);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+    }
+
+    // Public API
+    return {
+        getEffects,
+        getKind,
+        find,
+        contains,
+        adjustSeverity
+    };
+})();